@@ -9,7 +9,13 @@
 const { getConfig } = require('./lib/config.cjs');
 const { getLogger } = require('./lib/utils/logger.cjs');
 const { SQLStore } = require('./lib/storage/sql-store.cjs');
+const { SemanticSearch } = require('./lib/storage/semantic-search.cjs');
 const { BaseMonitor } = require('./lib/monitors/base.cjs');
+const { MonitorRegistry } = require('./lib/monitors/registry.cjs');
+const { MonitorScheduler } = require('./lib/monitors/scheduler.cjs');
+const { PolitenessPolicy } = require('./lib/utils/politeness.cjs');
+const { summarizeHealth } = require('./lib/monitors/source-health.cjs');
+const { parseDuration } = require('./lib/utils/duration.cjs');
 const { AIAnalysisEngine } = require('./lib/analyzer/index.cjs');
 const { ExecutionEngine } = require('./lib/executor/index.cjs');
 const { TokenOptimizationEngine } = require('./lib/optimizer/index.cjs');
@@ -20,12 +26,15 @@ class EvolutionSystem {
     this.config = options.config || getConfig();
     this.logger = options.logger || getLogger({ level: 'INFO' });
     this.storage = null;
+    this.semanticSearch = null;
     this.monitors = [];
     this.analysisEngine = null;
     this.executionEngine = null;
     this.optimizer = null;
     this.computeEngine = null;
     this.running = false;
+    // Rewind monitor checkpoints by this much (ms) on their first poll
+    this.backfill = options.backfill || null;
   }
 
   /**
@@ -43,6 +52,17 @@ class EvolutionSystem {
       path: this.config.paths.db,
     });
 
+    // Initialize vector index
+    this.semanticSearch = new SemanticSearch({
+      storage: this.storage,
+      config: this.config,
+      logger: this.logger,
+    }).open();
+    this.logger.success('Vector index loaded', {
+      path: this.config.paths.vectors,
+      vectors: this.semanticSearch.index.size,
+    });
+
     // Initialize monitors
     await this._initMonitors();
     this.logger.success('Monitors initialized', {
@@ -55,6 +75,7 @@ class EvolutionSystem {
       storage: this.storage,
       config: this.config,
     });
+    this.analysisEngine.on('progress', progress => this.logger.debug('Analysis progress', progress));
     this.logger.success('AI Analysis Engine initialized');
 
     // Initialize execution engine
@@ -89,73 +110,33 @@ class EvolutionSystem {
 
   /**
    * Initialize monitors
+   *
+   * Monitors come from `monitors.instances` in the config (or the built-in
+   * set), with plugin types loaded from `monitors.plugins`. They share one
+   * scheduler and one per-host politeness policy.
    */
   async _initMonitors() {
-    const { OpenClawMonitor } = require('./lib/monitors/monitor-openclaw.cjs');
-    const { AIMonitor } = require('./lib/monitors/monitor-ai.cjs');
-    const { TechMonitor } = require('./lib/monitors/monitor-tech.cjs');
-    const { StartupMonitor } = require('./lib/monitors/monitor-startup.cjs');
-    const { InternalMonitor } = require('./lib/monitors/monitor-internal.cjs');
-
-    // OpenClaw Ecosystem Monitor
-    if (this.config.monitors.openclaw.enabled) {
-      const openclawMonitor = new OpenClawMonitor({
-        enabled: true,
-        interval: this.config.intervals.medium,
-        logger: this.logger,
-        storage: this.storage,
-        config: this.config,
-      });
-      this.monitors.push(openclawMonitor);
-    }
-
-    // AI/LLM Frontier Monitor
-    if (this.config.monitors.ai.enabled) {
-      const aiMonitor = new AIMonitor({
-        enabled: true,
-        interval: this.config.intervals.medium,
-        logger: this.logger,
-        storage: this.storage,
-        config: this.config,
-      });
-      this.monitors.push(aiMonitor);
-    }
-
-    // Tech Stack Monitor
-    if (this.config.monitors.tech.enabled) {
-      const techMonitor = new TechMonitor({
-        enabled: true,
-        interval: this.config.intervals.medium,
-        logger: this.logger,
-        storage: this.storage,
-        config: this.config,
-      });
-      this.monitors.push(techMonitor);
-    }
+    this.scheduler = new MonitorScheduler({
+      logger: this.logger,
+      ...this.config.scheduler,
+    });
+    this.politeness = new PolitenessPolicy({
+      logger: this.logger,
+      userAgent: this.config.http?.userAgent,
+      ...this.config.politeness,
+    });
 
-    // Startup/Product Monitor
-    if (this.config.monitors.startup.enabled) {
-      const startupMonitor = new StartupMonitor({
-        enabled: true,
-        interval: this.config.intervals.medium,
-        logger: this.logger,
-        storage: this.storage,
-        config: this.config,
-      });
-      this.monitors.push(startupMonitor);
-    }
+    this.monitorRegistry = new MonitorRegistry({
+      logger: this.logger,
+      storage: this.storage,
+      config: this.config,
+      scheduler: this.scheduler,
+      politeness: this.politeness,
+      backfill: this.backfill,
+    });
 
-    // Internal Improvement Monitor
-    if (this.config.monitors.internal.enabled) {
-      const internalMonitor = new InternalMonitor({
-        enabled: true,
-        interval: this.config.intervals.slow,
-        logger: this.logger,
-        storage: this.storage,
-        config: this.config,
-      });
-      this.monitors.push(internalMonitor);
-    }
+    this.monitorRegistry.loadPlugins(this.config.monitors.plugins);
+    this.monitors = this.monitorRegistry.createAll();
   }
 
   /**
@@ -194,6 +175,7 @@ class EvolutionSystem {
     for (const monitor of this.monitors) {
       monitor.stop();
     }
+    this.scheduler.stop();
 
     this.running = false;
     this.logger.success('Evolution System stopped');
@@ -211,17 +193,21 @@ class EvolutionSystem {
     // Poll all monitors
     for (const monitor of this.monitors) {
       if (monitor.enabled) {
-        try {
-          // Listen for discoveries
-          monitor.once('discovered', (item) => {
-            discoveredItems.push(item);
-          });
+        // Listen for discoveries (a single poll may discover many items)
+        const onDiscovered = (item) => {
+          discoveredItems.push(item);
+        };
+        monitor.on('discovered', onDiscovered);
 
-          await monitor.poll();
+        try {
+          // Checks run in isolation, skipping sources that are backing off
+          await (typeof monitor.runChecks === 'function' ? monitor.runChecks() : monitor.poll());
         } catch (error) {
           this.logger.error(`Monitor ${monitor.name} failed`, {
             error: error.message,
           });
+        } finally {
+          monitor.removeListener('discovered', onDiscovered);
         }
       }
     }
@@ -234,10 +220,17 @@ class EvolutionSystem {
     if (discoveredItems.length > 0) {
       this.logger.analyze('Processing items through AI engine');
 
+      // Pick up feedback given since the last cycle
+      this.analysisEngine.calibrator.fit();
+
       const processedItems = await this.analysisEngine.processBatch(discoveredItems);
 
       // Store results
       const stored = await this.analysisEngine.storeResults(processedItems);
+      const embedded = await this.semanticSearch.indexPending();
+
+      // Alert on security emergencies right away
+      const emergencies = await this._sendEmergencies(processedItems);
 
       // Generate optimizations
       const optimizations = this.analysisEngine.generateOptimizations(processedItems);
@@ -250,9 +243,11 @@ class EvolutionSystem {
         processed: processedItems.length,
         stored_knowledge: stored.storedKnowledge,
         stored_optimizations: stored.storedOptimizations,
+        embedded,
         optimizations_generated: optimizations.length,
         auto_applied: executionResults.auto_applied.length,
         issues_created: executionResults.issues_created.length,
+        emergencies,
       });
 
       // Log AI engine stats
@@ -269,6 +264,7 @@ class EvolutionSystem {
         stored,
         optimizations,
         executionResults,
+        emergencies,
         stats,
         execStats,
       };
@@ -283,12 +279,40 @@ class EvolutionSystem {
         stored: { storedKnowledge: 0, storedOptimizations: 0 },
         optimizations: [],
         executionResults: { auto_applied: [], issues_created: [], ignored: [] },
+        emergencies: 0,
         stats: this.analysisEngine.getStats(),
         execStats: this.executionEngine.getStats(),
       };
     }
   }
 
+  /**
+   * Push an emergency alert for every item rated `emergency_report`
+   */
+  async _sendEmergencies(processedItems) {
+    const emergencies = processedItems.filter(p => p.riskRating.action === 'emergency_report');
+
+    for (const { item, riskRating } of emergencies) {
+      try {
+        await this.executionEngine.sendEmergency({
+          title: item.title,
+          description: `${item.content || ''}\n\n${item.url || ''}`.trim(),
+          severity: riskRating.level,
+          action_required: item.fixed_in
+            ? `Upgrade ${item.package} to ${item.fixed_in} or later`
+            : 'Yes',
+        });
+      } catch (error) {
+        this.logger.error('Failed to send emergency alert', {
+          title: item.title,
+          error: error.message,
+        });
+      }
+    }
+
+    return emergencies.length;
+  }
+
   /**
    * Get system status
    */
@@ -296,12 +320,20 @@ class EvolutionSystem {
     const monitorStatus = this.monitors.map(m => m.getStatus());
 
     const learningStats = this.storage.getLearningStats(24);
+    const health = this.storage.listSourceHealth();
 
     return {
       running: this.running,
       monitors: monitorStatus,
+      scheduler: this.scheduler ? this.scheduler.getStatus() : null,
+      politeness: this.politeness ? this.politeness.getStatus() : null,
+      health: {
+        ...summarizeHealth(health),
+        failing: health.filter(record => record.status !== 'healthy'),
+      },
       learning: learningStats,
       aiEngine: this.analysisEngine ? this.analysisEngine.getStats() : null,
+      vectors: this.semanticSearch ? this.semanticSearch.getStats() : null,
       executionEngine: this.executionEngine ? this.executionEngine.getStats() : null,
       optimizer: this.optimizer ? this.optimizer.getStats() : null,
       computeEngine: this.computeEngine ? this.computeEngine.getStats() : null,
@@ -320,7 +352,9 @@ class EvolutionSystem {
         active_monitors: status.monitors.filter(m => m.running).length,
         total_monitors: status.monitors.length,
       },
+      health: status.health,
       learning: status.learning,
+      calibration: this.analysisEngine ? this.analysisEngine.calibrator.curves() : [],
       aiEngine: status.aiEngine,
       executionEngine: status.executionEngine,
       optimizer: status.optimizer,
@@ -341,7 +375,24 @@ async function main() {
   // Parse command line arguments
   const command = args[0] || 'start';
 
-  const system = new EvolutionSystem();
+  // --backfill <duration>: re-read sources from that far back (once)
+  const backfillIndex = args.indexOf('--backfill');
+  let backfill = null;
+  if (backfillIndex > -1) {
+    const value = args[backfillIndex + 1];
+    try {
+      if (!value || value.startsWith('--')) {
+        throw new Error('--backfill needs a duration');
+      }
+      backfill = parseDuration(value);
+    } catch (error) {
+      console.log(error.message);
+      console.log('Usage: node index.js <command> --backfill <duration> (e.g. 7d, 12h)');
+      process.exit(1);
+    }
+  }
+
+  const system = new EvolutionSystem({ backfill });
   await system.init();
 
   switch (command) {
@@ -379,6 +430,111 @@ async function main() {
       process.exit(0);
       break;
 
+    case 'snapshots': {
+      // snapshots [page|url] [--limit n]: watched pages, or one page's history
+      const target = args[1] && !args[1].startsWith('--') ? args[1] : null;
+      const limitIndex = args.indexOf('--limit');
+      const limit = limitIndex > -1 ? parseInt(args[limitIndex + 1], 10) : 20;
+
+      const rows = target
+        ? system.storage.getPageSnapshots({ [/^https?:/.test(target) ? 'url' : 'page']: target, limit, content: false })
+        : system.storage.listWatchedPages();
+      console.log(JSON.stringify(rows, null, 2));
+      process.exit(0);
+      break;
+    }
+
+    case 'health': {
+      // health [reset <monitor> [source]]: source health, or close open circuits
+      if (args[1] === 'reset') {
+        const monitor = system.monitors.find(m => m.name === args[2]);
+        if (!monitor) {
+          console.log(`Unknown monitor: ${args[2]}`);
+          process.exit(1);
+        }
+        console.log(JSON.stringify(monitor.health.reset(args[3] || null), null, 2));
+      } else {
+        console.log(JSON.stringify(system.storage.listSourceHealth(args[1] || null), null, 2));
+      }
+      process.exit(0);
+      break;
+    }
+
+    case 'checkpoints':
+      // checkpoints [monitor]: where each source's next poll resumes
+      console.log(JSON.stringify(system.storage.listCheckpoints(args[1] && !args[1].startsWith('--') ? args[1] : null), null, 2));
+      process.exit(0);
+      break;
+
+    case 'feedback': {
+      // feedback <accept|reject> <optimization id|#issue> [note]: judge an optimization
+      const outcome = { accept: 'accepted', reject: 'rejected' }[args[1]];
+      const target = args[2] || '';
+      if (!outcome || !/^#?\d+$/.test(target)) {
+        console.log('Usage: node index.js feedback <accept|reject> <optimization id|#issue> [note]');
+        process.exit(1);
+      }
+
+      try {
+        const recorded = system.storage.recordFeedback({
+          outcome,
+          [target.startsWith('#') ? 'issue_number' : 'optimization_id']: parseInt(target.replace('#', ''), 10),
+          note: args[3],
+        });
+        console.log(JSON.stringify(recorded, null, 2));
+      } catch (error) {
+        console.log(error.message);
+        process.exit(1);
+      }
+      process.exit(0);
+      break;
+    }
+
+    case 'calibration':
+      // calibration: relevance calibration curves fitted from feedback
+      console.log(JSON.stringify({
+        threshold: system.analysisEngine.relevanceThreshold,
+        curves: system.analysisEngine.calibrator.curves(),
+      }, null, 2));
+      process.exit(0);
+      break;
+
+    case 'prompts': {
+      // prompts: templates on disk, versions in use and outcomes per version
+      const prompts = system.analysisEngine.prompts;
+      const tasks = [...new Set(prompts.list().map(template => template.task))];
+      console.log(JSON.stringify({
+        active: Object.fromEntries(tasks.map(task => [task, prompts.versions[task] || prompts.versionsOf(task).at(-1)])),
+        experiments: prompts.experiments,
+        templates: prompts.list(),
+        stats: system.storage.getPromptStats(),
+      }, null, 2));
+      process.exit(0);
+      break;
+    }
+
+    case 'search': {
+      // search "<query>" [--limit n] [--source s]: most similar knowledge items
+      const query = args[1] && !args[1].startsWith('--') ? args[1] : '';
+      if (!query) {
+        console.log('Usage: node index.js search "<query>" [--limit n] [--source s]');
+        process.exit(1);
+      }
+      const limitIndex = args.indexOf('--limit');
+      const sourceIndex = args.indexOf('--source');
+
+      await system.semanticSearch.indexPending();
+      const results = await system.semanticSearch.search(query, {
+        limit: limitIndex > -1 ? parseInt(args[limitIndex + 1], 10) : 10,
+        source: sourceIndex > -1 ? args[sourceIndex + 1] : null,
+      });
+      console.log(JSON.stringify(results.map(({ id, score, source, type, title, url, category, created_at }) => ({
+        id, score: Number(score.toFixed(4)), source, type, title, url, category, created_at,
+      })), null, 2));
+      process.exit(0);
+      break;
+    }
+
     case 'init-db':
       console.log('Database initialized');
       process.exit(0);
@@ -386,7 +542,7 @@ async function main() {
 
     default:
       console.log(`Unknown command: ${command}`);
-      console.log('Usage: node index.js [start|learn|report|status|init-db]');
+      console.log('Usage: node index.js [start|learn|report|status|snapshots [page|url] [--limit n]|health [reset <monitor> [source]]|checkpoints [monitor]|search "<query>" [--limit n] [--source s]|feedback <accept|reject> <optimization id|#issue> [note]|calibration|prompts|init-db] [--backfill <duration>]');
       process.exit(1);
   }
 }
@@ -6,18 +6,63 @@
  * Comprehensive analysis for high-relevance items using main model
  */
 
+const { createModelClient } = require('./model-client.cjs');
+const { generateStructured, formatErrors } = require('./structured-output.cjs');
+const { PromptLibrary } = require('./prompts.cjs');
+const { ModelRateLimiter, completeWithinLimits, estimateTokens } = require('./rate-limits.cjs');
+const { Semaphore, mapConcurrent } = require('../utils/concurrency.cjs');
+
+// Expected size of an analysis reply, for rate limiting
+const REPLY_TOKENS = 600;
+
+// Shape every analysis reply must have
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'actionable', 'optimization_type', 'description', 'priority', 'risks', 'benefits'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    actionable: { type: 'boolean' },
+    optimization_type: {
+      type: 'string',
+      enum: ['refactor', 'newfeature', 'bugfix', 'documentation', 'security', 'performance'],
+    },
+    description: { type: 'string' },
+    target_file: { type: ['string', 'null'] },
+    diff_preview: { type: ['string', 'null'] },
+    priority: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+    estimated_effort: { type: ['string', 'null'] },
+    risks: { type: 'array', items: { type: 'string' } },
+    benefits: { type: 'array', items: { type: 'string' } },
+  },
+};
+
 class DeepAnalyzer {
   constructor(options = {}) {
     this.model = options.model || 'glm-4.7';
     this.logger = options.logger;
     this.storage = options.storage;
     this.config = options.config;
+    this.client = options.client || createModelClient(this.config, { model: this.model, logger: this.logger });
+    // Re-prompts allowed for a reply that violates the schema
+    this.maxRepairs = options.maxRepairs ?? this.config?.llm?.maxRepairs ?? 1;
+    this.prompts = options.prompts || new PromptLibrary({ ...this.config?.prompts, logger: this.logger });
+    // Relevance (calibrated by the engine) an item needs to be analyzed
+    this.relevanceThreshold = options.relevanceThreshold ?? this.config?.analysis?.relevanceThreshold ?? 0.7;
+    // Parallel model calls of this tier, within the model's RPM/TPM limits
+    this.slots = new Semaphore(options.concurrency ?? this.config?.analysis?.concurrency?.analyzer ?? 2);
+    this.rateLimiter = options.rateLimiter
+      || new ModelRateLimiter({ limits: this.config?.analysis?.rateLimits, logger: this.logger });
+    this.tokens = 0;
+    this.invalidReplies = 0;
   }
 
   /**
    * Analyze content deeply
+   *
+   * Aborting `options.signal` cancels the model call and rejects with the
+   * signal's reason.
    */
-  async analyze(content, classification) {
+  async analyze(content, classification, options = {}) {
     try {
       this.logger?.analyze('Analyzing content', {
         title: content.title,
@@ -25,7 +70,7 @@ class DeepAnalyzer {
       });
 
       // Only analyze high-relevance items
-      if (classification.relevance_score < 0.7) {
+      if (classification.relevance_score < this.relevanceThreshold) {
         this.logger?.debug('Skipping analysis, low relevance', {
           title: content.title,
           relevance: classification.relevance_score,
@@ -36,16 +81,22 @@ class DeepAnalyzer {
       // Build analysis prompt
       const prompt = this._buildPrompt(content, classification);
 
-      // Call AI model
-      const result = await this._callModel(prompt);
+      // Call AI model until the reply matches the schema
+      const result = await generateStructured({
+        call: messages => this._callModel(messages, options.signal),
+        prompt: prompt.text,
+        schema: ANALYSIS_SCHEMA,
+        maxRepairs: this.maxRepairs,
+        onInvalid: invalid => this._recordInvalid(invalid),
+      });
 
-      // Parse result
-      const analysis = this._parseResult(result);
+      const analysis = { ...result.value, prompt_version: prompt.version };
 
       this.logger?.analyze('Analysis complete', {
         title: content.title,
         actionable: analysis.actionable,
         optimization_type: analysis.optimization_type,
+        prompt: analysis.prompt_version,
       });
 
       return analysis;
@@ -53,90 +104,93 @@ class DeepAnalyzer {
       this.logger?.error('Analysis failed', {
         title: content.title,
         error: error.message,
+        code: error.code,
       });
+      if (error.fatal || options.signal?.aborted) {
+        throw error;
+      }
       return null;
     }
   }
 
   /**
-   * Build analysis prompt
+   * Build analysis prompt: `{ text, version }` of the template used
    */
   _buildPrompt(content, classification) {
-    return `Analyze this content deeply and determine how it can improve the openclaw repository:
-
-Title: ${content.title}
-Content: ${content.content || 'No content'}
-URL: ${content.url || 'No URL'}
-Source: ${content.source || 'Unknown'}
-
-Category: ${classification.category}
-Risk Level: ${classification.risk_level}
-
-Provide analysis in JSON format:
-{
-  "summary": "Brief summary of the content",
-  "actionable": true/false,
-  "optimization_type": "refactor|newfeature|bugfix|documentation|security|performance",
-  "description": "What improvement can be made",
-  "target_file": "Specific file or path to modify (if applicable)",
-  "diff_preview": "Example code change (if applicable)",
-  "priority": "low|medium|high|critical",
-  "estimated_effort": "time estimate",
-  "risks": ["potential risk 1", "potential risk 2"],
-  "benefits": ["benefit 1", "benefit 2"]
-}`;
+    return this.prompts.render('analysis', {
+      title: content.title,
+      content: content.content || 'No content',
+      url: content.url || 'No URL',
+      source: content.source || 'Unknown',
+      category: classification.category,
+      risk_level: classification.risk_level,
+    }, { model: this.model, key: content.url || content.title });
   }
 
   /**
-   * Call AI model
+   * Call AI model with a conversation, recording its token usage
    */
-  async _callModel(prompt) {
-    // Placeholder - would integrate with actual AI API
-    return JSON.stringify({
-      summary: 'New optimization opportunity discovered',
-      actionable: true,
-      optimization_type: 'refactor',
-      description: 'Refactor error handling pattern across multiple skills',
-      target_file: 'skills/*/lib/*.cjs',
-      diff_preview: '// Before\ncatch (error) {\n  console.error(error);\n}\n\n// After\ncatch (error) {\n  this.logger.error(\'Operation failed\', { error: error.message });\n}',
-      priority: 'medium',
-      estimated_effort: '2 hours',
-      risks: ['May break existing error handling', 'Requires testing all affected skills'],
-      benefits: ['Consistent error logging', 'Better error tracking', 'Improved debuggability'],
+  async _callModel(messages, signal) {
+    const response = await completeWithinLimits(this, {
+      model: this.model,
+      messages,
+      temperature: 0.2,
+      json: true,
+      signal,
+    }, estimateTokens(messages, REPLY_TOKENS));
+
+    this.tokens += response.usage.total_tokens;
+    this.storage?.recordTokenMetrics({
+      task_type: 'analysis',
+      tokens_consumed: response.usage.total_tokens,
+      items_processed: 1,
+      efficiency: response.usage.total_tokens,
+      throughput: 0,
+      model_used: response.model,
     });
+
+    return response.content;
   }
 
   /**
-   * Parse model result
+   * Record a reply that failed parsing or validation
    */
-  _parseResult(result) {
-    try {
-      return JSON.parse(result);
-    } catch (error) {
-      this.logger?.warn('Failed to parse analysis result', {
-        error: error.message,
-      });
-      return null;
-    }
+  _recordInvalid(invalid) {
+    this.invalidReplies++;
+    this.logger?.warn('Invalid analysis reply', {
+      model: this.model,
+      stage: invalid.stage,
+      attempt: invalid.attempt,
+      errors: formatErrors(invalid.errors),
+    });
+
+    this.storage?.recordValidationFailure({
+      model: this.model,
+      task_type: 'analysis',
+      stage: invalid.stage,
+      errors: formatErrors(invalid.errors),
+      attempt: invalid.attempt,
+    });
   }
 
   /**
    * Batch analyze multiple items
+   *
+   * Runs up to `concurrency` analyses at once; the items that were
+   * analyzed come back in input order. Takes `signal` and `onProgress` like
+   * mapConcurrent().
    */
-  async analyzeBatch(itemsWithClassification) {
-    const analyses = [];
-
-    for (const item of itemsWithClassification) {
-      const analysis = await this.analyze(item, item.classification);
-      if (analysis) {
-        analyses.push({
-          ...item,
-          analysis,
-        });
-      }
-    }
+  async analyzeBatch(itemsWithClassification, options = {}) {
+    const analyses = await mapConcurrent(itemsWithClassification, async (item, index, signal) => {
+      const analysis = await this.analyze(item, item.classification, { signal });
+      return analysis ? { ...item, analysis } : null;
+    }, {
+      concurrency: this.slots.limit,
+      signal: options.signal,
+      onProgress: options.onProgress,
+    });
 
-    return analyses;
+    return analyses.filter(Boolean);
   }
 
   /**
@@ -154,12 +208,16 @@ Provide analysis in JSON format:
       risks: analysis.risks,
       benefits: analysis.benefits,
       source_url: content.url,
+      prompt_version: analysis.prompt_version || null,
       status: 'pending',
     };
   }
 }
 
-module.exports = { DeepAnalyzer };
+module.exports = {
+  ANALYSIS_SCHEMA,
+  DeepAnalyzer,
+};
 
 if (require.main === module) {
   // Test
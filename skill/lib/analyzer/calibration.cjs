@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Relevance Calibration
+ *
+ * Maps the classifier's raw relevance score to the observed probability
+ * that an optimization is accepted, fitted by isotonic regression on
+ * recorded feedback per source and category
+ */
+
+/**
+ * Isotonic regression (pool adjacent violators) of outcomes on scores
+ *
+ * Takes `[{ score, accepted }]`. Returns blocks `{ score, min,
+ * probability, samples }` ordered by score with non-decreasing
+ * probability; each block sits at the mean score of its samples and `min`
+ * is the lowest of them. Probabilities are smoothed towards 0.5 so small
+ * blocks never claim certainty.
+ */
+function fitIsotonic(points) {
+  const sorted = [...points].sort((a, b) => a.score - b.score);
+  const blocks = [];
+
+  for (const point of sorted) {
+    blocks.push({ scoreSum: point.score, min: point.score, accepted: point.accepted ? 1 : 0, samples: 1 });
+
+    // Pool while the previous block has a higher acceptance rate
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (previous.accepted / previous.samples < last.accepted / last.samples) {
+        break;
+      }
+      // Ties are pooled too, so every block has a distinct rate
+      previous.scoreSum += last.scoreSum;
+      previous.accepted += last.accepted;
+      previous.samples += last.samples;
+      blocks.pop();
+    }
+  }
+
+  let floor = 0;
+  return blocks.map(block => {
+    // Smoothing can reorder small blocks; keep the curve monotone
+    floor = Math.max(floor, (block.accepted + 1) / (block.samples + 2));
+    return {
+      score: block.scoreSum / block.samples,
+      min: block.min,
+      probability: floor,
+      samples: block.samples,
+    };
+  });
+}
+
+/**
+ * Probability at a raw score, interpolating linearly between blocks
+ *
+ * Scores below every observed sample have no feedback to go on; they keep
+ * their raw value, capped at the lowest block's probability, rather than
+ * being lifted to it.
+ */
+function interpolate(blocks, score) {
+  if (score < blocks[0].min) {
+    return Math.min(score, blocks[0].probability);
+  }
+  if (score <= blocks[0].score) {
+    return blocks[0].probability;
+  }
+
+  for (let i = 1; i < blocks.length; i++) {
+    if (score <= blocks[i].score) {
+      const left = blocks[i - 1];
+      const right = blocks[i];
+      const t = (score - left.score) / (right.score - left.score);
+      return left.probability + t * (right.probability - left.probability);
+    }
+  }
+
+  return blocks[blocks.length - 1].probability;
+}
+
+class RelevanceCalibrator {
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.logger = options.logger;
+    // Feedback needed before a source/category gets its own curve
+    this.minSamples = options.minSamples || 20;
+    this.models = new Map();
+  }
+
+  /**
+   * Fit calibration curves from the recorded feedback
+   *
+   * Curves are fitted per source and category, per source, and overall;
+   * only groups with at least `minSamples` outcomes are kept. Returns the
+   * number of curves.
+   */
+  fit() {
+    const groups = new Map();
+    const add = (key, point) => {
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(point);
+    };
+
+    for (const row of this.storage.listFeedback()) {
+      const point = { score: row.relevance_score, accepted: row.outcome === 'accepted' };
+      add(this._key(row.source, row.category), point);
+      add(this._key(row.source, '*'), point);
+      add('*', point);
+    }
+
+    this.models = new Map();
+    for (const [key, points] of groups) {
+      if (points.length >= this.minSamples) {
+        this.models.set(key, { blocks: fitIsotonic(points), points });
+      }
+    }
+
+    this.logger?.debug('Relevance calibration fitted', {
+      feedback: groups.get('*')?.length || 0,
+      curves: [...this.models.keys()],
+    });
+
+    return this.models.size;
+  }
+
+  /**
+   * Calibrated relevance of a raw score: `{ score, raw, model }`
+   *
+   * Uses the most specific curve for the item's source and category;
+   * `model` names it, or is "identity" when there is too little feedback.
+   */
+  calibrate(raw, context = {}) {
+    const score = Number(raw) || 0;
+    const key = [
+      this._key(context.source, context.category),
+      this._key(context.source, '*'),
+      '*',
+    ].find(candidate => this.models.has(candidate));
+
+    if (!key) {
+      return { score, raw: score, model: 'identity' };
+    }
+
+    return { score: interpolate(this.models.get(key).blocks, score), raw: score, model: key };
+  }
+
+  /**
+   * Calibration curves with a reliability table per curve
+   *
+   * `reliability` buckets the feedback by raw score into `bins` equal
+   * ranges and compares the observed acceptance rate with the calibrated
+   * prediction.
+   */
+  curves(options = {}) {
+    const bins = options.bins || 10;
+
+    return [...this.models.entries()].map(([model, { blocks, points }]) => {
+      const buckets = Array.from({ length: bins }, (_, i) => ({
+        range: `${(i / bins).toFixed(2)}-${((i + 1) / bins).toFixed(2)}`,
+        samples: 0,
+        accepted: 0,
+        predicted: 0,
+      }));
+
+      for (const point of points) {
+        const bucket = buckets[Math.min(bins - 1, Math.max(0, Math.floor(point.score * bins)))];
+        bucket.samples++;
+        bucket.accepted += point.accepted ? 1 : 0;
+        bucket.predicted += interpolate(blocks, point.score);
+      }
+
+      const accepted = points.filter(point => point.accepted).length;
+      return {
+        model,
+        samples: points.length,
+        acceptance_rate: accepted / points.length,
+        curve: blocks.map(block => ({
+          score: Number(block.score.toFixed(3)),
+          probability: Number(block.probability.toFixed(3)),
+          samples: block.samples,
+        })),
+        reliability: buckets.filter(bucket => bucket.samples > 0).map(bucket => ({
+          range: bucket.range,
+          samples: bucket.samples,
+          observed: Number((bucket.accepted / bucket.samples).toFixed(3)),
+          predicted: Number((bucket.predicted / bucket.samples).toFixed(3)),
+        })),
+      };
+    });
+  }
+
+  /**
+   * Curve key of a source and category
+   */
+  _key(source, category) {
+    return `${source || 'unknown'}/${category || 'unknown'}`;
+  }
+}
+
+module.exports = {
+  RelevanceCalibrator,
+  fitIsotonic,
+  interpolate,
+};
+
+if (require.main === module) {
+  const points = [];
+  for (let i = 0; i < 200; i++) {
+    const score = i / 200;
+    // Classifier is overconfident: acceptance only rises above 0.8
+    points.push({ score, accepted: Math.random() < Math.max(0, (score - 0.5) * 2) });
+  }
+
+  const blocks = fitIsotonic(points);
+  for (const score of [0.3, 0.6, 0.7, 0.8, 0.9, 1]) {
+    console.log(score, '->', interpolate(blocks, score).toFixed(3));
+  }
+}
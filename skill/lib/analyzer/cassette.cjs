@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+/**
+ * Model Cassettes
+ *
+ * Record/replay layer under the model client. In record mode every chat
+ * completion and embedding is passed to the real client and its response
+ * and usage are stored in a cassette file, keyed by a hash of the request;
+ * in replay mode requests are answered from the cassette without network,
+ * so a learning cycle can be rerun in CI with the same model replies.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ModelClientError } = require('./model-client.cjs');
+
+/**
+ * Hash identifying a completion request
+ *
+ * Covers what shapes the reply: model, messages, temperature and JSON mode.
+ */
+function requestKey(request) {
+  const payload = JSON.stringify({
+    model: request.model,
+    messages: request.messages || [{ role: 'user', content: request.prompt }],
+    temperature: request.temperature ?? null,
+    json: Boolean(request.json),
+  });
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Hash identifying an embedding request
+ */
+function embeddingKey(request) {
+  const payload = JSON.stringify({
+    embed: true,
+    model: request.model,
+    input: [request.input].flat(),
+    dimensions: request.dimensions ?? null,
+  });
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Recorded responses from a JSON file: `[{ key, model, messages, content, usage, latency_ms }]`
+ */
+function loadRecordings(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+class Cassette {
+  constructor(options = {}) {
+    // Without a file the cassette lives in memory only
+    this.file = options.file || null;
+    this.entries = new Map();
+
+    const recordings = options.recordings
+      || (this.file && fs.existsSync(this.file) ? loadRecordings(this.file) : []);
+    for (const recording of recordings) {
+      this.entries.set(recording.key, recording);
+    }
+  }
+
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  /**
+   * Store an entry, replacing an earlier recording of the same request
+   */
+  put(entry) {
+    this.entries.set(entry.key, entry);
+  }
+
+  size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Write the cassette file atomically
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, `${JSON.stringify([...this.entries.values()], null, 2)}\n`);
+    fs.renameSync(temp, this.file);
+  }
+}
+
+// Clients of one process share a cassette per file, so recordings of the
+// classifier, analyzer and embedder end up in the same file
+const openCassettes = new Map();
+
+/**
+ * Cassette of a file, opened once per process
+ */
+function openCassette(file) {
+  const resolved = path.resolve(file);
+  if (!openCassettes.has(resolved)) {
+    openCassettes.set(resolved, new Cassette({ file: resolved }));
+  }
+  return openCassettes.get(resolved);
+}
+
+class CassetteClient {
+  constructor(options = {}) {
+    this.mode = options.mode || 'replay';
+    if (this.mode !== 'record' && this.mode !== 'replay') {
+      throw new Error(`Unknown cassette mode "${this.mode}" (known: record, replay)`);
+    }
+    if (this.mode === 'record' && !options.client) {
+      throw new Error('Recording a cassette needs a model client');
+    }
+
+    this.client = options.client || null;
+    this.cassette = options.cassette || new Cassette({ recordings: options.recordings });
+    this.logger = options.logger;
+    // Replays report the configured provider so ids built on it (embedders) match the recording
+    this.provider = options.provider || this.client?.provider || 'replay';
+    // A strict miss is fatal: callers rethrow it instead of falling back
+    this.strict = options.strict ?? true;
+
+    this.stats = {
+      requests: 0,
+      failures: 0,
+      misses: 0,
+      recorded: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      latency_ms: 0,
+    };
+  }
+
+  /**
+   * Chat completion, like ModelClient.complete()
+   *
+   * Replayed results report the recorded latency. A request missing from
+   * the cassette throws a ModelClientError with code "cassette_miss".
+   */
+  async complete(request) {
+    const key = requestKey(request);
+    this.stats.requests++;
+
+    if (this.mode === 'record') {
+      const result = await this._record(() => this.client.complete(request));
+      this._store({
+        key,
+        model: result.model,
+        messages: request.messages || [{ role: 'user', content: request.prompt }],
+        content: result.content,
+        usage: result.usage,
+        finish_reason: result.finish_reason,
+        latency_ms: result.latency_ms,
+      }, result);
+      return result;
+    }
+
+    request.signal?.throwIfAborted();
+    const recording = this._replay(key, request);
+    const usage = this._usage(recording.usage);
+    this._count(usage, recording.latency_ms);
+
+    return {
+      content: recording.content,
+      model: recording.model || request.model,
+      usage,
+      finish_reason: recording.finish_reason || 'stop',
+      latency_ms: recording.latency_ms || 0,
+      provider: this.provider,
+    };
+  }
+
+  /**
+   * Embeddings, like ModelClient.embed()
+   */
+  async embed(request) {
+    const key = embeddingKey(request);
+    this.stats.requests++;
+
+    if (this.mode === 'record') {
+      const result = await this._record(() => this.client.embed(request));
+      this._store({
+        key,
+        model: result.model,
+        input: [request.input].flat(),
+        embeddings: result.embeddings,
+        usage: result.usage,
+      }, result);
+      return result;
+    }
+
+    request.signal?.throwIfAborted();
+    const recording = this._replay(key, request);
+    const usage = this._usage(recording.usage);
+    this._count(usage, 0);
+
+    return {
+      embeddings: recording.embeddings,
+      model: recording.model || request.model,
+      usage: { prompt_tokens: usage.prompt_tokens, total_tokens: usage.total_tokens },
+    };
+  }
+
+  /**
+   * Call the real client, counting failures
+   */
+  async _record(call) {
+    try {
+      return await call();
+    } catch (error) {
+      this.stats.failures++;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a recording to the cassette file and count its usage
+   */
+  _store(entry, result) {
+    this.cassette.put(entry);
+    this.cassette.save();
+    this.stats.recorded++;
+    this._count(this._usage(result.usage), result.latency_ms || 0);
+  }
+
+  /**
+   * Recording of a request, or a "cassette_miss" error
+   */
+  _replay(key, request) {
+    const recording = this.cassette.get(key);
+    if (recording) {
+      return recording;
+    }
+
+    this.stats.failures++;
+    this.stats.misses++;
+    const where = this.cassette.file ? ` in ${this.cassette.file}` : '';
+
+    throw new ModelClientError(
+      `No recorded response for ${request.model} request ${key.slice(0, 12)}${where} (record it with EVOLUTION_LLM_CASSETTE_MODE=record)`,
+      { code: 'cassette_miss', provider: this.provider, model: request.model, fatal: this.strict }
+    );
+  }
+
+  _usage(usage = {}) {
+    return {
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      total_tokens: usage.total_tokens || 0,
+    };
+  }
+
+  _count(usage, latency) {
+    this.stats.prompt_tokens += usage.prompt_tokens;
+    this.stats.completion_tokens += usage.completion_tokens;
+    this.stats.total_tokens += usage.total_tokens;
+    this.stats.latency_ms += latency || 0;
+  }
+
+  /**
+   * Get stats
+   */
+  getStats() {
+    return { ...this.stats, mode: this.mode, cassette: this.cassette.file, recordings: this.cassette.size() };
+  }
+}
+
+module.exports = {
+  Cassette,
+  CassetteClient,
+  openCassette,
+  requestKey,
+  embeddingKey,
+  loadRecordings,
+};
+
+if (require.main === module) {
+  const request = { model: 'glm-4-flash', messages: [{ role: 'user', content: 'ping' }], temperature: 0, json: true };
+  const client = new CassetteClient({
+    recordings: [{ key: requestKey(request), content: '{"pong": true}', usage: { total_tokens: 3 } }],
+  });
+
+  client.complete(request).then(result => console.log(result));
+}
@@ -6,34 +6,131 @@
  * Quick categorization and filtering using lightweight model
  */
 
+const { createModelClient } = require('./model-client.cjs');
+const { generateStructured, formatErrors, validate } = require('./structured-output.cjs');
+const { PromptLibrary } = require('./prompts.cjs');
+const { ModelRateLimiter, completeWithinLimits, estimateTokens } = require('./rate-limits.cjs');
+const { Semaphore, mapConcurrent } = require('../utils/concurrency.cjs');
+const { ModelSelector } = require('../optimizer/model-selector.cjs');
+
+const CATEGORIES = [
+  'skill-release', 'bugfix', 'feature', 'security', 'documentation',
+  'discussion', 'news', 'paper', 'product',
+];
+
+// Expected size of a classification reply, for rate limiting and batch sizing
+const REPLY_TOKENS = 100;
+
+// Context size assumed for models ModelSelector does not know
+const DEFAULT_MAX_TOKENS = 4000;
+
+// Shape every classification reply must have
+const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  required: ['category', 'relevance_score', 'action_type', 'risk_level'],
+  properties: {
+    category: { type: 'string', enum: CATEGORIES },
+    relevance_score: { type: 'number', minimum: 0, maximum: 1 },
+    action_type: { type: 'string', enum: ['auto_apply', 'suggest', 'report', 'ignore'] },
+    risk_level: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'] },
+  },
+};
+
+// Shape of a batched reply; each entry is then checked on its own
+const CLASSIFICATION_BATCH_SCHEMA = {
+  type: 'object',
+  required: ['classifications'],
+  properties: {
+    classifications: {
+      type: 'array',
+      items: { type: 'object', required: ['index'], properties: { index: { type: 'integer', minimum: 1 } } },
+    },
+  },
+};
+
 class FastClassifier {
   constructor(options = {}) {
     this.model = options.model || 'glm-4-flash';
     this.logger = options.logger;
     this.storage = options.storage;
     this.config = options.config;
+    this.client = options.client || createModelClient(this.config, { model: this.model, logger: this.logger });
+    // Re-prompts allowed for a reply that violates the schema
+    this.maxRepairs = options.maxRepairs ?? this.config?.llm?.maxRepairs ?? 1;
+    this.prompts = options.prompts || new PromptLibrary({ ...this.config?.prompts, logger: this.logger });
+    // Parallel model calls of this tier, within the model's RPM/TPM limits
+    this.slots = new Semaphore(options.concurrency ?? this.config?.analysis?.concurrency?.classifier ?? 4);
+    this.rateLimiter = options.rateLimiter
+      || new ModelRateLimiter({ limits: this.config?.analysis?.rateLimits, logger: this.logger });
+
+    // Several items per request in classifyBatch(), sized to the model's context
+    const batching = { ...this.config?.analysis?.batchClassification, ...options.batching };
+    this.batching = {
+      enabled: batching.enabled ?? false,
+      maxItems: batching.maxItems || 10,
+      maxTokens: batching.maxTokens || new ModelSelector().models[this.model]?.maxTokens || DEFAULT_MAX_TOKENS,
+    };
+
+    this.stats = {
+      total_classified: 0,
+      failed: 0,
+      confidence_sum: 0,
+      tokens: 0,
+      invalid_replies: 0,
+      repaired: 0,
+    };
+
+    // Tokens per item of each mode; items a batch gave back count as batched
+    this.batchStats = {
+      single: { requests: 0, items: 0, tokens: 0 },
+      batched: { requests: 0, items: 0, tokens: 0, fallbacks: 0 },
+    };
   }
 
   /**
    * Classify content quickly
+   *
+   * Aborting `options.signal` cancels the model call and rejects with the
+   * signal's reason instead of falling back.
    */
-  async classify(content) {
+  async classify(content, options = {}) {
+    return this._classify(content, options, 'single');
+  }
+
+  /**
+   * Classify one item, counting its model calls towards `mode`
+   */
+  async _classify(content, options, mode) {
+    // Batched items were counted with their batch
+    if (mode === 'single') {
+      this.batchStats.single.items++;
+    }
+
     try {
       this.logger?.debug('Classifying content', { title: content.title });
 
       // Build classification prompt
       const prompt = this._buildPrompt(content);
 
-      // Call AI model (placeholder - would use actual API)
-      const result = await this._callModel(prompt);
+      // Call AI model until the reply matches the schema
+      const result = await generateStructured({
+        call: messages => this._callModel(messages, options.signal, mode),
+        prompt: prompt.text,
+        schema: CLASSIFICATION_SCHEMA,
+        maxRepairs: this.maxRepairs,
+        onInvalid: invalid => this._recordInvalid(invalid),
+      });
 
-      // Parse result
-      const classification = this._parseResult(result);
+      const classification = this._accept(result.value, prompt.version);
+      if (result.repaired) {
+        this.stats.repaired++;
+      }
 
       this.logger?.debug('Classification complete', {
         title: content.title,
         category: classification.category,
         relevance: classification.relevance_score,
+        prompt: classification.prompt_version,
       });
 
       return classification;
@@ -41,59 +138,86 @@ class FastClassifier {
       this.logger?.error('Classification failed', {
         title: content.title,
         error: error.message,
+        code: error.code,
       });
+      this.stats.failed++;
+      if (error.fatal || options.signal?.aborted) {
+        throw error;
+      }
       // Return default classification on error
       return this._defaultClassification();
     }
   }
 
   /**
-   * Build classification prompt
+   * Build classification prompt: `{ text, version }` of the template used
    */
   _buildPrompt(content) {
-    return `Classify this content:
-
-Title: ${content.title}
-Content: ${content.content || 'No content'}
-URL: ${content.url || 'No URL'}
-Source: ${content.source || 'Unknown'}
-
-Respond in JSON format:
-{
-  "category": "skill-release|bugfix|feature|security|documentation|discussion|news|paper|product",
-  "relevance_score": 0.0-1.0,
-  "action_type": "auto_apply|suggest|report|ignore",
-  "risk_level": "LOW|MEDIUM|HIGH|CRITICAL"
-}`;
+    return this.prompts.render('classification', {
+      title: content.title,
+      content: content.content || 'No content',
+      url: content.url || 'No URL',
+      source: content.source || 'Unknown',
+    }, { model: this.model, key: content.url || content.title });
+  }
+
+  /**
+   * Count a valid classification
+   */
+  _accept(value, promptVersion) {
+    this.stats.total_classified++;
+    this.stats.confidence_sum += Number(value.relevance_score) || 0;
+    return { ...value, prompt_version: promptVersion };
   }
 
   /**
-   * Call AI model
+   * Call AI model with a conversation about `items` items, recording its
+   * token usage under `mode` ("single" or "batched")
    */
-  async _callModel(prompt) {
-    // Placeholder - would integrate with actual AI API
-    // For now, return mock result based on heuristics
-
-    return JSON.stringify({
-      category: 'feature',
-      relevance_score: 0.8,
-      action_type: 'suggest',
-      risk_level: 'MEDIUM',
+  async _callModel(messages, signal, mode = 'single', items = 1) {
+    const response = await completeWithinLimits(this, {
+      model: this.model,
+      messages,
+      temperature: 0,
+      json: true,
+      signal,
+    }, estimateTokens(messages, REPLY_TOKENS * items));
+
+    this.stats.tokens += response.usage.total_tokens;
+    this.batchStats[mode].requests++;
+    this.batchStats[mode].tokens += response.usage.total_tokens;
+    this.storage?.recordTokenMetrics({
+      task_type: items > 1 ? 'classification_batch' : 'classification',
+      tokens_consumed: response.usage.total_tokens,
+      items_processed: items,
+      efficiency: response.usage.total_tokens / items,
+      throughput: 0,
+      model_used: response.model,
     });
+
+    return response.content;
   }
 
   /**
-   * Parse model result
+   * Record a reply that failed parsing or validation
    */
-  _parseResult(result) {
-    try {
-      return JSON.parse(result);
-    } catch (error) {
-      this.logger?.warn('Failed to parse classification result', {
-        error: error.message,
-      });
-      return this._defaultClassification();
-    }
+  _recordInvalid(invalid, taskType = 'classification') {
+    this.stats.invalid_replies++;
+    this.logger?.warn('Invalid classification reply', {
+      model: this.model,
+      task: taskType,
+      stage: invalid.stage,
+      attempt: invalid.attempt,
+      errors: formatErrors(invalid.errors),
+    });
+
+    this.storage?.recordValidationFailure({
+      model: this.model,
+      task_type: taskType,
+      stage: invalid.stage,
+      errors: formatErrors(invalid.errors),
+      attempt: invalid.attempt,
+    });
   }
 
   /**
@@ -110,34 +234,185 @@ Respond in JSON format:
 
   /**
    * Batch classify multiple items
+   *
+   * Runs up to `concurrency` requests at once and returns the items with
+   * their classification in input order. With batching enabled each request
+   * packs as many items as fit the model's context. Takes `signal` and
+   * `onProgress` like mapConcurrent().
    */
-  async classifyBatch(items) {
-    const classifications = [];
-
-    for (const item of items) {
-      const classification = await this.classify(item);
-      classifications.push({
+  async classifyBatch(items, options = {}) {
+    if (!this.batching.enabled) {
+      return mapConcurrent(items, async (item, index, signal) => ({
         ...item,
-        classification,
+        classification: await this.classify(item, { signal }),
+      }), {
+        concurrency: this.slots.limit,
+        signal: options.signal,
+        onProgress: options.onProgress,
+      });
+    }
+
+    const groups = this._packBatches(items);
+    const classifications = new Array(items.length);
+    let completed = 0;
+
+    await mapConcurrent(groups, async (group, index, signal) => {
+      const results = group.length > 1
+        ? await this._classifyGroup(group.map(i => items[i]), signal)
+        : [await this.classify(items[group[0]], { signal })];
+      group.forEach((i, position) => { classifications[i] = results[position]; });
+    }, {
+      concurrency: this.slots.limit,
+      signal: options.signal,
+      onProgress: ({ index }) => {
+        completed += groups[index].length;
+        options.onProgress?.({ completed, total: items.length });
+      },
+    });
+
+    return items.map((item, i) => ({ ...item, classification: classifications[i] }));
+  }
+
+  /**
+   * Classify several items with one request
+   *
+   * Items the reply leaves out, repeats or gets wrong, or every item when
+   * the reply is unusable, are classified one by one instead.
+   */
+  async _classifyGroup(items, signal) {
+    const prompt = this._buildBatchPrompt(items);
+    this.batchStats.batched.items += items.length;
+    const accepted = new Map();
+
+    try {
+      const result = await generateStructured({
+        call: messages => this._callModel(messages, signal, 'batched', items.length),
+        prompt: prompt.text,
+        schema: CLASSIFICATION_BATCH_SCHEMA,
+        // Falling back per item replaces repairing the whole batch
+        maxRepairs: 0,
+        onInvalid: invalid => this._recordInvalid(invalid, 'classification_batch'),
       });
+
+      for (const { index, ...value } of result.value.classifications) {
+        if (index <= items.length && !accepted.has(index) && validate(CLASSIFICATION_SCHEMA, value).length === 0) {
+          accepted.set(index, this._accept(value, prompt.version));
+        }
+      }
+    } catch (error) {
+      if (error.fatal || signal?.aborted) {
+        throw error;
+      }
+      this.logger?.warn('Batched classification failed', {
+        model: this.model,
+        items: items.length,
+        error: error.message,
+      });
+    }
+
+    return Promise.all(items.map((item, i) => {
+      if (accepted.has(i + 1)) {
+        return accepted.get(i + 1);
+      }
+      this.batchStats.batched.fallbacks++;
+      return this._classify(item, { signal }, 'batched');
+    }));
+  }
+
+  /**
+   * Split items into runs of consecutive items whose batched prompt and
+   * replies fit the model's `maxTokens`: arrays of item indexes
+   */
+  _packBatches(items) {
+    const budget = this.batching.maxTokens - estimateTokens([{ content: this._buildBatchPrompt([]).text }]);
+    const groups = [];
+    let group = [];
+    let used = 0;
+
+    items.forEach((item, i) => {
+      const cost = estimateTokens([{ content: this._formatBatchItem(item, group.length + 1) }], REPLY_TOKENS);
+      if (group.length > 0 && (used + cost > budget || group.length >= this.batching.maxItems)) {
+        groups.push(group);
+        group = [];
+        used = 0;
+      }
+      group.push(i);
+      used += cost;
+    });
+
+    if (group.length > 0) {
+      groups.push(group);
     }
+    return groups;
+  }
 
-    return classifications;
+  /**
+   * Build the batched classification prompt: `{ text, version }`
+   */
+  _buildBatchPrompt(items) {
+    return this.prompts.render('classification-batch', {
+      count: items.length,
+      items: items.map((item, i) => this._formatBatchItem(item, i + 1)).join('\n\n'),
+    }, { model: this.model, key: items[0]?.url || items[0]?.title });
+  }
+
+  /**
+   * One numbered item of a batched prompt
+   */
+  _formatBatchItem(item, number) {
+    return [
+      `[${number}]`,
+      `Title: ${item.title}`,
+      `Content: ${item.content || 'No content'}`,
+      `URL: ${item.url || 'No URL'}`,
+      `Source: ${item.source || 'Unknown'}`,
+    ].join('\n');
+  }
+
+  /**
+   * Tokens per item in single-item and batched mode
+   *
+   * `savings` is the share of tokens per item batching saved, once both
+   * modes have run.
+   */
+  getBatchStats() {
+    const { single, batched } = this.batchStats;
+    const perItem = mode => (mode.items > 0 ? mode.tokens / mode.items : 0);
+    const singlePerItem = perItem(single);
+    const batchedPerItem = perItem(batched);
+
+    return {
+      enabled: this.batching.enabled,
+      max_tokens: this.batching.maxTokens,
+      single: { ...single, tokens_per_item: singlePerItem },
+      batched: { ...batched, tokens_per_item: batchedPerItem },
+      savings: singlePerItem > 0 && batchedPerItem > 0 ? 1 - batchedPerItem / singlePerItem : null,
+    };
   }
 
   /**
    * Get stats
    */
   getStats() {
-    // Would track classification stats
     return {
-      total_classified: 0,
-      avg_confidence: 0.0,
+      total_classified: this.stats.total_classified,
+      failed: this.stats.failed,
+      avg_confidence: this.stats.total_classified > 0
+        ? this.stats.confidence_sum / this.stats.total_classified
+        : 0.0,
+      tokens: this.stats.tokens,
+      invalid_replies: this.stats.invalid_replies,
+      repaired: this.stats.repaired,
     };
   }
 }
 
-module.exports = { FastClassifier };
+module.exports = {
+  CATEGORIES,
+  CLASSIFICATION_SCHEMA,
+  CLASSIFICATION_BATCH_SCHEMA,
+  FastClassifier,
+};
 
 if (require.main === module) {
   // Test
@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Experiments
+ *
+ * Replays a labeled golden set through FastClassifier and DeepAnalyzer
+ * under two or more configurations (models, prompt versions), served from
+ * recorded model responses, and compares accuracy, macro-F1, the risk
+ * level confusion matrix of the rated items, tokens, relative cost and
+ * latency
+ *
+ * Usage: node lib/analyzer/experiment.cjs <experiment.json>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FastClassifier } = require('./classifier.cjs');
+const { DeepAnalyzer } = require('./analyzer.cjs');
+const { RiskRater } = require('./risk-rater.cjs');
+const { PromptLibrary } = require('./prompts.cjs');
+const { Cassette, CassetteClient, loadRecordings } = require('./cassette.cjs');
+const { ModelSelector } = require('../optimizer/model-selector.cjs');
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+/**
+ * Golden set from a JSON array or JSON Lines file
+ *
+ * Each item is a knowledge item (`title`, `content`, `url`, `source`) with
+ * a `label`: `category` and `risk_level`, optionally `optimization_type`.
+ */
+function loadGoldenSet(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const items = file.endsWith('.jsonl')
+    ? text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+    : JSON.parse(text);
+
+  return items.map((item, index) => {
+    if (!item.label?.category) {
+      throw new Error(`Golden item ${item.id || index + 1} has no label.category`);
+    }
+    return { id: String(item.id || index + 1), ...item };
+  });
+}
+
+/**
+ * Accuracy, macro-F1 and per-class precision/recall/F1 of predictions
+ *
+ * Takes `[{ expected, predicted }]`. Macro-F1 averages over every class
+ * that was expected or predicted.
+ */
+function classificationMetrics(pairs) {
+  const classes = [...new Set(pairs.flatMap(pair => [pair.expected, pair.predicted]))].sort();
+  const perClass = {};
+
+  for (const label of classes) {
+    const tp = pairs.filter(pair => pair.expected === label && pair.predicted === label).length;
+    const fp = pairs.filter(pair => pair.expected !== label && pair.predicted === label).length;
+    const fn = pairs.filter(pair => pair.expected === label && pair.predicted !== label).length;
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+
+    perClass[label] = {
+      precision,
+      recall,
+      f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+      support: tp + fn,
+    };
+  }
+
+  const correct = pairs.filter(pair => pair.expected === pair.predicted).length;
+  return {
+    accuracy: pairs.length > 0 ? correct / pairs.length : 0,
+    macro_f1: classes.length > 0
+      ? classes.reduce((sum, label) => sum + perClass[label].f1, 0) / classes.length
+      : 0,
+    per_class: perClass,
+  };
+}
+
+/**
+ * Confusion matrix `{ expected: { predicted: count } }` over fixed labels
+ *
+ * Predictions outside `labels` are counted under "other".
+ */
+function confusionMatrix(pairs, labels) {
+  const columns = [...labels, 'other'];
+  const matrix = Object.fromEntries(labels.map(label => [label, Object.fromEntries(columns.map(column => [column, 0]))]));
+
+  for (const pair of pairs) {
+    if (matrix[pair.expected]) {
+      matrix[pair.expected][labels.includes(pair.predicted) ? pair.predicted : 'other']++;
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Value at a percentile (0-100) of a list of numbers
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Run one configuration over the golden set
+ *
+ * A variant names its `models` (`classifier`, `analyzer`), `prompts`
+ * settings (`versions`, `dir`), `relevanceThreshold` for deep analysis
+ * (default 0.7) and `analyze: false` to skip the analyzer.
+ */
+async function runVariant(variant, items, options = {}) {
+  const models = { classifier: 'glm-4-flash', analyzer: 'glm-4.7', ...variant.models };
+  const config = { llm: { maxRepairs: variant.maxRepairs ?? 1 } };
+  const prompts = new PromptLibrary({ ...variant.prompts, logger: options.logger });
+  // Misses fall back like failed model calls and are counted in the report
+  const cassette = new Cassette({ recordings: options.recordings });
+  const classifierClient = new CassetteClient({ cassette, strict: false, logger: options.logger });
+  const analyzerClient = new CassetteClient({ cassette, strict: false, logger: options.logger });
+
+  const classifier = new FastClassifier({
+    model: models.classifier, config, prompts, client: classifierClient, logger: options.logger,
+  });
+  const analyzer = new DeepAnalyzer({
+    model: models.analyzer, config, prompts, client: analyzerClient, logger: options.logger,
+    relevanceThreshold: variant.relevanceThreshold ?? 0.7,
+  });
+  const rater = new RiskRater({ logger: options.logger });
+
+  const results = [];
+  for (const item of items) {
+    const before = { ...classifierClient.getStats() };
+    const classification = await classifier.classify(item);
+    const classifyStats = classifierClient.getStats();
+
+    let analysis = null;
+    const analyzerBefore = { ...analyzerClient.getStats() };
+    if (variant.analyze !== false) {
+      analysis = await analyzer.analyze(item, classification);
+    }
+    const analyzeStats = analyzerClient.getStats();
+
+    results.push({
+      id: item.id,
+      label: item.label,
+      classification,
+      analysis,
+      risk: rater.rateRisk(item, classification, analysis),
+      tokens: {
+        classifier: classifyStats.total_tokens - before.total_tokens,
+        analyzer: analyzeStats.total_tokens - analyzerBefore.total_tokens,
+      },
+      latency_ms: (classifyStats.latency_ms - before.latency_ms) + (analyzeStats.latency_ms - analyzerBefore.latency_ms),
+    });
+  }
+
+  return {
+    name: variant.name,
+    models,
+    prompts: variant.prompts?.versions || {},
+    metrics: evaluate(results, models),
+    misses: classifierClient.getStats().misses + analyzerClient.getStats().misses,
+    results,
+  };
+}
+
+/**
+ * Metrics of one variant's results
+ *
+ * Risk is scored on the rater's level, as the pipeline acts on it. Cost is
+ * in the relative units of ModelSelector's per-token weights, not money.
+ */
+function evaluate(results, models) {
+  const category = classificationMetrics(results.map(result => ({
+    expected: result.label.category,
+    predicted: result.classification.category,
+  })));
+
+  const riskPairs = results.map(result => ({
+    expected: result.label.risk_level,
+    predicted: result.risk.level,
+  })).filter(pair => pair.expected);
+
+  const labeledAnalyses = results.filter(result => result.label.optimization_type);
+  const analyzed = labeledAnalyses.filter(result => result.analysis);
+
+  const selector = new ModelSelector();
+  const tokens = {
+    classifier: results.reduce((sum, result) => sum + result.tokens.classifier, 0),
+    analyzer: results.reduce((sum, result) => sum + result.tokens.analyzer, 0),
+  };
+  const costUnits = (selector.estimateCost(models.classifier, tokens.classifier)?.cost || 0)
+    + (selector.estimateCost(models.analyzer, tokens.analyzer)?.cost || 0);
+  const latencies = results.map(result => result.latency_ms);
+
+  return {
+    items: results.length,
+    accuracy: category.accuracy,
+    macro_f1: category.macro_f1,
+    per_category: category.per_class,
+    fallbacks: results.filter(result => result.classification.category === 'unknown').length,
+    risk: {
+      accuracy: classificationMetrics(riskPairs).accuracy,
+      confusion: confusionMatrix(riskPairs, RISK_LEVELS),
+    },
+    analysis: {
+      labeled: labeledAnalyses.length,
+      analyzed: analyzed.length,
+      type_accuracy: analyzed.length > 0
+        ? analyzed.filter(result => result.analysis.optimization_type === result.label.optimization_type).length / analyzed.length
+        : 0,
+    },
+    tokens: {
+      ...tokens,
+      total: tokens.classifier + tokens.analyzer,
+      per_item: results.length > 0 ? (tokens.classifier + tokens.analyzer) / results.length : 0,
+    },
+    cost_units: costUnits,
+    latency_ms: {
+      mean: latencies.length > 0 ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length : 0,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+    },
+  };
+}
+
+/**
+ * Run every variant of an experiment and compare them with the first
+ *
+ * Takes `{ golden, recordings, variants }` as loaded data (`items`,
+ * `recordings`) or file paths relative to `baseDir`.
+ */
+async function runExperiment(experiment, options = {}) {
+  const baseDir = options.baseDir || process.cwd();
+  const resolve = file => path.resolve(baseDir, file);
+  const items = experiment.items || loadGoldenSet(resolve(experiment.golden));
+  const recordings = experiment.recordings && typeof experiment.recordings === 'string'
+    ? loadRecordings(resolve(experiment.recordings))
+    : experiment.recordings || [];
+
+  if (!experiment.variants || experiment.variants.length < 2) {
+    throw new Error('An experiment needs at least two variants');
+  }
+
+  const variants = [];
+  for (const variant of experiment.variants) {
+    const prompts = variant.prompts?.dir ? { ...variant.prompts, dir: resolve(variant.prompts.dir) } : variant.prompts;
+    variants.push(await runVariant({ ...variant, prompts }, items, { recordings, logger: options.logger }));
+  }
+
+  const [baseline, ...candidates] = variants;
+  return {
+    name: experiment.name || 'experiment',
+    items: items.length,
+    variants,
+    comparisons: candidates.map(candidate => ({
+      baseline: baseline.name,
+      candidate: candidate.name,
+      accuracy: candidate.metrics.accuracy - baseline.metrics.accuracy,
+      macro_f1: candidate.metrics.macro_f1 - baseline.metrics.macro_f1,
+      risk_accuracy: candidate.metrics.risk.accuracy - baseline.metrics.risk.accuracy,
+      tokens_per_item: candidate.metrics.tokens.per_item - baseline.metrics.tokens.per_item,
+      cost_units: candidate.metrics.cost_units - baseline.metrics.cost_units,
+      latency_p50_ms: candidate.metrics.latency_ms.p50 - baseline.metrics.latency_ms.p50,
+    })),
+  };
+}
+
+/**
+ * Markdown comparison report of an experiment result
+ */
+function formatReport(result) {
+  const pct = value => `${(value * 100).toFixed(1)}%`;
+  const signed = (value, format) => `${value >= 0 ? '+' : ''}${format(value)}`;
+  const lines = [
+    `# Experiment: ${result.name}`,
+    '',
+    `${result.items} golden items, ${result.variants.length} variants.`,
+    '',
+    '| Variant | Models | Prompts | Accuracy | Macro-F1 | Risk acc. | Fallbacks | Tokens/item | Cost (units) | p50 / p95 latency |',
+    '|---|---|---|---|---|---|---|---|---|---|',
+  ];
+
+  for (const variant of result.variants) {
+    const m = variant.metrics;
+    const prompts = Object.entries(variant.prompts).map(([task, version]) => `${task}@${version}`).join(', ') || 'latest';
+    lines.push(`| ${variant.name} | ${variant.models.classifier} / ${variant.models.analyzer} | ${prompts} | ${pct(m.accuracy)} | ${m.macro_f1.toFixed(3)} | ${pct(m.risk.accuracy)} | ${m.fallbacks} | ${m.tokens.per_item.toFixed(1)} | ${m.cost_units.toFixed(3)} | ${m.latency_ms.p50} / ${m.latency_ms.p95} ms |`);
+  }
+
+  lines.push('', '## Compared with the baseline', '');
+  for (const comparison of result.comparisons) {
+    lines.push(`- **${comparison.candidate}** vs ${comparison.baseline}: accuracy ${signed(comparison.accuracy, pct)}, macro-F1 ${signed(comparison.macro_f1, v => v.toFixed(3))}, risk accuracy ${signed(comparison.risk_accuracy, pct)}, tokens/item ${signed(comparison.tokens_per_item, v => v.toFixed(1))}, cost ${signed(comparison.cost_units, v => `${v.toFixed(3)} units`)}, p50 latency ${signed(comparison.latency_p50_ms, v => `${v} ms`)}`);
+  }
+
+  for (const variant of result.variants) {
+    const m = variant.metrics;
+    lines.push('', `## ${variant.name}`, '', '| Category | Precision | Recall | F1 | Support |', '|---|---|---|---|---|');
+    for (const [category, stats] of Object.entries(m.per_category)) {
+      lines.push(`| ${category} | ${stats.precision.toFixed(2)} | ${stats.recall.toFixed(2)} | ${stats.f1.toFixed(2)} | ${stats.support} |`);
+    }
+
+    const columns = [...RISK_LEVELS, 'other'];
+    lines.push('', 'Risk level (rows: expected, columns: predicted):', '', `| | ${columns.join(' | ')} |`, `|---|${columns.map(() => '---').join('|')}|`);
+    for (const [expected, row] of Object.entries(m.risk.confusion)) {
+      lines.push(`| ${expected} | ${columns.map(column => row[column]).join(' | ')} |`);
+    }
+
+    lines.push('', `Analysis: ${m.analysis.analyzed} of ${m.analysis.labeled} labeled items analyzed, optimization type accuracy ${pct(m.analysis.type_accuracy)}.`);
+    if (variant.misses > 0) {
+      lines.push('', `⚠️ ${variant.misses} requests had no recorded response.`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  loadGoldenSet,
+  classificationMetrics,
+  confusionMatrix,
+  percentile,
+  runVariant,
+  runExperiment,
+  formatReport,
+};
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.log('Usage: node lib/analyzer/experiment.cjs <experiment.json>');
+    process.exit(1);
+  }
+
+  const experiment = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const baseDir = path.dirname(path.resolve(file));
+
+  runExperiment(experiment, { baseDir }).then(result => {
+    const report = formatReport(result);
+    if (experiment.output) {
+      fs.writeFileSync(path.resolve(baseDir, experiment.output), report);
+      fs.writeFileSync(path.resolve(baseDir, experiment.output.replace(/\.md$/, '') + '.json'), JSON.stringify(result, null, 2));
+      console.log(`Report written to ${path.resolve(baseDir, experiment.output)}`);
+    } else {
+      console.log(report);
+    }
+  }).catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
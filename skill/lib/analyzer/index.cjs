@@ -6,22 +6,57 @@
  * Orchestrates classification, deep analysis, and risk rating
  */
 
+const EventEmitter = require('events');
 const { FastClassifier } = require('./classifier.cjs');
 const { DeepAnalyzer } = require('./analyzer.cjs');
 const { RiskRater } = require('./risk-rater.cjs');
+const { RuleClassifier } = require('./rules.cjs');
+const { RelevanceCalibrator } = require('./calibration.cjs');
+const { PromptLibrary } = require('./prompts.cjs');
+const { ModelRateLimiter } = require('./rate-limits.cjs');
+const { mapConcurrent } = require('../utils/concurrency.cjs');
 
-class AIAnalysisEngine {
+class AIAnalysisEngine extends EventEmitter {
   constructor(options = {}) {
+    super();
+
     this.logger = options.logger;
     this.storage = options.storage;
     this.config = options.config;
 
     // Initialize components
+    const analysis = this.config.analysis || {};
+    this.rules = new RuleClassifier({
+      rules: analysis.rules,
+      builtins: analysis.builtinRules,
+      minConfidence: analysis.minRuleConfidence,
+      logger: this.logger,
+    });
+
+    // Calibrated relevance an item needs for deep analysis
+    this.relevanceThreshold = analysis.relevanceThreshold ?? 0.7;
+    this.calibrator = new RelevanceCalibrator({
+      storage: this.storage,
+      logger: this.logger,
+      minSamples: analysis.calibrationMinSamples,
+    });
+    if (this.storage) {
+      this.calibrator.fit();
+    }
+
+    // Prompt templates shared by both model tiers
+    this.prompts = new PromptLibrary({ ...this.config.prompts, logger: this.logger });
+
+    // RPM/TPM budgets per model, shared when both tiers use the same model
+    this.rateLimiter = new ModelRateLimiter({ limits: analysis.rateLimits, logger: this.logger });
+
     this.classifier = new FastClassifier({
       model: this.config.models.classifier,
       logger: this.logger,
       storage: this.storage,
       config: this.config,
+      prompts: this.prompts,
+      rateLimiter: this.rateLimiter,
     });
 
     this.analyzer = new DeepAnalyzer({
@@ -29,8 +64,15 @@ class AIAnalysisEngine {
       logger: this.logger,
       storage: this.storage,
       config: this.config,
+      relevanceThreshold: this.relevanceThreshold,
+      prompts: this.prompts,
+      rateLimiter: this.rateLimiter,
     });
 
+    // Items in flight: enough to keep both model tiers busy
+    this.concurrency = analysis.concurrency?.items
+      || this.classifier.slots.limit + this.analyzer.slots.limit;
+
     this.rater = new RiskRater({
       logger: this.logger,
       storage: this.storage,
@@ -40,6 +82,7 @@ class AIAnalysisEngine {
     // Stats
     this.stats = {
       classified: 0,
+      rule_classified: 0,
       analyzed: 0,
       rated: 0,
       total_time: 0,
@@ -48,21 +91,41 @@ class AIAnalysisEngine {
 
   /**
    * Process single item through full pipeline
+   *
+   * Aborting `options.signal` cancels the item's model calls. A batch passes
+   * the item's `ruleMatch` and, when it was classified with other items,
+   * its model `classification`.
    */
-  async processItem(item) {
+  async processItem(item, options = {}) {
     const startTime = Date.now();
 
     try {
       this.logger?.debug('Processing item', { title: item.title });
 
-      // Step 1: Classify (Tier 1)
-      const classification = await this.classifier.classify(item);
+      // Step 1: Classify, by rule (Tier 0) when one matches confidently,
+      // otherwise by model (Tier 1)
+      const ruleMatch = options.ruleMatch !== undefined ? options.ruleMatch : this.rules.match(item);
+      let classification;
+      if (ruleMatch?.decisive) {
+        classification = ruleMatch.classification;
+        this.stats.rule_classified++;
+      } else {
+        classification = options.classification || await this.classifier.classify(item, { signal: options.signal });
+      }
       this.stats.classified++;
 
-      // Step 2: Deep analyze if relevant (Tier 2)
+      // Step 2: Deep analyze if relevant (Tier 2), judged by the raw score
+      // mapped to the acceptance rate seen for similar items
+      const relevance = this.calibrator.calibrate(classification.relevance_score, {
+        source: item.source,
+        category: classification.category,
+      });
+
       let analysis = null;
-      if (classification.relevance_score >= 0.7) {
-        analysis = await this.analyzer.analyze(item, classification);
+      if (relevance.score >= this.relevanceThreshold) {
+        analysis = await this.analyzer.analyze(item, { ...classification, relevance_score: relevance.score }, {
+          signal: options.signal,
+        });
         if (analysis) {
           this.stats.analyzed++;
         }
@@ -76,6 +139,8 @@ class AIAnalysisEngine {
       const result = {
         item,
         classification,
+        classifiedBy: ruleMatch?.decisive ? `rule:${ruleMatch.rule}` : 'model',
+        relevance,
         analysis,
         riskRating,
         processedAt: new Date().toISOString(),
@@ -104,23 +169,51 @@ class AIAnalysisEngine {
 
   /**
    * Process batch of items
+   *
+   * Up to `concurrency` items are in flight at once; results keep the input
+   * order and leave out items that failed. Emits "progress" with
+   * `{ stage: "process", completed, failed, total, item }` after each item. Aborting
+   * `options.signal` cancels pending items and rejects with its reason.
+   * With batched classification, items no rule settles are classified
+   * together first.
    */
-  async processBatch(items) {
-    this.logger?.info('Processing batch', { count: items.length });
+  async processBatch(items, options = {}) {
+    this.logger?.info('Processing batch', { count: items.length, concurrency: this.concurrency });
 
-    const results = [];
+    const ruleMatches = items.map(item => this.rules.match(item));
+    const classifications = this.classifier.batching.enabled
+      ? await this._classifyTogether(items.filter((item, i) => !ruleMatches[i]?.decisive), options.signal)
+      : new Map();
 
-    for (const item of items) {
+    let failed = 0;
+    const processed = await mapConcurrent(items, async (item, index, signal) => {
       try {
-        const result = await this.processItem(item);
-        results.push(result);
+        return await this.processItem(item, {
+          signal,
+          ruleMatch: ruleMatches[index],
+          classification: classifications.get(item),
+        });
       } catch (error) {
+        // Cancelled, or e.g. a replayed model call that was never recorded
+        if (error.fatal || signal.aborted) {
+          throw error;
+        }
         this.logger?.error('Failed to process item', {
           title: item.title,
           error: error.message,
         });
+        failed++;
+        return null;
       }
-    }
+    }, {
+      concurrency: options.concurrency || this.concurrency,
+      signal: options.signal,
+      onProgress: ({ completed, total, index }) => {
+        this.emit('progress', { stage: 'process', completed, failed, total, item: items[index].title });
+      },
+    });
+
+    const results = processed.filter(Boolean);
 
     this.logger?.info('Batch complete', {
       total: items.length,
@@ -131,6 +224,35 @@ class AIAnalysisEngine {
     return results;
   }
 
+  /**
+   * Classify model-bound items of a batch several per request
+   *
+   * Returns a Map of item to classification. Emits "progress" with
+   * `stage: "classify"`. If batching fails the Map is empty and each item
+   * is classified on its own in the item pipeline.
+   */
+  async _classifyTogether(items, signal) {
+    const classifications = new Map();
+    if (items.length === 0) {
+      return classifications;
+    }
+
+    try {
+      const classified = await this.classifier.classifyBatch(items, {
+        signal,
+        onProgress: ({ completed, total }) => this.emit('progress', { stage: 'classify', completed, total }),
+      });
+      items.forEach((item, i) => classifications.set(item, classified[i].classification));
+    } catch (error) {
+      if (error.fatal || signal?.aborted) {
+        throw error;
+      }
+      this.logger?.warn('Batched classification failed, classifying items one by one', { error: error.message });
+    }
+
+    return classifications;
+  }
+
   /**
    * Generate optimization suggestions from processed items
    */
@@ -150,6 +272,8 @@ class AIAnalysisEngine {
           processed.analysis
         );
 
+        optimization.id = processed.optimizationId;
+
         // Add risk info
         optimization.risk_level = processed.riskRating.level;
         optimization.action = processed.riskRating.action;
@@ -170,13 +294,24 @@ class AIAnalysisEngine {
 
     for (const processed of processedItems) {
       try {
-        // Store knowledge item
-        const knowledgeId = this.storage.insertKnowledge({
-          source: processed.item.source || 'unknown',
-          type: processed.classification.category,
-          title: processed.item.title,
-          content: processed.item.content || '',
-          url: processed.item.url || '',
+        // Store knowledge item (monitors have usually stored it already)
+        let knowledgeId = processed.item.id;
+
+        if (!knowledgeId) {
+          knowledgeId = this.storage.upsertKnowledge({
+            source: processed.item.source || 'unknown',
+            type: processed.item.type || processed.classification.category,
+            title: processed.item.title,
+            content: processed.item.content || '',
+            url: processed.item.url || '',
+            guid: processed.item.guid,
+          }).id;
+        }
+
+        this.storage.updateKnowledgeAnalysis(knowledgeId, {
+          category: processed.classification.category,
+          relevance_score: processed.classification.relevance_score,
+          classification_prompt: processed.classification.prompt_version,
           risk_level: processed.riskRating.level,
           action_taken: processed.riskRating.action,
         });
@@ -193,7 +328,8 @@ class AIAnalysisEngine {
           optimization.risk_level = processed.riskRating.level;
           optimization.action = processed.riskRating.action;
 
-          this.storage.insertOptimization(optimization);
+          // Issues and feedback refer back to the stored optimization
+          processed.optimizationId = this.storage.insertOptimization(optimization);
           storedOptimizations++;
         }
       } catch (error) {
@@ -224,6 +360,24 @@ class AIAnalysisEngine {
       analysis_rate: this.stats.classified > 0
         ? this.stats.analyzed / this.stats.classified
         : 0,
+      rules: this.rules.getStats(),
+      calibration: {
+        threshold: this.relevanceThreshold,
+        curves: [...this.calibrator.models.keys()],
+      },
+      tokens: this.classifier.getStats().tokens + this.analyzer.tokens,
+      batching: this.classifier.getBatchStats(),
+      rate_limits: this.rateLimiter.getStats(),
+      models: {
+        classifier: this.classifier.client.getStats(),
+        analyzer: this.analyzer.client.getStats(),
+      },
+      invalid_replies: {
+        classifier: this.classifier.getStats().invalid_replies,
+        analyzer: this.analyzer.invalidReplies,
+      },
+      validation_failures: this.storage ? this.storage.getValidationStats(24) : [],
+      prompts: this.storage ? this.storage.getPromptStats() : [],
     };
   }
 
@@ -233,6 +387,7 @@ class AIAnalysisEngine {
   resetStats() {
     this.stats = {
       classified: 0,
+      rule_classified: 0,
       analyzed: 0,
       rated: 0,
       total_time: 0,
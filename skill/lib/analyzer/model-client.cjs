@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+
+/**
+ * Model Client
+ *
+ * Chat-completion and embedding calls to OpenAI-compatible and Zhipu GLM
+ * endpoints, returning the reply text or vectors with their token usage
+ */
+
+const { HttpClient, HttpError } = require('../utils/http.cjs');
+
+const PROVIDERS = {
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    requiresKey: true,
+  },
+  zhipu: {
+    baseUrl: 'https://open.bigmodel.cn/api/paas/v4',
+    requiresKey: true,
+    // GLM rejects temperatures outside the open interval (0, 1)
+    temperature: { min: 0.01, max: 0.99 },
+  },
+};
+
+class ModelClientError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ModelClientError';
+    // not_configured | auth | rate_limit | timeout | network | server | bad_request | invalid_response | cassette_miss
+    this.code = details.code || 'unknown';
+    this.provider = details.provider || null;
+    this.model = details.model || null;
+    this.status = details.status || null;
+    this.retryable = details.retryable || false;
+    // Fatal errors abort the run; callers must not fall back to defaults
+    this.fatal = details.fatal || false;
+  }
+}
+
+class ModelClient {
+  constructor(options = {}) {
+    this.provider = options.provider || 'openai';
+    if (!PROVIDERS[this.provider]) {
+      throw new Error(`Unknown model provider "${this.provider}" (known: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    const defaults = PROVIDERS[this.provider];
+    this.baseUrl = (options.baseUrl || defaults.baseUrl).replace(/\/$/, '');
+    this.apiKey = options.apiKey || '';
+    // A custom base URL may point at a server without authentication
+    this.requiresKey = defaults.requiresKey && !options.baseUrl;
+    this.logger = options.logger;
+    this.http = options.http || new HttpClient({
+      logger: this.logger,
+      timeout: options.timeout || 60000,
+      retries: options.retries ?? 2,
+    });
+
+    this.stats = {
+      requests: 0,
+      failures: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+    };
+  }
+
+  /**
+   * Run a chat completion
+   *
+   * Takes `model`, `messages` (or a single `prompt`), and optionally
+   * `temperature`, `maxTokens`, `json` (ask for a JSON object) and an
+   * abort `signal`. Returns
+   * `{ content, model, usage, finish_reason, latency_ms, provider }`; throws
+   * a ModelClientError.
+   */
+  async complete(request) {
+    const model = request.model;
+    const started = Date.now();
+    const response = await this._post('/chat/completions', this._body(request), model, request.timeout, request.signal);
+
+    const result = this._parse(response.body, model);
+    result.latency_ms = Date.now() - started;
+
+    this.stats.prompt_tokens += result.usage.prompt_tokens;
+    this.stats.completion_tokens += result.usage.completion_tokens;
+    this.stats.total_tokens += result.usage.total_tokens;
+
+    this.logger?.debug('Model call complete', {
+      provider: this.provider,
+      model: result.model,
+      tokens: result.usage.total_tokens,
+      latency: result.latency_ms,
+    });
+
+    return result;
+  }
+
+  /**
+   * Embed one or more texts
+   *
+   * Takes `model`, `input` (a string or a list) and optionally
+   * `dimensions`. Returns `{ embeddings, model, usage }` with one vector per
+   * input, in input order; throws a ModelClientError.
+   */
+  async embed(request) {
+    const model = request.model;
+    const input = [request.input].flat();
+    const body = { model, input };
+    if (request.dimensions) {
+      body.dimensions = request.dimensions;
+    }
+
+    const response = await this._post('/embeddings', body, model, request.timeout, request.signal);
+    const data = this._json(response.body, model);
+
+    if (!Array.isArray(data.data) || data.data.length !== input.length) {
+      this.stats.failures++;
+      throw new ModelClientError(data.error?.message || 'Embedding response has no vector per input', {
+        code: 'invalid_response',
+        provider: this.provider,
+        model,
+      });
+    }
+
+    const usage = data.usage || {};
+    this.stats.prompt_tokens += usage.prompt_tokens || 0;
+    this.stats.total_tokens += usage.total_tokens || usage.prompt_tokens || 0;
+
+    return {
+      embeddings: [...data.data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map(entry => entry.embedding),
+      model: data.model || model,
+      usage: {
+        prompt_tokens: usage.prompt_tokens || 0,
+        total_tokens: usage.total_tokens || usage.prompt_tokens || 0,
+      },
+    };
+  }
+
+  /**
+   * POST a JSON body to an endpoint of the provider
+   */
+  async _post(endpoint, body, model, timeout, signal) {
+    if (this.requiresKey && !this.apiKey) {
+      throw new ModelClientError(`No API key configured for ${this.provider}`, {
+        code: 'not_configured',
+        provider: this.provider,
+        model,
+      });
+    }
+
+    this.stats.requests++;
+
+    try {
+      return await this.http.request(`${this.baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers: this._headers(),
+        body: JSON.stringify(body),
+        cache: false,
+        timeout,
+        signal,
+      });
+    } catch (error) {
+      this.stats.failures++;
+      // Cancelled by the caller: not a provider failure
+      if (signal?.aborted) {
+        throw error;
+      }
+      throw this._toError(error, model);
+    }
+  }
+
+  /**
+   * Request headers
+   */
+  _headers() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+    };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Chat-completions request body in the provider's dialect
+   */
+  _body(request) {
+    const body = {
+      model: request.model,
+      messages: request.messages || [{ role: 'user', content: request.prompt }],
+    };
+
+    if (request.temperature !== undefined) {
+      const range = PROVIDERS[this.provider].temperature;
+      body.temperature = range
+        ? Math.min(range.max, Math.max(range.min, request.temperature))
+        : request.temperature;
+    }
+    if (request.maxTokens) {
+      body.max_tokens = request.maxTokens;
+    }
+    if (request.json) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  }
+
+  /**
+   * Reply text and usage from a completion response
+   */
+  _parse(body, model) {
+    const data = this._json(body, model);
+    const choice = data.choices?.[0];
+    if (typeof choice?.message?.content !== 'string') {
+      this.stats.failures++;
+      throw new ModelClientError(data.error?.message || 'Completion response has no message content', {
+        code: 'invalid_response',
+        provider: this.provider,
+        model,
+      });
+    }
+
+    const usage = data.usage || {};
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+
+    return {
+      content: choice.message.content,
+      model: data.model || model,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: usage.total_tokens || promptTokens + completionTokens,
+      },
+      finish_reason: choice.finish_reason || null,
+      provider: this.provider,
+    };
+  }
+
+  /**
+   * Parsed JSON response body
+   */
+  _json(body, model) {
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      this.stats.failures++;
+      throw new ModelClientError(`Invalid ${this.provider} response: ${error.message}`, {
+        code: 'invalid_response',
+        provider: this.provider,
+        model,
+      });
+    }
+  }
+
+  /**
+   * ModelClientError for a failed HTTP call
+   */
+  _toError(error, model) {
+    const details = { provider: this.provider, model, status: error.status || null };
+
+    if (!(error instanceof HttpError) || !error.status) {
+      const timedOut = /timed out/i.test(error.message);
+      return new ModelClientError(error.message, { ...details, code: timedOut ? 'timeout' : 'network', retryable: true });
+    }
+
+    if (error.status === 401 || error.status === 403) {
+      return new ModelClientError(`Authentication failed: ${error.message}`, { ...details, code: 'auth' });
+    }
+    if (error.status === 429) {
+      return new ModelClientError(`Rate limited: ${error.message}`, { ...details, code: 'rate_limit', retryable: true });
+    }
+    if (error.status >= 500) {
+      return new ModelClientError(`Provider error: ${error.message}`, { ...details, code: 'server', retryable: true });
+    }
+
+    return new ModelClientError(`Request rejected: ${error.message}`, { ...details, code: 'bad_request' });
+  }
+
+  /**
+   * Get stats
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+/**
+ * Model client from configuration (`config.llm`)
+ *
+ * GLM models go to Zhipu unless a provider is set explicitly. With
+ * `llm.cassette` in record or replay mode the client is wrapped in a
+ * CassetteClient; replaying needs no provider settings at all.
+ */
+function createModelClient(config = {}, options = {}) {
+  const llm = config.llm || {};
+  const model = options.model || config.models?.classifier || '';
+  const provider = llm.provider || (/^glm-/i.test(model) ? 'zhipu' : 'openai');
+  const cassette = llm.cassette || {};
+
+  if (cassette.mode && cassette.mode !== 'off') {
+    // Required here: the cassette module builds on ModelClientError
+    const { CassetteClient, openCassette } = require('./cassette.cjs');
+    if (!cassette.file) {
+      throw new Error(`Cassette mode "${cassette.mode}" needs llm.cassette.file`);
+    }
+
+    return new CassetteClient({
+      mode: cassette.mode,
+      provider,
+      cassette: openCassette(cassette.file),
+      client: cassette.mode === 'record'
+        ? createModelClient({ ...config, llm: { ...llm, cassette: null } }, options)
+        : null,
+      logger: options.logger,
+    });
+  }
+
+  return new ModelClient({
+    provider,
+    baseUrl: llm.baseUrl,
+    apiKey: llm.apiKey,
+    timeout: llm.timeout,
+    retries: llm.retries,
+    logger: options.logger,
+    http: options.http,
+  });
+}
+
+module.exports = {
+  PROVIDERS,
+  ModelClientError,
+  ModelClient,
+  createModelClient,
+};
+
+if (require.main === module) {
+  const { getConfig } = require('../config.cjs');
+  const config = getConfig();
+  const client = createModelClient(config, { logger: console, model: config.models.classifier });
+
+  client.complete({
+    model: config.models.classifier,
+    prompt: process.argv[2] || 'Reply with the single word: pong',
+    temperature: 0,
+  }).then(result => {
+    console.log(result.content);
+    console.log('Usage:', result.usage);
+  }).catch(err => {
+    console.error(`Error (${err.code}):`, err.message);
+  });
+}
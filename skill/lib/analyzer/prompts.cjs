@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Templates
+ *
+ * Versioned prompt files per analysis task with `{{variable}}`
+ * placeholders and optional per-model variants:
+ *
+ *   prompts/<task>/<version>.txt          used by every model
+ *   prompts/<task>/<version>.<model>.txt  used by that model only
+ *
+ * The version in use is pinned per task (default: the latest), and a share
+ * of items can be routed to other versions to compare them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '../../prompts');
+
+class PromptLibrary {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_DIR;
+    this.logger = options.logger;
+    // { task: version } pins; unpinned tasks use their latest version
+    this.versions = options.versions || {};
+    // { task: { version: share } } A/B splits, share of items in [0, 1]
+    this.experiments = options.experiments || {};
+    this.templates = null;
+  }
+
+  /**
+   * Templates on disk: `[{ task, version, model, file }]`
+   */
+  list() {
+    this._load();
+    return [...this.templates.values()].flat().map(({ task, version, model, file }) => ({ task, version, model, file }));
+  }
+
+  /**
+   * Versions of a task, oldest first
+   */
+  versionsOf(task) {
+    this._load();
+    const versions = new Set((this.templates.get(task) || []).map(template => template.version));
+    return [...versions].sort(compareVersions);
+  }
+
+  /**
+   * Version an item gets for a task
+   *
+   * `key` (e.g. the item URL) assigns items to experiment arms stably, so
+   * a re-processed item keeps its version.
+   */
+  selectVersion(task, key = '') {
+    const pinned = this.versions[task] || this.versionsOf(task).at(-1);
+    const arms = Object.entries(this.experiments[task] || {});
+    if (arms.length === 0) {
+      return pinned;
+    }
+
+    const digest = crypto.createHash('md5').update(`${task}:${key}`).digest();
+    let point = digest.readUInt32BE(0) / 0x100000000;
+
+    for (const [version, share] of arms) {
+      if (point < share) {
+        return version;
+      }
+      point -= share;
+    }
+
+    return pinned;
+  }
+
+  /**
+   * Render the prompt of a task: `{ text, version }`
+   *
+   * `version` ("classification@v2", with "/<model>" for a model variant)
+   * identifies the template. Throws if the template is missing or uses a
+   * variable that was not given.
+   */
+  render(task, variables, options = {}) {
+    this._load();
+    const version = options.version || this.selectVersion(task, options.key);
+    if (!version) {
+      throw new Error(`No prompt templates for task "${task}" in ${this.dir}`);
+    }
+
+    const candidates = (this.templates.get(task) || []).filter(template => template.version === version);
+    const template = candidates.find(candidate => candidate.model === options.model)
+      || candidates.find(candidate => candidate.model === null);
+
+    if (!template) {
+      throw new Error(`No prompt template ${task}@${version} in ${this.dir}`);
+    }
+
+    const text = template.text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      if (variables[name] === undefined || variables[name] === null) {
+        throw new Error(`Prompt template ${task}@${version} uses unknown variable "${name}"`);
+      }
+      return String(variables[name]);
+    });
+
+    return {
+      text,
+      version: `${task}@${version}${template.model ? `/${template.model}` : ''}`,
+    };
+  }
+
+  /**
+   * Forget loaded templates so edited files are read again
+   */
+  reload() {
+    this.templates = null;
+    this._load();
+  }
+
+  /**
+   * Read every template file once
+   */
+  _load() {
+    if (this.templates) {
+      return;
+    }
+
+    this.templates = new Map();
+    if (!fs.existsSync(this.dir)) {
+      this.logger?.warn('Prompt directory not found', { dir: this.dir });
+      return;
+    }
+
+    for (const task of fs.readdirSync(this.dir)) {
+      const taskDir = path.join(this.dir, task);
+      if (!fs.statSync(taskDir).isDirectory()) {
+        continue;
+      }
+
+      const templates = [];
+      for (const file of fs.readdirSync(taskDir)) {
+        // Versions have no dots; model names may ("glm-4.7")
+        const match = file.match(/^([^.]+)(?:\.(.+))?\.txt$/);
+        if (!match) {
+          continue;
+        }
+
+        templates.push({
+          task,
+          version: match[1],
+          model: match[2] || null,
+          file: path.join(taskDir, file),
+          text: fs.readFileSync(path.join(taskDir, file), 'utf8').replace(/\s+$/, ''),
+        });
+      }
+
+      this.templates.set(task, templates);
+    }
+  }
+}
+
+/**
+ * Order version names by their numbers ("v2" < "v10")
+ */
+function compareVersions(a, b) {
+  return a.localeCompare(b, 'en', { numeric: true });
+}
+
+module.exports = {
+  PromptLibrary,
+  compareVersions,
+};
+
+if (require.main === module) {
+  const library = new PromptLibrary();
+  console.log(library.list().map(({ task, version, model }) => `${task}@${version}${model ? `/${model}` : ''}`));
+
+  const prompt = library.render('classification', {
+    title: 'Node.js 22 released',
+    content: 'require(esm) is now enabled by default',
+    url: 'https://nodejs.org/en/blog/release/v22.12.0',
+    source: 'tech-stack',
+  });
+  console.log(prompt.version);
+  console.log(prompt.text);
+}
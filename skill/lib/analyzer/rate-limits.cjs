@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Model Rate Limits
+ *
+ * Requests-per-minute and tokens-per-minute budgets per model, shared by
+ * every caller of a model. A call reserves its estimated tokens up front
+ * and settles the difference once the provider reports the real usage.
+ */
+
+const { TokenBucket } = require('../utils/politeness.cjs');
+const { sleep } = require('../utils/concurrency.cjs');
+
+// Rough size of a token in characters, for estimating prompts
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimated tokens of a conversation plus the expected reply
+ */
+function estimateTokens(messages, replyTokens = 0) {
+  const chars = messages.reduce((sum, message) => sum + String(message.content || '').length, 0);
+  return Math.ceil(chars / CHARS_PER_TOKEN) + replyTokens;
+}
+
+class ModelRateLimiter {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    // { model: { requestsPerMinute, tokensPerMinute } }; models without limits are not throttled
+    this.limits = options.limits || {};
+    this.now = options.now || Date.now;
+    this.buckets = new Map();
+    this.stats = {};
+  }
+
+  /**
+   * Wait until `model` may be called with about `tokens` tokens
+   *
+   * Resolves to a reservation whose `settle(actualTokens)` corrects the
+   * token budget after the call. Rejects with the signal's reason if
+   * `signal` aborts while waiting.
+   */
+  async acquire(model, tokens, signal) {
+    const buckets = this._buckets(model);
+    const stats = this._stats(model);
+    stats.requests++;
+
+    if (!buckets) {
+      return { settle: () => {} };
+    }
+
+    const wait = Math.max(buckets.requests?.reserve() || 0, buckets.tokens?.reserve(tokens) || 0);
+    if (wait > 0) {
+      stats.delayed++;
+      stats.delay_ms += wait;
+      this.logger?.debug('Waiting for model rate limit', { model, wait, tokens });
+      await sleep(wait, signal);
+    }
+
+    return {
+      settle: actual => buckets.tokens?.adjust(tokens - actual),
+    };
+  }
+
+  /**
+   * Requests and waits per model
+   */
+  getStats() {
+    return JSON.parse(JSON.stringify(this.stats));
+  }
+
+  /**
+   * Token buckets of a model, or null when it has no limits
+   */
+  _buckets(model) {
+    if (!this.buckets.has(model)) {
+      const limit = this.limits[model] || {};
+      const bucket = perMinute => perMinute > 0
+        ? new TokenBucket({ capacity: perMinute, ratePerSecond: perMinute / 60, now: this.now })
+        : null;
+      const requests = bucket(limit.requestsPerMinute);
+      const tokens = bucket(limit.tokensPerMinute);
+
+      this.buckets.set(model, requests || tokens ? { requests, tokens } : null);
+    }
+    return this.buckets.get(model);
+  }
+
+  _stats(model) {
+    if (!this.stats[model]) {
+      this.stats[model] = { requests: 0, delayed: 0, delay_ms: 0 };
+    }
+    return this.stats[model];
+  }
+}
+
+/**
+ * Send `request` through `client.complete` in one of `slots` and within the
+ * model's rate limits, reserving `estimate` tokens until the reply reports
+ * the real usage
+ */
+async function completeWithinLimits({ client, slots, rateLimiter }, request, estimate) {
+  const { model, signal } = request;
+
+  return slots.run(async () => {
+    const reservation = await rateLimiter.acquire(model, estimate, signal);
+    // Failed or cancelled calls give their estimate back
+    let used = 0;
+    try {
+      const reply = await client.complete(request);
+      used = reply.usage.total_tokens;
+      return reply;
+    } finally {
+      reservation.settle(used);
+    }
+  }, signal);
+}
+
+module.exports = {
+  ModelRateLimiter,
+  completeWithinLimits,
+  estimateTokens,
+};
+
+if (require.main === module) {
+  const limiter = new ModelRateLimiter({ limits: { 'glm-4-flash': { requestsPerMinute: 120, tokensPerMinute: 6000 } } });
+  const messages = [{ role: 'user', content: 'x'.repeat(4000) }];
+
+  (async () => {
+    for (let i = 0; i < 5; i++) {
+      const started = Date.now();
+      const reservation = await limiter.acquire('glm-4-flash', estimateTokens(messages, 200));
+      reservation.settle(1150);
+      console.log(`call ${i + 1} waited ${Date.now() - started}ms`);
+    }
+    console.log(limiter.getStats());
+  })();
+}
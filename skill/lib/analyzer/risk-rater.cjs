@@ -28,8 +28,13 @@ class RiskRater {
         baseRisk = this._adjustRisk(baseRisk, analysis);
       }
 
+      // Security advisories carry their own severity; never rate them lower
+      if (content.type === 'security') {
+        baseRisk = Math.max(baseRisk, this._parseRiskLevel(content.risk_level));
+      }
+
       // Determine action
-      const action = this._determineAction(baseRisk, analysis);
+      const action = this._determineAction(baseRisk, analysis, content);
 
       const riskRating = {
         level: this._riskToString(baseRisk),
@@ -102,7 +107,7 @@ class RiskRater {
   /**
    * Determine action based on risk
    */
-  _determineAction(risk, analysis) {
+  _determineAction(risk, analysis, content) {
     const riskActions = {
       0: 'auto_apply',  // LOW
       1: 'suggest',      // MEDIUM
@@ -113,7 +118,10 @@ class RiskRater {
     const baseAction = riskActions[risk];
 
     // Special cases
-    if (risk >= 2 && analysis && analysis.optimization_type === 'security') {
+    const isSecurity = content?.type === 'security' ||
+      (analysis && analysis.optimization_type === 'security');
+
+    if (risk >= 2 && isSecurity) {
       return 'emergency_report';
     }
 
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Rule Classifier (Tier 0)
+ *
+ * Deterministic classification of obvious items (advisories, dependency
+ * updates, news) from their source, type, URL and text, so they do not
+ * cost model tokens
+ */
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Appended after configured rules unless `analysis.builtinRules` is false
+const DEFAULT_RULES = [
+  {
+    name: 'security-advisory',
+    type: 'security',
+    classification: { category: 'security', relevance_score: 0.95, action_type: 'suggest' },
+    confidence: 0.95,
+  },
+  {
+    name: 'dependency-update',
+    type: 'dependency',
+    classification: { category: 'bugfix', relevance_score: 0.8, action_type: 'suggest' },
+    confidence: 0.95,
+  },
+  {
+    name: 'code-finding',
+    type: ['duplication', 'complexity'],
+    classification: { category: 'feature', relevance_score: 0.75, action_type: 'suggest', risk_level: 'LOW' },
+    confidence: 0.9,
+  },
+  {
+    name: 'startup-news',
+    type: 'news',
+    source: 'startup-trends',
+    classification: { category: 'news', relevance_score: 0.3, action_type: 'report', risk_level: 'LOW' },
+    confidence: 0.9,
+  },
+];
+
+class RuleClassifier {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    // Matches at or above this confidence replace the model classification
+    this.minConfidence = options.minConfidence ?? 0.9;
+    this.rules = [
+      ...(options.rules || []),
+      ...(options.builtins === false ? [] : DEFAULT_RULES),
+    ].map((rule, index) => this._compile(rule, index)).filter(Boolean);
+
+    this.stats = {
+      evaluated: 0,
+      matched: 0,
+      short_circuited: 0,
+      hits: {},
+    };
+  }
+
+  /**
+   * First rule matching an item: `{ rule, confidence, decisive, classification }`
+   *
+   * Null when no rule matches. `decisive` matches are confident enough to
+   * skip the model.
+   */
+  match(item) {
+    this.stats.evaluated++;
+
+    const rule = this.rules.find(candidate => this._matches(candidate, item));
+    if (!rule) {
+      return null;
+    }
+
+    const decisive = rule.confidence >= this.minConfidence;
+    this.stats.matched++;
+    this.stats.hits[rule.name] = (this.stats.hits[rule.name] || 0) + 1;
+    if (decisive) {
+      this.stats.short_circuited++;
+    }
+
+    this.logger?.debug('Rule matched', { title: item.title, rule: rule.name, decisive });
+
+    return {
+      rule: rule.name,
+      confidence: rule.confidence,
+      decisive,
+      classification: {
+        // Rules without a risk level keep the one the monitor assigned
+        risk_level: RISK_LEVELS.includes(item.risk_level) ? item.risk_level : 'LOW',
+        ...rule.classification,
+        rule: rule.name,
+      },
+    };
+  }
+
+  /**
+   * Get stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      hits: { ...this.stats.hits },
+      hit_rate: this.stats.evaluated > 0 ? this.stats.matched / this.stats.evaluated : 0,
+    };
+  }
+
+  /**
+   * Whether every condition of a rule holds for an item
+   */
+  _matches(rule, item) {
+    if (rule.source && !rule.source.includes(item.source)) {
+      return false;
+    }
+    if (rule.type && !rule.type.includes(item.type)) {
+      return false;
+    }
+    if (rule.url && !rule.url.test(item.url || '')) {
+      return false;
+    }
+
+    const text = `${item.title || ''}\n${item.content || item.summary || ''}`;
+    if (rule.match && !rule.match.test(text)) {
+      return false;
+    }
+    if (rule.exclude && rule.exclude.test(text)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Rule with list conditions and compiled patterns (null if invalid)
+   *
+   * `url`, `match` and `exclude` are case-insensitive regular expressions;
+   * `source` and `type` take a value or a list.
+   */
+  _compile(rule, index) {
+    const name = rule.name || `rule-${index + 1}`;
+
+    try {
+      if (!rule.classification?.category) {
+        throw new Error('missing classification.category');
+      }
+
+      return {
+        name,
+        source: rule.source ? [rule.source].flat() : null,
+        type: rule.type ? [rule.type].flat() : null,
+        url: rule.url ? new RegExp(rule.url, 'i') : null,
+        match: rule.match ? new RegExp(rule.match, 'i') : null,
+        exclude: rule.exclude ? new RegExp(rule.exclude, 'i') : null,
+        classification: {
+          relevance_score: 0.5,
+          action_type: 'report',
+          ...rule.classification,
+        },
+        confidence: rule.confidence ?? 1,
+      };
+    } catch (error) {
+      this.logger?.error('Invalid classification rule, skipped', { rule: name, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RuleClassifier,
+};
+
+if (require.main === module) {
+  const rules = new RuleClassifier({
+    logger: console,
+    rules: [{
+      name: 'openclaw-release',
+      url: '^https://github\\.com/openclaw/',
+      match: '\\brelease(d)?\\b',
+      classification: { category: 'skill-release', relevance_score: 0.9, action_type: 'suggest' },
+    }],
+  });
+
+  console.log(rules.match({ title: 'v2.0 released', url: 'https://github.com/openclaw/openclaw/releases/v2.0' }));
+  console.log(rules.match({ title: 'lodash 4.17.21', type: 'dependency', risk_level: 'MEDIUM' }));
+  console.log(rules.getStats());
+}
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * Structured Output
+ *
+ * Extracts JSON from model replies, validates it against a JSON schema
+ * (the subset the analyzer tiers use) and re-prompts the model a bounded
+ * number of times to repair invalid replies
+ */
+
+class SchemaValidationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    // parse: no JSON in the reply; schema: JSON that violates the schema
+    this.stage = details.stage || 'schema';
+    this.errors = details.errors || [];
+    this.attempts = details.attempts || 1;
+    this.reply = details.reply || null;
+  }
+}
+
+/**
+ * First JSON object or array in a reply
+ *
+ * Accepts bare JSON, Markdown code fences and JSON surrounded by prose.
+ */
+function extractJSON(text) {
+  const content = String(text ?? '').trim();
+  const fenced = content.match(/```(?:json)?[ \t]*\n?([\s\S]*?)```/i);
+  const candidates = fenced ? [fenced[1].trim(), content] : [content];
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      const span = _balancedSpan(candidate);
+      if (span) {
+        try {
+          return JSON.parse(span);
+        } catch (nested) {
+          // Try the next candidate
+        }
+      }
+    }
+  }
+
+  throw new SchemaValidationError('Reply contains no valid JSON', { stage: 'parse', reply: content });
+}
+
+/**
+ * Validate a value against a JSON schema
+ *
+ * Supports type (incl. unions and "integer"), enum, minimum/maximum,
+ * minLength, required, properties, additionalProperties: false and items.
+ * Returns a list of `{ path, message }`, empty when the value is valid.
+ */
+function validate(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = [schema.type].flat();
+    if (!types.some(type => _isType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${_typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+  }
+
+  if (_typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        errors.push(...validate(schema.properties[key], child, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Ask a model for JSON matching a schema, repairing invalid replies
+ *
+ * `call(messages)` returns the reply text. An invalid reply is sent back
+ * with the violations, up to `maxRepairs` times; `onInvalid` sees every
+ * invalid reply (`{ stage, errors, attempt }`). Returns `{ value, attempts,
+ * repaired }` or throws a SchemaValidationError.
+ */
+async function generateStructured(options) {
+  const { call, prompt, schema, maxRepairs = 1, onInvalid } = options;
+  const messages = [{ role: 'user', content: prompt }];
+
+  for (let attempt = 1; ; attempt++) {
+    const reply = await call(messages);
+    let failure;
+
+    try {
+      const value = extractJSON(reply);
+      const errors = validate(schema, value);
+      if (errors.length === 0) {
+        return { value, attempts: attempt, repaired: attempt > 1 };
+      }
+      failure = new SchemaValidationError(`Reply violates the schema: ${formatErrors(errors)}`, { errors, reply });
+    } catch (error) {
+      if (!(error instanceof SchemaValidationError)) {
+        throw error;
+      }
+      failure = error;
+    }
+
+    failure.attempts = attempt;
+    onInvalid?.({ stage: failure.stage, errors: failure.errors, attempt });
+
+    if (attempt > maxRepairs) {
+      throw failure;
+    }
+
+    messages.push(
+      { role: 'assistant', content: String(reply) },
+      { role: 'user', content: _repairPrompt(failure) },
+    );
+  }
+}
+
+/**
+ * One-line summary of validation errors
+ */
+function formatErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`).join('; ');
+}
+
+/**
+ * Follow-up asking the model to fix its reply
+ */
+function _repairPrompt(failure) {
+  const problem = failure.stage === 'parse'
+    ? 'Your reply did not contain a valid JSON object.'
+    : `Your reply did not match the required format:\n${failure.errors.map(error => `- ${error.path} ${error.message}`).join('\n')}`;
+
+  return `${problem}\n\nReply again with only the corrected JSON object, no other text.`;
+}
+
+/**
+ * Substring from the first { or [ to its matching bracket
+ */
+function _balancedSpan(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) {
+    return null;
+  }
+
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) {
+        return null;
+      }
+      if (stack.length === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * JSON type name of a value
+ */
+function _typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Whether a value has a JSON schema type
+ */
+function _isType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  return _typeOf(value) === type;
+}
+
+module.exports = {
+  SchemaValidationError,
+  extractJSON,
+  validate,
+  generateStructured,
+  formatErrors,
+};
+
+if (require.main === module) {
+  const schema = {
+    type: 'object',
+    required: ['score'],
+    properties: { score: { type: 'number', minimum: 0, maximum: 1 } },
+  };
+
+  const reply = 'Sure! Here you go:\n```json\n{"score": 1.4}\n```';
+  console.log('Extracted:', extractJSON(reply));
+  console.log('Errors:', formatErrors(validate(schema, extractJSON(reply))));
+}
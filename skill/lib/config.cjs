@@ -25,6 +25,8 @@ function loadConfig() {
       path.join(process.env.HOME || '/root', '.openclaw/knowledge/evolution.db'),
     vectorPath: process.env.EVOLUTION_VECTOR_PATH ||
       path.join(process.env.HOME || '/root', '.openclaw/knowledge/vectors'),
+    workspacePath: process.env.EVOLUTION_WORKSPACE_PATH ||
+      path.join(process.env.HOME || '/root', '.openclaw/workspace'),
 
     // Monitors
     checkIntervalFast: parseInt(process.env.EVOLUTION_CHECK_INTERVAL_FAST) || 30,
@@ -41,6 +43,32 @@ function loadConfig() {
     // GitHub
     githubToken: process.env.EVOLUTION_GITHUB_TOKEN || '',
     repo: process.env.EVOLUTION_REPO || 'alijiujiu123/openclaw',
+    githubApiUrl: process.env.EVOLUTION_GITHUB_API_URL || 'https://api.github.com',
+
+    // npm
+    npmRegistry: process.env.EVOLUTION_NPM_REGISTRY || 'https://registry.npmjs.org',
+
+    // Security advisories (comma-separated URLs or directories)
+    advisorySources: process.env.EVOLUTION_ADVISORY_SOURCES
+      ? process.env.EVOLUTION_ADVISORY_SOURCES.split(',').map(source => source.trim()).filter(Boolean)
+      : ['https://api.github.com/advisories?ecosystem=npm&per_page=100'],
+
+    // Hacker News (Firebase-compatible JSON API)
+    hnApiUrl: process.env.EVOLUTION_HN_API_URL || 'https://hacker-news.firebaseio.com/v0',
+
+    // LLM provider (openai-compatible or zhipu; inferred from the model name when unset)
+    llmProvider: process.env.EVOLUTION_LLM_PROVIDER || '',
+    llmBaseUrl: process.env.EVOLUTION_LLM_BASE_URL || '',
+    llmApiKey: process.env.EVOLUTION_LLM_API_KEY || '',
+
+    // Model cassette: record or replay model responses (a file alone means replay)
+    llmCassette: process.env.EVOLUTION_LLM_CASSETTE || '',
+    llmCassetteMode: process.env.EVOLUTION_LLM_CASSETTE_MODE || '',
+
+    // OpenClaw session transcripts (comma-separated directories)
+    sessionLogDirs: process.env.EVOLUTION_SESSION_LOG_DIRS
+      ? process.env.EVOLUTION_SESSION_LOG_DIRS.split(',').map(dir => dir.trim()).filter(Boolean)
+      : [path.join(process.env.HOME || '/root', '.openclaw/agents')],
   };
 
   // 2. Config file (if exists)
@@ -58,11 +86,67 @@ function loadConfig() {
   // 3. Merge and return
   return {
     monitors: {
-      openclaw: { enabled: true, ...fileConfig.monitors?.openclaw },
-      ai: { enabled: true, ...fileConfig.monitors?.ai },
-      tech: { enabled: true, ...fileConfig.monitors?.tech },
-      startup: { enabled: true, ...fileConfig.monitors?.startup },
-      internal: { enabled: true, ...fileConfig.monitors?.internal },
+      openclaw: {
+        enabled: true,
+        ...fileConfig.monitors?.openclaw,
+        dependencies: {
+          registry: env.npmRegistry,
+          packageFiles: [path.join(__dirname, '../package.json')],
+          scanWorkspace: true,
+          ...fileConfig.monitors?.openclaw?.dependencies,
+        },
+      },
+      ai: {
+        enabled: true,
+        ...fileConfig.monitors?.ai,
+        arxiv: {
+          apiUrl: 'https://export.arxiv.org/api/query',
+          categories: ['cs.AI', 'cs.CL', 'cs.LG'],
+          keywords: [],
+          authors: [],
+          ...fileConfig.monitors?.ai?.arxiv,
+        },
+      },
+      tech: {
+        enabled: true,
+        ...fileConfig.monitors?.tech,
+        security: {
+          sources: env.advisorySources,
+          lockFiles: [path.join(__dirname, '../package-lock.json')],
+          minSeverity: 'HIGH',
+          ...fileConfig.monitors?.tech?.security,
+        },
+      },
+      startup: {
+        enabled: true,
+        ...fileConfig.monitors?.startup,
+        hackerNews: {
+          apiUrl: env.hnApiUrl,
+          minScore: 100,
+          minComments: 50,
+          ...fileConfig.monitors?.startup?.hackerNews,
+        },
+      },
+      internal: {
+        enabled: true,
+        ...fileConfig.monitors?.internal,
+        code: {
+          minTokens: 50,
+          maxComplexity: 15,
+          maxFunctionLines: 100,
+          ...fileConfig.monitors?.internal?.code,
+        },
+        usage: {
+          logDirs: env.sessionLogDirs,
+          memoryFile: path.join(env.workspacePath, 'MEMORY.md'),
+          windowDays: 30,
+          ...fileConfig.monitors?.internal?.usage,
+        },
+      },
+      // Explicit monitor list (replaces the built-in set when present)
+      instances: fileConfig.monitors?.instances,
+      // Plugin directories, files or npm packages providing monitor types
+      plugins: fileConfig.monitors?.plugins || [],
     },
     optimization: {
       tokenEfficiencyTarget: 0.8,
@@ -92,22 +176,117 @@ function loadConfig() {
       analyzer: env.modelAnalyzer,
       complex: env.modelComplex,
     },
+    llm: {
+      timeout: 60000,
+      retries: 2,
+      ...fileConfig.llm,
+      provider: env.llmProvider || fileConfig.llm?.provider || '',
+      baseUrl: env.llmBaseUrl || fileConfig.llm?.baseUrl || '',
+      apiKey: env.llmApiKey || fileConfig.llm?.apiKey || '',
+      cassette: cassetteSettings(env, fileConfig.llm?.cassette),
+    },
+    embeddings: {
+      // "hashing" (local, offline) or "model" (the llm endpoint's /embeddings)
+      provider: 'hashing',
+      model: '',
+      batchSize: 32,
+      ...fileConfig.embeddings,
+    },
+    analysis: {
+      rules: [],
+      builtinRules: true,
+      minRuleConfidence: 0.9,
+      // Applied to the relevance calibrated against accept/reject feedback
+      relevanceThreshold: 0.7,
+      calibrationMinSamples: 20,
+      // Per-model budgets: {"glm-4-flash": {"requestsPerMinute": 60, "tokensPerMinute": 150000}}
+      rateLimits: {},
+      ...fileConfig.analysis,
+      // Parallel model calls per tier; items in flight default to their sum
+      concurrency: {
+        classifier: 4,
+        analyzer: 2,
+        ...fileConfig.analysis?.concurrency,
+      },
+      // Several items per classifier request, sized to the model's maxTokens
+      batchClassification: {
+        enabled: false,
+        maxItems: 10,
+        ...fileConfig.analysis?.batchClassification,
+      },
+    },
+    prompts: {
+      dir: path.join(__dirname, '../prompts'),
+      // Pinned template version per task ("classification": "v1"); latest if unset
+      versions: {},
+      // Share of items per task sent to other versions ({"classification": {"v2": 0.2}})
+      experiments: {},
+      ...fileConfig.prompts,
+    },
+    // EVOLUTION_CHECK_INTERVAL_* are seconds; intervals are milliseconds
     intervals: {
-      fast: env.checkIntervalFast,
-      medium: env.checkIntervalMed,
-      slow: env.checkIntervalSlow,
+      fast: env.checkIntervalFast * 1000,
+      medium: env.checkIntervalMed * 1000,
+      slow: env.checkIntervalSlow * 1000,
     },
     paths: {
       db: env.dbPath,
       vectors: env.vectorPath,
+      workspace: env.workspacePath,
     },
     github: {
       token: env.githubToken,
       repo: env.repo,
+      apiUrl: env.githubApiUrl,
+    },
+    http: {
+      timeout: 10000,
+      retries: 3,
+      ...fileConfig.http,
+    },
+    health: {
+      failureThreshold: 5,
+      backoffMax: '6h',
+      cooldown: '1h',
+      ...fileConfig.health,
+    },
+    scheduler: {
+      startSpread: '1m',
+      jitter: 0.1,
+      concurrency: 2,
+      ...fileConfig.scheduler,
+    },
+    politeness: {
+      robotsTtl: '24h',
+      ...fileConfig.politeness,
+      defaults: {
+        requestsPerMinute: 60,
+        burst: 5,
+        robots: true,
+        ...fileConfig.politeness?.defaults,
+      },
+      hosts: {
+        'hacker-news.firebaseio.com': { requestsPerMinute: 600, burst: 20 },
+        'export.arxiv.org': { requestsPerMinute: 20, burst: 1 },
+        'api.github.com': { requestsPerMinute: 80, burst: 10 },
+        ...fileConfig.politeness?.hosts,
+      },
     },
   };
 }
 
+/**
+ * Cassette settings: `{ mode: off | record | replay, file }`
+ *
+ * Environment variables override the config file; a cassette file without
+ * a mode is replayed.
+ */
+function cassetteSettings(env, fileSettings = {}) {
+  const file = env.llmCassette || fileSettings.file || '';
+  const mode = env.llmCassetteMode || fileSettings.mode || (file ? 'replay' : 'off');
+  return { mode, file };
+}
+
 /**
  * Get configuration (singleton)
  */
@@ -3,15 +3,209 @@
 /**
  * GitHub API Integration
  *
- * Creates issues and pull requests for optimization suggestions
+ * Creates issues and pull requests for optimization suggestions, and reads
+ * repository activity (issues, pull requests, discussions, releases)
  */
 
+const { HttpClient } = require('../utils/http.cjs');
+
+const DISCUSSIONS_QUERY = `
+  query($owner: String!, $name: String!, $after: String) {
+    repository(owner: $owner, name: $name) {
+      discussions(first: 50, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          url
+          body
+          createdAt
+          updatedAt
+          closed
+          isAnswered
+          author { login }
+          category { name }
+          labels(first: 20) { nodes { name } }
+          reactions { totalCount }
+          comments { totalCount }
+        }
+      }
+    }
+  }
+`;
+
 class GitHubAPI {
   constructor(options = {}) {
     this.token = options.token || process.env.EVOLUTION_GITHUB_TOKEN || '';
     this.repo = options.repo || process.env.EVOLUTION_REPO || 'alijiujiu123/openclaw';
     this.logger = options.logger;
-    this.baseUrl = 'https://api.github.com';
+    this.baseUrl = (options.baseUrl || 'https://api.github.com').replace(/\/$/, '');
+    this.graphqlUrl = options.graphqlUrl || `${this.baseUrl}/graphql`;
+    this.http = options.http || new HttpClient({ logger: this.logger });
+  }
+
+  /**
+   * Request headers (authenticated when a token is configured)
+   */
+  _headers() {
+    const headers = {
+      'Accept': 'application/vnd.github.v3+json',
+    };
+
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * GET a REST resource, returning its data and the next page URL
+   */
+  async _get(pathOrUrl, params = {}) {
+    let url = pathOrUrl;
+
+    if (!/^https?:\/\//.test(pathOrUrl)) {
+      const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+      ).toString();
+      url = `${this.baseUrl}${pathOrUrl}${query ? `?${query}` : ''}`;
+    }
+
+    const response = await this.http.request(url, {
+      headers: this._headers(),
+      cache: false,
+      robots: false,
+    });
+
+    return {
+      data: JSON.parse(response.body),
+      next: parseLinkHeader(response.headers.get('link')).next || null,
+    };
+  }
+
+  /**
+   * Follow `Link: rel="next"` pages of a REST list
+   *
+   * `options.until(pageItems)` may return true to stop paging early.
+   */
+  async paginate(path, params = {}, options = {}) {
+    const maxPages = options.maxPages || 10;
+    const items = [];
+    let next = path;
+
+    for (let page = 0; next && page < maxPages; page++) {
+      const result = await this._get(next, page === 0 ? params : {});
+      items.push(...result.data);
+
+      if (options.until && options.until(result.data)) {
+        break;
+      }
+
+      next = result.next;
+    }
+
+    return items;
+  }
+
+  /**
+   * Run a GraphQL query
+   */
+  async graphql(query, variables = {}) {
+    const response = await this.http.request(this.graphqlUrl, {
+      method: 'POST',
+      headers: {
+        ...this._headers(),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ query, variables }),
+      robots: false,
+    });
+
+    const result = JSON.parse(response.body);
+    if (result.errors && result.errors.length > 0) {
+      throw new Error(`GitHub GraphQL error: ${result.errors.map(e => e.message).join('; ')}`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * List issues and pull requests updated since a timestamp (oldest first)
+   */
+  async listIssues(options = {}) {
+    return this.paginate(`/repos/${this.repo}/issues`, {
+      state: 'all',
+      sort: 'updated',
+      direction: 'asc',
+      since: options.since,
+      per_page: options.perPage || 100,
+    }, { maxPages: options.maxPages });
+  }
+
+  /**
+   * List releases published since a timestamp (newest first)
+   */
+  async listReleases(options = {}) {
+    const isNew = release => isAfter(release.published_at || release.created_at, options.since);
+
+    const releases = await this.paginate(`/repos/${this.repo}/releases`, {
+      per_page: options.perPage || 100,
+    }, {
+      maxPages: options.maxPages,
+      until: page => page.length === 0 || !isNew(page[page.length - 1]),
+    });
+
+    return releases.filter(isNew);
+  }
+
+  /**
+   * Get a release by tag, in this or another repository (null if missing)
+   */
+  async getReleaseByTag(tag, repo = this.repo) {
+    try {
+      const { data } = await this._get(`/repos/${repo}/releases/tags/${encodeURIComponent(tag)}`);
+      return data;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List discussions updated since a timestamp (GraphQL, requires a token)
+   */
+  async listDiscussions(options = {}) {
+    if (!this.token) {
+      this.logger?.debug('No GitHub token, skipping discussions');
+      return [];
+    }
+
+    const [owner, name] = this.repo.split('/');
+    const maxPages = options.maxPages || 10;
+    const discussions = [];
+    let after = null;
+
+    for (let page = 0; page < maxPages; page++) {
+      const data = await this.graphql(DISCUSSIONS_QUERY, { owner, name, after });
+      const connection = data.repository?.discussions;
+      if (!connection) {
+        break;
+      }
+
+      const fresh = connection.nodes.filter(d => isAfter(d.updatedAt, options.since));
+      discussions.push(...fresh);
+
+      // Ordered by most recently updated: stop at the first stale page
+      if (fresh.length < connection.nodes.length || !connection.pageInfo.hasNextPage) {
+        break;
+      }
+      after = connection.pageInfo.endCursor;
+    }
+
+    return discussions;
   }
 
   /**
@@ -200,7 +394,35 @@ ${optimization.risks ? optimization.risks.map(r => `- ${r}`).join('\n') : 'Not s
   }
 }
 
-module.exports = { GitHubAPI };
+/**
+ * Whether a timestamp is later than `since` (always, without `since`)
+ *
+ * Compared as instants: GitHub and checkpoints format them differently.
+ */
+function isAfter(timestamp, since) {
+  return !since || Date.parse(timestamp) > Date.parse(since);
+}
+
+/**
+ * Parse an RFC 8288 Link header into { rel: url }
+ */
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) {
+    return links;
+  }
+
+  for (const part of header.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  }
+
+  return links;
+}
+
+module.exports = { GitHubAPI, parseLinkHeader };
 
 if (require.main === module) {
   const api = new GitHubAPI({ logger: console });
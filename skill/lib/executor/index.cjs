@@ -91,6 +91,13 @@ class ExecutionEngine {
       results.issues_created = issues;
       this.stats.issues_created += issues.length;
 
+      // Feedback can then be given by issue number
+      for (const issue of issues) {
+        if (issue.optimization_id) {
+          this.storage?.setOptimizationIssue(issue.optimization_id, issue.issue_number);
+        }
+      }
+
       if (issues.length > 0) {
         this.logger?.success('Issues created', {
           count: issues.length,
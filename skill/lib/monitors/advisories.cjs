@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+
+/**
+ * Security Advisories
+ *
+ * Loads OSV and GitHub-advisory-format JSON from URLs or local directories,
+ * normalizes it, and matches advisories against installed npm packages
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HttpClient } = require('../utils/http.cjs');
+const semver = require('../utils/semver.cjs');
+const cvss = require('../utils/cvss.cjs');
+
+const SEVERITY_RANK = {
+  LOW: 0,
+  MEDIUM: 1,
+  HIGH: 2,
+  CRITICAL: 3,
+};
+
+class AdvisoryFeed {
+  constructor(options = {}) {
+    this.sources = options.sources || [];
+    this.logger = options.logger;
+    this.http = options.http || new HttpClient({ logger: this.logger });
+  }
+
+  /**
+   * Load and normalize advisories from every source (one entry per id)
+   *
+   * Throws when every source failed.
+   */
+  async load() {
+    const advisories = new Map();
+    const errors = [];
+
+    for (const source of this.sources) {
+      try {
+        for (const raw of await this._loadSource(source)) {
+          const advisory = normalizeAdvisory(raw);
+          if (advisory && advisory.affected.length > 0) {
+            advisories.set(advisory.id, advisory);
+          }
+        }
+      } catch (error) {
+        errors.push(error);
+        this.logger?.warn('Advisory source failed', { source, error: error.message });
+      }
+    }
+
+    if (this.sources.length > 0 && errors.length === this.sources.length) {
+      throw new AggregateError(errors, `All ${errors.length} advisory sources failed: ${errors[0].message}`);
+    }
+
+    return [...advisories.values()];
+  }
+
+  /**
+   * Raw advisory documents from a URL, a JSON file or a directory of them
+   */
+  async _loadSource(source) {
+    if (/^https?:\/\//.test(source)) {
+      const response = await this.http.request(source, {
+        headers: { 'Accept': 'application/json' },
+        robots: false,
+      });
+      return extractAdvisories(JSON.parse(response.body));
+    }
+
+    const stat = fs.statSync(source);
+    const files = stat.isDirectory()
+      ? fs.readdirSync(source).filter(file => file.endsWith('.json')).map(file => path.join(source, file))
+      : [source];
+
+    const documents = [];
+    for (const file of files) {
+      try {
+        documents.push(...extractAdvisories(JSON.parse(fs.readFileSync(file, 'utf8'))));
+      } catch (error) {
+        this.logger?.warn('Skipping unreadable advisory file', { file, error: error.message });
+      }
+    }
+    return documents;
+  }
+}
+
+/**
+ * Advisory documents in a JSON payload
+ *
+ * Accepts a single advisory, an array, an OSV query response (`vulns`)
+ * or an OSV batch response (`results[].vulns`).
+ */
+function extractAdvisories(data) {
+  if (Array.isArray(data)) {
+    return data.flatMap(extractAdvisories);
+  }
+  if (!data || typeof data !== 'object') {
+    return [];
+  }
+  if (Array.isArray(data.results)) {
+    return data.results.flatMap(result => result.vulns || []);
+  }
+  if (Array.isArray(data.vulns)) {
+    return data.vulns;
+  }
+  return data.id || data.ghsa_id ? [data] : [];
+}
+
+/**
+ * Normalize an OSV or GitHub advisory into a common shape
+ *
+ * `affected` only lists npm packages; `severity` is the advisory's own
+ * rating, falling back to the CVSS v3 base score.
+ */
+function normalizeAdvisory(raw) {
+  if (Array.isArray(raw.affected)) {
+    return _normalizeOSV(raw);
+  }
+  if (raw.ghsa_id && Array.isArray(raw.vulnerabilities)) {
+    return _normalizeGitHub(raw);
+  }
+  return null;
+}
+
+/**
+ * OSV schema (osv.dev, GitHub's OSV export)
+ */
+function _normalizeOSV(raw) {
+  const vector = (raw.severity || []).find(entry => entry.type === 'CVSS_V3')?.score;
+  const score = cvss.baseScore(vector);
+
+  const affected = raw.affected
+    .filter(entry => entry.package?.ecosystem === 'npm' && entry.package?.name)
+    .map(entry => {
+      const ranges = (entry.ranges || [])
+        .filter(range => ['SEMVER', 'ECOSYSTEM'].includes(range.type))
+        .map(range => range.events || []);
+
+      return {
+        name: entry.package.name,
+        ranges,
+        versions: entry.versions || [],
+        range: null,
+        fixed: ranges.flat().filter(event => event.fixed).map(event => event.fixed),
+      };
+    });
+
+  return {
+    id: raw.id,
+    aliases: raw.aliases || [],
+    summary: raw.summary || '',
+    details: raw.details || '',
+    severity: _severityLabel(raw.database_specific?.severity) || cvss.severity(score),
+    score,
+    url: _referenceUrl(raw) || `https://osv.dev/vulnerability/${raw.id}`,
+    published: raw.published || null,
+    modified: raw.modified || null,
+    affected,
+  };
+}
+
+/**
+ * GitHub global advisory (REST API `/advisories`)
+ */
+function _normalizeGitHub(raw) {
+  const vector = raw.cvss?.vector_string || raw.cvss_severities?.cvss_v3?.vector_string;
+  const score = raw.cvss?.score || cvss.baseScore(vector);
+
+  const affected = raw.vulnerabilities
+    .filter(entry => entry.package?.ecosystem === 'npm' && entry.package?.name)
+    .map(entry => {
+      const patched = entry.first_patched_version;
+      const fixed = typeof patched === 'string' ? patched : patched?.identifier;
+
+      return {
+        name: entry.package.name,
+        ranges: [],
+        versions: [],
+        range: entry.vulnerable_version_range || null,
+        fixed: fixed ? [fixed] : [],
+      };
+    });
+
+  return {
+    id: raw.ghsa_id,
+    aliases: raw.cve_id ? [raw.cve_id] : [],
+    summary: raw.summary || '',
+    details: raw.description || '',
+    severity: _severityLabel(raw.severity) || cvss.severity(score),
+    score,
+    url: raw.html_url || `https://github.com/advisories/${raw.ghsa_id}`,
+    published: raw.published_at || null,
+    modified: raw.updated_at || null,
+    affected,
+  };
+}
+
+/**
+ * Map vendor severity labels onto LOW/MEDIUM/HIGH/CRITICAL
+ */
+function _severityLabel(label) {
+  const value = String(label || '').toUpperCase();
+  if (value === 'MODERATE') {
+    return 'MEDIUM';
+  }
+  return SEVERITY_RANK[value] !== undefined ? value : null;
+}
+
+/**
+ * Preferred advisory link from OSV references
+ */
+function _referenceUrl(raw) {
+  const references = raw.references || [];
+  return (references.find(ref => ref.type === 'ADVISORY') || references[0])?.url || null;
+}
+
+/**
+ * Is a version inside an OSV range (events evaluated in version order)?
+ */
+function inRange(version, events) {
+  const parsed = events
+    .map(event => {
+      const [type, value] = Object.entries(event)[0] || [];
+      return { type, at: semver.parse(value === '0' ? '0.0.0' : value) };
+    })
+    .filter(event => event.type !== 'limit');
+
+  if (parsed.some(event => !event.at)) {
+    return false;
+  }
+
+  parsed.sort((a, b) => semver.compare(a.at, b.at));
+
+  let affected = false;
+  for (const event of parsed) {
+    const order = semver.compare(version, event.at);
+
+    if (event.type === 'introduced' && order >= 0) {
+      affected = true;
+    } else if (event.type === 'fixed' && order >= 0) {
+      affected = false;
+    } else if (event.type === 'last_affected' && order > 0) {
+      affected = false;
+    }
+  }
+
+  return affected;
+}
+
+/**
+ * Is a version affected by one `affected` entry of a normalized advisory?
+ */
+function isAffected(entry, version) {
+  if (!semver.parse(version)) {
+    return false;
+  }
+
+  return entry.versions.includes(version) ||
+    entry.ranges.some(events => inRange(version, events)) ||
+    (!!entry.range && semver.satisfies(version, entry.range));
+}
+
+/**
+ * Human-readable vulnerable range of an `affected` entry
+ */
+function describeRange(entry) {
+  if (entry.range) {
+    return entry.range;
+  }
+
+  const intervals = entry.ranges.map(events => events.map(event => {
+    if (event.introduced) return `>=${event.introduced === '0' ? '0.0.0' : event.introduced}`;
+    if (event.fixed) return `<${event.fixed}`;
+    if (event.last_affected) return `<=${event.last_affected}`;
+    return null;
+  }).filter(Boolean).join(' '));
+
+  return [...intervals, ...entry.versions].filter(Boolean).join(' || ') || null;
+}
+
+/**
+ * Installed packages affected by an advisory
+ *
+ * Returns one match per package version, with every install path and the
+ * lowest fixed version above the installed one.
+ */
+function matchAdvisory(advisory, installed) {
+  const matches = new Map();
+
+  for (const entry of advisory.affected) {
+    for (const pkg of installed) {
+      if (pkg.name !== entry.name || !isAffected(entry, pkg.version)) {
+        continue;
+      }
+
+      const key = `${pkg.name}@${pkg.version}`;
+      const match = matches.get(key) || {
+        name: pkg.name,
+        version: pkg.version,
+        paths: [],
+        vulnerable_range: describeRange(entry),
+        fixed_in: entry.fixed
+          .filter(fixed => semver.parse(fixed) && semver.compare(fixed, pkg.version) > 0)
+          .sort(semver.compare)[0] || null,
+      };
+
+      if (!match.paths.includes(pkg.path)) {
+        match.paths.push(pkg.path);
+      }
+      matches.set(key, match);
+    }
+  }
+
+  return [...matches.values()];
+}
+
+module.exports = {
+  SEVERITY_RANK,
+  AdvisoryFeed,
+  extractAdvisories,
+  normalizeAdvisory,
+  inRange,
+  isAffected,
+  describeRange,
+  matchAdvisory,
+};
+
+if (require.main === module) {
+  const { readLockTree } = require('./npm-registry.cjs');
+  const feed = new AdvisoryFeed({ sources: process.argv.slice(2), logger: console });
+  const installed = readLockTree(path.join(__dirname, '../../package-lock.json'));
+
+  feed.load().then(advisories => {
+    for (const advisory of advisories) {
+      for (const match of matchAdvisory(advisory, installed)) {
+        console.log(`${advisory.id} [${advisory.severity}] ${match.name}@${match.version} fixed in ${match.fixed_in}`);
+      }
+    }
+  }).catch(err => {
+    console.error('Error:', err.message);
+  });
+}
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * arXiv API Client
+ *
+ * Searches the arXiv Atom API (export.arxiv.org/api/query) by category,
+ * keyword, author and submission date, and normalizes entries into papers
+ */
+
+const { FeedParser } = require('./feed-parser.cjs');
+const { HttpClient } = require('../utils/http.cjs');
+
+const ARXIV_FIELDS = {
+  feed: [
+    ['opensearch:totalResults', 'totalResults'],
+  ],
+  item: [
+    ['author', 'authors', { keepArray: true }],
+    ['link', 'links', { keepArray: true }],
+    ['category', 'categories', { keepArray: true }],
+    ['arxiv:primary_category', 'primaryCategory'],
+    ['arxiv:comment', 'comment'],
+  ],
+};
+
+class ArxivClient {
+  constructor(options = {}) {
+    this.apiUrl = options.apiUrl || 'https://export.arxiv.org/api/query';
+    this.logger = options.logger;
+    this.http = options.http || new HttpClient({ logger: this.logger });
+    this.feedParser = new FeedParser({ logger: this.logger, customFields: ARXIV_FIELDS });
+    // arXiv asks API clients to wait 3 seconds between requests
+    this.delay = options.delay ?? 3000;
+  }
+
+  /**
+   * Build a `search_query` expression
+   *
+   * Papers must be in one of the categories and, when keywords or authors
+   * are given, match at least one of them.
+   */
+  buildQuery(filters = {}) {
+    const clauses = [];
+
+    const categories = filters.categories || [];
+    if (categories.length > 0) {
+      clauses.push(_group(categories.map(category => `cat:${category}`)));
+    }
+
+    const interests = [
+      ...(filters.keywords || []).map(keyword => `(ti:${_quote(keyword)} OR abs:${_quote(keyword)})`),
+      ...(filters.authors || []).map(author => `au:${_quote(author)}`),
+    ];
+    if (interests.length > 0) {
+      clauses.push(_group(interests));
+    }
+
+    if (filters.since) {
+      const until = filters.until || new Date();
+      clauses.push(`submittedDate:[${_arxivDate(filters.since)} TO ${_arxivDate(until)}]`);
+    }
+
+    return clauses.join(' AND ') || 'all:*';
+  }
+
+  /**
+   * Fetch one page of results, newest submissions first
+   */
+  async search(query, options = {}) {
+    const params = new URLSearchParams({
+      search_query: query,
+      start: String(options.start || 0),
+      max_results: String(options.maxResults || 50),
+      sortBy: 'submittedDate',
+      sortOrder: 'descending',
+    });
+
+    const response = await this.http.request(`${this.apiUrl}?${params}`, { cache: false, robots: false });
+    const { feed } = await this.feedParser.parse(response.body);
+
+    return {
+      total: parseInt(feed.totalResults, 10) || 0,
+      papers: (feed.items || [])
+        .map(item => this.normalizePaper(item))
+        .filter(paper => paper.arxiv_id && paper.title),
+    };
+  }
+
+  /**
+   * Page through everything matching the filters, up to `maxResults`
+   */
+  async fetchRecent(filters = {}, options = {}) {
+    const query = this.buildQuery(filters);
+    const pageSize = options.pageSize || 50;
+    const maxResults = options.maxResults || 200;
+    const papers = [];
+
+    for (let start = 0; start < maxResults; start += pageSize) {
+      if (start > 0 && this.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.delay));
+      }
+
+      const page = await this.search(query, {
+        start,
+        maxResults: Math.min(pageSize, maxResults - start),
+      });
+      papers.push(...page.papers);
+
+      this.logger?.debug('arXiv page fetched', { start, count: page.papers.length, total: page.total });
+
+      if (page.papers.length === 0 || start + pageSize >= page.total) {
+        break;
+      }
+    }
+
+    return papers;
+  }
+
+  /**
+   * Normalize an arXiv Atom entry
+   */
+  normalizePaper(item) {
+    const entry = this.feedParser.normalizeEntry(item);
+    const links = (item.links || []).map(link => link.$ || {});
+    const id = _parseArxivId(item.id);
+
+    const pdf = links.find(link => link.title === 'pdf' || link.type === 'application/pdf');
+
+    return {
+      arxiv_id: id?.id || null,
+      version: id?.version || null,
+      title: entry.title,
+      abstract: entry.content,
+      authors: (item.authors || []).map(author => author.name?.[0]).filter(Boolean),
+      url: id ? `https://arxiv.org/abs/${id.id}` : entry.url,
+      pdf_url: pdf?.href || (id ? `https://arxiv.org/pdf/${id.id}` : null),
+      primary_category: item.primaryCategory?.$?.term || null,
+      categories: (item.categories || []).map(category => category.$?.term).filter(Boolean),
+      comment: typeof item.comment === 'string' ? item.comment.trim() : null,
+      published_at: entry.published_at,
+    };
+  }
+}
+
+/**
+ * Split `http://arxiv.org/abs/2402.12345v2` into id and version
+ */
+function _parseArxivId(value) {
+  const match = String(value || '').match(/arxiv\.org\/abs\/(.+?)(?:v(\d+))?$/);
+  if (!match) {
+    return null;
+  }
+  return { id: match[1], version: match[2] ? parseInt(match[2], 10) : null };
+}
+
+/**
+ * Quote multi-word search terms
+ */
+function _quote(term) {
+  return /\s/.test(term) ? `"${term.replace(/"/g, '')}"` : term;
+}
+
+/**
+ * OR terms together
+ */
+function _group(terms) {
+  return terms.length === 1 ? terms[0] : `(${terms.join(' OR ')})`;
+}
+
+/**
+ * arXiv date format: YYYYMMDDHHMM in GMT
+ */
+function _arxivDate(date) {
+  return new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 12);
+}
+
+module.exports = { ArxivClient };
+
+if (require.main === module) {
+  const client = new ArxivClient({ logger: console });
+  const filters = {
+    categories: ['cs.AI', 'cs.CL'],
+    keywords: process.argv.slice(2),
+    since: new Date(Date.now() - 2 * 86400000),
+  };
+
+  console.log('Query:', client.buildQuery(filters));
+  client.fetchRecent(filters, { maxResults: 10 }).then(papers => {
+    papers.forEach(paper => console.log(`${paper.arxiv_id} [${paper.primary_category}] ${paper.title}`));
+  }).catch(err => {
+    console.error('Error:', err.message);
+  });
+}
@@ -7,19 +7,54 @@
  */
 
 const EventEmitter = require('events');
+const { FeedParser } = require('./feed-parser.cjs');
+const { HttpClient } = require('../utils/http.cjs');
+const { WebPageWatcher } = require('./web-watcher.cjs');
+const { MonitorScheduler } = require('./scheduler.cjs');
+const { SourceHealth } = require('./source-health.cjs');
+const { parseDuration } = require('../utils/duration.cjs');
 
 class BaseMonitor extends EventEmitter {
   constructor(options = {}) {
     super();
 
     this.name = options.name || 'BaseMonitor';
+    this.type = options.type || null;
     this.enabled = options.enabled !== false;
     this.interval = options.interval || 300000; // 5 minutes default
     this.logger = options.logger;
     this.storage = options.storage;
     this.config = options.config;
+    this.filters = options.filters || null;
     this.running = false;
-    this.timer = null;
+    // Rewind every checkpoint by this much (ms) the first time it is read
+    this.backfillSince = options.backfill ? Date.now() - options.backfill : null;
+    this.rewound = new Set();
+    // Per-check intervals overriding `interval`, e.g. { arxiv: '1h' }
+    this.checkIntervals = options.checkIntervals || {};
+    // Shared scheduler, or a private one (no start spread) for this monitor
+    this.scheduler = options.scheduler || new MonitorScheduler({ logger: this.logger });
+    // Failures, latency and back-off per check
+    this.health = new SourceHealth({
+      monitor: this.name,
+      storage: this.storage,
+      logger: this.logger,
+      ...this.config?.health,
+      ...options.health,
+    });
+    this.feedParser = new FeedParser({ logger: this.logger });
+    this.http = options.http || new HttpClient({
+      logger: this.logger,
+      storage: this.storage,
+      politeness: options.politeness,
+      ...this.config?.http,
+    });
+    this.pageWatcher = new WebPageWatcher({
+      monitor: this.name,
+      storage: this.storage,
+      logger: this.logger,
+      http: this.http,
+    });
   }
 
   /**
@@ -39,17 +74,9 @@ class BaseMonitor extends EventEmitter {
     this.running = true;
     this.logger?.info(`${this.name} started`, { interval: this.interval });
 
-    // Initial poll
-    this.poll().catch(error => {
-      this.logger?.error(`${this.name} initial poll failed`, { error: error.message });
-    });
-
-    // Set up recurring poll
-    this.timer = setInterval(() => {
-      this.poll().catch(error => {
-        this.logger?.error(`${this.name} poll failed`, { error: error.message });
-      });
-    }, this.interval);
+    // Each check runs on its own (jittered) timetable
+    this.scheduler.add(this);
+    this.scheduler.start();
   }
 
   /**
@@ -61,13 +88,50 @@ class BaseMonitor extends EventEmitter {
     }
 
     this.running = false;
+    this.scheduler.remove(this);
 
-    if (this.timer) {
-      clearInterval(this.timer);
-      this.timer = null;
+    this.logger?.info(`${this.name} stopped`);
+  }
+
+  /**
+   * Independently scheduled checks of this monitor
+   *
+   * Subclasses with several sources return one check per source (see
+   * `check()`); by default the whole poll is a single check.
+   */
+  getChecks() {
+    return [this.check('poll', () => this.poll())];
+  }
+
+  /**
+   * Describe a check, with its interval from `checkIntervals` or `interval`
+   *
+   * Runs go through the health tracker: a failure is recorded and backs the
+   * check off instead of being thrown, so the other checks still run.
+   */
+  check(name, run) {
+    const configured = this.checkIntervals[name];
+    const interval = configured !== undefined ? parseDuration(configured) : this.interval;
+
+    return {
+      name,
+      interval,
+      run: () => this.health.run(name, run, { interval }),
+      retryAt: () => this.health.retryAt(name),
+    };
+  }
+
+  /**
+   * Run every check once, in order (skipping those backing off)
+   */
+  async runChecks() {
+    const outcomes = [];
+
+    for (const check of this.getChecks()) {
+      outcomes.push({ check: check.name, ...await check.run() });
     }
 
-    this.logger?.info(`${this.name} stopped`);
+    return outcomes;
   }
 
   /**
@@ -77,10 +141,94 @@ class BaseMonitor extends EventEmitter {
     throw new Error(`${this.name}.poll() must be implemented by subclass`);
   }
 
+  /**
+   * Where the last poll of a source stopped: `{ last_id, last_timestamp }`
+   *
+   * Null before the first run. With `backfill`, the first read of each
+   * source is moved back to the start of the backfill window and flagged
+   * `backfill: true`.
+   */
+  getCheckpoint(source) {
+    const saved = this.storage?.getCheckpoint(this.name, source) ?? null;
+    const checkpoint = saved ? { last_id: saved.last_id, last_timestamp: saved.last_timestamp } : null;
+
+    if (this.backfillSince === null || this.rewound.has(source)) {
+      return checkpoint;
+    }
+
+    const savedAt = checkpoint?.last_timestamp ? Date.parse(checkpoint.last_timestamp) : Infinity;
+    return {
+      last_id: null,
+      last_timestamp: new Date(Math.min(savedAt, this.backfillSince)).toISOString(),
+      backfill: true,
+    };
+  }
+
+  /**
+   * Save where the last poll of a source stopped
+   */
+  setCheckpoint(source, checkpoint) {
+    this.rewound.add(source);
+    this.storage?.setCheckpoint(this.name, source, checkpoint);
+  }
+
+  /**
+   * Move a source's checkpoint to the newest of `marks` (`{ id, timestamp }`)
+   *
+   * The stored checkpoint never moves backwards, so a backfill only
+   * re-reads history.
+   */
+  advanceCheckpoint(source, marks) {
+    this.rewound.add(source);
+
+    const saved = this.storage?.getCheckpoint(this.name, source) ?? null;
+    let newest = saved ? { id: saved.last_id, timestamp: saved.last_timestamp } : null;
+
+    for (const mark of marks.map(_normalizeMark)) {
+      if (mark.id === null && mark.timestamp === null) {
+        continue;
+      }
+      if (!newest || _compareMarks(mark, newest) > 0) {
+        newest = { id: mark.id ?? newest?.id ?? null, timestamp: mark.timestamp ?? newest?.timestamp ?? null };
+      }
+    }
+
+    if (newest && (!saved || newest.id !== saved.last_id || newest.timestamp !== saved.last_timestamp)) {
+      this.setCheckpoint(source, { last_id: newest.id, last_timestamp: newest.timestamp });
+    }
+  }
+
+  /**
+   * Whether an item (`{ id, timestamp }`) is newer than a checkpoint
+   *
+   * Timestamps equal to the checkpoint pass (de-duplication drops the item
+   * if it was seen); items without a comparable id or timestamp pass.
+   */
+  afterCheckpoint(checkpoint, mark) {
+    if (!checkpoint) {
+      return true;
+    }
+    const { timestamp } = _normalizeMark(mark);
+    if (timestamp && checkpoint.last_timestamp) {
+      return Date.parse(timestamp) >= Date.parse(checkpoint.last_timestamp);
+    }
+    if (mark.id !== undefined && mark.id !== null && checkpoint.last_id !== null) {
+      return _compareIds(mark.id, checkpoint.last_id) > 0;
+    }
+    return true;
+  }
+
   /**
    * Process discovered content
+   *
+   * Items already in the knowledge base (same GUID, URL or near-identical
+   * text) are only re-sighted: they are not emitted or stored again, unless
+   * `options.refresh` is set to report a material change to a known item.
+   * Only this monitor's own item with the same GUID is refreshed; matches
+   * on URL or text may belong to another monitor and are left as stored.
+   * Returns the knowledge id, or null for duplicates and invalid items.
    */
-  async processContent(content) {
+  async processContent(content, options = {}) {
     try {
       // Validate content
       if (!content || !content.title) {
@@ -88,19 +236,51 @@ class BaseMonitor extends EventEmitter {
         return null;
       }
 
-      // Emit discovery event
-      this.emit('discovered', content);
+      if (!this.matchesFilters(content)) {
+        this.logger?.debug(`${this.name}: Filtered out`, { title: content.title });
+        return null;
+      }
 
-      // Store in database
-      const id = this.storage?.insertKnowledge({
+      const item = { source: this.name, ...content };
+
+      // Store in database (de-duplicated)
+      const record = {
         source: this.name,
         type: content.type || 'unknown',
         title: content.title,
         content: content.content || content.summary || '',
         url: content.url,
+        guid: content.guid,
         risk_level: content.risk_level || 'LOW',
         action_taken: 'pending',
-      });
+      };
+      const stored = this.storage?.upsertKnowledge(record);
+
+      if (stored?.duplicate && options.refresh && stored.matched_by === 'guid' && stored.source === this.name) {
+        this.storage.refreshKnowledge(stored.id, record);
+        this.emit('discovered', { ...item, id: stored.id, updated: true });
+
+        this.logger?.learn(`${this.name}: Known content changed`, {
+          title: content.title,
+          id: stored.id,
+        });
+
+        return stored.id;
+      }
+
+      if (stored?.duplicate) {
+        this.logger?.debug(`${this.name}: Already known`, {
+          title: content.title,
+          id: stored.id,
+          matched_by: stored.matched_by,
+        });
+        return null;
+      }
+
+      const id = stored ? stored.id : undefined;
+
+      // Emit discovery event
+      this.emit('discovered', { ...item, id });
 
       this.logger?.learn(`${this.name}: Discovered new content`, {
         title: content.title,
@@ -119,21 +299,20 @@ class BaseMonitor extends EventEmitter {
 
   /**
    * Fetch URL (utility method)
+   *
+   * Conditional and retried via the HTTP client; a 304 returns the cached body.
    */
-  async fetchURL(url) {
-    try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'OpenClaw-Evolution/1.0',
-        },
-        timeout: 10000,
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  async fetchURL(url, options = {}) {
+    const response = await this.fetchResponse(url, options);
+    return response.body;
+  }
 
-      return await response.text();
+  /**
+   * Fetch URL and return the full response (utility method)
+   */
+  async fetchResponse(url, options = {}) {
+    try {
+      return await this.http.request(url, options);
     } catch (error) {
       this.logger?.error(`${this.name}: Failed to fetch URL`, {
         url,
@@ -144,12 +323,150 @@ class BaseMonitor extends EventEmitter {
   }
 
   /**
-   * Parse RSS feed (utility method)
+   * Parse RSS/Atom/RDF feed (utility method)
+   *
+   * Returns entries normalized to { title, content, url, published_at, author, guid }
    */
-  async parseRSS(url) {
-    // Placeholder - would use rss-parser in real implementation
+  async parseRSS(url, options = {}) {
     this.logger?.debug(`${this.name}: Parsing RSS feed`, { url });
-    return [];
+
+    const response = await this.fetchResponse(url, options);
+
+    // Unchanged since the last poll: nothing new to report
+    if (response.notModified) {
+      this.logger?.debug(`${this.name}: Feed not modified`, { url });
+      return [];
+    }
+
+    const feed = await this.feedParser.parse(response.body);
+
+    this.logger?.debug(`${this.name}: Feed parsed`, {
+      url,
+      format: feed.format,
+      entries: feed.entries.length,
+    });
+
+    return feed.entries;
+  }
+
+  /**
+   * Fetch a feed and process its entries newer than the feed's checkpoint
+   * (utility method)
+   */
+  async ingestFeed(url, defaults = {}) {
+    const checkpoint = this.getCheckpoint(url);
+    // A backfill re-reads the feed even when it has not changed
+    const entries = await this.parseRSS(url, checkpoint?.backfill ? { cache: false } : {});
+    let processed = 0;
+
+    for (const entry of entries) {
+      if (!this.afterCheckpoint(checkpoint, { timestamp: entry.published_at })) {
+        continue;
+      }
+
+      const id = await this.processContent({
+        ...defaults,
+        ...entry,
+        content: entry.content || defaults.content || '',
+      });
+      if (id !== null) {
+        processed++;
+      }
+    }
+
+    this.advanceCheckpoint(url, entries.map(entry => ({ timestamp: entry.published_at })));
+    return processed;
+  }
+
+  /**
+   * Ingest a list of feeds, logging per-feed failures
+   *
+   * Throws when every feed failed, so the check's health records it.
+   * Empty entries are skipped, so a configured source can be disabled by
+   * setting it to null.
+   */
+  async ingestFeeds(urls, defaults = {}) {
+    const sources = [urls].flat(2).filter(Boolean);
+    const errors = [];
+    let processed = 0;
+
+    for (const url of sources) {
+      try {
+        processed += await this.ingestFeed(url, defaults);
+      } catch (error) {
+        errors.push(error);
+        this.logger?.warn(`${this.name}: Feed ingestion failed`, {
+          url,
+          error: error.message,
+        });
+      }
+    }
+
+    throwIfAllFailed(errors, sources.length, 'feeds');
+    return processed;
+  }
+
+  /**
+   * Check watched web pages and ingest meaningful changes
+   *
+   * The first capture of a page is only a baseline. A change refreshes the
+   * page's knowledge item with the new diff. Returns the number of changed
+   * pages; throws when every page check failed.
+   */
+  async watchPages(pages, defaults = {}) {
+    const sources = [pages].flat().filter(Boolean);
+    const errors = [];
+    let changed = 0;
+
+    for (const page of sources) {
+      try {
+        const result = await this.pageWatcher.check(page);
+        if (result.status !== 'changed') {
+          continue;
+        }
+
+        const id = await this.processContent(this.pageWatcher.toKnowledge(result, defaults), { refresh: true });
+        this.pageWatcher.record(result, id);
+        changed++;
+      } catch (error) {
+        errors.push(error);
+        this.logger?.warn(`${this.name}: Page check failed`, {
+          url: page.url || page,
+          error: error.message,
+        });
+      }
+    }
+
+    throwIfAllFailed(errors, sources.length, 'pages');
+    return changed;
+  }
+
+  /**
+   * Check content against the configured filters
+   *
+   * `include`/`exclude` are case-insensitive keywords matched against title
+   * and content; `types` restricts item types. Without filters everything
+   * passes.
+   */
+  matchesFilters(content) {
+    if (!this.filters) {
+      return true;
+    }
+
+    const { include = [], exclude = [], types = [] } = this.filters;
+    const text = `${content.title || ''}\n${content.content || content.summary || ''}`.toLowerCase();
+
+    if (types.length > 0 && !types.includes(content.type)) {
+      return false;
+    }
+    if (include.length > 0 && !include.some(keyword => text.includes(keyword.toLowerCase()))) {
+      return false;
+    }
+    if (exclude.some(keyword => text.includes(keyword.toLowerCase()))) {
+      return false;
+    }
+
+    return true;
   }
 
   /**
@@ -161,8 +478,55 @@ class BaseMonitor extends EventEmitter {
       enabled: this.enabled,
       running: this.running,
       interval: this.interval,
+      type: this.type || null,
+      checks: this.scheduler.describe(this),
+      health: this.health.list(),
     };
   }
 }
 
+/**
+ * Checkpoint mark with its timestamp as ISO string (null when unparseable)
+ */
+function _normalizeMark(mark) {
+  const time = mark.timestamp ? Date.parse(mark.timestamp) : NaN;
+  return { id: mark.id === undefined || mark.id === null ? null : String(mark.id), timestamp: Number.isNaN(time) ? null : new Date(time).toISOString() };
+}
+
+/**
+ * Order two checkpoint marks: by timestamp, then by id
+ */
+function _compareMarks(a, b) {
+  if (a.timestamp && b.timestamp && Date.parse(a.timestamp) !== Date.parse(b.timestamp)) {
+    return Date.parse(a.timestamp) - Date.parse(b.timestamp);
+  }
+  if (a.id !== null && b.id !== null) {
+    return _compareIds(a.id, b.id);
+  }
+  return a.timestamp && !b.timestamp ? 1 : 0;
+}
+
+/**
+ * Compare ids numerically when both are numbers, as strings otherwise
+ */
+function _compareIds(a, b) {
+  const numeric = /^\d+$/;
+  if (numeric.test(String(a)) && numeric.test(String(b))) {
+    return Number(a) - Number(b);
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Throw an AggregateError when each of `total` sources failed
+ *
+ * Partial failures are only logged: the sources that worked keep the
+ * check healthy.
+ */
+function throwIfAllFailed(errors, total, what) {
+  if (total > 0 && errors.length === total) {
+    throw new AggregateError(errors, `All ${total} ${what} failed: ${errors[0].message}`);
+  }
+}
+
 module.exports = { BaseMonitor };
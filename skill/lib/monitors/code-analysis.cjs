@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+
+/**
+ * Workspace Code Analysis
+ *
+ * Token-based clone detection and per-function cyclomatic complexity for
+ * the JavaScript sources of installed skills
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('../utils/js-tokenizer.cjs');
+
+// `(` after these keywords opens a condition, not a function's parameters
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'function', 'return', 'typeof', 'await']);
+
+// Each of these adds one independent path through a function
+const BRANCH_KEYWORDS = new Set(['if', 'for', 'while', 'case', 'catch']);
+const BRANCH_OPERATORS = new Set(['&&', '||', '??', '?', '&&=', '||=', '??=']);
+
+// Rolling hash base for clone windows
+const HASH_BASE = 1000003;
+
+class CodeAnalyzer {
+  constructor(options = {}) {
+    const { logger, ...limits } = options;
+
+    this.logger = logger;
+    this.options = {
+      // Smallest clone reported
+      minTokens: 50,
+      minLines: 5,
+      // Also match copies that only rename identifiers or change literals
+      normalizeIdentifiers: false,
+      maxComplexity: 15,
+      maxFunctionLines: 100,
+      extensions: ['.js', '.cjs', '.mjs'],
+      ignore: ['node_modules', '.git', 'dist', 'build', 'coverage', 'vendor'],
+      maxFileBytes: 256 * 1024,
+      maxFiles: 2000,
+      ...limits,
+    };
+  }
+
+  /**
+   * JavaScript source files under a directory (minified and huge files skipped)
+   */
+  listFiles(root) {
+    const files = [];
+    const { extensions, ignore, maxFileBytes, maxFiles } = this.options;
+
+    const walk = (dir) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        this.logger?.debug('Cannot read directory', { dir, error: error.message });
+        return;
+      }
+
+      for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (files.length >= maxFiles) {
+          return;
+        }
+
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!ignore.includes(entry.name) && !entry.name.startsWith('.')) {
+            walk(fullPath);
+          }
+        } else if (entry.isFile()
+          && extensions.includes(path.extname(entry.name))
+          && !entry.name.includes('.min.')
+          && fs.statSync(fullPath).size <= maxFileBytes) {
+          files.push(fullPath);
+        }
+      }
+    };
+
+    walk(root);
+    return files;
+  }
+
+  /**
+   * Analyze every source file under the given directories
+   *
+   * Paths in the report are relative to `base`. Returns the duplicated
+   * blocks and the functions over the complexity or length limits.
+   */
+  analyze(dirs, base = process.cwd()) {
+    const sources = [];
+
+    for (const dir of [dirs].flat()) {
+      for (const file of this.listFiles(dir)) {
+        try {
+          sources.push({ file: path.relative(base, file), tokens: tokenize(fs.readFileSync(file, 'utf8')) });
+        } catch (error) {
+          this.logger?.warn('Failed to analyze file', { file, error: error.message });
+        }
+      }
+    }
+
+    const hotspots = [];
+    for (const source of sources) {
+      for (const fn of findFunctions(source.tokens)) {
+        const reasons = [];
+        if (fn.complexity > this.options.maxComplexity) {
+          reasons.push(`cyclomatic complexity ${fn.complexity} > ${this.options.maxComplexity}`);
+        }
+        if (fn.lines > this.options.maxFunctionLines) {
+          reasons.push(`${fn.lines} lines > ${this.options.maxFunctionLines}`);
+        }
+        if (reasons.length > 0) {
+          hotspots.push({ file: source.file, ...fn, reasons });
+        }
+      }
+    }
+
+    return {
+      base,
+      files: sources.length,
+      tokens: sources.reduce((sum, source) => sum + source.tokens.length, 0),
+      clones: findClones(sources, this.options),
+      hotspots: hotspots.sort((a, b) => b.complexity - a.complexity || b.lines - a.lines),
+    };
+  }
+}
+
+/**
+ * Find duplicated token sequences across (and within) files
+ *
+ * Sources are `{ file, tokens }`. Every window of `minTokens` tokens is
+ * hashed; a window seen before is verified and extended as far as the
+ * copies match. Returns `{ fingerprint, tokens, lines, locations }` with
+ * each location `{ file, startLine, endLine }`, largest first.
+ */
+function findClones(sources, options = {}) {
+  const minTokens = options.minTokens || 50;
+  const minLines = options.minLines || 1;
+  const key = options.normalizeIdentifiers ? _normalizedKey : token => token.value;
+
+  // Token keys as small integers for hashing and comparison
+  const ids = new Map();
+  const sequences = sources.map(source => Int32Array.from(source.tokens, token => {
+    const value = key(token);
+    if (!ids.has(value)) ids.set(value, ids.size + 1);
+    return ids.get(value);
+  }));
+
+  let highPower = 1;
+  for (let k = 1; k < minTokens; k++) {
+    highPower = Math.imul(highPower, HASH_BASE);
+  }
+
+  const seen = new Map();
+  const clones = new Map();
+
+  sequences.forEach((sequence, fi) => {
+    const hashes = _windowHashes(sequence, minTokens, highPower);
+
+    for (let i = 0; i < hashes.length; i++) {
+      const prior = seen.get(hashes[i]);
+
+      if (!prior) {
+        seen.set(hashes[i], { fi, i });
+        continue;
+      }
+
+      const other = sequences[prior.fi];
+      const sameFile = prior.fi === fi;
+      if ((sameFile && prior.i + minTokens > i) || !_equalRange(other, prior.i, sequence, i, minTokens)) {
+        continue;
+      }
+
+      // Extend the match, keeping copies in one file from overlapping
+      let length = minTokens;
+      while (i + length < sequence.length
+        && other[prior.i + length] === sequence[i + length]
+        && !(sameFile && prior.i + length >= i)) {
+        length++;
+      }
+
+      const first = _location(sources[prior.fi], prior.i, length);
+      const copy = _location(sources[fi], i, length);
+
+      if (copy.endLine - copy.startLine + 1 >= minLines) {
+        const cloneKey = `${prior.fi}:${prior.i}:${length}`;
+        if (!clones.has(cloneKey)) {
+          const text = sources[prior.fi].tokens.slice(prior.i, prior.i + length).map(key).join(' ');
+          clones.set(cloneKey, {
+            fingerprint: crypto.createHash('sha1').update(text).digest('hex').slice(0, 16),
+            tokens: length,
+            lines: first.endLine - first.startLine + 1,
+            locations: [first],
+          });
+        }
+        clones.get(cloneKey).locations.push(copy);
+      }
+
+      // Windows inside the copy belong to this clone
+      i += length - 1;
+    }
+  });
+
+  return [...clones.values()].sort((a, b) => b.tokens - a.tokens);
+}
+
+/**
+ * Functions in a token stream with their cyclomatic complexity
+ *
+ * Recognizes function declarations and expressions, arrow functions with
+ * block bodies, and class/object methods. Complexity is 1 plus branches
+ * (if, loops, case, catch, &&, ||, ??, ?:) not inside nested functions.
+ */
+function findFunctions(tokens) {
+  const pairs = _matchBrackets(tokens);
+  const functions = [];
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'punctuator' || token.value !== '{' || pairs[index] === undefined) {
+      return;
+    }
+
+    const header = _functionHeader(tokens, pairs, index);
+    if (header) {
+      functions.push({ ...header, start: index, end: pairs[index] });
+    }
+  });
+
+  const byStart = new Map(functions.map(fn => [fn.start, fn]));
+
+  return functions.map(fn => {
+    let complexity = 1;
+
+    for (let i = fn.start + 1; i < fn.end; i++) {
+      const nested = byStart.get(i);
+      if (nested) {
+        i = nested.end;
+        continue;
+      }
+
+      const token = tokens[i];
+      if ((token.type === 'keyword' && BRANCH_KEYWORDS.has(token.value))
+        || (token.type === 'punctuator' && BRANCH_OPERATORS.has(token.value))) {
+        complexity++;
+      }
+    }
+
+    const endLine = tokens[fn.end].line;
+    return {
+      name: fn.name,
+      line: fn.line,
+      endLine,
+      lines: endLine - fn.line + 1,
+      complexity,
+    };
+  });
+}
+
+/**
+ * Name and first line of the function whose body opens at `index`, or null
+ */
+function _functionHeader(tokens, pairs, index) {
+  const previous = tokens[index - 1];
+  if (!previous) {
+    return null;
+  }
+
+  // Arrow function: `(a, b) => {` or `a => {`
+  if (previous.value === '=>') {
+    let before = index - 3;
+    if (tokens[index - 2]?.value === ')') {
+      before = pairs[index - 2] - 1;
+    }
+    if (tokens[before]?.value === 'async') {
+      before--;
+    }
+    return { name: _assignedName(tokens, before), line: tokens[before + 1].line };
+  }
+
+  if (previous.value !== ')' || pairs[index - 1] === undefined) {
+    return null;
+  }
+
+  const open = pairs[index - 1];
+  const callee = tokens[open - 1];
+  if (!callee) {
+    return null;
+  }
+
+  // function name(...) { / function* name(...) {
+  if (tokens[open - 2]?.value === 'function' || (tokens[open - 2]?.value === '*' && tokens[open - 3]?.value === 'function')) {
+    return { name: callee.value, line: callee.line };
+  }
+
+  // Anonymous function expression: `x = function (...) {`
+  if (callee.value === 'function' || (callee.value === '*' && tokens[open - 2]?.value === 'function')) {
+    const keyword = callee.value === 'function' ? open - 1 : open - 2;
+    const before = tokens[keyword - 1]?.value === 'async' ? keyword - 2 : keyword - 1;
+    return { name: _assignedName(tokens, before), line: tokens[keyword].line };
+  }
+
+  // Method: `name(...) {`, `async name(...) {`, `[computed](...) {`
+  if (callee.type === 'identifier' || (callee.type === 'keyword' && !CONTROL_KEYWORDS.has(callee.value))) {
+    if (tokens[open - 2]?.value === '.') {
+      return null;
+    }
+    return { name: callee.value, line: callee.line };
+  }
+  if (callee.value === ']' && pairs[open - 1] !== undefined) {
+    return { name: '[computed]', line: tokens[pairs[open - 1]].line };
+  }
+
+  return null;
+}
+
+/**
+ * Name a function expression takes from `name =` / `name:` before it
+ */
+function _assignedName(tokens, before) {
+  const operator = tokens[before];
+  const target = tokens[before - 1];
+
+  if (operator && target && (operator.value === '=' || operator.value === ':')
+    && ['identifier', 'keyword', 'string'].includes(target.type)) {
+    return target.value.replace(/^['"]|['"]$/g, '');
+  }
+  return '(anonymous)';
+}
+
+/**
+ * Index of the matching bracket for every (, [ and { (and back)
+ */
+function _matchBrackets(tokens) {
+  const pairs = [];
+  const stack = [];
+  const closers = { ')': '(', ']': '[', '}': '{' };
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'punctuator') {
+      return;
+    }
+    if (token.value === '(' || token.value === '[' || token.value === '{') {
+      stack.push(index);
+    } else if (closers[token.value]) {
+      // Skip unbalanced closers rather than mismatching everything after
+      if (stack.length === 0 || tokens[stack[stack.length - 1]].value !== closers[token.value]) {
+        return;
+      }
+      const open = stack.pop();
+      pairs[open] = index;
+      pairs[index] = open;
+    }
+  });
+
+  return pairs;
+}
+
+/**
+ * Token key ignoring identifier names and literal values
+ */
+function _normalizedKey(token) {
+  switch (token.type) {
+    case 'identifier': return '$id';
+    case 'string':
+    case 'template': return '$str';
+    case 'number': return '$num';
+    case 'regex': return '$re';
+    default: return token.value;
+  }
+}
+
+/**
+ * Polynomial hash of every window of `size` tokens
+ */
+function _windowHashes(sequence, size, highPower) {
+  const count = Math.max(0, sequence.length - size + 1);
+  const hashes = new Uint32Array(count);
+  if (count === 0) {
+    return hashes;
+  }
+
+  let hash = 0;
+  for (let k = 0; k < size; k++) {
+    hash = (Math.imul(hash, HASH_BASE) + sequence[k]) >>> 0;
+  }
+  hashes[0] = hash;
+
+  for (let i = 1; i < count; i++) {
+    hash = (hash - Math.imul(sequence[i - 1], highPower)) >>> 0;
+    hash = (Math.imul(hash, HASH_BASE) + sequence[i + size - 1]) >>> 0;
+    hashes[i] = hash;
+  }
+
+  return hashes;
+}
+
+/**
+ * Whether two token ranges are identical
+ */
+function _equalRange(a, i, b, j, length) {
+  for (let k = 0; k < length; k++) {
+    if (a[i + k] !== b[j + k]) return false;
+  }
+  return true;
+}
+
+/**
+ * File and line range covered by a token range
+ */
+function _location(source, start, length) {
+  return {
+    file: source.file,
+    startLine: source.tokens[start].line,
+    endLine: source.tokens[start + length - 1].endLine,
+  };
+}
+
+module.exports = {
+  CodeAnalyzer,
+  findClones,
+  findFunctions,
+};
+
+if (require.main === module) {
+  const dir = process.argv[2] || path.join(__dirname, '..');
+  const report = new CodeAnalyzer().analyze(dir, dir);
+
+  console.log(`${report.files} files, ${report.tokens} tokens`);
+  for (const clone of report.clones.slice(0, 10)) {
+    console.log(`Clone (${clone.tokens} tokens): ${clone.locations.map(l => `${l.file}:${l.startLine}-${l.endLine}`).join(', ')}`);
+  }
+  for (const fn of report.hotspots.slice(0, 10)) {
+    console.log(`${fn.file}:${fn.line} ${fn.name}: ${fn.reasons.join(', ')}`);
+  }
+}
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Feed Parser
+ *
+ * Parses RSS 2.0, Atom 1.0 and RDF (RSS 1.0) documents and normalizes
+ * their entries into knowledge items
+ */
+
+const Parser = require('rss-parser');
+
+class FeedParser {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.parser = new Parser({
+      customFields: options.customFields || {},
+    });
+  }
+
+  /**
+   * Parse feed XML into normalized entries
+   *
+   * `feed` is the underlying parser output, for callers that asked for
+   * custom fields.
+   */
+  async parse(xml) {
+    const format = this.detectFormat(xml);
+    if (!format) {
+      throw new Error('Unrecognized feed format');
+    }
+
+    const feed = await this.parser.parseString(xml);
+    const entries = (feed.items || [])
+      .map(item => this.normalizeEntry(item))
+      .filter(entry => entry.title);
+
+    return {
+      format,
+      title: feed.title || null,
+      link: feed.link || null,
+      entries,
+      feed,
+    };
+  }
+
+  /**
+   * Detect feed format from the document root
+   */
+  detectFormat(xml) {
+    const head = String(xml || '').slice(0, 2048);
+
+    if (/<feed[\s>]/.test(head)) {
+      return 'atom';
+    }
+    if (/<rdf:RDF[\s>]/.test(head)) {
+      return 'rdf';
+    }
+    if (/<rss[\s>]/.test(head)) {
+      return 'rss';
+    }
+    return null;
+  }
+
+  /**
+   * Normalize a parsed feed item
+   */
+  normalizeEntry(item) {
+    const url = item.link || item['rdf:about'] || (this._isURL(item.guid) ? item.guid : null);
+    const content = item['content:encodedSnippet'] ||
+      item.contentSnippet ||
+      stripHTML(item.summary || item.content || '');
+
+    return {
+      title: collapseWhitespace(stripHTML(item.title || '')),
+      content: collapseWhitespace(content),
+      url: url || null,
+      published_at: item.isoDate || null,
+      author: item.creator || item.author || null,
+      guid: item.guid || item.id || item['rdf:about'] || url || null,
+    };
+  }
+
+  _isURL(value) {
+    return typeof value === 'string' && /^https?:\/\//.test(value);
+  }
+}
+
+/**
+ * Strip HTML tags and decode the most common entities
+ */
+function stripHTML(html) {
+  return String(html)
+    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+function collapseWhitespace(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { FeedParser, stripHTML };
+
+if (require.main === module) {
+  const fs = require('fs');
+  const file = process.argv[2];
+
+  if (!file) {
+    console.log('Usage: node feed-parser.cjs <feed.xml>');
+    process.exit(1);
+  }
+
+  new FeedParser().parse(fs.readFileSync(file, 'utf8')).then(feed => {
+    console.log(JSON.stringify(feed, null, 2));
+  }).catch(err => {
+    console.error('Error:', err.message);
+  });
+}
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Hacker News API Client
+ *
+ * Reads story lists, items and comments from the Hacker News Firebase API
+ * (or any server exposing the same /v0 JSON layout)
+ */
+
+const { HttpClient } = require('../utils/http.cjs');
+const { extractText } = require('../utils/html.cjs');
+
+const STORY_LISTS = ['top', 'new', 'best', 'ask', 'show', 'job'];
+
+class HackerNewsClient {
+  constructor(options = {}) {
+    this.apiUrl = (options.apiUrl || 'https://hacker-news.firebaseio.com/v0').replace(/\/$/, '');
+    this.webUrl = (options.webUrl || 'https://news.ycombinator.com').replace(/\/$/, '');
+    this.logger = options.logger;
+    this.http = options.http || new HttpClient({ logger: this.logger });
+    // Items are fetched one request each: keep a few in flight
+    this.concurrency = options.concurrency || 8;
+  }
+
+  /**
+   * Story ids of a list (top, new, best, ask, show, job), ranked
+   */
+  async getStoryIds(list) {
+    if (!STORY_LISTS.includes(list)) {
+      throw new Error(`Unknown Hacker News list "${list}" (known: ${STORY_LISTS.join(', ')})`);
+    }
+
+    const ids = await this.http.fetchJSON(`${this.apiUrl}/${list}stories.json`, { cache: false });
+    return Array.isArray(ids) ? ids : [];
+  }
+
+  /**
+   * One item (story, comment, job, poll), null when missing
+   */
+  async getItem(id) {
+    return this.http.fetchJSON(`${this.apiUrl}/item/${id}.json`, { cache: false });
+  }
+
+  /**
+   * Several items, `concurrency` requests at a time, in input order
+   *
+   * Items that fail to load are logged and left out.
+   */
+  async getItems(ids) {
+    const items = new Array(ids.length).fill(null);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < ids.length) {
+        const index = next++;
+        try {
+          items[index] = await this.getItem(ids[index]);
+        } catch (error) {
+          this.logger?.warn('Failed to fetch Hacker News item', { id: ids[index], error: error.message });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, ids.length) }, worker));
+    return items.filter(Boolean);
+  }
+
+  /**
+   * First live top-level comments of a story, as plain text
+   */
+  async getTopComments(story, limit = 3) {
+    const comments = [];
+
+    // Kids are ranked; skip deleted/dead ones without fetching the whole thread
+    for (let start = 0; comments.length < limit && start < (story.kids || []).length; start += limit) {
+      const items = await this.getItems(story.kids.slice(start, start + limit));
+      for (const item of items) {
+        if (comments.length < limit && item.type === 'comment' && !item.deleted && !item.dead && item.text) {
+          comments.push({ id: item.id, by: item.by, text: extractText(item.text) });
+        }
+      }
+    }
+
+    return comments;
+  }
+
+  /**
+   * Common story shape
+   */
+  normalizeStory(item) {
+    const discussionUrl = `${this.webUrl}/item?id=${item.id}`;
+
+    return {
+      id: item.id,
+      title: item.title ? extractText(item.title) : '',
+      url: item.url || discussionUrl,
+      discussion_url: discussionUrl,
+      text: item.text ? extractText(item.text) : '',
+      by: item.by || null,
+      score: item.score || 0,
+      comments: item.descendants || 0,
+      type: item.type,
+      published_at: item.time ? new Date(item.time * 1000).toISOString() : null,
+    };
+  }
+}
+
+module.exports = {
+  STORY_LISTS,
+  HackerNewsClient,
+};
+
+if (require.main === module) {
+  const client = new HackerNewsClient({ logger: console, apiUrl: process.argv[2] });
+
+  client.getStoryIds('top')
+    .then(ids => client.getItems(ids.slice(0, 10)))
+    .then(items => {
+      for (const story of items.map(item => client.normalizeStory(item))) {
+        console.log(`${story.score}\t${story.comments}\t${story.title}`);
+      }
+    })
+    .catch(err => {
+      console.error('Error:', err.message);
+    });
+}
@@ -8,6 +8,7 @@
  */
 
 const { BaseMonitor } = require('./base.cjs');
+const { ArxivClient } = require('./arxiv.cjs');
 
 class AIMonitor extends BaseMonitor {
   constructor(options = {}) {
@@ -28,8 +29,40 @@ class AIMonitor extends BaseMonitor {
         'anthropicai',
         'googledeepmind',
       ],
-      arxiv: 'https://arxiv.org/list/cs.AI/recent',
+      ...options.sources,
     };
+
+    this.arxivOptions = {
+      apiUrl: 'https://export.arxiv.org/api/query',
+      categories: ['cs.AI', 'cs.CL', 'cs.LG'],
+      keywords: [],
+      authors: [],
+      lookbackDays: 3,
+      pageSize: 50,
+      maxResults: 200,
+      ...this.config?.monitors?.ai?.arxiv,
+    };
+
+    this.sources.arxiv = this.arxivOptions.apiUrl;
+
+    this.arxiv = options.arxiv || new ArxivClient({
+      apiUrl: this.arxivOptions.apiUrl,
+      delay: this.arxivOptions.delay,
+      logger: this.logger,
+      http: this.http,
+    });
+  }
+
+  /**
+   * One check per source, scheduled independently
+   */
+  getChecks() {
+    return [
+      this.check('rss', () => this._checkRSSFeeds()),
+      this.check('twitter', () => this._checkTwitter()),
+      this.check('arxiv', () => this._checkArxiv()),
+      this.check('api-changes', () => this._checkAPIChanges()),
+    ];
   }
 
   /**
@@ -39,17 +72,7 @@ class AIMonitor extends BaseMonitor {
     this.logger.debug('Polling AI/LLM frontier');
 
     try {
-      // Check RSS feeds
-      await this._checkRSSFeeds();
-
-      // Check Twitter/X (would need API)
-      await this._checkTwitter();
-
-      // Check arXiv
-      await this._checkArxiv();
-
-      // Check model API changelogs
-      await this._checkAPIChanges();
+      await this.runChecks();
     } catch (error) {
       this.logger.error('Poll failed', { error: error.message });
       throw error;
@@ -62,16 +85,10 @@ class AIMonitor extends BaseMonitor {
   async _checkRSSFeeds() {
     this.logger.debug('Checking RSS feeds');
 
-    // Placeholder - would parse RSS with rss-parser
-    const content = {
-      title: 'GPT-5 Preview: Major Performance Improvements',
-      content: 'OpenAI announces preview of GPT-5 with 2x faster inference',
-      url: 'https://openai.com/blog/gpt-5-preview',
+    await this.ingestFeeds(this.sources.rss, {
       type: 'blog',
       risk_level: 'MEDIUM',
-    };
-
-    await this.processContent(content);
+    });
   }
 
   /**
@@ -94,20 +111,48 @@ class AIMonitor extends BaseMonitor {
 
   /**
    * Check arXiv preprints
+   *
+   * Queries submissions since the checkpoint (with a day of overlap, since
+   * papers are announced some time after submission).
    */
   async _checkArxiv() {
     this.logger.debug('Checking arXiv');
 
-    // Placeholder - would parse arXiv RSS
-    const content = {
-      title: 'New Paper: Efficient Transformer Architectures',
-      content: 'Researchers propose new efficient attention mechanism',
-      url: 'https://arxiv.org/abs/2402.12345',
-      type: 'paper',
-      risk_level: 'LOW',
-    };
+    const startedAt = new Date();
+    const checkpoint = this.getCheckpoint('arxiv');
+    const since = checkpoint
+      ? new Date(Date.parse(checkpoint.last_timestamp) - (checkpoint.backfill ? 0 : 86400000))
+      : new Date(startedAt.getTime() - this.arxivOptions.lookbackDays * 86400000);
+
+    const papers = await this.arxiv.fetchRecent({
+      categories: this.arxivOptions.categories,
+      keywords: this.arxivOptions.keywords,
+      authors: this.arxivOptions.authors,
+      since,
+      until: startedAt,
+    }, {
+      pageSize: this.arxivOptions.pageSize,
+      maxResults: this.arxivOptions.maxResults,
+    });
 
-    await this.processContent(content);
+    for (const paper of papers) {
+      await this.processContent({
+        title: paper.title,
+        content: paper.abstract,
+        url: paper.url,
+        guid: `arxiv:${paper.arxiv_id}`,
+        type: 'paper',
+        risk_level: 'LOW',
+        published_at: paper.published_at,
+        arxiv_id: paper.arxiv_id,
+        authors: paper.authors,
+        pdf_url: paper.pdf_url,
+        primary_category: paper.primary_category,
+        categories: paper.categories,
+      });
+    }
+
+    this.advanceCheckpoint('arxiv', [{ timestamp: startedAt.toISOString() }]);
   }
 
   /**
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Feed Monitor
+ *
+ * Generic monitor for any list of RSS/Atom/RDF feeds, declared entirely
+ * in configuration (internal blogs, changelogs, team feeds).
+ */
+
+const { BaseMonitor } = require('./base.cjs');
+
+class FeedMonitor extends BaseMonitor {
+  constructor(options = {}) {
+    super({
+      name: 'feeds',
+      interval: options.interval || 600000, // 10 minutes
+      ...options,
+    });
+
+    // Accepts a list of URLs or a map of label → URL
+    const sources = options.sources || [];
+    this.sources = Array.isArray(sources) ? { feeds: sources } : { ...sources };
+
+    this.defaults = {
+      type: 'blog',
+      risk_level: 'LOW',
+      ...options.defaults,
+    };
+  }
+
+  /**
+   * Poll for new content
+   */
+  async poll() {
+    this.logger.debug(`Polling ${this.name} feeds`);
+
+    const urls = Object.values(this.sources).flat();
+    await this.ingestFeeds(urls, this.defaults);
+  }
+}
+
+module.exports = { FeedMonitor };
+
+if (require.main === module) {
+  const monitor = new FeedMonitor({
+    logger: console,
+    sources: process.argv.slice(2),
+  });
+  monitor.on('discovered', item => console.log('Discovered:', item.title));
+  monitor.poll().then(() => {
+    console.log('Poll complete');
+  }).catch(err => {
+    console.error('Poll failed:', err);
+  });
+}
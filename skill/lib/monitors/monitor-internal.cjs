@@ -3,11 +3,13 @@
 /**
  * Internal Improvement Monitor
  *
- * Analyzes MEMORY.md access patterns, detects duplicate code,
-  identifies performance bottlenecks, learns user habits.
+ * Analyzes MEMORY.md and skill usage from session logs, detects duplicate
+ * code and overly complex functions in installed skills.
  */
 
 const { BaseMonitor } = require('./base.cjs');
+const { CodeAnalyzer } = require('./code-analysis.cjs');
+const { DAY_MS, SessionLogReader, analyzeUsage } = require('./session-logs.cjs');
 const fs = require('fs');
 const path = require('path');
 
@@ -20,7 +22,46 @@ class InternalMonitor extends BaseMonitor {
     });
 
     this.workspacePath = options.workspacePath ||
+      this.config?.paths?.workspace ||
       path.join(process.env.HOME || '/root', '.openclaw/workspace');
+
+    // Static analysis of installed skills (see CodeAnalyzer for the limits)
+    this.codeOptions = {
+      skillDirs: [
+        path.join(this.workspacePath, 'skills'),
+        path.join(this.workspacePath, '../openclaw/skills'),
+      ],
+      maxFindings: 20,
+      ...this.config?.monitors?.internal?.code,
+      ...options.code,
+    };
+    const { skillDirs, maxFindings, ...limits } = this.codeOptions;
+    this.codeAnalyzer = options.codeAnalyzer || new CodeAnalyzer({ logger: this.logger, ...limits });
+
+    // Usage analysis of session transcripts
+    this.usageOptions = {
+      logDirs: [path.join(this.workspacePath, '../agents')],
+      memoryFile: path.join(this.workspacePath, 'MEMORY.md'),
+      windowDays: 30,
+      // Less history than this is not conclusive
+      minSessions: 5,
+      hotSectionReads: 20,
+      minInvocations: 10,
+      maxFailureRate: 0.2,
+      ...this.config?.monitors?.internal?.usage,
+      ...options.usage,
+    };
+    this.sessionLogs = new SessionLogReader({ dirs: this.usageOptions.logDirs, logger: this.logger });
+  }
+
+  /**
+   * Session usage and code analysis, scheduled independently
+   */
+  getChecks() {
+    return [
+      this.check('usage', () => this._checkUsage()),
+      this.check('code', () => this._checkCode()),
+    ];
   }
 
   /**
@@ -30,10 +71,7 @@ class InternalMonitor extends BaseMonitor {
     this.logger.debug('Analyzing internal improvements');
 
     try {
-      await this._analyzeMemoryAccess();
-      await this._detectDuplicateCode();
-      await this._identifyBottlenecks();
-      await this._learnUserHabits();
+      await this.runChecks();
     } catch (error) {
       this.logger.error('Poll failed', { error: error.message });
       throw error;
@@ -41,93 +79,378 @@ class InternalMonitor extends BaseMonitor {
   }
 
   /**
-   * Analyze MEMORY.md access patterns
+   * Memory and skill usage from the session logs
+   */
+  async _checkUsage() {
+    const usage = this._analyzeUsage();
+    await this._analyzeMemoryAccess(usage);
+    await this._learnUserHabits(usage);
+  }
+
+  /**
+   * Duplicated code and complex functions in the workspace skills
+   */
+  async _checkCode() {
+    const analysis = this._analyzeSkills();
+    await this._detectDuplicateCode(analysis);
+    await this._identifyBottlenecks(analysis);
+  }
+
+  /**
+   * Count MEMORY.md and skill usage in the session logs of the window
+   */
+  _analyzeUsage() {
+    const since = Date.now() - this.usageOptions.windowDays * DAY_MS;
+    const memoryFile = this.usageOptions.memoryFile;
+    const content = fs.existsSync(memoryFile) ? fs.readFileSync(memoryFile, 'utf8') : '';
+
+    const usage = analyzeUsage(this.sessionLogs.readSessions(since), {
+      memory: { file: memoryFile, content },
+      skills: this._scanSkills().map(skill => skill.name),
+    });
+
+    this.logger.debug('Session usage analyzed', {
+      sessions: usage.sessions,
+      tool_calls: usage.tool_calls,
+      sections: usage.memory.sections.length,
+      skills: usage.skills.length,
+    });
+
+    return usage;
+  }
+
+  /**
+   * Report MEMORY.md sections that are never used or read constantly
    */
-  async _analyzeMemoryAccess() {
+  async _analyzeMemoryAccess(usage) {
     this.logger.debug('Analyzing memory access patterns');
 
-    // Placeholder - would analyze access logs
-    const content = {
-      title: 'Memory Access Pattern: Frequently Queried Topics',
-      content: 'Users frequently access skill development best practices',
-      url: 'MEMORY.md',
-      type: 'pattern',
-      risk_level: 'LOW',
-    };
+    const { windowDays, hotSectionReads } = this.usageOptions;
+    if (!this._enoughHistory(usage)) {
+      return;
+    }
+
+    const sections = usage.memory.sections;
+    // A read of the whole file may have used any section: none counts as unused
+    const ignored = usage.memory.full_reads > 0
+      ? []
+      : sections.filter(section => section.reads + section.edits === 0);
+    const contains = (outer, inner) => outer !== inner && outer.level < inner.level
+      && outer.startLine <= inner.startLine && outer.endLine >= inner.endLine;
+
+    for (const section of sections) {
+      // An unused section inside an unused section is reported with its parent
+      const parentIgnored = ignored.some(other => contains(other, section));
+      // Reads of subsections also count for their parents: only leaves are "hot"
+      const isLeaf = !sections.some(other => contains(section, other));
+
+      let status = null;
+      let title = null;
+      if (ignored.includes(section) && !parentIgnored) {
+        status = 'ignored';
+        title = `MEMORY.md section "${section.title}" never read in ${windowDays} days`;
+      } else if (isLeaf && section.reads >= hotSectionReads) {
+        status = 'hot';
+        title = `MEMORY.md section "${section.title}" read ${section.reads} times in ${windowDays} days`;
+      }
 
-    await this.processContent(content);
+      const counts = {
+        reads: section.reads,
+        edits: section.edits,
+        sessions: section.sessions,
+        total_sessions: usage.sessions,
+        full_file_reads: usage.memory.full_reads,
+        window_days: windowDays,
+        last_access_at: section.last_access_at,
+      };
+
+      await this._reportUsage(`memory-section:${section.title}`, status, status && {
+        title,
+        content: [
+          status === 'ignored'
+            ? `No session in the last ${windowDays} days read or edited lines ${section.startLine}-${section.endLine}; consider pruning or merging it.`
+            : `Read in ${section.sessions} of ${usage.sessions} sessions; consider moving it near the top or into a skill.`,
+          _formatCounts(counts),
+        ].join('\n'),
+        url: `file://${this.usageOptions.memoryFile}#L${section.startLine}-L${section.endLine}`,
+        type: 'pattern',
+        risk_level: 'LOW',
+        section: section.title,
+        counts,
+      });
+    }
   }
 
   /**
-   * Detect duplicate code
+   * Report skills that fail often, go unused, and the most used skills
    */
-  async _detectDuplicateCode() {
-    this.logger.debug('Detecting duplicate code');
+  async _learnUserHabits(usage) {
+    this.logger.debug('Learning user habits');
 
-    // Placeholder - would use code similarity analysis
-    const content = {
-      title: 'Code Duplication Found: Error Handling Pattern',
-      content: 'Similar try-catch blocks in multiple skills',
-      url: 'skills/',
-      type: 'duplication',
-      risk_level: 'MEDIUM',
-    };
+    const { windowDays, minInvocations, maxFailureRate } = this.usageOptions;
+    if (!this._enoughHistory(usage)) {
+      return;
+    }
 
-    await this.processContent(content);
+    for (const skill of usage.skills) {
+      const counts = {
+        invocations: skill.invocations,
+        failures: skill.failures,
+        failure_rate: Number(skill.failure_rate.toFixed(3)),
+        loads: skill.loads,
+        sessions: skill.sessions,
+        total_sessions: usage.sessions,
+        window_days: windowDays,
+        last_used_at: skill.last_used_at,
+      };
+      const percent = Math.round(skill.failure_rate * 100);
+
+      if (skill.invocations >= minInvocations && skill.failure_rate >= maxFailureRate) {
+        // Re-reported when the failure rate moves to another 10% band
+        await this._reportUsage(`skill:${skill.name}`, `failing:${Math.floor(percent / 10)}`, {
+          title: `Skill "${skill.name}" invoked ${skill.invocations} times but fails ${percent}%`,
+          content: [
+            `${skill.failures} of ${skill.invocations} runs in the last ${windowDays} days returned an error.`,
+            _formatCounts(counts),
+          ].join('\n'),
+          url: `skills/${skill.name}`,
+          type: 'reliability',
+          risk_level: skill.failure_rate >= 0.5 ? 'HIGH' : 'MEDIUM',
+          skill: skill.name,
+          counts,
+        });
+      } else if (skill.sessions === 0) {
+        await this._reportUsage(`skill:${skill.name}`, 'unused', {
+          title: `Skill "${skill.name}" not used in ${windowDays} days`,
+          content: [
+            `No session loaded or ran it in the last ${windowDays} days; consider uninstalling it.`,
+            _formatCounts(counts),
+          ].join('\n'),
+          url: `skills/${skill.name}`,
+          type: 'pattern',
+          risk_level: 'LOW',
+          skill: skill.name,
+          counts,
+        });
+      } else {
+        await this._reportUsage(`skill:${skill.name}`, null);
+      }
+    }
+
+    const top = usage.skills.filter(skill => skill.sessions > 0).slice(0, 5);
+    if (top.length > 0) {
+      await this._reportUsage('habits', top.map(skill => skill.name).join(','), {
+        title: `Most used skills: ${top.map(skill => skill.name).join(', ')}`,
+        content: [
+          `Over ${usage.sessions} sessions in the last ${windowDays} days:`,
+          ...top.map(skill => `- ${skill.name}: ${skill.invocations} runs, ${skill.loads} loads, ${skill.sessions} sessions`),
+          `Top tools: ${Object.entries(usage.tools).slice(0, 5).map(([tool, count]) => `${tool} (${count})`).join(', ')}`,
+        ].join('\n'),
+        url: 'skills/',
+        type: 'preference',
+        risk_level: 'LOW',
+        counts: {
+          skills: Object.fromEntries(top.map(skill => [skill.name, skill.invocations + skill.loads])),
+          tools: usage.tools,
+          total_sessions: usage.sessions,
+          window_days: windowDays,
+        },
+      });
+    }
   }
 
   /**
-   * Identify performance bottlenecks
+   * Whether the logs hold enough sessions to draw conclusions
    */
-  async _identifyBottlenecks() {
-    this.logger.debug('Identifying performance bottlenecks');
-
-    // Placeholder - would analyze performance metrics
-    const content = {
-      title: 'Performance Issue: Slow SQL Query in knowledge table',
-      content: 'Query takes 2s, needs index optimization',
-      url: 'lib/storage/sql-store.cjs',
-      type: 'performance',
-      risk_level: 'MEDIUM',
-    };
+  _enoughHistory(usage) {
+    if (usage.sessions < this.usageOptions.minSessions) {
+      this.logger.debug('Not enough session history', { sessions: usage.sessions });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Emit a usage finding when its status changes
+   *
+   * `status` null means the condition no longer holds; the finding is
+   * reported again (as an update) if it comes back.
+   */
+  async _reportUsage(key, status, item = null) {
+    const stateKey = `usage:${key}`;
+    const previous = this.storage?.getMonitorState(this.name, stateKey) ?? null;
+
+    if (status === null) {
+      if (previous !== null) {
+        this.storage?.setMonitorState(this.name, stateKey, 'resolved');
+      }
+      return;
+    }
+    if (previous === status) {
+      return;
+    }
 
-    await this.processContent(content);
+    await this.processContent({ ...item, guid: stateKey }, { refresh: previous !== null });
+    this.storage?.setMonitorState(this.name, stateKey, status);
   }
 
   /**
-   * Learn user habits
+   * Tokenize and analyze the JavaScript of every installed skill
    */
-  async _learnUserHabits() {
-    this.logger.debug('Learning user habits');
+  _analyzeSkills() {
+    const skills = this._scanSkills();
+    if (skills.length === 0) {
+      this.logger.debug('No skills to analyze');
+      return { base: this.workspacePath, files: 0, tokens: 0, clones: [], hotspots: [] };
+    }
 
-    // Placeholder - would analyze interaction patterns
-    const content = {
-      title: 'User Preference: Concise Responses',
-      content: 'User prefers brief, direct answers over verbose explanations',
-      url: 'memory/',
-      type: 'preference',
-      risk_level: 'LOW',
-    };
+    const dirs = skills.map(skill => skill.dir);
+    const analysis = this.codeAnalyzer.analyze(dirs, _commonDir(dirs.map(dir => path.dirname(dir))));
+    this.logger.debug('Skills analyzed', {
+      skills: skills.length,
+      files: analysis.files,
+      clones: analysis.clones.length,
+      hotspots: analysis.hotspots.length,
+    });
 
-    await this.processContent(content);
+    return analysis;
   }
 
   /**
-   * Scan skills directory for patterns
+   * Report duplicated code blocks (clone detection)
    */
-  _scanSkills() {
-    const skillsDir = path.join(this.workspacePath, '../openclaw/skills');
+  async _detectDuplicateCode(analysis) {
+    this.logger.debug('Detecting duplicate code');
+
+    for (const clone of analysis.clones.slice(0, this.codeOptions.maxFindings)) {
+      const [first] = clone.locations;
+      const places = clone.locations.map(_formatLocation);
+      const files = [...new Set(clone.locations.map(location => location.file))].sort();
+
+      await this.processContent({
+        title: `Duplicate code: ${clone.lines} lines in ${clone.locations.length} places (${places[0]})`,
+        content: [
+          `${clone.tokens} identical tokens repeated at:`,
+          ...places.map(place => `- ${place}`),
+          '',
+          'Extract the shared block into one function or module.',
+          '',
+          this._snippet(analysis.base, first),
+        ].join('\n'),
+        url: _fileUrl(analysis.base, first),
+        // Same copies of the same code: stable while surrounding lines move
+        guid: `code-clone:${clone.fingerprint}:${files.join(',')}`,
+        type: 'duplication',
+        risk_level: 'MEDIUM',
+        locations: clone.locations,
+        tokens: clone.tokens,
+      });
+    }
+  }
+
+  /**
+   * Report large or complex functions (cyclomatic complexity)
+   */
+  async _identifyBottlenecks(analysis) {
+    this.logger.debug('Identifying complex functions');
+
+    const limit = this.codeAnalyzer.options.maxComplexity;
 
-    if (!fs.existsSync(skillsDir)) {
-      return [];
+    for (const fn of analysis.hotspots.slice(0, this.codeOptions.maxFindings)) {
+      const location = { file: fn.file, startLine: fn.line, endLine: fn.endLine };
+
+      await this.processContent({
+        title: `Complex function: ${fn.name} in ${_formatLocation(location)}`,
+        content: [
+          `${fn.name}() has cyclomatic complexity ${fn.complexity} over ${fn.lines} lines.`,
+          `Over limits: ${fn.reasons.join('; ')}.`,
+          'Split it into smaller functions or simplify its branching.',
+        ].join('\n'),
+        url: _fileUrl(analysis.base, location),
+        // A new finding when the function's complexity changes
+        guid: `code-complexity:${fn.file}:${fn.name}:${fn.line}:${fn.complexity}`,
+        type: 'complexity',
+        risk_level: fn.complexity > limit * 2 ? 'MEDIUM' : 'LOW',
+        file: fn.file,
+        function: fn.name,
+        start_line: fn.line,
+        end_line: fn.endLine,
+        complexity: fn.complexity,
+        lines: fn.lines,
+      });
     }
+  }
+
+  /**
+   * Installed skill directories
+   */
+  _scanSkills() {
+    const skills = [];
 
-    const skills = fs.readdirSync(skillsDir, { withFileTypes: true })
-      .filter(dirent => dirent.isDirectory())
-      .map(dirent => dirent.name);
+    for (const skillsDir of this.codeOptions.skillDirs) {
+      if (!fs.existsSync(skillsDir)) {
+        continue;
+      }
+
+      for (const dirent of fs.readdirSync(skillsDir, { withFileTypes: true })) {
+        if (dirent.isDirectory() && !dirent.name.startsWith('.')) {
+          skills.push({ name: dirent.name, dir: path.join(skillsDir, dirent.name) });
+        }
+      }
+    }
 
     return skills;
   }
+
+  /**
+   * First lines of a code location
+   */
+  _snippet(base, location, maxLines = 12) {
+    try {
+      const lines = fs.readFileSync(path.join(base, location.file), 'utf8').split('\n');
+      const end = Math.min(location.endLine, location.startLine + maxLines - 1);
+      return lines.slice(location.startLine - 1, end).join('\n');
+    } catch {
+      return '';
+    }
+  }
+}
+
+/**
+ * `key=value` summary of usage counts
+ */
+function _formatCounts(counts) {
+  return `Counts: ${Object.entries(counts).map(([key, value]) => `${key}=${value ?? 'never'}`).join(', ')}`;
+}
+
+/**
+ * `file:line-line` label of a code location
+ */
+function _formatLocation(location) {
+  return `${location.file}:${location.startLine}-${location.endLine}`;
+}
+
+/**
+ * file:// URL of a code location with a line anchor
+ */
+function _fileUrl(base, location) {
+  return `file://${path.join(base, location.file)}#L${location.startLine}-L${location.endLine}`;
+}
+
+/**
+ * Deepest directory containing all of the given directories
+ */
+function _commonDir(dirs) {
+  const [first, ...rest] = dirs.map(dir => path.resolve(dir).split(path.sep));
+  let length = first.length;
+
+  for (const parts of rest) {
+    let i = 0;
+    while (i < length && parts[i] === first[i]) i++;
+    length = i;
+  }
+
+  return first.slice(0, length).join(path.sep) || path.sep;
 }
 
 module.exports = { InternalMonitor };
@@ -7,7 +7,12 @@
  * and dependency updates.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { BaseMonitor } = require('./base.cjs');
+const { GitHubAPI } = require('../executor/github-api.cjs');
+const { NpmRegistry, collectDependencies } = require('./npm-registry.cjs');
 
 class OpenClawMonitor extends BaseMonitor {
   constructor(options = {}) {
@@ -17,11 +22,74 @@ class OpenClawMonitor extends BaseMonitor {
       ...options,
     });
 
+    const repo = this.config?.github?.repo || 'alijiujiu123/openclaw';
+
     this.sources = {
       docs: 'https://docs.openclaw.ai',
       skills: 'https://clawhub.com',
-      github: 'https://github.com/alijiujiu123/openclaw',
+      github: `https://github.com/${repo}`,
+      ...options.sources,
+    };
+
+    // Watched pages (see WebPageWatcher for the rule format)
+    this.pageOptions = {
+      docs: [{
+        id: 'docs-whats-new',
+        title: 'OpenClaw docs: What\'s new',
+        url: `${this.sources.docs}/whats-new`,
+        selector: 'main, article',
+        exclude: ['nav', 'footer', 'time', '.last-updated'],
+      }],
+      skills: [{
+        id: 'clawhub-skills',
+        title: 'ClawHub skills',
+        url: `${this.sources.skills}/skills`,
+        selector: 'main',
+        exclude: ['nav', 'footer', '.ad', '[data-ad]', 'time'],
+        ignore: ['\\d+ (downloads|installs|stars)'],
+      }],
+      ...this.config?.monitors?.openclaw?.pages,
+    };
+
+    this.githubOptions = {
+      lookbackDays: 30,
+      maxPages: 10,
+      ...this.config?.monitors?.openclaw?.github,
+    };
+
+    // Shares token and repo with the executor's GitHub integration
+    this.github = options.github || new GitHubAPI({
+      token: this.config?.github?.token,
+      repo,
+      baseUrl: this.config?.github?.apiUrl,
+      logger: this.logger,
+      http: this.http,
+    });
+
+    this.dependencyOptions = {
+      registry: 'https://registry.npmjs.org',
+      packageFiles: [],
+      scanWorkspace: false,
+      ...this.config?.monitors?.openclaw?.dependencies,
     };
+
+    this.registry = options.registry || new NpmRegistry({
+      registry: this.dependencyOptions.registry,
+      logger: this.logger,
+      http: this.http,
+    });
+  }
+
+  /**
+   * One check per source, scheduled independently
+   */
+  getChecks() {
+    return [
+      this.check('docs', () => this._checkDocsUpdates()),
+      this.check('skills', () => this._checkNewSkills()),
+      this.check('github', () => this._checkGitHubActivity()),
+      this.check('dependencies', () => this._checkDependencyUpdates()),
+    ];
   }
 
   /**
@@ -31,17 +99,7 @@ class OpenClawMonitor extends BaseMonitor {
     this.logger.debug('Polling OpenClaw ecosystem');
 
     try {
-      // Check docs updates
-      await this._checkDocsUpdates();
-
-      // Check new skills
-      await this._checkNewSkills();
-
-      // Check GitHub activity
-      await this._checkGitHubActivity();
-
-      // Check dependency updates
-      await this._checkDependencyUpdates();
+      await this.runChecks();
     } catch (error) {
       this.logger.error('Poll failed', { error: error.message });
       throw error;
@@ -54,17 +112,10 @@ class OpenClawMonitor extends BaseMonitor {
   async _checkDocsUpdates() {
     this.logger.debug('Checking docs updates');
 
-    // Placeholder - would fetch RSS or scrape docs
-    // For now, simulate discovery
-    const content = {
-      title: 'OpenClaw Documentation Update',
-      content: 'New documentation pages added',
-      url: 'https://docs.openclaw.ai/whats-new',
+    await this.watchPages(this.pageOptions.docs, {
       type: 'documentation',
       risk_level: 'LOW',
-    };
-
-    await this.processContent(content);
+    });
   }
 
   /**
@@ -73,55 +124,335 @@ class OpenClawMonitor extends BaseMonitor {
   async _checkNewSkills() {
     this.logger.debug('Checking new skills');
 
-    // Placeholder - would fetch from ClawHub API
-    const content = {
-      title: 'New Skill: example-skill',
-      content: 'A new example skill has been published',
-      url: 'https://clawhub.com/skills/example-skill',
+    await this.watchPages(this.pageOptions.skills, {
       type: 'skill-release',
       risk_level: 'LOW',
-    };
-
-    await this.processContent(content);
+    });
   }
 
   /**
-   * Check GitHub issues and discussions
+   * Check GitHub issues, pull requests, discussions and releases
+   *
+   * Emits one item per entity that is new or changed materially (title,
+   * state or labels) since it was last seen.
    */
   async _checkGitHubActivity() {
     this.logger.debug('Checking GitHub activity');
 
-    // Placeholder - would use GitHub API
-    const content = {
-      title: 'GitHub Issue #123: Feature Request',
-      content: 'User requested new feature for skill management',
-      url: 'https://github.com/alijiujiu123/openclaw/issues/123',
-      type: 'issue',
-      risk_level: 'MEDIUM',
+    const startedAt = new Date().toISOString();
+    const since = this.getCheckpoint('github')?.last_timestamp ||
+      new Date(Date.now() - this.githubOptions.lookbackDays * 86400000).toISOString();
+    const query = { since, maxPages: this.githubOptions.maxPages };
+
+    const [issues, discussions, releases] = await Promise.all([
+      this.github.listIssues(query),
+      this.github.listDiscussions(query),
+      this.github.listReleases(query),
+    ]);
+
+    const entities = [
+      ...issues.map(issue => this._issueEntity(issue)),
+      ...discussions.map(discussion => this._discussionEntity(discussion)),
+      ...releases.map(release => this._releaseEntity(release)),
+    ];
+
+    let emitted = 0;
+    for (const entity of entities) {
+      const stateKey = `github:${entity.key}`;
+      const previous = this.storage?.getMonitorState(this.name, stateKey) ?? null;
+
+      if (previous === entity.fingerprint) {
+        continue;
+      }
+
+      await this.processContent(entity.item, { refresh: previous !== null });
+      this.storage?.setMonitorState(this.name, stateKey, entity.fingerprint);
+      emitted++;
+    }
+
+    // Issues are fetched oldest-first: if paging stopped early, resume from the last one
+    const truncated = issues.length >= this.githubOptions.maxPages * 100;
+    const cursor = truncated ? issues[issues.length - 1].updated_at : startedAt;
+    this.advanceCheckpoint('github', [{ timestamp: cursor }]);
+
+    this.logger.debug('GitHub activity checked', {
+      since,
+      entities: entities.length,
+      emitted,
+    });
+  }
+
+  /**
+   * Map a REST issue or pull request to a knowledge item
+   */
+  _issueEntity(issue) {
+    const isPR = !!issue.pull_request;
+    const kind = isPR ? 'pull_request' : 'issue';
+    const labels = (issue.labels || []).map(label => typeof label === 'string' ? label : label.name);
+    const merged = isPR && !!issue.pull_request.merged_at;
+    const state = merged ? 'merged' : issue.state;
+
+    return this._entity(kind, issue.number, {
+      title: `${isPR ? 'PR' : 'Issue'} #${issue.number}: ${issue.title}`,
+      url: issue.html_url,
+      body: issue.body,
+      state,
+      labels,
+      author: issue.user?.login || null,
+      reactions: issue.reactions?.total_count || 0,
+      comments: issue.comments || 0,
+      updated_at: issue.updated_at,
+    });
+  }
+
+  /**
+   * Map a GraphQL discussion to a knowledge item
+   */
+  _discussionEntity(discussion) {
+    const state = discussion.closed ? 'closed' : (discussion.isAnswered ? 'answered' : 'open');
+
+    return this._entity('discussion', discussion.number, {
+      title: `Discussion #${discussion.number}: ${discussion.title}`,
+      url: discussion.url,
+      body: discussion.body,
+      state,
+      labels: [
+        ...(discussion.category ? [discussion.category.name] : []),
+        ...(discussion.labels?.nodes || []).map(label => label.name),
+      ],
+      author: discussion.author?.login || null,
+      reactions: discussion.reactions?.totalCount || 0,
+      comments: discussion.comments?.totalCount || 0,
+      updated_at: discussion.updatedAt,
+    });
+  }
+
+  /**
+   * Map a REST release to a knowledge item
+   */
+  _releaseEntity(release) {
+    const state = release.draft ? 'draft' : (release.prerelease ? 'prerelease' : 'published');
+
+    return this._entity('release', release.id, {
+      title: `Release ${release.name || release.tag_name}`,
+      url: release.html_url,
+      body: release.body,
+      state,
+      labels: [release.tag_name],
+      author: release.author?.login || null,
+      reactions: release.reactions?.total_count || 0,
+      comments: 0,
+      updated_at: release.published_at || release.created_at,
+    });
+  }
+
+  /**
+   * Build the knowledge item and change fingerprint for a GitHub entity
+   */
+  _entity(kind, id, data) {
+    const repo = this.github.repo;
+    const labels = [...new Set(data.labels.filter(Boolean))].sort();
+    const fingerprint = crypto.createHash('sha1')
+      .update(JSON.stringify({ title: data.title, state: data.state, labels }))
+      .digest('hex');
+
+    const summary = [
+      `State: ${data.state}`,
+      `Author: ${data.author || 'unknown'}`,
+      `Labels: ${labels.join(', ') || 'none'}`,
+      `Reactions: ${data.reactions}`,
+      `Comments: ${data.comments}`,
+    ].join(' | ');
+
+    return {
+      key: `${kind}:${id}`,
+      fingerprint,
+      item: {
+        title: data.title,
+        content: `${summary}\n\n${(data.body || '').slice(0, 2000)}`.trim(),
+        url: data.url,
+        guid: `github:${repo}:${kind}:${id}`,
+        type: kind,
+        risk_level: this._githubRisk(kind, labels),
+        published_at: data.updated_at,
+        author: data.author,
+        labels,
+        state: data.state,
+        reactions: data.reactions,
+        comments: data.comments,
+      },
     };
+  }
+
+  /**
+   * Initial risk from entity kind and labels
+   */
+  _githubRisk(kind, labels) {
+    const names = labels.map(label => label.toLowerCase());
 
-    await this.processContent(content);
+    if (names.some(name => name.includes('security') || name.includes('vulnerab'))) {
+      return 'HIGH';
+    }
+    if (kind === 'release' || names.some(name => name.includes('bug') || name.includes('breaking'))) {
+      return 'MEDIUM';
+    }
+    return 'LOW';
   }
 
   /**
    * Check dependency updates
+   *
+   * Emits one item per dependency with a new major or minor release (or a
+   * deprecated current version), once per latest version. Throws when
+   * every dependency check failed.
    */
   async _checkDependencyUpdates() {
     this.logger.debug('Checking dependency updates');
 
-    // Placeholder - would check npm, GitHub releases
-    const content = {
-      title: 'Node.js v22.11.0 Released',
-      content: 'New LTS version with performance improvements',
-      url: 'https://nodejs.org/en/blog/release/v22.11.0',
+    const dependencies = collectDependencies(this._packageFiles());
+    const errors = [];
+
+    for (const dependency of dependencies) {
+      try {
+        const update = await this.registry.checkUpdate(dependency.name, dependency.current);
+        if (!update) {
+          continue;
+        }
+
+        const significant = ['major', 'minor'].includes(update.diff);
+        if (!significant && !update.current_deprecated) {
+          continue;
+        }
+
+        const stateKey = `npm:${dependency.name}`;
+        if (this.storage?.getMonitorState(this.name, stateKey) === update.latest) {
+          continue;
+        }
+
+        const changelog = await this._changelogExcerpt(dependency.name, update.latest);
+        await this.processContent(this._dependencyItem(dependency, update, changelog));
+        this.storage?.setMonitorState(this.name, stateKey, update.latest);
+      } catch (error) {
+        errors.push(error);
+        this.logger.warn('Dependency check failed', {
+          dependency: dependency.name,
+          error: error.message,
+        });
+      }
+    }
+
+    if (dependencies.length > 0 && errors.length === dependencies.length) {
+      throw new AggregateError(errors, `All ${errors.length} dependency checks failed: ${errors[0].message}`);
+    }
+  }
+
+  /**
+   * package.json files to watch: configured files plus the workspace's own
+   */
+  _packageFiles() {
+    const files = [...this.dependencyOptions.packageFiles];
+
+    const workspace = this.config?.paths?.workspace;
+    if (this.dependencyOptions.scanWorkspace && workspace && fs.existsSync(workspace)) {
+      files.push(...findPackageFiles(workspace, 3));
+    }
+
+    return [...new Set(files.map(file => path.resolve(file)))];
+  }
+
+  /**
+   * Build the knowledge item for a dependency update
+   */
+  _dependencyItem(dependency, update, changelog) {
+    const lines = [
+      `${dependency.name}: ${update.current} → ${update.latest} (${update.diff || 'deprecated'})`,
+      `Declared range: ${dependency.range}`,
+      `Used in: ${dependency.files.join(', ')}`,
+    ];
+
+    if (update.current_deprecated) {
+      lines.push(`Current version deprecated: ${update.current_deprecated}`);
+    }
+    if (update.latest_deprecated) {
+      lines.push(`Latest version deprecated: ${update.latest_deprecated}`);
+    }
+    if (changelog) {
+      lines.push('', 'Changelog:', changelog);
+    }
+
+    let riskLevel = update.diff === 'major' ? 'MEDIUM' : 'LOW';
+    if (update.current_deprecated) {
+      riskLevel = 'HIGH';
+    }
+
+    return {
+      title: `Dependency update: ${dependency.name} ${update.latest} (${update.diff || 'deprecated'})`,
+      content: lines.join('\n'),
+      url: `https://www.npmjs.com/package/${dependency.name}/v/${update.latest}`,
+      guid: `npm:${dependency.name}@${update.latest}`,
       type: 'dependency',
-      risk_level: 'MEDIUM',
+      risk_level: riskLevel,
+      package: dependency.name,
+      current_version: update.current,
+      latest_version: update.latest,
+      semver_diff: update.diff,
+      deprecated: !!update.current_deprecated,
+      latest_deprecated: !!update.latest_deprecated,
+      changelog,
     };
+  }
+
+  /**
+   * Release notes of a version, when the package lives on GitHub
+   */
+  async _changelogExcerpt(name, version) {
+    try {
+      const manifest = await this.registry.getManifest(name, version);
+      const repository = typeof manifest.repository === 'string'
+        ? manifest.repository
+        : manifest.repository?.url;
+      const match = (repository || '').match(/github\.com[/:]([^/]+\/[^/#]+?)(?:\.git)?(?:[/#].*)?$/);
+
+      if (!match) {
+        return null;
+      }
 
-    await this.processContent(content);
+      const release = await this.github.getReleaseByTag(`v${version}`, match[1]) ||
+        await this.github.getReleaseByTag(version, match[1]);
+
+      return release?.body ? release.body.trim().slice(0, 1000) : null;
+    } catch (error) {
+      this.logger.debug('No changelog found', { name, version, error: error.message });
+      return null;
+    }
   }
 }
 
+/**
+ * Find package.json files below a directory (skipping node_modules)
+ */
+function findPackageFiles(dir, depth) {
+  const files = [];
+  let entries;
+
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return files;
+  }
+
+  for (const entry of entries) {
+    if (entry.isFile() && entry.name === 'package.json') {
+      files.push(path.join(dir, entry.name));
+    } else if (entry.isDirectory() && depth > 0 &&
+      entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+      files.push(...findPackageFiles(path.join(dir, entry.name), depth - 1));
+    }
+  }
+
+  return files;
+}
+
 module.exports = { OpenClawMonitor };
 
 if (require.main === module) {
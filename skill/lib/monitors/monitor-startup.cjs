@@ -7,6 +7,7 @@
  */
 
 const { BaseMonitor } = require('./base.cjs');
+const { HackerNewsClient } = require('./hacker-news.cjs');
 
 class StartupMonitor extends BaseMonitor {
   constructor(options = {}) {
@@ -18,10 +19,46 @@ class StartupMonitor extends BaseMonitor {
 
     this.sources = {
       techcrunch: 'https://techcrunch.com/feed/',
-      hn: 'https://news.ycombinator.com/rss',
       producthunt: 'https://www.producthunt.com/feed',
       yc: 'https://www.ycombinator.com/blog/feed/',
+      ...options.sources,
     };
+
+    this.hnOptions = {
+      apiUrl: 'https://hacker-news.firebaseio.com/v0',
+      lists: ['top', 'new', 'best'],
+      // Per list, in rank order
+      maxStories: 100,
+      minScore: 100,
+      minComments: 50,
+      // Keyword sets (name → keywords, or one list); matches are kept at any score
+      keywords: {},
+      // Items are re-emitted when their score crosses into a higher tier
+      scoreTiers: [100, 300, 1000],
+      topComments: 3,
+      ...this.config?.monitors?.startup?.hackerNews,
+    };
+
+    this.hnOptions.scoreTiers = [...this.hnOptions.scoreTiers].sort((a, b) => a - b);
+    this.sources.hn = this.hnOptions.apiUrl;
+
+    this.hackerNews = options.hackerNews || new HackerNewsClient({
+      apiUrl: this.hnOptions.apiUrl,
+      logger: this.logger,
+      http: this.http,
+    });
+  }
+
+  /**
+   * One check per source, scheduled independently
+   */
+  getChecks() {
+    return [
+      this.check('techcrunch', () => this._checkTechCrunch()),
+      this.check('hacker-news', () => this._checkHackerNews()),
+      this.check('product-hunt', () => this._checkProductHunt()),
+      this.check('yc', () => this._checkYC()),
+    ];
   }
 
   /**
@@ -31,10 +68,7 @@ class StartupMonitor extends BaseMonitor {
     this.logger.debug('Polling startup trends');
 
     try {
-      await this._checkTechCrunch();
-      await this._checkHackerNews();
-      await this._checkProductHunt();
-      await this._checkYC();
+      await this.runChecks();
     } catch (error) {
       this.logger.error('Poll failed', { error: error.message });
       throw error;
@@ -47,32 +81,131 @@ class StartupMonitor extends BaseMonitor {
   async _checkTechCrunch() {
     this.logger.debug('Checking TechCrunch');
 
-    const content = {
-      title: 'AI Startup Raises $100M for Developer Tools',
-      content: 'New platform aims to revolutionize coding with AI',
-      url: 'https://techcrunch.com/2025/02/03/ai-startup-funding',
+    await this.ingestFeeds([this.sources.techcrunch], {
       type: 'news',
       risk_level: 'LOW',
-    };
-
-    await this.processContent(content);
+    });
   }
 
   /**
    * Check Hacker News
+   *
+   * Walks the configured story lists and keeps stories over the score or
+   * comment thresholds, or matching a keyword set. A kept story is reported
+   * once, then again each time its score reaches a higher tier. The "new"
+   * list only yields stories posted after the newest one already seen.
+   * Throws when no list or none of the stories could be fetched.
    */
   async _checkHackerNews() {
     this.logger.debug('Checking Hacker News');
 
-    const content = {
-      title: 'Show HN: Open Source AI Coding Assistant',
-      content: 'Community-built alternative to proprietary tools',
-      url: 'https://news.ycombinator.com/item?id=123456',
+    const { lists, maxStories, topComments } = this.hnOptions;
+
+    const checkpoint = this.getCheckpoint('hacker-news:new');
+    const ids = new Set();
+    let newIds = [];
+    const errors = [];
+    for (const list of lists) {
+      try {
+        let listIds = (await this.hackerNews.getStoryIds(list)).slice(0, maxStories);
+        if (list === 'new') {
+          listIds = newIds = listIds.filter(id => this.afterCheckpoint(checkpoint, { id }));
+        }
+        listIds.forEach(id => ids.add(id));
+      } catch (error) {
+        errors.push(error);
+        this.logger.warn('Failed to fetch Hacker News list', { list, error: error.message });
+      }
+    }
+
+    if (lists.length > 0 && errors.length === lists.length) {
+      throw new AggregateError(errors, `All ${lists.length} Hacker News lists failed: ${errors[0].message}`);
+    }
+
+    const items = await this.hackerNews.getItems([...ids]);
+    if (ids.size > 0 && items.length === 0) {
+      throw new Error(`None of ${ids.size} Hacker News items could be fetched`);
+    }
+
+    const stories = items
+      .filter(item => item.type === 'story' && !item.deleted && !item.dead)
+      .map(item => ({ item, story: this.hackerNews.normalizeStory(item) }));
+
+    for (const { item, story } of stories) {
+      const keywordSets = this._matchKeywordSets(story);
+      if (story.score < this.hnOptions.minScore && story.comments < this.hnOptions.minComments && keywordSets.length === 0) {
+        continue;
+      }
+
+      const tier = this._scoreTier(story.score);
+      const stateKey = `hn:${story.id}`;
+      const previous = this.storage?.getMonitorState(this.name, stateKey) ?? null;
+
+      if (previous !== null && tier <= Number(previous)) {
+        continue;
+      }
+
+      const comments = topComments > 0 ? await this.hackerNews.getTopComments(item, topComments) : [];
+
+      await this.processContent(this._storyItem(story, comments, keywordSets, tier), { refresh: previous !== null });
+      this.storage?.setMonitorState(this.name, stateKey, tier);
+    }
+
+    this.advanceCheckpoint('hacker-news:new', newIds.map(id => ({ id })));
+  }
+
+  /**
+   * Knowledge item for a Hacker News story
+   */
+  _storyItem(story, comments, keywordSets, tier) {
+    const threshold = this.hnOptions.scoreTiers[tier];
+
+    return {
+      title: story.title,
+      content: [
+        `${story.score} points, ${story.comments} comments by ${story.by} — ${story.discussion_url}`,
+        ...(threshold ? [`Score passed ${threshold} points.`] : []),
+        ...(keywordSets.length > 0 ? [`Matches: ${keywordSets.join(', ')}`] : []),
+        ...(story.text ? ['', story.text] : []),
+        ...(comments.length > 0 ? ['', 'Top comments:', ...comments.map(comment => `- ${comment.by}: ${comment.text.replace(/\n+/g, ' ')}`)] : []),
+      ].join('\n'),
+      url: story.url,
+      guid: `hn:${story.id}`,
       type: 'discussion',
       risk_level: 'LOW',
+      published_at: story.published_at,
+      hn_id: story.id,
+      discussion_url: story.discussion_url,
+      score: story.score,
+      comment_count: story.comments,
+      score_tier: threshold || null,
+      keyword_sets: keywordSets,
+      top_comments: comments,
     };
+  }
 
-    await this.processContent(content);
+  /**
+   * Names of the keyword sets a story's title or text matches
+   */
+  _matchKeywordSets(story) {
+    const keywords = this.hnOptions.keywords || {};
+    const sets = Array.isArray(keywords) ? { keywords } : keywords;
+    const text = `${story.title}\n${story.text}`;
+
+    return Object.entries(sets)
+      .filter(([, words]) => words.some(word => _wordPattern(word).test(text)))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Index of the highest score tier reached (-1 below the first)
+   */
+  _scoreTier(score) {
+    let tier = -1;
+    this.hnOptions.scoreTiers.forEach((threshold, index) => {
+      if (score >= threshold) tier = index;
+    });
+    return tier;
   }
 
   /**
@@ -81,15 +214,10 @@ class StartupMonitor extends BaseMonitor {
   async _checkProductHunt() {
     this.logger.debug('Checking Product Hunt');
 
-    const content = {
-      title: 'Product of the Day: AI Code Reviewer',
-      content: 'Automated PR reviews with LLM analysis',
-      url: 'https://www.producthunt.com/posts/ai-code-reviewer',
+    await this.ingestFeeds([this.sources.producthunt], {
       type: 'product',
       risk_level: 'LOW',
-    };
-
-    await this.processContent(content);
+    });
   }
 
   /**
@@ -98,16 +226,19 @@ class StartupMonitor extends BaseMonitor {
   async _checkYC() {
     this.logger.debug('Checking YC blog');
 
-    const content = {
-      title: 'YC W25 Batch Applications Open',
-      content: 'New batch focusing on AI infrastructure',
-      url: 'https://www.ycombinator.com/blog/w25-apps',
+    await this.ingestFeeds([this.sources.yc], {
       type: 'announcement',
       risk_level: 'LOW',
-    };
-
-    await this.processContent(content);
+    });
   }
 }
 
+/**
+ * Case-insensitive whole-word pattern for a keyword
+ */
+function _wordPattern(word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\w])${escaped}($|[^\\w])`, 'i');
+}
+
 module.exports = { StartupMonitor };
@@ -7,6 +7,8 @@
  */
 
 const { BaseMonitor } = require('./base.cjs');
+const { AdvisoryFeed, SEVERITY_RANK, matchAdvisory } = require('./advisories.cjs');
+const { readLockTree } = require('./npm-registry.cjs');
 
 class TechMonitor extends BaseMonitor {
   constructor(options = {}) {
@@ -16,12 +18,38 @@ class TechMonitor extends BaseMonitor {
       ...options,
     });
 
+    this.securityOptions = {
+      sources: [],
+      lockFiles: [],
+      minSeverity: 'HIGH',
+      ...this.config?.monitors?.tech?.security,
+    };
+
     this.sources = {
       nodejs: 'https://nodejs.org/en/feed/blog.xml',
       docker: 'https://www.docker.com/blog/category/engineering/feed/',
       github: 'https://github.blog/category/engineering/feed/',
-      security: 'https://nvd.nist.gov/vuln/data-feeds',
+      security: this.securityOptions.sources,
+      ...options.sources,
     };
+
+    this.advisories = options.advisories || new AdvisoryFeed({
+      sources: this.sources.security,
+      logger: this.logger,
+      http: this.http,
+    });
+  }
+
+  /**
+   * One check per source, scheduled independently
+   */
+  getChecks() {
+    return [
+      this.check('nodejs', () => this._checkNodeJS()),
+      this.check('docker', () => this._checkDocker()),
+      this.check('github-actions', () => this._checkGitHubActions()),
+      this.check('security', () => this._checkSecurity()),
+    ];
   }
 
   /**
@@ -31,10 +59,7 @@ class TechMonitor extends BaseMonitor {
     this.logger.debug('Polling tech stack updates');
 
     try {
-      await this._checkNodeJS();
-      await this._checkDocker();
-      await this._checkGitHubActions();
-      await this._checkSecurity();
+      await this.runChecks();
     } catch (error) {
       this.logger.error('Poll failed', { error: error.message });
       throw error;
@@ -47,15 +72,10 @@ class TechMonitor extends BaseMonitor {
   async _checkNodeJS() {
     this.logger.debug('Checking Node.js releases');
 
-    const content = {
-      title: 'Node.js v22.11.0 Released',
-      content: 'Latest LTS version with security patches',
-      url: 'https://nodejs.org/en/blog/release/v22.11.0',
+    await this.ingestFeeds([this.sources.nodejs], {
       type: 'release',
       risk_level: 'MEDIUM',
-    };
-
-    await this.processContent(content);
+    });
   }
 
   /**
@@ -64,15 +84,10 @@ class TechMonitor extends BaseMonitor {
   async _checkDocker() {
     this.logger.debug('Checking Docker updates');
 
-    const content = {
-      title: 'Docker 26.0 Released',
-      content: 'New features: improved BuildKit, security fixes',
-      url: 'https://www.docker.com/blog/docker-26-0',
+    await this.ingestFeeds([this.sources.docker], {
       type: 'release',
       risk_level: 'MEDIUM',
-    };
-
-    await this.processContent(content);
+    });
   }
 
   /**
@@ -81,32 +96,76 @@ class TechMonitor extends BaseMonitor {
   async _checkGitHubActions() {
     this.logger.debug('Checking GitHub Actions');
 
-    const content = {
-      title: 'New GitHub Actions: Self-Hosted Runner Improvements',
-      content: 'Faster startup, better caching',
-      url: 'https://github.blog/changelog/2025-02-03-actions-runner/',
+    await this.ingestFeeds([this.sources.github], {
       type: 'update',
       risk_level: 'LOW',
-    };
-
-    await this.processContent(content);
+    });
   }
 
   /**
    * Check security advisories
+   *
+   * Only advisories that affect a version actually installed (per the
+   * lockfiles) and rate at least `minSeverity` become knowledge items.
    */
   async _checkSecurity() {
     this.logger.debug('Checking security advisories');
 
-    const content = {
-      title: 'CVE-2025-12345: Node.js Vulnerability',
-      content: 'Critical security issue in OpenSSL integration',
-      url: 'https://nvd.nist.gov/vuln/detail/CVE-2025-12345',
+    const installed = this.securityOptions.lockFiles.flatMap(lockFile => readLockTree(lockFile));
+    if (installed.length === 0) {
+      this.logger.debug('No lockfiles to match advisories against');
+      return;
+    }
+
+    const minRank = SEVERITY_RANK[this.securityOptions.minSeverity] ?? SEVERITY_RANK.HIGH;
+    const advisories = await this.advisories.load();
+
+    for (const advisory of advisories) {
+      if ((SEVERITY_RANK[advisory.severity] ?? -1) < minRank) {
+        continue;
+      }
+
+      for (const match of matchAdvisory(advisory, installed)) {
+        await this.processContent(this._advisoryItem(advisory, match));
+      }
+    }
+  }
+
+  /**
+   * Build the knowledge item for an affected package
+   */
+  _advisoryItem(advisory, match) {
+    const lines = [
+      `Severity: ${advisory.severity}${advisory.score !== null ? ` (CVSS ${advisory.score})` : ''}`,
+      `Installed: ${match.name}@${match.version}`,
+      `Vulnerable: ${match.vulnerable_range || 'unknown'}`,
+      `Fixed in: ${match.fixed_in || 'no fix available'}`,
+      `Paths: ${match.paths.join(', ')}`,
+    ];
+
+    if (advisory.aliases.length > 0) {
+      lines.push(`Aliases: ${advisory.aliases.join(', ')}`);
+    }
+    if (advisory.details) {
+      lines.push('', advisory.details.slice(0, 2000));
+    }
+
+    return {
+      title: `${advisory.id}: ${match.name}@${match.version} ${advisory.summary}`.trim(),
+      content: lines.join('\n'),
+      url: advisory.url,
+      guid: `advisory:${advisory.id}:${match.name}@${match.version}`,
       type: 'security',
-      risk_level: 'HIGH',
+      risk_level: advisory.severity,
+      published_at: advisory.published,
+      advisory_id: advisory.id,
+      aliases: advisory.aliases,
+      package: match.name,
+      installed_version: match.version,
+      vulnerable_range: match.vulnerable_range,
+      fixed_in: match.fixed_in,
+      cvss_score: advisory.score,
     };
-
-    await this.processContent(content);
   }
 }
 
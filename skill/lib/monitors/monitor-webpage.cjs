@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Web Page Monitor
+ *
+ * Watches arbitrary HTML pages declared in configuration and reports
+ * meaningful changes to the selected regions as text diffs.
+ */
+
+const { BaseMonitor } = require('./base.cjs');
+
+class WebPageMonitor extends BaseMonitor {
+  constructor(options = {}) {
+    super({
+      name: 'web-pages',
+      interval: options.interval || 3600000, // 1 hour
+      ...options,
+    });
+
+    // Page rules, plus plain URLs given as sources (whole page watched)
+    const sources = options.sources || [];
+    this.sources = Array.isArray(sources) ? { pages: sources } : { ...sources };
+    this.pages = [...(options.pages || []), ...Object.values(this.sources).flat()];
+
+    this.defaults = {
+      type: 'page-update',
+      risk_level: 'LOW',
+      ...options.defaults,
+    };
+  }
+
+  /**
+   * Poll for new content
+   */
+  async poll() {
+    this.logger.debug(`Checking ${this.pages.length} watched pages`);
+
+    await this.watchPages(this.pages, this.defaults);
+  }
+}
+
+module.exports = { WebPageMonitor };
+
+if (require.main === module) {
+  const monitor = new WebPageMonitor({
+    logger: console,
+    pages: [{ url: process.argv[2] || 'https://example.com', selector: process.argv[3] || 'body' }],
+  });
+  monitor.on('discovered', item => console.log(item.title, '\n', item.content));
+  monitor.poll().then(() => {
+    console.log('Poll complete');
+  }).catch(err => {
+    console.error('Poll failed:', err);
+  });
+}
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * npm Registry Client
+ *
+ * Reads package metadata from any npm-registry-compatible endpoint
+ * (registry.npmjs.org, verdaccio, local stubs)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HttpClient } = require('../utils/http.cjs');
+const semver = require('../utils/semver.cjs');
+
+class NpmRegistry {
+  constructor(options = {}) {
+    this.registry = (options.registry || 'https://registry.npmjs.org').replace(/\/$/, '');
+    this.logger = options.logger;
+    this.http = options.http || new HttpClient({ logger: this.logger });
+  }
+
+  /**
+   * Registry URL of a package (scoped names keep their @ and encode the slash)
+   */
+  packageUrl(name) {
+    return `${this.registry}/${name.replace('/', '%2f')}`;
+  }
+
+  /**
+   * Abbreviated packument: dist-tags plus per-version install metadata
+   */
+  async getPackument(name) {
+    return this.http.fetchJSON(this.packageUrl(name), {
+      headers: { 'Accept': 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8' },
+    });
+  }
+
+  /**
+   * Full manifest of a single version (repository, description, deprecation)
+   */
+  async getManifest(name, version) {
+    return this.http.fetchJSON(`${this.packageUrl(name)}/${encodeURIComponent(version)}`);
+  }
+
+  /**
+   * Compare a current version against the registry's latest
+   */
+  async checkUpdate(name, currentVersion) {
+    const packument = await this.getPackument(name);
+    const latest = packument['dist-tags']?.latest;
+
+    if (!latest) {
+      return null;
+    }
+
+    const versions = packument.versions || {};
+
+    return {
+      name,
+      current: currentVersion,
+      latest,
+      diff: semver.diff(currentVersion, latest),
+      current_deprecated: versions[currentVersion]?.deprecated || null,
+      latest_deprecated: versions[latest]?.deprecated || null,
+    };
+  }
+}
+
+/**
+ * Collect registry dependencies declared in package.json files
+ *
+ * Current versions come from an adjacent package-lock.json when present,
+ * otherwise from the lowest version the declared range allows.
+ */
+function collectDependencies(packageFiles) {
+  const dependencies = new Map();
+
+  for (const file of packageFiles) {
+    let pkg;
+    try {
+      pkg = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      continue;
+    }
+
+    const locked = readLockedVersions(path.join(path.dirname(file), 'package-lock.json'));
+    const declared = { ...pkg.devDependencies, ...pkg.dependencies };
+
+    for (const [name, range] of Object.entries(declared)) {
+      const current = locked[name] || semver.minVersion(range);
+      if (!current) {
+        continue;
+      }
+
+      const entry = dependencies.get(name) || { name, range, current, files: [] };
+      // Report against the oldest version in use across the workspace
+      if (semver.compare(current, entry.current) < 0) {
+        entry.current = current;
+        entry.range = range;
+      }
+      entry.files.push(file);
+      dependencies.set(name, entry);
+    }
+  }
+
+  return [...dependencies.values()];
+}
+
+/**
+ * Top-level versions from a package-lock.json (v1, v2 or v3)
+ */
+function readLockedVersions(lockFile) {
+  const versions = {};
+
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+  } catch (error) {
+    return versions;
+  }
+
+  for (const [key, info] of Object.entries(lock.packages || {})) {
+    const match = key.match(/^node_modules\/((?:@[^/]+\/)?[^/]+)$/);
+    if (match && info.version) {
+      versions[match[1]] = info.version;
+    }
+  }
+
+  for (const [name, info] of Object.entries(lock.dependencies || {})) {
+    if (!versions[name] && info.version) {
+      versions[name] = info.version;
+    }
+  }
+
+  return versions;
+}
+
+/**
+ * Every installed package in a package-lock.json, including nested copies
+ *
+ * Returns `[{ name, version, path }]` where `path` is the install location
+ * (lockfile v2/v3) or the dependency chain (v1).
+ */
+function readLockTree(lockFile) {
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+  } catch (error) {
+    return [];
+  }
+
+  const installed = [];
+
+  if (lock.packages) {
+    for (const [key, info] of Object.entries(lock.packages)) {
+      const index = key.lastIndexOf('node_modules/');
+      if (index === -1 || !info.version || info.link) {
+        continue;
+      }
+      installed.push({
+        name: key.slice(index + 'node_modules/'.length),
+        version: info.version,
+        path: key,
+      });
+    }
+    return installed;
+  }
+
+  const walk = (dependencies, chain) => {
+    for (const [name, info] of Object.entries(dependencies || {})) {
+      const location = [...chain, name];
+      if (info.version) {
+        installed.push({ name, version: info.version, path: location.join(' > ') });
+      }
+      walk(info.dependencies, location);
+    }
+  };
+  walk(lock.dependencies, []);
+
+  return installed;
+}
+
+module.exports = { NpmRegistry, collectDependencies, readLockedVersions, readLockTree };
+
+if (require.main === module) {
+  const registry = new NpmRegistry({ registry: process.env.EVOLUTION_NPM_REGISTRY });
+  const deps = collectDependencies([path.join(__dirname, '../../package.json')]);
+
+  Promise.all(deps.map(dep => registry.checkUpdate(dep.name, dep.current))).then(updates => {
+    console.log(JSON.stringify(updates, null, 2));
+  }).catch(err => {
+    console.error('Error:', err.message);
+  });
+}
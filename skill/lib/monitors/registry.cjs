@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+/**
+ * Monitor Registry
+ *
+ * Maps monitor types to classes (built-in and plugin) and instantiates the
+ * monitors declared in configuration
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BaseMonitor } = require('./base.cjs');
+const { parseDuration } = require('../utils/duration.cjs');
+
+// Methods the rest of the system calls on every monitor
+const MONITOR_CONTRACT = ['poll', 'start', 'stop', 'getStatus', 'on', 'removeListener'];
+
+// Monitors created when the config declares no `monitors.instances`
+const LEGACY_MONITORS = [
+  { type: 'openclaw', interval: 'medium' },
+  { type: 'ai', interval: 'medium' },
+  { type: 'tech', interval: 'medium' },
+  { type: 'startup', interval: 'medium' },
+  { type: 'internal', interval: 'slow' },
+];
+
+class MonitorRegistry {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.storage = options.storage;
+    this.config = options.config;
+    // Shared by every created monitor when given
+    this.scheduler = options.scheduler;
+    this.politeness = options.politeness;
+    // Checkpoint rewind (ms) applied to every created monitor
+    this.backfill = options.backfill || null;
+    this.types = new Map();
+
+    // Exposed so plugins can extend it without depending on our file layout
+    this.BaseMonitor = BaseMonitor;
+
+    if (options.builtins !== false) {
+      this.registerBuiltins();
+    }
+  }
+
+  /**
+   * Register a monitor class under a type name
+   */
+  register(type, MonitorClass) {
+    if (typeof MonitorClass !== 'function') {
+      throw new Error(`Monitor type "${type}" must be a class`);
+    }
+
+    const missing = MONITOR_CONTRACT.filter(method => typeof MonitorClass.prototype[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Monitor type "${type}" does not implement: ${missing.join(', ')}`);
+    }
+
+    if (this.types.has(type)) {
+      this.logger?.warn('Overriding monitor type', { type });
+    }
+
+    this.types.set(type, MonitorClass);
+    return this;
+  }
+
+  /**
+   * Register the monitors shipped with the skill
+   */
+  registerBuiltins() {
+    this.register('openclaw', require('./monitor-openclaw.cjs').OpenClawMonitor);
+    this.register('ai', require('./monitor-ai.cjs').AIMonitor);
+    this.register('tech', require('./monitor-tech.cjs').TechMonitor);
+    this.register('startup', require('./monitor-startup.cjs').StartupMonitor);
+    this.register('internal', require('./monitor-internal.cjs').InternalMonitor);
+    this.register('feed', require('./monitor-feed.cjs').FeedMonitor);
+    this.register('webpage', require('./monitor-webpage.cjs').WebPageMonitor);
+    return this;
+  }
+
+  /**
+   * Load plugin monitors from directories, files or npm packages
+   *
+   * A plugin module exports either `monitors` (a map of type → class) or
+   * `register(registry)`, which receives this registry.
+   */
+  loadPlugins(plugins = []) {
+    for (const plugin of plugins) {
+      let files;
+      try {
+        files = this._pluginModules(plugin);
+      } catch (error) {
+        this.logger?.error('Monitor plugin not found', { plugin, error: error.message });
+        continue;
+      }
+
+      // One broken module does not keep the rest of the directory from loading
+      for (const file of files) {
+        try {
+          this._loadPlugin(file);
+        } catch (error) {
+          this.logger?.error('Failed to load monitor plugin', { file, error: error.message });
+        }
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Module paths for a plugin entry (every .cjs/.js file of a directory)
+   */
+  _pluginModules(plugin) {
+    const isPath = plugin.startsWith('.') || path.isAbsolute(plugin);
+    if (!isPath) {
+      return [require.resolve(plugin, { paths: [process.cwd(), path.join(__dirname, '../..')] })];
+    }
+
+    const resolved = path.resolve(plugin);
+    if (fs.statSync(resolved).isDirectory() && !fs.existsSync(path.join(resolved, 'package.json'))) {
+      return fs.readdirSync(resolved)
+        .filter(file => /\.(c?js)$/.test(file))
+        .sort()
+        .map(file => path.join(resolved, file));
+    }
+
+    return [require.resolve(resolved)];
+  }
+
+  /**
+   * Register the monitors exported by one plugin module
+   */
+  _loadPlugin(file) {
+    const plugin = require(file);
+    const before = this.types.size;
+
+    if (typeof plugin.register === 'function') {
+      plugin.register(this);
+    } else if (plugin.monitors && typeof plugin.monitors === 'object') {
+      for (const [type, MonitorClass] of Object.entries(plugin.monitors)) {
+        this.register(type, MonitorClass);
+      }
+    } else {
+      throw new Error(`${file} exports neither "monitors" nor "register"`);
+    }
+
+    this.logger?.info('Monitor plugin loaded', { file, types: this.types.size - before });
+  }
+
+  /**
+   * Monitor declarations from configuration
+   *
+   * `monitors.instances` wins; otherwise the built-in monitors are created
+   * from the per-type `enabled` switches.
+   */
+  instanceSpecs() {
+    const monitors = this.config?.monitors || {};
+
+    if (Array.isArray(monitors.instances)) {
+      return monitors.instances;
+    }
+
+    return LEGACY_MONITORS.map(spec => ({
+      ...spec,
+      enabled: monitors[spec.type]?.enabled !== false,
+    }));
+  }
+
+  /**
+   * Create a monitor from a declaration
+   *
+   * Declarations take `type`, optional `name`, `enabled`, `interval`
+   * (duration, seconds, or fast/medium/slow), `checkIntervals` (the same,
+   * per check), `sources`, `filters`, and `options` overlaid on
+   * `monitors.<type>` for this instance only.
+   */
+  create(spec) {
+    const MonitorClass = this.types.get(spec.type);
+    if (!MonitorClass) {
+      throw new Error(`Unknown monitor type "${spec.type}" (known: ${[...this.types.keys()].join(', ')})`);
+    }
+
+    const { type, name, enabled, interval, checkIntervals, sources, filters, options = {}, ...rest } = spec;
+
+    const config = {
+      ...this.config,
+      monitors: {
+        ...this.config?.monitors,
+        [type]: { ...this.config?.monitors?.[type], ...options },
+      },
+    };
+
+    const monitorOptions = {
+      ...rest,
+      ...options,
+      type,
+      enabled: enabled !== false,
+      logger: this.logger,
+      storage: this.storage,
+      scheduler: this.scheduler,
+      politeness: this.politeness,
+      backfill: this.backfill,
+      config,
+    };
+
+    if (name) monitorOptions.name = name;
+    if (interval !== undefined) monitorOptions.interval = this.resolveInterval(interval);
+    if (checkIntervals) {
+      monitorOptions.checkIntervals = Object.fromEntries(
+        Object.entries(checkIntervals).map(([check, value]) => [check, this.resolveInterval(value)])
+      );
+    }
+    if (sources) monitorOptions.sources = sources;
+    if (filters) monitorOptions.filters = filters;
+
+    return new MonitorClass(monitorOptions);
+  }
+
+  /**
+   * Create every enabled monitor declared in configuration
+   *
+   * Bad declarations are logged and skipped so one typo does not stop the
+   * other monitors. Names must be unique since they key stored state.
+   */
+  createAll() {
+    const monitors = [];
+
+    for (const spec of this.instanceSpecs()) {
+      if (spec.enabled === false) {
+        continue;
+      }
+
+      try {
+        const monitor = this.create(spec);
+
+        if (monitors.some(existing => existing.name === monitor.name)) {
+          throw new Error(`Duplicate monitor name "${monitor.name}", set a unique "name"`);
+        }
+
+        monitors.push(monitor);
+      } catch (error) {
+        this.logger?.error('Failed to create monitor', { type: spec.type, name: spec.name, error: error.message });
+      }
+    }
+
+    return monitors;
+  }
+
+  /**
+   * Interval in milliseconds from a duration, milliseconds, or a named interval
+   */
+  resolveInterval(interval) {
+    const named = this.config?.intervals?.[interval];
+    return parseDuration(named !== undefined ? named : interval);
+  }
+
+  /**
+   * Registered type names
+   */
+  listTypes() {
+    return [...this.types.keys()];
+  }
+}
+
+module.exports = { MonitorRegistry };
+
+if (require.main === module) {
+  const { getConfig } = require('../config.cjs');
+  const registry = new MonitorRegistry({ config: getConfig(), logger: console });
+
+  console.log('Types:', registry.listTypes().join(', '));
+  for (const monitor of registry.createAll()) {
+    console.log(`${monitor.name} (${monitor.type}) every ${monitor.interval}ms`);
+  }
+}
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+
+/**
+ * Monitor Scheduler
+ *
+ * Runs every monitor check on its own timetable from one timer: first runs
+ * are spread over a start window, later runs are jittered, and only a few
+ * checks (never two of the same monitor) run at once
+ */
+
+const { parseDuration } = require('../utils/duration.cjs');
+
+// setTimeout cannot wait longer than this
+const MAX_TIMER_DELAY = 2147483647;
+
+class MonitorScheduler {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    // First runs land at a random point within this window (ms or duration)
+    this.startSpread = parseDuration(options.startSpread ?? 0);
+    // Each interval is stretched or shrunk by up to this fraction
+    this.jitter = options.jitter ?? 0.1;
+    this.concurrency = options.concurrency || 2;
+    this.now = options.now || Date.now;
+    this.random = options.random || Math.random;
+
+    this.jobs = [];
+    this.active = 0;
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Schedule the checks of a monitor
+   */
+  add(monitor) {
+    if (this.jobs.some(job => job.monitor === monitor)) {
+      return this;
+    }
+
+    const now = this.now();
+    for (const check of monitor.getChecks()) {
+      this.jobs.push({
+        monitor,
+        check,
+        nextRunAt: now + Math.round(this.random() * this.startSpread),
+        lastRunAt: null,
+        lastDurationMs: null,
+        lastError: null,
+        runs: 0,
+        failures: 0,
+        running: false,
+      });
+    }
+
+    this._arm();
+    return this;
+  }
+
+  /**
+   * Unschedule a monitor (a check already running finishes)
+   */
+  remove(monitor) {
+    this.jobs = this.jobs.filter(job => job.monitor !== monitor);
+    this._arm();
+    return this;
+  }
+
+  /**
+   * Start running due checks
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this._arm();
+  }
+
+  /**
+   * Stop the timer (running checks finish)
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Schedule of one monitor's checks
+   */
+  describe(monitor) {
+    return this.jobs
+      .filter(job => job.monitor === monitor)
+      .map(job => ({
+        name: job.check.name,
+        interval: job.check.interval,
+        running: job.running,
+        next_run_at: new Date(job.nextRunAt).toISOString(),
+        last_run_at: job.lastRunAt ? new Date(job.lastRunAt).toISOString() : null,
+        last_duration_ms: job.lastDurationMs,
+        last_error: job.lastError,
+        runs: job.runs,
+        failures: job.failures,
+      }));
+  }
+
+  /**
+   * Get status
+   */
+  getStatus() {
+    const pending = this.jobs.filter(job => !job.running);
+    const next = pending.length > 0 ? Math.min(...pending.map(job => job.nextRunAt)) : null;
+
+    return {
+      running: this.running,
+      checks: this.jobs.length,
+      active: this.active,
+      concurrency: this.concurrency,
+      next_run_at: next !== null ? new Date(next).toISOString() : null,
+    };
+  }
+
+  /**
+   * Start due checks, then wait for the next one
+   */
+  _tick() {
+    this.timer = null;
+    if (!this.running) {
+      return;
+    }
+
+    const now = this.now();
+    const due = this.jobs
+      .filter(job => !job.running && job.nextRunAt <= now)
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+
+    for (const job of due) {
+      if (this.active >= this.concurrency) {
+        break;
+      }
+      if (this._canStart(job)) {
+        this._run(job);
+      }
+    }
+
+    this._arm();
+  }
+
+  /**
+   * Run one check and schedule its next run
+   */
+  async _run(job) {
+    job.running = true;
+    this.active++;
+    const startedAt = this.now();
+
+    try {
+      // Checks record failures in their source health instead of throwing
+      const outcome = await job.check.run();
+      if (outcome?.ok === false && !outcome.skipped) {
+        job.failures++;
+        job.lastError = outcome.error?.message || 'failed';
+      } else if (outcome?.ok) {
+        job.lastError = null;
+      }
+    } catch (error) {
+      // Checks outside SourceHealth (plugins) may still throw
+      job.failures++;
+      job.lastError = error.message;
+      this.logger?.warn(`${job.monitor.name}: ${job.check.name} check failed`, { error: error.message });
+    } finally {
+      const finishedAt = this.now();
+      const factor = 1 + this.jitter * (2 * this.random() - 1);
+
+      job.running = false;
+      job.runs++;
+      job.lastRunAt = startedAt;
+      job.lastDurationMs = finishedAt - startedAt;
+      // A check backing off after failures waits until it may run again
+      job.nextRunAt = Math.max(finishedAt + Math.round(job.check.interval * factor), job.check.retryAt?.() || 0);
+      this.active--;
+      this._arm();
+    }
+  }
+
+  /**
+   * Whether a check may start now
+   *
+   * Checks of one monitor share state: they run one at a time.
+   */
+  _canStart(job) {
+    return !job.running && !this.jobs.some(other => other.running && other.monitor === job.monitor);
+  }
+
+  /**
+   * Set the timer for the earliest check that can start
+   *
+   * Checks blocked by a running one are re-armed when it finishes.
+   */
+  _arm() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (!this.running || this.active >= this.concurrency) {
+      return;
+    }
+
+    const pending = this.jobs.filter(job => this._canStart(job));
+    if (pending.length === 0) {
+      return;
+    }
+
+    const next = Math.min(...pending.map(job => job.nextRunAt));
+    const delay = Math.min(MAX_TIMER_DELAY, Math.max(0, next - this.now()));
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+}
+
+module.exports = { MonitorScheduler };
+
+if (require.main === module) {
+  const scheduler = new MonitorScheduler({ logger: console, startSpread: 1000 });
+  const monitor = {
+    name: 'demo',
+    getChecks: () => [
+      { name: 'fast', interval: 500, run: async () => console.log('fast', new Date().toISOString()) },
+      { name: 'slow', interval: 1500, run: async () => console.log('slow', new Date().toISOString()) },
+    ],
+  };
+
+  scheduler.add(monitor);
+  scheduler.start();
+  setTimeout(() => {
+    console.log(scheduler.describe(monitor));
+    scheduler.stop();
+  }, 4000);
+}
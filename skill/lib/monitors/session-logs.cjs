@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+
+/**
+ * Session Log Usage Analysis
+ *
+ * Reads OpenClaw session transcripts (JSONL) and counts how MEMORY.md
+ * sections and skills are read, edited, run and failing
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tool names by what they do (OpenClaw and Claude-style transcripts)
+const READ_TOOLS = new Set(['read', 'read_file', 'memory_get', 'view']);
+const EDIT_TOOLS = new Set(['edit', 'multiedit', 'str_replace', 'apply_patch']);
+const WRITE_TOOLS = new Set(['write', 'write_file', 'create']);
+const RUN_TOOLS = new Set(['exec', 'bash', 'shell', 'process', 'run_command']);
+
+// `skills/<name>` anywhere in a path or command
+const SKILL_PATH_PATTERN = /(?:^|[\s"'`=:/])skills\/([A-Za-z0-9][\w.-]*)(?=[/\s"'`;&|)]|$)/gm;
+
+class SessionLogReader {
+  constructor(options = {}) {
+    this.dirs = [options.dirs || []].flat().filter(Boolean);
+    this.logger = options.logger;
+    this.maxFiles = options.maxFiles || 5000;
+    this.maxFileBytes = options.maxFileBytes || 50 * 1024 * 1024;
+  }
+
+  /**
+   * Transcript files modified since `since` (ms), oldest first
+   */
+  listFiles(since = 0) {
+    const files = [];
+
+    const walk = (dir) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        this.logger?.debug('Cannot read session log directory', { dir, error: error.message });
+        return;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+        } else if (entry.isFile() && entry.name.endsWith('.jsonl')) {
+          const stat = fs.statSync(fullPath);
+          if (stat.mtimeMs >= since && stat.size <= this.maxFileBytes) {
+            files.push({ file: fullPath, mtime: stat.mtimeMs });
+          }
+        }
+      }
+    };
+
+    this.dirs.forEach(walk);
+
+    return files
+      .sort((a, b) => a.mtime - b.mtime)
+      .slice(-this.maxFiles);
+  }
+
+  /**
+   * Tool calls of one transcript with their outcome
+   *
+   * Returns `{ id, tool, args, time, error }` in call order; `error` is
+   * null when no result was logged.
+   */
+  readToolCalls(file, fallbackTime = Date.now()) {
+    const calls = [];
+    const byId = new Map();
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      const time = _timestamp(entry) ?? fallbackTime;
+      for (const event of parseEntry(entry)) {
+        if (event.kind === 'call') {
+          const call = { id: event.id, tool: event.tool, args: event.args, time, error: null };
+          calls.push(call);
+          if (event.id) byId.set(event.id, call);
+        } else if (event.id && byId.has(event.id)) {
+          byId.get(event.id).error = event.error;
+        }
+      }
+    }
+
+    return calls;
+  }
+
+  /**
+   * Tool calls from every transcript in the window, grouped by session
+   */
+  readSessions(since = 0) {
+    const sessions = [];
+
+    for (const { file, mtime } of this.listFiles(since)) {
+      try {
+        const calls = this.readToolCalls(file, mtime).filter(call => call.time >= since);
+        if (calls.length > 0) {
+          sessions.push({ file, calls });
+        }
+      } catch (error) {
+        this.logger?.warn('Failed to read session log', { file, error: error.message });
+      }
+    }
+
+    return sessions;
+  }
+}
+
+/**
+ * Tool calls and results in one transcript entry
+ *
+ * Understands OpenClaw entries (`message.content[]` with `toolCall`
+ * blocks, `toolResult` messages) and Anthropic-style `tool_use` /
+ * `tool_result` blocks, as well as flat `{ type: 'tool_call' }` lines.
+ */
+function parseEntry(entry) {
+  const events = [];
+  const message = entry.message || entry;
+
+  if (message.role === 'toolResult' || entry.type === 'tool_result') {
+    events.push({
+      kind: 'result',
+      id: message.toolCallId || message.tool_use_id || entry.toolCallId || entry.id,
+      error: _isError(message),
+    });
+  }
+
+  if (entry.type === 'tool_call' || entry.type === 'tool') {
+    events.push({
+      kind: 'call',
+      id: entry.id || entry.toolCallId,
+      tool: String(entry.name || entry.tool || '').toLowerCase(),
+      args: entry.arguments || entry.args || entry.input || {},
+    });
+  }
+
+  const blocks = Array.isArray(message.content) ? message.content : [];
+  for (const block of blocks) {
+    if (!block || typeof block !== 'object') {
+      continue;
+    }
+
+    if (['toolCall', 'tool_use', 'toolUse', 'functionCall'].includes(block.type)) {
+      events.push({
+        kind: 'call',
+        id: block.id,
+        tool: String(block.name || '').toLowerCase(),
+        args: _parseArgs(block.arguments ?? block.input ?? block.args),
+      });
+    } else if (['toolResult', 'tool_result'].includes(block.type)) {
+      events.push({ kind: 'result', id: block.toolCallId || block.tool_use_id, error: _isError(block) });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Headings of a markdown document with their line ranges (1-based)
+ */
+function parseSections(markdown) {
+  const lines = String(markdown || '').split('\n');
+  const sections = [];
+  let inFence = false;
+
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    const match = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      sections.push({ title: match[2], level: match[1].length, startLine: index + 1, endLine: lines.length });
+    }
+  });
+
+  // A section runs until the next heading of the same or a higher level
+  sections.forEach((section, index) => {
+    const next = sections.slice(index + 1).find(other => other.level <= section.level);
+    if (next) {
+      section.endLine = next.startLine - 1;
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Count MEMORY.md and skill usage across sessions
+ *
+ * `memory` is `{ file, content }` for the current MEMORY.md; `skills` is
+ * the list of installed skill names (reported even when never used).
+ */
+function analyzeUsage(sessions, options = {}) {
+  const memoryName = path.basename(options.memory?.file || 'MEMORY.md').toLowerCase();
+  const memoryContent = options.memory?.content || '';
+  const memoryLines = memoryContent.split('\n');
+
+  const sections = parseSections(memoryContent).map(section => ({
+    ...section, reads: 0, edits: 0, sessions: new Set(), last_access_at: null,
+  }));
+  const memory = { full_reads: 0, writes: 0, unmatched_edits: 0, sessions: new Set() };
+
+  const skills = new Map();
+  const skill = (name) => {
+    if (!skills.has(name)) {
+      skills.set(name, {
+        name, loads: 0, invocations: 0, failures: 0, sessions: new Set(), last_used_at: null,
+      });
+    }
+    return skills.get(name);
+  };
+  (options.skills || []).forEach(skill);
+
+  const tools = new Map();
+
+  const touchSections = (from, to, field, call, session) => {
+    let matched = 0;
+    for (const section of sections) {
+      if (section.startLine <= to && section.endLine >= from) {
+        section[field]++;
+        section.sessions.add(session.file);
+        section.last_access_at = Math.max(section.last_access_at || 0, call.time);
+        matched++;
+      }
+    }
+    return matched;
+  };
+
+  for (const session of sessions) {
+    for (const call of session.calls) {
+      tools.set(call.tool, (tools.get(call.tool) || 0) + 1);
+
+      const target = _argPath(call.args);
+      if (target && path.basename(target).toLowerCase() === memoryName) {
+        memory.sessions.add(session.file);
+
+        if (READ_TOOLS.has(call.tool)) {
+          const range = _readRange(call.args);
+          if (range) {
+            touchSections(range.from, range.to, 'reads', call, session);
+          } else {
+            memory.full_reads++;
+          }
+        } else if (EDIT_TOOLS.has(call.tool)) {
+          const line = _editedLine(call.args, memoryLines);
+          if (!line || touchSections(line, line, 'edits', call, session) === 0) {
+            memory.unmatched_edits++;
+          }
+        } else if (WRITE_TOOLS.has(call.tool)) {
+          memory.writes++;
+        }
+      }
+
+      for (const name of _skillsMentioned(call.args)) {
+        const stats = skill(name);
+        stats.sessions.add(session.file);
+        stats.last_used_at = Math.max(stats.last_used_at || 0, call.time);
+
+        if (READ_TOOLS.has(call.tool) && /SKILL\.md$/i.test(target || '')) {
+          stats.loads++;
+        } else if (RUN_TOOLS.has(call.tool)) {
+          stats.invocations++;
+          if (call.error) stats.failures++;
+        }
+      }
+    }
+  }
+
+  const toDate = time => (time ? new Date(time).toISOString() : null);
+
+  return {
+    sessions: sessions.length,
+    tool_calls: sessions.reduce((sum, session) => sum + session.calls.length, 0),
+    memory: {
+      ...memory,
+      sessions: memory.sessions.size,
+      sections: sections.map(({ sessions: seen, last_access_at, ...section }) => ({
+        ...section, sessions: seen.size, last_access_at: toDate(last_access_at),
+      })),
+    },
+    skills: [...skills.values()]
+      .map(({ sessions: seen, last_used_at, ...stats }) => ({
+        ...stats,
+        sessions: seen.size,
+        failure_rate: stats.invocations > 0 ? stats.failures / stats.invocations : 0,
+        last_used_at: toDate(last_used_at),
+      }))
+      .sort((a, b) => b.invocations + b.loads - (a.invocations + a.loads) || a.name.localeCompare(b.name)),
+    tools: Object.fromEntries([...tools.entries()].sort((a, b) => b[1] - a[1])),
+  };
+}
+
+/**
+ * Entry time in ms (ISO strings or epoch ms/s)
+ */
+function _timestamp(entry) {
+  const value = entry.timestamp ?? entry.message?.timestamp ?? entry.time ?? entry.ts;
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value < 1e12 ? value * 1000 : value;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Whether a tool result reports a failure
+ */
+function _isError(result) {
+  if (result.isError === true || result.is_error === true) {
+    return true;
+  }
+  const details = result.details || {};
+  if (typeof details.exitCode === 'number') {
+    return details.exitCode !== 0;
+  }
+  return details.status === 'error' || details.status === 'failed';
+}
+
+/**
+ * Tool arguments as an object (some logs keep them as a JSON string)
+ */
+function _parseArgs(args) {
+  if (typeof args === 'string') {
+    try {
+      return JSON.parse(args);
+    } catch {
+      return { input: args };
+    }
+  }
+  return args && typeof args === 'object' ? args : {};
+}
+
+/**
+ * File a tool call targets, if any
+ */
+function _argPath(args) {
+  const value = args.path ?? args.file_path ?? args.filePath ?? args.file;
+  return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Line range of a partial read (`offset`/`limit` or `from`/`lines`)
+ */
+function _readRange(args) {
+  const from = Number(args.offset ?? args.from ?? args.startLine);
+  if (!Number.isFinite(from) || from < 1) {
+    return null;
+  }
+
+  const count = Number(args.limit ?? args.lines);
+  const to = Number.isFinite(count) && count > 0 ? from + count - 1 : Number(args.endLine) || from;
+  return { from, to };
+}
+
+/**
+ * Current line of the text an edit replaced or inserted (null if unknown)
+ */
+function _editedLine(args, lines) {
+  const edits = Array.isArray(args.edits) ? args.edits : [args];
+
+  for (const edit of edits) {
+    for (const text of [edit.newText, edit.new_string, edit.newString, edit.oldText, edit.old_string, edit.oldString]) {
+      const firstLine = typeof text === 'string' ? text.split('\n').find(line => line.trim()) : null;
+      if (!firstLine) {
+        continue;
+      }
+      const index = lines.findIndex(line => line.includes(firstLine.trim()));
+      if (index !== -1) {
+        return index + 1;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Skill names referenced by paths or commands in tool arguments
+ */
+function _skillsMentioned(args) {
+  const names = new Set();
+  const text = Object.values(args).filter(value => typeof value === 'string').join('\n');
+
+  for (const match of text.matchAll(SKILL_PATH_PATTERN)) {
+    names.add(match[1]);
+  }
+
+  return names;
+}
+
+module.exports = {
+  DAY_MS,
+  SessionLogReader,
+  parseEntry,
+  parseSections,
+  analyzeUsage,
+};
+
+if (require.main === module) {
+  const dir = process.argv[2] || path.join(process.env.HOME || '/root', '.openclaw/agents');
+  const memoryFile = process.argv[3] || path.join(process.env.HOME || '/root', '.openclaw/workspace/MEMORY.md');
+
+  const sessions = new SessionLogReader({ dirs: [dir], logger: console }).readSessions(Date.now() - 30 * DAY_MS);
+  const content = fs.existsSync(memoryFile) ? fs.readFileSync(memoryFile, 'utf8') : '';
+
+  console.log(JSON.stringify(analyzeUsage(sessions, { memory: { file: memoryFile, content } }), null, 2));
+}
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+/**
+ * Source Health
+ *
+ * Tracks the outcome of every source (check) of a monitor: last success,
+ * consecutive failures, latency. Failing sources back off exponentially and
+ * a circuit breaker takes a source out of rotation after repeated failures,
+ * letting a single trial run through once the cooldown has passed.
+ */
+
+const { parseDuration } = require('../utils/duration.cjs');
+
+const STATUS = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  OPEN: 'open',
+};
+
+class SourceHealth {
+  constructor(options = {}) {
+    this.monitor = options.monitor;
+    this.storage = options.storage;
+    this.logger = options.logger;
+    // Consecutive failures that open the circuit
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.backoffMax = parseDuration(options.backoffMax ?? '6h');
+    // How long an open circuit keeps the source disabled
+    this.cooldown = parseDuration(options.cooldown ?? '1h');
+    this.now = options.now || Date.now;
+
+    // Records of monitors without storage (tests, dry runs)
+    this.records = new Map();
+  }
+
+  /**
+   * Health record of a source
+   */
+  get(source) {
+    const record = this.records.get(source)
+      || this.storage?.getSourceHealth(this.monitor, source)
+      || {
+        monitor: this.monitor,
+        source,
+        status: STATUS.HEALTHY,
+        consecutive_failures: 0,
+        total_runs: 0,
+        total_failures: 0,
+        last_success_at: null,
+        last_failure_at: null,
+        last_error: null,
+        last_latency_ms: null,
+        avg_latency_ms: null,
+        retry_at: null,
+      };
+
+    this.records.set(source, record);
+    return record;
+  }
+
+  /**
+   * Whether a source may run now
+   *
+   * A degraded source waits out its back-off; an open circuit waits out the
+   * cooldown, after which one trial run is allowed (`half_open`).
+   */
+  canRun(source) {
+    const record = this.get(source);
+    const retryAt = record.retry_at ? Date.parse(record.retry_at) : null;
+
+    if (retryAt !== null && this.now() < retryAt) {
+      return { allowed: false, status: record.status, retry_at: record.retry_at };
+    }
+
+    return { allowed: true, status: record.status, half_open: record.status === STATUS.OPEN };
+  }
+
+  /**
+   * Earliest time (ms) a source may run again, null when it is not held back
+   */
+  retryAt(source) {
+    const record = this.get(source);
+    return record.retry_at ? Date.parse(record.retry_at) : null;
+  }
+
+  /**
+   * Run a source through the breaker, recording its outcome
+   *
+   * Never throws: returns `{ skipped }`, `{ ok, result }` or `{ ok: false, error }`.
+   * `interval` is the source's normal period, the unit of its back-off.
+   */
+  async run(source, fn, options = {}) {
+    const gate = this.canRun(source);
+    if (!gate.allowed) {
+      this.logger?.debug(`${this.monitor}: Skipping ${source}`, { status: gate.status, retry_at: gate.retry_at });
+      return { skipped: true, ok: false, record: this.get(source) };
+    }
+
+    const started = this.now();
+    try {
+      const result = await fn();
+      const record = this.recordSuccess(source, this.now() - started);
+      if (gate.half_open) {
+        this.logger?.info(`${this.monitor}: ${source} recovered, circuit closed`);
+      }
+      return { ok: true, result, record };
+    } catch (error) {
+      const record = this.recordFailure(source, error, { latencyMs: this.now() - started, interval: options.interval });
+      return { ok: false, error, record };
+    }
+  }
+
+  /**
+   * Record a successful run
+   */
+  recordSuccess(source, latencyMs) {
+    const record = this.get(source);
+
+    return this._save({
+      ...this._withRun(record, latencyMs),
+      status: STATUS.HEALTHY,
+      consecutive_failures: 0,
+      last_success_at: new Date(this.now()).toISOString(),
+      retry_at: null,
+    });
+  }
+
+  /**
+   * Record a failed run and schedule the next attempt
+   *
+   * The n-th consecutive failure waits `interval * 2^(n-1)` (capped at
+   * `backoffMax`); reaching `failureThreshold` opens the circuit for `cooldown`.
+   */
+  recordFailure(source, error, options = {}) {
+    const record = this.get(source);
+    const failures = record.consecutive_failures + 1;
+    const open = failures >= this.failureThreshold;
+    const delay = open
+      ? this.cooldown
+      : Math.min(this.backoffMax, (options.interval || 0) * 2 ** (failures - 1));
+
+    const updated = this._save({
+      ...this._withRun(record, options.latencyMs),
+      status: open ? STATUS.OPEN : STATUS.DEGRADED,
+      consecutive_failures: failures,
+      total_failures: record.total_failures + 1,
+      last_failure_at: new Date(this.now()).toISOString(),
+      last_error: error.message,
+      retry_at: new Date(this.now() + delay).toISOString(),
+    });
+
+    if (open) {
+      this.logger?.error(`${this.monitor}: ${source} disabled after ${failures} consecutive failures`, {
+        error: error.message,
+        retry_at: updated.retry_at,
+      });
+    } else {
+      this.logger?.warn(`${this.monitor}: ${source} failed, backing off`, {
+        error: error.message,
+        failures,
+        retry_at: updated.retry_at,
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Close the circuit of a source (or of every known source)
+   */
+  reset(source = null) {
+    const sources = source ? [source] : this.list().map(record => record.source);
+
+    return sources.map(name => this._save({
+      ...this.get(name),
+      status: STATUS.HEALTHY,
+      consecutive_failures: 0,
+      retry_at: null,
+    }));
+  }
+
+  /**
+   * Health records of this monitor's sources
+   */
+  list() {
+    if (this.storage) {
+      return this.storage.listSourceHealth(this.monitor);
+    }
+    return [...this.records.values()];
+  }
+
+  /**
+   * Count a run and fold its latency into the running average
+   */
+  _withRun(record, latencyMs) {
+    const runs = record.total_runs + 1;
+    const latency = latencyMs ?? null;
+    const average = latency === null
+      ? record.avg_latency_ms
+      : ((record.avg_latency_ms ?? latency) * (runs - 1) + latency) / runs;
+
+    return {
+      ...record,
+      total_runs: runs,
+      last_latency_ms: latency,
+      avg_latency_ms: average === null ? null : Math.round(average * 10) / 10,
+    };
+  }
+
+  /**
+   * Persist a record
+   */
+  _save(record) {
+    this.records.set(record.source, record);
+    this.storage?.saveSourceHealth(record);
+    return record;
+  }
+}
+
+/**
+ * Count health records by status
+ */
+function summarizeHealth(records) {
+  const summary = { sources: records.length, healthy: 0, degraded: 0, open: 0 };
+
+  for (const record of records) {
+    summary[record.status] = (summary[record.status] || 0) + 1;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  STATUS,
+  SourceHealth,
+  summarizeHealth,
+};
+
+if (require.main === module) {
+  const health = new SourceHealth({ monitor: 'demo', logger: console, failureThreshold: 3 });
+
+  (async () => {
+    for (let i = 0; i < 4; i++) {
+      const outcome = await health.run('flaky', async () => {
+        throw new Error('HTTP 503');
+      }, { interval: 1000 });
+      console.log(outcome.skipped ? 'skipped' : outcome.record.status, outcome.record.retry_at);
+      health.records.get('flaky').retry_at = null;
+    }
+  })();
+}
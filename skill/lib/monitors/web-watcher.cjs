@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * Web Page Watcher
+ *
+ * Extracts the watched region of an HTML page, compares it with the last
+ * snapshot stored in SQLite and reports meaningful changes as a line diff
+ */
+
+const crypto = require('crypto');
+const { HttpClient } = require('../utils/http.cjs');
+const { extractText } = require('../utils/html.cjs');
+const { diffLines, diffStats, formatDiff } = require('../utils/text-diff.cjs');
+
+const MAX_DIFF_LENGTH = 4000;
+
+class WebPageWatcher {
+  constructor(options = {}) {
+    this.monitor = options.monitor || 'web-watcher';
+    this.storage = options.storage;
+    this.logger = options.logger;
+    this.http = options.http || new HttpClient({ logger: this.logger, storage: this.storage });
+
+    // Last snapshot per page when running without a database
+    this.memory = new Map();
+  }
+
+  /**
+   * Fill in defaults for a page rule
+   *
+   * A rule has `url` plus optional `id` (defaults to the URL), `title`,
+   * `selector` or `xpath`, `exclude` selectors, `ignore` regexes (removed
+   * from the text, e.g. timestamps), and the `minChangedLines` /
+   * `minChangedChars` thresholds for a change to count.
+   */
+  normalizePage(page) {
+    const rule = typeof page === 'string' ? { url: page } : { ...page };
+
+    if (!rule.url) {
+      throw new Error('Watched page needs a url');
+    }
+
+    return {
+      id: rule.id || rule.url,
+      title: rule.title || rule.url,
+      exclude: [],
+      ignore: [],
+      minChangedLines: 1,
+      minChangedChars: 10,
+      ...rule,
+    };
+  }
+
+  /**
+   * Watched text of a page after exclusion and ignore rules
+   */
+  extract(html, page) {
+    let text = extractText(html, page);
+
+    for (const pattern of page.ignore) {
+      text = text.replace(new RegExp(pattern, 'gi'), '');
+    }
+
+    return text
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Fetch a page and compare it with its last snapshot
+   *
+   * Status is `baseline` (first capture, stored), `unchanged`,
+   * `insignificant` (below thresholds, not stored) or `changed` (call
+   * `record()` once the change has been handled).
+   */
+  async check(pageRule) {
+    const page = this.normalizePage(pageRule);
+    const response = await this.http.request(page.url, {
+      headers: { 'Accept': 'text/html,application/xhtml+xml' },
+    });
+
+    const text = this.extract(response.body, page);
+    const hash = crypto.createHash('sha256').update(text).digest('hex');
+    const previous = this._latest(page);
+
+    if (!previous) {
+      this._store(page, { content: text, content_hash: hash });
+      this.logger?.debug('Page baseline captured', { page: page.id, lines: text.split('\n').length });
+      return { status: 'baseline', page, text, hash };
+    }
+
+    if (previous.content_hash === hash) {
+      return { status: 'unchanged', page, text, hash, previous };
+    }
+
+    const ops = diffLines(previous.content, text);
+    const stats = diffStats(ops);
+    const result = { page, text, hash, previous, stats, diff: formatDiff(ops) };
+
+    if (stats.added + stats.removed < page.minChangedLines || stats.changed_chars < page.minChangedChars) {
+      this.logger?.debug('Page change below threshold', { page: page.id, ...stats });
+      return { ...result, status: 'insignificant' };
+    }
+
+    return { ...result, status: 'changed' };
+  }
+
+  /**
+   * Store the new snapshot of a changed page
+   */
+  record(result, knowledgeId = null) {
+    return this._store(result.page, {
+      content: result.text,
+      content_hash: result.hash,
+      diff: result.diff,
+      added_lines: result.stats.added,
+      removed_lines: result.stats.removed,
+      knowledge_id: knowledgeId,
+    });
+  }
+
+  /**
+   * Knowledge item describing a change
+   */
+  toKnowledge(result, defaults = {}) {
+    const { page, stats } = result;
+    let diff = result.diff;
+
+    if (diff.length > MAX_DIFF_LENGTH) {
+      diff = `${diff.slice(0, MAX_DIFF_LENGTH)}\n…`;
+    }
+
+    return {
+      type: 'page-update',
+      risk_level: 'LOW',
+      ...defaults,
+      ...(page.type ? { type: page.type } : {}),
+      ...(page.risk_level ? { risk_level: page.risk_level } : {}),
+      title: `${page.title} changed (+${stats.added} −${stats.removed} lines)`,
+      content: diff,
+      url: page.url,
+      // Stable per page: later changes refresh the same knowledge item
+      guid: `webpage:${this.monitor}:${page.id}`,
+      page: page.id,
+      added_lines: stats.added,
+      removed_lines: stats.removed,
+    };
+  }
+
+  /**
+   * Last stored snapshot of a page
+   */
+  _latest(page) {
+    if (this.storage) {
+      return this.storage.getLatestPageSnapshot(this.monitor, page.id);
+    }
+    return this.memory.get(page.id) || null;
+  }
+
+  /**
+   * Store a snapshot (in memory without a database)
+   */
+  _store(page, snapshot) {
+    const row = { monitor: this.monitor, page: page.id, url: page.url, ...snapshot };
+
+    if (this.storage) {
+      return this.storage.insertPageSnapshot(row);
+    }
+
+    this.memory.set(page.id, row);
+    return null;
+  }
+}
+
+module.exports = { WebPageWatcher };
+
+if (require.main === module) {
+  const watcher = new WebPageWatcher({ logger: console });
+  const page = { url: process.argv[2] || 'https://example.com', selector: process.argv[3] || 'body' };
+
+  watcher.check(page).then(result => {
+    console.log(`Status: ${result.status}`);
+    console.log(result.text);
+  }).catch(err => {
+    console.error('Error:', err.message);
+  });
+}
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Content De-duplication
+ *
+ * Fingerprints knowledge items by canonical URL, GUID, normalized content
+ * hash and 64-bit simhash (for near-duplicate detection)
+ */
+
+const crypto = require('crypto');
+
+// Query parameters that never change what a URL points to. Generic names
+// such as `ref` or `source` are kept: some sites select content with them
+// (GitHub's `?ref=<branch>`).
+const TRACKING_PARAMS = [
+  /^utm_/,
+  /^fbclid$/,
+  /^gclid$/,
+  /^mc_(cid|eid)$/,
+  /^ref_src$/,
+];
+
+const SHINGLE_SIZE = 5;
+const MIN_SHINGLES = 40;
+const NEAR_DUPLICATE_DISTANCE = 3;
+
+/**
+ * Canonicalize a URL for identity comparison
+ */
+function canonicalizeUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return url.trim() || null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return parsed.href;
+  }
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase())))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  let pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+  if (pathname.length > 1 && pathname.endsWith('/')) {
+    pathname = pathname.slice(0, -1);
+  }
+
+  // Scheme is not part of identity: http and https variants are the same item
+  return `${parsed.hostname}${parsed.port ? `:${parsed.port}` : ''}${pathname}${parsed.search}`;
+}
+
+/**
+ * Normalize text for hashing (case, punctuation and whitespace insensitive)
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Hash of the normalized title and content
+ */
+function contentHash(title, content) {
+  const normalized = `${normalizeText(title)}\n${normalizeText(content)}`;
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Character shingles of the normalized text
+ *
+ * Character n-grams keep simhash stable on short texts, where a single
+ * inserted word would otherwise flip a large share of word shingles.
+ */
+function shingles(text, size = SHINGLE_SIZE) {
+  const normalized = normalizeText(text);
+
+  if (normalized.length < size) {
+    return normalized ? [normalized] : [];
+  }
+
+  const result = new Set();
+  for (let i = 0; i <= normalized.length - size; i++) {
+    result.add(normalized.slice(i, i + size));
+  }
+  return [...result];
+}
+
+/**
+ * 64-bit simhash over character shingles, as a 16-char hex string
+ *
+ * Returns null for texts too short to fingerprint reliably.
+ */
+function simhash(text) {
+  const features = shingles(text);
+  if (features.length < MIN_SHINGLES) {
+    return null;
+  }
+
+  const weights = new Array(64).fill(0);
+
+  for (const feature of features) {
+    const hash = crypto.createHash('md5').update(feature).digest();
+    const value = hash.readBigUInt64BE(0);
+
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (value >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let fingerprint = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) {
+      fingerprint |= 1n << BigInt(bit);
+    }
+  }
+
+  return fingerprint.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two simhashes
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+
+  while (diff) {
+    diff &= diff - 1n;
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Compute all dedup keys for a knowledge item
+ */
+function fingerprint(item) {
+  return {
+    canonical_url: canonicalizeUrl(item.url),
+    guid: item.guid ? String(item.guid).trim() : null,
+    content_hash: contentHash(item.title, item.content),
+    simhash: simhash(`${item.title || ''} ${item.content || ''}`),
+  };
+}
+
+module.exports = {
+  NEAR_DUPLICATE_DISTANCE,
+  canonicalizeUrl,
+  normalizeText,
+  contentHash,
+  shingles,
+  simhash,
+  hammingDistance,
+  fingerprint,
+};
+
+if (require.main === module) {
+  const a = 'OpenAI announces GPT-5 preview with twice as fast inference and a longer context window for developers';
+  const b = 'OpenAI announces GPT-5 preview with twice as fast inference and a longer context window for all developers';
+
+  console.log('Canonical:', canonicalizeUrl('https://www.Example.com/post/?utm_source=rss&b=2&a=1#top'));
+  console.log('Simhash A:', simhash(a));
+  console.log('Simhash B:', simhash(b));
+  console.log('Distance:', hammingDistance(simhash(a), simhash(b)));
+}
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Embeddings
+ *
+ * Turn knowledge items into unit-length vectors, either with a local
+ * hashing embedder (deterministic, offline) or with an embeddings API
+ */
+
+const crypto = require('crypto');
+const { normalizeText } = require('./dedup.cjs');
+const { createModelClient } = require('../analyzer/model-client.cjs');
+
+// Characters of content embedded per item (titles are always included)
+const MAX_TEXT_LENGTH = 8000;
+
+/**
+ * Text embedded for a knowledge item
+ *
+ * The title is repeated so it outweighs long bodies.
+ */
+function knowledgeText(item) {
+  const title = item.title || '';
+  return `${title}\n${title}\n${String(item.content || '').slice(0, MAX_TEXT_LENGTH)}`;
+}
+
+/**
+ * Scale a vector to unit length (zero vectors are left as they are)
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Feature-hashing embedder
+ *
+ * Words and word pairs are hashed into `dimensions` signed buckets with
+ * sublinear term frequency. Needs no network and gives the same vector
+ * for the same text on every machine, so it also suits tests.
+ */
+class HashingEmbedder {
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || 256;
+    this.id = `hashing-${this.dimensions}`;
+  }
+
+  /**
+   * Vectors for a list of texts
+   */
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  /**
+   * Vector for one text
+   */
+  embedOne(text) {
+    const words = normalizeText(text).split(' ').filter(word => word.length > 1);
+    const counts = new Map();
+
+    words.forEach((word, i) => {
+      counts.set(word, (counts.get(word) || 0) + 1);
+      if (i > 0) {
+        const pair = `${words[i - 1]} ${word}`;
+        counts.set(pair, (counts.get(pair) || 0) + 0.5);
+      }
+    });
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const bucket = hash.readUInt32BE(0) % this.dimensions;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[bucket] += sign * (1 + Math.log(count));
+    }
+
+    return normalize(vector);
+  }
+}
+
+/**
+ * Embedder backed by an OpenAI-compatible `/embeddings` endpoint
+ */
+class ModelEmbedder {
+  constructor(options = {}) {
+    this.model = options.model;
+    this.client = options.client;
+    this.storage = options.storage;
+    this.dimensions = options.dimensions || null;
+    this.id = `${this.client.provider}:${this.model}`;
+  }
+
+  /**
+   * Vectors for a list of texts, recording token usage
+   */
+  async embed(texts) {
+    const result = await this.client.embed({ model: this.model, input: texts, dimensions: this.dimensions });
+
+    this.storage?.recordTokenMetrics({
+      task_type: 'embedding',
+      tokens_consumed: result.usage.total_tokens,
+      items_processed: texts.length,
+      efficiency: texts.length > 0 ? result.usage.total_tokens / texts.length : 0,
+      throughput: 0,
+      model_used: result.model,
+    });
+
+    return result.embeddings.map(normalize);
+  }
+}
+
+/**
+ * Embedder from configuration (`config.embeddings`)
+ *
+ * `provider: "model"` calls the `llm` endpoint with `embeddings.model`;
+ * anything else uses the hashing embedder.
+ */
+function createEmbedder(config = {}, options = {}) {
+  const settings = config.embeddings || {};
+
+  if (settings.provider === 'model') {
+    return new ModelEmbedder({
+      model: settings.model,
+      dimensions: settings.dimensions,
+      storage: options.storage,
+      client: options.client || createModelClient(config, { model: settings.model, logger: options.logger, http: options.http }),
+    });
+  }
+
+  return new HashingEmbedder({ dimensions: settings.dimensions });
+}
+
+module.exports = {
+  HashingEmbedder,
+  ModelEmbedder,
+  createEmbedder,
+  knowledgeText,
+  normalize,
+};
+
+if (require.main === module) {
+  const embedder = new HashingEmbedder();
+  const texts = [
+    'Node.js 22 release adds require(esm) support',
+    'Node 22 is out: require() can load ES modules',
+    'Startup raises seed round for pet food delivery',
+  ];
+
+  embedder.embed(texts).then(([a, b, c]) => {
+    const dot = (x, y) => x.reduce((sum, value, i) => sum + value * y[i], 0);
+    console.log('related:', dot(a, b).toFixed(3));
+    console.log('unrelated:', dot(a, c).toFixed(3));
+  });
+}
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Semantic Search
+ *
+ * Keeps the vector index under `paths.vectors` in step with the knowledge
+ * table and answers free-text queries with the most similar items
+ */
+
+const { VectorIndex } = require('./vector-index.cjs');
+const { createEmbedder, knowledgeText } = require('./embeddings.cjs');
+
+class SemanticSearch {
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.config = options.config || {};
+    this.logger = options.logger;
+    this.embedder = options.embedder || createEmbedder(this.config, { logger: this.logger, storage: this.storage });
+    this.batchSize = options.batchSize || this.config.embeddings?.batchSize || 32;
+    // Items embedded between index saves; each save rewrites the whole file
+    this.saveEvery = options.saveEvery || 1000;
+    this.index = options.index || new VectorIndex({
+      dir: options.dir || this.config.paths?.vectors,
+      embedder: this.embedder.id,
+      dimensions: this.embedder.dimensions,
+      logger: this.logger,
+    });
+
+    this.stats = {
+      embedded: 0,
+      failed_batches: 0,
+      searches: 0,
+    };
+  }
+
+  /**
+   * Load the index and attach it to the store
+   *
+   * Without a usable index on disk every item is queued for embedding.
+   */
+  open() {
+    this.index.load();
+    if (this.index.size === 0) {
+      const cleared = this.storage.clearVectorIds();
+      if (cleared > 0) {
+        this.logger?.info('Vector index empty, re-embedding knowledge', { items: cleared });
+      }
+    }
+
+    this.storage.attachVectorIndex(this.index);
+    return this;
+  }
+
+  /**
+   * Embed knowledge items that have no vector yet
+   *
+   * Works in batches of `batchSize`. The index is saved every `saveEvery`
+   * items and at the end of the run, and items are only marked embedded
+   * once their vectors are on disk. A failed batch is logged and left for
+   * the next run. Returns the number of items embedded.
+   */
+  async indexPending(options = {}) {
+    const max = options.limit || Infinity;
+    let embedded = 0;
+    let lastId = 0;
+    const unsaved = [];
+
+    const flush = () => {
+      if (unsaved.length === 0) {
+        return;
+      }
+      this.index.save();
+      for (const id of unsaved) {
+        this.storage.setVectorId(id, String(id));
+      }
+      unsaved.length = 0;
+    };
+
+    try {
+      while (embedded < max) {
+        const items = this.storage.getUnembedded(Math.min(this.batchSize, max - embedded), lastId);
+        if (items.length === 0) {
+          break;
+        }
+        lastId = items[items.length - 1].id;
+
+        let vectors;
+        try {
+          vectors = await this.embedder.embed(items.map(knowledgeText));
+        } catch (error) {
+          this.stats.failed_batches++;
+          this.logger?.error('Embedding failed', {
+            embedder: this.embedder.id,
+            items: items.length,
+            error: error.message,
+            code: error.code,
+          });
+          if (error.fatal) {
+            throw error;
+          }
+          break;
+        }
+
+        items.forEach((item, i) => {
+          this.index.add(item.id, vectors[i]);
+          unsaved.push(item.id);
+        });
+        if (unsaved.length >= this.saveEvery) {
+          flush();
+        }
+
+        embedded += items.length;
+      }
+    } finally {
+      flush();
+    }
+
+    this.stats.embedded += embedded;
+    if (embedded > 0) {
+      this.logger?.info('Knowledge embedded', { items: embedded, total: this.index.size });
+    }
+
+    return embedded;
+  }
+
+  /**
+   * Knowledge items most similar to a query, with their `score`
+   *
+   * Options are those of `SQLStore.findSimilar` (`limit`, `source`,
+   * `type`, `minScore`).
+   */
+  async search(query, options = {}) {
+    this.stats.searches++;
+    const [vector] = await this.embedder.embed([query]);
+    return this.storage.findSimilar(vector, options);
+  }
+
+  /**
+   * Get stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      index: this.index.getStats(),
+    };
+  }
+}
+
+module.exports = { SemanticSearch };
+
+if (require.main === module) {
+  const { getConfig } = require('../config.cjs');
+  const { SQLStore } = require('./sql-store.cjs');
+
+  const config = getConfig();
+  const storage = new SQLStore(config.paths.db).init();
+  const search = new SemanticSearch({ storage, config, logger: console }).open();
+
+  search.indexPending()
+    .then(() => search.search(process.argv[2] || 'security advisory', { limit: 5 }))
+    .then(results => {
+      for (const result of results) {
+        console.log(result.score.toFixed(3), result.title);
+      }
+      storage.close();
+    });
+}
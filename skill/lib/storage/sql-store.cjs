@@ -9,11 +9,38 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { fingerprint, hammingDistance, NEAR_DUPLICATE_DISTANCE } = require('./dedup.cjs');
+
+// Columns added to existing tables after their first release
+const MIGRATIONS = {
+  knowledge: {
+    category: 'TEXT',
+    canonical_url: 'TEXT',
+    guid: 'TEXT',
+    content_hash: 'TEXT',
+    simhash: 'TEXT',
+    seen_count: 'INTEGER DEFAULT 1',
+    last_seen_at: 'TIMESTAMP',
+    relevance_score: 'REAL',
+    classification_prompt: 'TEXT',
+  },
+  optimizations: {
+    issue_number: 'INTEGER',
+    prompt_version: 'TEXT',
+  },
+};
+
+// Simhashes split into NEAR_DUPLICATE_DISTANCE + 1 indexed 16-bit bands:
+// two within that distance differ in at most that many bands, so they
+// share at least one
+const SIMHASH_BANDS = [1, 5, 9, 13].map(start => `substr(simhash, ${start}, 4)`);
 
 class SQLStore {
   constructor(dbPath) {
     this.dbPath = dbPath;
     this.db = null;
+    // VectorIndex keyed by knowledge id, for findSimilar()
+    this.vectorIndex = null;
   }
 
   /**
@@ -32,6 +59,7 @@ class SQLStore {
 
     // Create schema
     this._createSchema();
+    this._migrate();
 
     return this;
   }
@@ -103,16 +131,167 @@ class SQLStore {
 
       CREATE INDEX IF NOT EXISTS idx_token_metrics_type ON token_metrics(task_type);
       CREATE INDEX IF NOT EXISTS idx_token_metrics_timestamp ON token_metrics(timestamp);
+
+      -- HTTP validator cache for conditional fetching
+      CREATE TABLE IF NOT EXISTS http_cache (
+        url TEXT PRIMARY KEY,
+        etag TEXT,
+        last_modified TEXT,
+        body TEXT,
+        status INTEGER,
+        fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        validated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Per-monitor key/value state (entity fingerprints, last seen versions)
+      CREATE TABLE IF NOT EXISTS monitor_state (
+        monitor TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (monitor, key)
+      );
+
+      -- Extracted text of watched web pages, one row per meaningful change
+      CREATE TABLE IF NOT EXISTS page_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        monitor TEXT NOT NULL,
+        page TEXT NOT NULL,
+        url TEXT NOT NULL,
+        content TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        diff TEXT,
+        added_lines INTEGER DEFAULT 0,
+        removed_lines INTEGER DEFAULT 0,
+        knowledge_id INTEGER,
+        captured_at TIMESTAMP DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_page_snapshots_page ON page_snapshots(monitor, page, id);
+
+      -- Outcome of each monitor source (check): failures, latency, back-off
+      CREATE TABLE IF NOT EXISTS source_health (
+        monitor TEXT NOT NULL,
+        source TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'healthy',
+        consecutive_failures INTEGER DEFAULT 0,
+        total_runs INTEGER DEFAULT 0,
+        total_failures INTEGER DEFAULT 0,
+        last_success_at TEXT,
+        last_failure_at TEXT,
+        last_error TEXT,
+        last_latency_ms INTEGER,
+        avg_latency_ms REAL,
+        retry_at TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (monitor, source)
+      );
+
+      -- Model replies that were not valid JSON or violated their schema
+      CREATE TABLE IF NOT EXISTS validation_failures (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        model TEXT NOT NULL,
+        task_type TEXT NOT NULL,
+        stage TEXT NOT NULL,
+        errors TEXT,
+        attempt INTEGER DEFAULT 1,
+        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_validation_failures_model ON validation_failures(model, timestamp);
+
+      -- Accept/reject decisions on optimizations, with the raw relevance
+      -- score and the source/category it was classified under
+      CREATE TABLE IF NOT EXISTS feedback (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        optimization_id INTEGER,
+        knowledge_id INTEGER,
+        source TEXT,
+        category TEXT,
+        relevance_score REAL,
+        outcome TEXT NOT NULL,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_feedback_group ON feedback(source, category);
+
+      -- Newest item seen per monitor source, where incremental polls resume
+      CREATE TABLE IF NOT EXISTS checkpoints (
+        monitor TEXT NOT NULL,
+        source TEXT NOT NULL,
+        last_id TEXT,
+        last_timestamp TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (monitor, source)
+      );
     `);
   }
 
+  /**
+   * Add columns introduced after a table's first release
+   */
+  _migrate() {
+    for (const [table, columns] of Object.entries(MIGRATIONS)) {
+      const existing = new Set(
+        this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name)
+      );
+
+      for (const [column, definition] of Object.entries(columns)) {
+        if (!existing.has(column)) {
+          this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+      }
+    }
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_knowledge_guid ON knowledge(guid);
+      CREATE INDEX IF NOT EXISTS idx_knowledge_canonical_url ON knowledge(canonical_url);
+      CREATE INDEX IF NOT EXISTS idx_knowledge_content_hash ON knowledge(content_hash);
+    `);
+    SIMHASH_BANDS.forEach((band, index) => {
+      this.db.exec(`CREATE INDEX IF NOT EXISTS idx_knowledge_simhash_band${index} ON knowledge(${band})`);
+    });
+
+    this._backfillFingerprints();
+  }
+
+  /**
+   * Fingerprint knowledge rows stored before de-duplication existed
+   */
+  _backfillFingerprints() {
+    const rows = this.db.prepare(
+      'SELECT id, title, content, url FROM knowledge WHERE content_hash IS NULL'
+    ).all();
+
+    if (rows.length === 0) {
+      return;
+    }
+
+    const update = this.db.prepare(`
+      UPDATE knowledge SET canonical_url = ?, content_hash = ?, simhash = ? WHERE id = ?
+    `);
+
+    this.db.transaction(() => {
+      for (const row of rows) {
+        const keys = fingerprint(row);
+        update.run(keys.canonical_url, keys.content_hash, keys.simhash, row.id);
+      }
+    })();
+  }
+
   /**
    * Insert knowledge item
    */
   insertKnowledge(item) {
+    const keys = fingerprint(item);
+
     const stmt = this.db.prepare(`
-      INSERT INTO knowledge (source, type, title, content, url, vector_id, risk_level, action_taken)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO knowledge (
+        source, type, title, content, url, vector_id, risk_level, action_taken,
+        category, canonical_url, guid, content_hash, simhash, last_seen_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `);
 
     const result = stmt.run(
@@ -123,12 +302,150 @@ class SQLStore {
       item.url,
       item.vector_id || null,
       item.risk_level || 'LOW',
-      item.action_taken || 'pending'
+      item.action_taken || 'pending',
+      item.category || null,
+      keys.canonical_url,
+      keys.guid,
+      keys.content_hash,
+      keys.simhash
     );
 
     return result.lastInsertRowid;
   }
 
+  /**
+   * Insert knowledge item unless it was already seen
+   *
+   * Matches on GUID, canonical URL, content hash, then simhash distance.
+   * A repeated sighting only bumps `seen_count`/`last_seen_at`. `source`
+   * is the source of the stored item that matched.
+   */
+  upsertKnowledge(item) {
+    const keys = fingerprint(item);
+    const match = this.findDuplicate(keys, item.source);
+
+    if (match) {
+      this.db.prepare(`
+        UPDATE knowledge
+        SET seen_count = seen_count + 1, last_seen_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(match.id);
+
+      return { id: match.id, duplicate: true, matched_by: match.matched_by, source: match.source };
+    }
+
+    return { id: this.insertKnowledge(item), duplicate: false, matched_by: null, source: item.source };
+  }
+
+  /**
+   * Find an existing knowledge item with the same fingerprint
+   *
+   * Returns `{ id, matched_by, source }`; a GUID match prefers an item of
+   * the same source. Near-duplicates are only compared with items sharing
+   * a simhash band.
+   */
+  findDuplicate(keys, source = null) {
+    const exact = [
+      ['guid', keys.guid],
+      ['canonical_url', keys.canonical_url],
+      ['content_hash', keys.content_hash],
+    ];
+
+    for (const [column, value] of exact) {
+      if (!value) continue;
+
+      const row = this.db.prepare(
+        `SELECT id, source FROM knowledge WHERE ${column} = ? ORDER BY source IS ? DESC, id LIMIT 1`
+      ).get(value, source);
+
+      if (row) {
+        return { id: row.id, matched_by: column, source: row.source };
+      }
+    }
+
+    if (!keys.simhash) {
+      return null;
+    }
+
+    const candidates = this.db.prepare(`
+      ${SIMHASH_BANDS.map(band => `SELECT id, source, guid, simhash FROM knowledge WHERE ${band} = ?`).join(' UNION ')}
+      ORDER BY id DESC
+    `).all(SIMHASH_BANDS.map((band, index) => keys.simhash.slice(index * 4, index * 4 + 4)));
+
+    for (const candidate of candidates) {
+      // Distinct GUIDs from the same source are distinct items by definition
+      if (keys.guid && candidate.guid && candidate.source === source) {
+        continue;
+      }
+
+      if (hammingDistance(keys.simhash, candidate.simhash) <= NEAR_DUPLICATE_DISTANCE) {
+        return { id: candidate.id, matched_by: 'simhash', source: candidate.source };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record classification/rating results on a stored knowledge item
+   */
+  updateKnowledgeAnalysis(id, result) {
+    const stmt = this.db.prepare(`
+      UPDATE knowledge
+      SET category = COALESCE(?, category),
+        relevance_score = COALESCE(?, relevance_score),
+        classification_prompt = COALESCE(?, classification_prompt),
+        risk_level = COALESCE(?, risk_level),
+        action_taken = COALESCE(?, action_taken),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    return stmt.run(
+      result.category || null,
+      result.relevance_score ?? null,
+      result.classification_prompt || null,
+      result.risk_level || null,
+      result.action_taken || null,
+      id
+    );
+  }
+
+  /**
+   * Replace the content of a known item that changed materially
+   *
+   * Used when a source reports an update to an entity already stored
+   * (e.g. an issue that was closed); counts as a new sighting.
+   */
+  refreshKnowledge(id, item) {
+    const keys = fingerprint(item);
+
+    const stmt = this.db.prepare(`
+      UPDATE knowledge
+      SET title = ?, content = ?, url = COALESCE(?, url), risk_level = COALESCE(?, risk_level),
+        content_hash = ?, simhash = ?, action_taken = 'pending', vector_id = NULL,
+        seen_count = seen_count + 1, last_seen_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    return stmt.run(
+      item.title,
+      item.content,
+      item.url || null,
+      item.risk_level || null,
+      keys.content_hash,
+      keys.simhash,
+      id
+    );
+  }
+
+  /**
+   * Get a knowledge item by id
+   */
+  getKnowledge(id) {
+    return this.db.prepare('SELECT * FROM knowledge WHERE id = ?').get(id) || null;
+  }
+
   /**
    * Query knowledge items
    */
@@ -167,13 +484,82 @@ class SQLStore {
     return stmt.all(...params);
   }
 
+  /**
+   * Use a vector index for similarity search
+   */
+  attachVectorIndex(index) {
+    this.vectorIndex = index;
+    return this;
+  }
+
+  /**
+   * Knowledge items without an embedding, oldest first, past `afterId`
+   */
+  getUnembedded(limit = 100, afterId = 0) {
+    return this.db.prepare(`
+      SELECT id, source, type, title, content FROM knowledge
+      WHERE vector_id IS NULL AND id > ?
+      ORDER BY id
+      LIMIT ?
+    `).all(afterId, limit);
+  }
+
+  /**
+   * Mark a knowledge item as embedded under a vector id
+   */
+  setVectorId(id, vectorId) {
+    return this.db.prepare('UPDATE knowledge SET vector_id = ? WHERE id = ?').run(vectorId, id);
+  }
+
+  /**
+   * Mark every knowledge item as not embedded (after the index was lost)
+   */
+  clearVectorIds() {
+    return this.db.prepare('UPDATE knowledge SET vector_id = NULL WHERE vector_id IS NOT NULL').run().changes;
+  }
+
+  /**
+   * Knowledge items most similar to an embedding, best first
+   *
+   * Each row carries its cosine `score`. Filters: `source`, `type`,
+   * `minScore`; returns at most `limit` rows (default 10).
+   */
+  findSimilar(vector, options = {}) {
+    if (!this.vectorIndex) {
+      throw new Error('No vector index attached');
+    }
+
+    const limit = options.limit || 10;
+    const filtered = Boolean(options.source || options.type);
+    const hits = this.vectorIndex.search(vector, {
+      // Filters apply to rows, so rank everything when filtering
+      limit: filtered ? this.vectorIndex.size : limit,
+      minScore: options.minScore,
+    });
+
+    const results = [];
+    for (const hit of hits) {
+      const row = this.getKnowledge(Number(hit.id));
+      if (!row || (options.source && row.source !== options.source) || (options.type && row.type !== options.type)) {
+        continue;
+      }
+
+      results.push({ ...row, score: hit.score });
+      if (results.length >= limit) {
+        break;
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Insert optimization suggestion
    */
   insertOptimization(optimization) {
     const stmt = this.db.prepare(`
-      INSERT INTO optimizations (knowledge_id, target_file, type, description, diff_preview, status)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO optimizations (knowledge_id, target_file, type, description, diff_preview, status, prompt_version)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
 
     const result = stmt.run(
@@ -182,7 +568,8 @@ class SQLStore {
       optimization.type,
       optimization.description,
       optimization.diff_preview || null,
-      optimization.status || 'pending'
+      optimization.status || 'pending',
+      optimization.prompt_version || null
     );
 
     return result.lastInsertRowid;
@@ -201,6 +588,114 @@ class SQLStore {
     return stmt.run(status, prNumber, id);
   }
 
+  /**
+   * Remember the GitHub issue opened for an optimization
+   */
+  setOptimizationIssue(id, issueNumber) {
+    return this.db.prepare(`
+      UPDATE optimizations SET issue_number = ?, status = 'issue_created' WHERE id = ?
+    `).run(issueNumber, id);
+  }
+
+  /**
+   * Get an optimization by id, or by its GitHub issue number
+   */
+  getOptimization(id, options = {}) {
+    const column = options.byIssue ? 'issue_number' : 'id';
+    return this.db.prepare(`SELECT * FROM optimizations WHERE ${column} = ? ORDER BY id DESC LIMIT 1`).get(id) || null;
+  }
+
+  /**
+   * Record whether an optimization was accepted or rejected
+   *
+   * Identifies it by `optimization_id` or `issue_number`; the source,
+   * category and raw relevance score of its knowledge item are kept with
+   * the outcome. A later decision replaces an earlier one.
+   */
+  recordFeedback(feedback) {
+    if (!['accepted', 'rejected'].includes(feedback.outcome)) {
+      throw new Error(`Unknown feedback outcome "${feedback.outcome}" (accepted, rejected)`);
+    }
+
+    const optimization = feedback.issue_number
+      ? this.getOptimization(feedback.issue_number, { byIssue: true })
+      : this.getOptimization(feedback.optimization_id);
+    if (!optimization) {
+      throw new Error(`No optimization for ${feedback.issue_number ? `issue #${feedback.issue_number}` : `id ${feedback.optimization_id}`}`);
+    }
+
+    const knowledge = optimization.knowledge_id ? this.getKnowledge(optimization.knowledge_id) : null;
+    const row = {
+      optimization_id: optimization.id,
+      knowledge_id: optimization.knowledge_id,
+      source: knowledge?.source || null,
+      category: knowledge?.category || null,
+      relevance_score: knowledge?.relevance_score ?? null,
+      outcome: feedback.outcome,
+      note: feedback.note || null,
+    };
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM feedback WHERE optimization_id = ?').run(optimization.id);
+      row.id = this.db.prepare(`
+        INSERT INTO feedback (optimization_id, knowledge_id, source, category, relevance_score, outcome, note)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        row.optimization_id, row.knowledge_id, row.source, row.category, row.relevance_score, row.outcome, row.note
+      ).lastInsertRowid;
+      this.db.prepare('UPDATE optimizations SET status = ? WHERE id = ?').run(feedback.outcome, optimization.id);
+    })();
+
+    return row;
+  }
+
+  /**
+   * Feedback with a known relevance score, oldest first
+   */
+  listFeedback() {
+    return this.db.prepare(`
+      SELECT * FROM feedback WHERE relevance_score IS NOT NULL ORDER BY id
+    `).all();
+  }
+
+  /**
+   * Outcomes per prompt template version
+   *
+   * Classification prompts count the items they classified and their mean
+   * relevance; analysis prompts count optimizations. Both count accepted
+   * and rejected feedback, for comparing versions.
+   */
+  getPromptStats() {
+    const classification = this.db.prepare(`
+      SELECT
+        k.classification_prompt as version,
+        COUNT(DISTINCT k.id) as items,
+        AVG(k.relevance_score) as avg_relevance,
+        SUM(CASE WHEN f.outcome = 'accepted' THEN 1 ELSE 0 END) as accepted,
+        SUM(CASE WHEN f.outcome = 'rejected' THEN 1 ELSE 0 END) as rejected
+      FROM knowledge k
+      LEFT JOIN feedback f ON f.knowledge_id = k.id
+      WHERE k.classification_prompt IS NOT NULL
+      GROUP BY k.classification_prompt
+    `).all();
+
+    const analysis = this.db.prepare(`
+      SELECT
+        o.prompt_version as version,
+        COUNT(DISTINCT o.id) as items,
+        SUM(CASE WHEN f.outcome = 'accepted' THEN 1 ELSE 0 END) as accepted,
+        SUM(CASE WHEN f.outcome = 'rejected' THEN 1 ELSE 0 END) as rejected
+      FROM optimizations o
+      LEFT JOIN feedback f ON f.optimization_id = o.id
+      WHERE o.prompt_version IS NOT NULL
+      GROUP BY o.prompt_version
+    `).all();
+
+    return [...classification, ...analysis]
+      .map(row => ({ task: row.version.split('@')[0], ...row }))
+      .sort((a, b) => a.version.localeCompare(b.version));
+  }
+
   /**
    * Get pending optimizations
    */
@@ -288,6 +783,286 @@ class SQLStore {
     return stmt.get(taskType, limit);
   }
 
+  /**
+   * Record a model reply that failed validation
+   */
+  recordValidationFailure(failure) {
+    const stmt = this.db.prepare(`
+      INSERT INTO validation_failures (model, task_type, stage, errors, attempt)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    return stmt.run(failure.model, failure.task_type, failure.stage, failure.errors || null, failure.attempt || 1);
+  }
+
+  /**
+   * Validation failures per model, task and stage over the last hours
+   *
+   * `repair_failures` counts the replies to repair prompts that were still invalid.
+   */
+  getValidationStats(hours = 24) {
+    const stmt = this.db.prepare(`
+      SELECT
+        model,
+        task_type,
+        stage,
+        COUNT(*) as failures,
+        SUM(CASE WHEN attempt > 1 THEN 1 ELSE 0 END) as repair_failures,
+        MAX(timestamp) as last_failure_at
+      FROM validation_failures
+      WHERE timestamp > datetime('now', '-' || ? || ' hours')
+      GROUP BY model, task_type, stage
+      ORDER BY failures DESC
+    `);
+
+    return stmt.all(hours);
+  }
+
+  /**
+   * Get cached response validators and body for a URL
+   */
+  getHttpCache(url) {
+    const stmt = this.db.prepare('SELECT * FROM http_cache WHERE url = ?');
+    return stmt.get(url) || null;
+  }
+
+  /**
+   * Store response validators and body for a URL
+   */
+  setHttpCache(entry) {
+    const stmt = this.db.prepare(`
+      INSERT INTO http_cache (url, etag, last_modified, body, status)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(url) DO UPDATE SET
+        etag = excluded.etag,
+        last_modified = excluded.last_modified,
+        body = excluded.body,
+        status = excluded.status,
+        fetched_at = CURRENT_TIMESTAMP,
+        validated_at = CURRENT_TIMESTAMP
+    `);
+
+    return stmt.run(
+      entry.url,
+      entry.etag || null,
+      entry.last_modified || null,
+      entry.body,
+      entry.status || 200
+    );
+  }
+
+  /**
+   * Mark a cached response as revalidated (304 Not Modified)
+   */
+  touchHttpCache(url) {
+    const stmt = this.db.prepare(`
+      UPDATE http_cache SET validated_at = CURRENT_TIMESTAMP WHERE url = ?
+    `);
+
+    return stmt.run(url);
+  }
+
+  /**
+   * Get a monitor state value (null if unset)
+   */
+  getMonitorState(monitor, key) {
+    const stmt = this.db.prepare('SELECT value FROM monitor_state WHERE monitor = ? AND key = ?');
+    const row = stmt.get(monitor, key);
+    return row ? row.value : null;
+  }
+
+  /**
+   * Set a monitor state value
+   */
+  setMonitorState(monitor, key, value) {
+    const stmt = this.db.prepare(`
+      INSERT INTO monitor_state (monitor, key, value)
+      VALUES (?, ?, ?)
+      ON CONFLICT(monitor, key) DO UPDATE SET
+        value = excluded.value,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    return stmt.run(monitor, key, value === null || value === undefined ? null : String(value));
+  }
+
+  /**
+   * Store a page snapshot
+   */
+  insertPageSnapshot(snapshot) {
+    const stmt = this.db.prepare(`
+      INSERT INTO page_snapshots
+        (monitor, page, url, content, content_hash, diff, added_lines, removed_lines, knowledge_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      snapshot.monitor,
+      snapshot.page,
+      snapshot.url,
+      snapshot.content,
+      snapshot.content_hash,
+      snapshot.diff || null,
+      snapshot.added_lines || 0,
+      snapshot.removed_lines || 0,
+      snapshot.knowledge_id || null
+    );
+
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Most recent snapshot of a watched page (null if never captured)
+   */
+  getLatestPageSnapshot(monitor, page) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM page_snapshots
+      WHERE monitor = ? AND page = ?
+      ORDER BY id DESC
+      LIMIT 1
+    `);
+    return stmt.get(monitor, page) || null;
+  }
+
+  /**
+   * Snapshot history, newest first
+   *
+   * Filters: monitor, page, url, since (ISO timestamp), limit (default 20),
+   * and `content: false` to leave out the stored page text.
+   */
+  getPageSnapshots(filters = {}) {
+    const columns = filters.content === false
+      ? 'id, monitor, page, url, content_hash, diff, added_lines, removed_lines, knowledge_id, captured_at'
+      : '*';
+    let query = `SELECT ${columns} FROM page_snapshots WHERE 1=1`;
+    const params = [];
+
+    for (const field of ['monitor', 'page', 'url']) {
+      if (filters[field]) {
+        query += ` AND ${field} = ?`;
+        params.push(filters[field]);
+      }
+    }
+
+    if (filters.since) {
+      query += ' AND captured_at >= ?';
+      params.push(filters.since);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(filters.limit || 20);
+
+    return this.db.prepare(query).all(...params);
+  }
+
+  /**
+   * Watched pages with their snapshot counts and last capture time
+   */
+  listWatchedPages() {
+    return this.db.prepare(`
+      SELECT monitor, page, url, COUNT(*) AS snapshots, MAX(captured_at) AS last_captured_at
+      FROM page_snapshots
+      GROUP BY monitor, page
+      ORDER BY last_captured_at DESC
+    `).all();
+  }
+
+  /**
+   * Checkpoint of a monitor source (null if it never ran)
+   */
+  getCheckpoint(monitor, source) {
+    const stmt = this.db.prepare('SELECT * FROM checkpoints WHERE monitor = ? AND source = ?');
+    return stmt.get(monitor, source) || null;
+  }
+
+  /**
+   * Store the checkpoint of a monitor source
+   */
+  setCheckpoint(monitor, source, checkpoint) {
+    const stmt = this.db.prepare(`
+      INSERT INTO checkpoints (monitor, source, last_id, last_timestamp)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(monitor, source) DO UPDATE SET
+        last_id = excluded.last_id,
+        last_timestamp = excluded.last_timestamp,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    return stmt.run(
+      monitor,
+      source,
+      checkpoint.last_id === null || checkpoint.last_id === undefined ? null : String(checkpoint.last_id),
+      checkpoint.last_timestamp || null
+    );
+  }
+
+  /**
+   * Checkpoints, optionally of one monitor
+   */
+  listCheckpoints(monitor = null) {
+    if (monitor) {
+      return this.db.prepare('SELECT * FROM checkpoints WHERE monitor = ? ORDER BY source').all(monitor);
+    }
+    return this.db.prepare('SELECT * FROM checkpoints ORDER BY monitor, source').all();
+  }
+
+  /**
+   * Health record of a monitor source (null if it never ran)
+   */
+  getSourceHealth(monitor, source) {
+    const stmt = this.db.prepare('SELECT * FROM source_health WHERE monitor = ? AND source = ?');
+    return stmt.get(monitor, source) || null;
+  }
+
+  /**
+   * Store the health record of a monitor source
+   */
+  saveSourceHealth(record) {
+    const stmt = this.db.prepare(`
+      INSERT INTO source_health
+        (monitor, source, status, consecutive_failures, total_runs, total_failures,
+         last_success_at, last_failure_at, last_error, last_latency_ms, avg_latency_ms, retry_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(monitor, source) DO UPDATE SET
+        status = excluded.status,
+        consecutive_failures = excluded.consecutive_failures,
+        total_runs = excluded.total_runs,
+        total_failures = excluded.total_failures,
+        last_success_at = excluded.last_success_at,
+        last_failure_at = excluded.last_failure_at,
+        last_error = excluded.last_error,
+        last_latency_ms = excluded.last_latency_ms,
+        avg_latency_ms = excluded.avg_latency_ms,
+        retry_at = excluded.retry_at,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    return stmt.run(
+      record.monitor,
+      record.source,
+      record.status,
+      record.consecutive_failures || 0,
+      record.total_runs || 0,
+      record.total_failures || 0,
+      record.last_success_at || null,
+      record.last_failure_at || null,
+      record.last_error || null,
+      record.last_latency_ms ?? null,
+      record.avg_latency_ms ?? null,
+      record.retry_at || null
+    );
+  }
+
+  /**
+   * Health records, optionally of one monitor
+   */
+  listSourceHealth(monitor = null) {
+    if (monitor) {
+      return this.db.prepare('SELECT * FROM source_health WHERE monitor = ? ORDER BY source').all(monitor);
+    }
+    return this.db.prepare('SELECT * FROM source_health ORDER BY monitor, source').all();
+  }
+
   /**
    * Close database connection
    */
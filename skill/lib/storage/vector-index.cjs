@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Vector Index
+ *
+ * File-backed store of unit vectors keyed by id with brute-force cosine
+ * search. Lives in a directory as `index.json` (ids and the embedder that
+ * made the vectors) plus `vectors.f32` (the vectors as float32).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class VectorIndex {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.logger = options.logger;
+    // Vectors from a different embedder are not comparable
+    this.embedder = options.embedder || null;
+    this.dimensions = options.dimensions || null;
+    this.ids = [];
+    this.positions = new Map();
+    // Grown geometrically: only the first `ids.length` vectors are in use
+    this.vectors = new Float32Array(0);
+    this.dirty = false;
+  }
+
+  /**
+   * Load the index from disk
+   *
+   * An index written by another embedder (or with other dimensions) is
+   * dropped, so every item is embedded again.
+   */
+  load() {
+    const metaPath = path.join(this.dir, 'index.json');
+    if (!fs.existsSync(metaPath)) {
+      return this;
+    }
+
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    const compatible = (!this.embedder || meta.embedder === this.embedder)
+      && (!this.dimensions || meta.dimensions === this.dimensions);
+
+    if (!compatible) {
+      this.logger?.warn('Vector index built by another embedder, rebuilding', {
+        found: `${meta.embedder}/${meta.dimensions}`,
+        expected: `${this.embedder}/${this.dimensions}`,
+      });
+      this.dirty = true;
+      return this;
+    }
+
+    const buffer = fs.readFileSync(path.join(this.dir, 'vectors.f32'));
+    this.embedder = meta.embedder;
+    this.dimensions = meta.dimensions;
+    this.ids = meta.ids;
+    this.vectors = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4).slice();
+    this.positions = new Map(this.ids.map((id, position) => [id, position]));
+
+    return this;
+  }
+
+  /**
+   * Write the index to disk if it changed
+   */
+  save() {
+    if (!this.dirty) {
+      return false;
+    }
+
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    // Vectors first: a reader never sees ids without their vectors
+    const used = this.vectors.subarray(0, this.ids.length * this.dimensions);
+    this._writeAtomic('vectors.f32', Buffer.from(used.buffer, used.byteOffset, used.byteLength));
+    this._writeAtomic('index.json', JSON.stringify({
+      embedder: this.embedder,
+      dimensions: this.dimensions,
+      ids: this.ids,
+    }));
+
+    this.dirty = false;
+    return true;
+  }
+
+  /**
+   * Number of vectors
+   */
+  get size() {
+    return this.ids.length;
+  }
+
+  /**
+   * Whether an id has a vector
+   */
+  has(id) {
+    return this.positions.has(String(id));
+  }
+
+  /**
+   * Add or replace the vector of an id
+   */
+  add(id, vector) {
+    const key = String(id);
+    this.dimensions = this.dimensions || vector.length;
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector for ${key} has ${vector.length} dimensions, index has ${this.dimensions}`);
+    }
+
+    let position = this.positions.get(key);
+    if (position === undefined) {
+      position = this.ids.length;
+      this.ids.push(key);
+      this.positions.set(key, position);
+      this._reserve(this.ids.length);
+    }
+
+    this.vectors.set(vector, position * this.dimensions);
+    this.dirty = true;
+  }
+
+  /**
+   * Remove the vector of an id
+   */
+  remove(id) {
+    const key = String(id);
+    const position = this.positions.get(key);
+    if (position === undefined) {
+      return false;
+    }
+
+    // Move the last vector into the freed slot
+    const last = this.ids.length - 1;
+    if (position !== last) {
+      const lastId = this.ids[last];
+      this.vectors.copyWithin(position * this.dimensions, last * this.dimensions, (last + 1) * this.dimensions);
+      this.ids[position] = lastId;
+      this.positions.set(lastId, position);
+    }
+
+    this.ids.pop();
+    this.positions.delete(key);
+    this.dirty = true;
+    return true;
+  }
+
+  /**
+   * Ids most similar to a vector: `[{ id, score }]`, best first
+   *
+   * `filter(id)` can exclude ids before they count towards `limit`.
+   */
+  search(vector, options = {}) {
+    const limit = options.limit || 10;
+    const minScore = options.minScore ?? -Infinity;
+    const results = [];
+
+    for (let position = 0; position < this.ids.length; position++) {
+      const id = this.ids[position];
+      if (options.filter && !options.filter(id)) {
+        continue;
+      }
+
+      const offset = position * this.dimensions;
+      let score = 0;
+      for (let i = 0; i < this.dimensions; i++) {
+        score += this.vectors[offset + i] * vector[i];
+      }
+
+      if (score >= minScore) {
+        results.push({ id, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Get stats
+   */
+  getStats() {
+    return {
+      dir: this.dir,
+      embedder: this.embedder,
+      dimensions: this.dimensions,
+      vectors: this.ids.length,
+    };
+  }
+
+  /**
+   * Make room for `count` vectors, doubling the capacity when it runs out
+   */
+  _reserve(count) {
+    const needed = count * this.dimensions;
+    if (needed <= this.vectors.length) {
+      return;
+    }
+
+    const grown = new Float32Array(Math.max(needed, this.vectors.length * 2));
+    grown.set(this.vectors);
+    this.vectors = grown;
+  }
+
+  /**
+   * Replace a file in the index directory without a partial write
+   */
+  _writeAtomic(name, data) {
+    const target = path.join(this.dir, name);
+    fs.writeFileSync(`${target}.tmp`, data);
+    fs.renameSync(`${target}.tmp`, target);
+  }
+}
+
+module.exports = { VectorIndex };
+
+if (require.main === module) {
+  const os = require('os');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vectors-'));
+
+  const index = new VectorIndex({ dir, embedder: 'demo', dimensions: 2 });
+  index.add(1, [1, 0]);
+  index.add(2, [Math.SQRT1_2, Math.SQRT1_2]);
+  index.add(3, [0, 1]);
+  index.save();
+
+  const reloaded = new VectorIndex({ dir, embedder: 'demo' }).load();
+  console.log(reloaded.search([1, 0], { limit: 2 }));
+}
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Concurrency Helpers
+ *
+ * Bounded parallelism for async work: a semaphore limiting concurrent
+ * tasks, an ordered concurrent map, and an abortable sleep
+ */
+
+class Semaphore {
+  constructor(limit = 1) {
+    this.limit = Math.max(1, limit);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Wait for a free slot; resolves to a function releasing it
+   *
+   * Rejects with the signal's reason when `signal` aborts while waiting.
+   */
+  acquire(signal) {
+    signal?.throwIfAborted();
+
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve(() => this._release());
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        grant: () => {
+          signal?.removeEventListener('abort', onAbort);
+          this.active++;
+          resolve(() => this._release());
+        },
+      };
+      const onAbort = () => {
+        this.waiting.splice(this.waiting.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Run a task in a slot
+   */
+  async run(task, signal) {
+    const release = await this.acquire(signal);
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  _release() {
+    this.active--;
+    this.waiting.shift()?.grant();
+  }
+}
+
+/**
+ * Map items through an async worker, at most `concurrency` at a time
+ *
+ * Results keep the input order. The worker gets `(item, index, signal)`;
+ * the first error aborts that signal, lets running workers finish, and is
+ * rethrown. Aborting `options.signal` stops the run the same way.
+ * `onProgress({ completed, total, index, value })` follows each item.
+ */
+async function mapConcurrent(items, worker, options = {}) {
+  const controller = new AbortController();
+  const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const results = new Array(items.length);
+  let next = 0;
+  let completed = 0;
+  let failure = null;
+
+  const lane = async () => {
+    while (next < items.length && !signal.aborted) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index, signal);
+      } catch (error) {
+        if (!failure) {
+          failure = error;
+          controller.abort(error);
+        }
+        continue;
+      }
+
+      completed++;
+      options.onProgress?.({ completed, total: items.length, index, value: results[index] });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+
+  if (failure) {
+    throw failure;
+  }
+  signal.throwIfAborted();
+
+  return results;
+}
+
+/**
+ * Wait `ms`, rejecting with the signal's reason if it aborts first
+ */
+function sleep(ms, signal) {
+  signal?.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  Semaphore,
+  mapConcurrent,
+  sleep,
+};
+
+if (require.main === module) {
+  const started = Date.now();
+  mapConcurrent([300, 100, 200, 50], async ms => {
+    await sleep(ms);
+    return `${ms}ms done at ${Date.now() - started}ms`;
+  }, {
+    concurrency: 2,
+    onProgress: ({ completed, total }) => console.log(`${completed}/${total}`),
+  }).then(results => console.log(results));
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * CVSS v3 Scoring
+ *
+ * Base score and qualitative severity from a CVSS v3.0/v3.1 vector string
+ */
+
+const WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 },
+};
+
+// Privileges Required weighs more when the scope changes
+const PRIVILEGES = {
+  U: { N: 0.85, L: 0.62, H: 0.27 },
+  C: { N: 0.85, L: 0.68, H: 0.5 },
+};
+
+/**
+ * Parse a vector like `CVSS:3.1/AV:N/AC:L/...` into its metrics
+ */
+function parseVector(vector) {
+  const match = String(vector || '').trim().match(/^CVSS:3\.[01]\/(.+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const metrics = {};
+  for (const part of match[1].split('/')) {
+    const [key, value] = part.split(':');
+    metrics[key] = value;
+  }
+
+  for (const key of ['AV', 'AC', 'PR', 'UI', 'S', 'C', 'I', 'A']) {
+    if (!metrics[key]) {
+      return null;
+    }
+  }
+
+  return metrics;
+}
+
+/**
+ * Round up to one decimal, as defined by CVSS v3.1 (Appendix A)
+ */
+function roundUp(value) {
+  const scaled = Math.round(value * 100000);
+  if (scaled % 10000 === 0) {
+    return scaled / 100000;
+  }
+  return (Math.floor(scaled / 10000) + 1) / 10;
+}
+
+/**
+ * Base score (0.0 - 10.0) of a vector, or null if it cannot be parsed
+ */
+function baseScore(vector) {
+  const m = parseVector(vector);
+  if (!m) {
+    return null;
+  }
+
+  const scopeChanged = m.S === 'C';
+  const weights = [
+    WEIGHTS.AV[m.AV],
+    WEIGHTS.AC[m.AC],
+    PRIVILEGES[scopeChanged ? 'C' : 'U'][m.PR],
+    WEIGHTS.UI[m.UI],
+    WEIGHTS.CIA[m.C],
+    WEIGHTS.CIA[m.I],
+    WEIGHTS.CIA[m.A],
+  ];
+
+  if (weights.some(weight => weight === undefined)) {
+    return null;
+  }
+
+  const [av, ac, pr, ui, c, i, a] = weights;
+  const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+  const impact = scopeChanged
+    ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15)
+    : 6.42 * iss;
+  const exploitability = 8.22 * av * ac * pr * ui;
+
+  if (impact <= 0) {
+    return 0;
+  }
+
+  return scopeChanged
+    ? roundUp(Math.min(1.08 * (impact + exploitability), 10))
+    : roundUp(Math.min(impact + exploitability, 10));
+}
+
+/**
+ * Qualitative severity of a score (NONE, LOW, MEDIUM, HIGH, CRITICAL)
+ */
+function severity(score) {
+  if (score === null || score === undefined) return null;
+  if (score >= 9) return 'CRITICAL';
+  if (score >= 7) return 'HIGH';
+  if (score >= 4) return 'MEDIUM';
+  if (score > 0) return 'LOW';
+  return 'NONE';
+}
+
+module.exports = {
+  parseVector,
+  baseScore,
+  severity,
+};
+
+if (require.main === module) {
+  const vector = process.argv[2] || 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H';
+  const score = baseScore(vector);
+  console.log(vector, '=>', score, severity(score));
+}
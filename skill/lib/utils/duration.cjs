@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Duration Parsing
+ *
+ * Converts config durations ("30s", "5m", "1h30m", 300000) into milliseconds
+ */
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration into milliseconds
+ *
+ * Bare numbers (and numeric strings) are in `defaultUnit`, milliseconds
+ * unless told otherwise, like every interval in config and monitor options.
+ */
+function parseDuration(value, defaultUnit = 'ms') {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid duration: ${value}`);
+    }
+    return Math.round(value * UNITS[defaultUnit]);
+  }
+
+  const text = String(value || '').trim().toLowerCase();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return parseDuration(parseFloat(text), defaultUnit);
+  }
+
+  const pattern = /(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)/g;
+  let total = 0;
+  let consumed = '';
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    total += parseFloat(match[1]) * UNITS[match[2]];
+    consumed += match[0];
+  }
+
+  if (!consumed || consumed.replace(/\s/g, '') !== text.replace(/\s/g, '')) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+
+  return Math.round(total);
+}
+
+/**
+ * Format milliseconds as a compact duration ("1h30m")
+ */
+function formatDuration(ms) {
+  if (ms < 1000) {
+    return `${ms}ms`;
+  }
+
+  let remaining = Math.round(ms / 1000);
+  const parts = [];
+
+  for (const [unit, size] of [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]]) {
+    if (remaining >= size) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+
+  return parts.join('');
+}
+
+module.exports = { parseDuration, formatDuration };
+
+if (require.main === module) {
+  for (const value of process.argv.slice(2).length ? process.argv.slice(2) : ['300000', '5m', '1h30m', '250ms']) {
+    const ms = parseDuration(value);
+    console.log(`${value} => ${ms}ms (${formatDuration(ms)})`);
+  }
+}
@@ -0,0 +1,702 @@
+#!/usr/bin/env node
+
+/**
+ * HTML Utilities
+ *
+ * A small forgiving HTML parser, CSS selector engine (plus an XPath subset)
+ * and text extractor for watching web pages without a browser
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements whose text never reaches the reader
+const HIDDEN_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'head', 'svg']);
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'html', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+]);
+
+// Table cells stay on their row's line so a changed cell is a changed row
+const CELL_ELEMENTS = new Set(['td', 'th']);
+
+// Opening the key tag implicitly closes these open elements...
+const IMPLIED_END = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  option: ['option'],
+  p: ['p'],
+};
+
+// ...unless one of these is closer on the stack
+const SCOPE_ELEMENTS = new Set(['ul', 'ol', 'dl', 'table', 'tbody', 'thead', 'tfoot', 'select', 'body', 'html']);
+
+// Deeper elements become siblings (as in browsers), so walks of the open
+// elements stay short on any input
+const MAX_DEPTH = 512;
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®', trade: '™',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', middot: '·', bull: '•',
+};
+
+const TAG_NAME = /<([a-zA-Z][\w:-]*)(?=[\s/>])/y;
+const END_TAG = /<\/([a-zA-Z][\w:-]*)\s*>/y;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+/**
+ * Decode character references
+ */
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Parse an HTML document into a tree of `{ type, tag, attrs, children, parent }`
+ *
+ * Runs in linear time: a `<` that starts no tag is text, and a start tag
+ * left open at the end of the input makes the rest text.
+ */
+function parseHTML(html) {
+  const source = String(html || '');
+  const root = { type: 'root', tag: '#root', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const appendText = (text) => {
+    if (text) {
+      current().children.push({ type: 'text', text: decodeEntities(text), parent: current() });
+    }
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const lt = source.indexOf('<', i);
+    if (lt === -1) {
+      appendText(source.slice(i));
+      break;
+    }
+
+    appendText(source.slice(i, lt));
+    i = lt;
+
+    if (source.startsWith('<!--', i)) {
+      const end = source.indexOf('-->', i + 4);
+      i = end === -1 ? source.length : end + 3;
+      continue;
+    }
+
+    if (source[i + 1] === '!' || source[i + 1] === '?') {
+      const end = source.indexOf('>', i);
+      i = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    END_TAG.lastIndex = i;
+    const endMatch = END_TAG.exec(source);
+    if (endMatch) {
+      const tag = endMatch[1].toLowerCase();
+      let index = stack.length - 1;
+      while (index > 0 && stack[index].tag !== tag) {
+        index--;
+      }
+      if (index > 0) {
+        stack.length = index;
+      }
+      i = END_TAG.lastIndex;
+      continue;
+    }
+
+    TAG_NAME.lastIndex = i;
+    const nameMatch = TAG_NAME.exec(source);
+    if (!nameMatch) {
+      appendText('<');
+      i++;
+      continue;
+    }
+
+    const tagEnd = _tagEnd(source, TAG_NAME.lastIndex);
+    if (tagEnd === -1) {
+      appendText(source.slice(i));
+      break;
+    }
+
+    const tag = nameMatch[1].toLowerCase();
+    const attributes = source.slice(TAG_NAME.lastIndex, tagEnd);
+    i = tagEnd + 1;
+
+    _closeImpliedElements(stack, tag);
+
+    const element = {
+      type: 'element',
+      tag,
+      attrs: _parseAttributes(attributes),
+      children: [],
+      parent: current(),
+    };
+    current().children.push(element);
+
+    // `<br/>`, but not `<a href=/docs/>`
+    if (VOID_ELEMENTS.has(tag) || /(?:^|[\s"'])\/$/.test(attributes)) {
+      continue;
+    }
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const closing = new RegExp(`</${tag}`, 'gi');
+      closing.lastIndex = i;
+      const close = closing.exec(source)?.index ?? -1;
+      const end = close === -1 ? source.length : close;
+      if (end > i) {
+        const text = source.slice(i, end);
+        element.children.push({
+          type: 'text',
+          text: tag === 'script' || tag === 'style' ? text : decodeEntities(text),
+          parent: element,
+        });
+      }
+      const closeEnd = close === -1 ? -1 : source.indexOf('>', close);
+      i = closeEnd === -1 ? source.length : closeEnd + 1;
+      continue;
+    }
+
+    if (stack.length < MAX_DEPTH) {
+      stack.push(element);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Index of the `>` closing a start tag whose attributes begin at `from`,
+ * or -1 when the input ends first
+ *
+ * A `>` inside a quoted attribute value does not close the tag.
+ */
+function _tagEnd(source, from) {
+  let quote = null;
+  let afterEquals = false;
+
+  for (let i = from; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '>') {
+      return i;
+    } else if (afterEquals && (char === '"' || char === '\'')) {
+      quote = char;
+      afterEquals = false;
+    } else if (char === '=') {
+      afterEquals = true;
+    } else if (!/\s/.test(char)) {
+      afterEquals = false;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Pop elements that the new start tag closes implicitly (`<li>` after `<li>`)
+ */
+function _closeImpliedElements(stack, tag) {
+  const closable = IMPLIED_END[tag] || (BLOCK_ELEMENTS.has(tag) ? ['p'] : null);
+  if (!closable) {
+    return;
+  }
+
+  // Close down to the outermost closable element, e.g. `<tr>` closes both
+  // the open cell and the open row
+  let closeAt = -1;
+  for (let index = stack.length - 1; index > 0; index--) {
+    const open = stack[index].tag;
+    if (closable.includes(open)) {
+      closeAt = index;
+    } else if (SCOPE_ELEMENTS.has(open)) {
+      break;
+    }
+  }
+
+  if (closeAt > 0) {
+    stack.length = closeAt;
+  }
+}
+
+/**
+ * Parse the attribute part of a start tag
+ */
+function _parseAttributes(text) {
+  const attrs = {};
+  ATTRIBUTE.lastIndex = 0;
+
+  let match;
+  while ((match = ATTRIBUTE.exec(text || '')) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attrs[match[1].toLowerCase()] = decodeEntities(value);
+  }
+
+  return attrs;
+}
+
+/**
+ * Child elements (no text nodes)
+ */
+function elementChildren(node) {
+  return node.children.filter(child => child.type === 'element');
+}
+
+/**
+ * Parse a selector group into complex selectors
+ *
+ * Each complex selector is a list of `{ combinator, compound }` read left to
+ * right; compounds hold tag, id, classes, attribute tests and pseudo-classes.
+ */
+function parseSelector(selector) {
+  const groups = _splitTopLevel(String(selector || ''), ',').map(group => group.trim()).filter(Boolean);
+  if (groups.length === 0) {
+    throw new Error(`Invalid selector: "${selector}"`);
+  }
+  return groups.map(_parseComplex);
+}
+
+/**
+ * Split on a character outside brackets, parentheses and quotes
+ */
+function _splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Parse one complex selector (`main > .post a[href^="/docs"]`)
+ */
+function _parseComplex(text) {
+  const steps = [];
+  let combinator = ' ';
+  let buffer = '';
+  let depth = 0;
+  let quote = null;
+
+  const flush = () => {
+    if (buffer) {
+      steps.push({ combinator: steps.length === 0 ? null : combinator, compound: _parseCompound(buffer, text) });
+      buffer = '';
+      combinator = ' ';
+    }
+  };
+
+  for (const char of text.trim()) {
+    if (quote) {
+      buffer += char;
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (depth === 0 && /\s/.test(char)) {
+      flush();
+      continue;
+    } else if (depth === 0 && '>+~'.includes(char)) {
+      flush();
+      combinator = char;
+      continue;
+    }
+    buffer += char;
+  }
+  flush();
+
+  if (steps.length === 0) {
+    throw new Error(`Invalid selector: "${text}"`);
+  }
+  return steps;
+}
+
+/**
+ * Parse a compound selector (`a.external[href]:not(.nav)`)
+ */
+function _parseCompound(text, selector) {
+  const compound = { tag: null, id: null, classes: [], attrs: [], pseudos: [] };
+  // The type selector (anchored with ^) can only come first
+  const pattern = /^(\*|[\w-]+)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]|:([\w-]+)(?:\(((?:[^()]|\([^()]*\))*)\))?/y;
+
+  let index = 0;
+  while (index < text.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match || match[0] === '') {
+      throw new Error(`Invalid selector: "${selector}"`);
+    }
+
+    if (match[1]) {
+      compound.tag = match[1] === '*' ? null : match[1].toLowerCase();
+    } else if (match[2]) {
+      compound.id = match[2];
+    } else if (match[3]) {
+      compound.classes.push(match[3]);
+    } else if (match[4]) {
+      compound.attrs.push({
+        name: match[4].toLowerCase(),
+        operator: match[5] || null,
+        value: match[6] ?? match[7] ?? match[8] ?? null,
+      });
+    } else if (match[9]) {
+      compound.pseudos.push(_parsePseudo(match[9].toLowerCase(), match[10], selector));
+    }
+
+    index = pattern.lastIndex;
+  }
+
+  return compound;
+}
+
+/**
+ * Parse a supported pseudo-class
+ */
+function _parsePseudo(name, argument, selector) {
+  switch (name) {
+    case 'first-child':
+    case 'last-child':
+      return { name };
+    case 'nth-child':
+    case 'nth-of-type': {
+      const n = parseInt(argument, 10);
+      if (!Number.isInteger(n) || n < 1) {
+        throw new Error(`Only :${name}(<integer>) is supported in "${selector}"`);
+      }
+      return { name, n };
+    }
+    case 'not':
+      return { name, selectors: parseSelector(argument) };
+    default:
+      throw new Error(`Unsupported pseudo-class :${name} in "${selector}"`);
+  }
+}
+
+/**
+ * Does an element match a compound selector?
+ */
+function _matchCompound(element, compound) {
+  if (compound.tag && element.tag !== compound.tag) {
+    return false;
+  }
+  if (compound.id && element.attrs.id !== compound.id) {
+    return false;
+  }
+
+  if (compound.classes.length > 0) {
+    const classes = (element.attrs.class || '').split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) {
+      return false;
+    }
+  }
+
+  for (const attr of compound.attrs) {
+    const value = element.attrs[attr.name];
+    if (value === undefined) {
+      return false;
+    }
+    if (attr.operator && !_matchAttribute(value, attr.operator, attr.value)) {
+      return false;
+    }
+  }
+
+  return compound.pseudos.every(pseudo => _matchPseudo(element, pseudo));
+}
+
+/**
+ * Attribute operators: = ~= ^= $= *= |=
+ */
+function _matchAttribute(actual, operator, expected) {
+  switch (operator) {
+    case '=': return actual === expected;
+    case '~=': return actual.split(/\s+/).includes(expected);
+    case '^=': return expected !== '' && actual.startsWith(expected);
+    case '$=': return expected !== '' && actual.endsWith(expected);
+    case '*=': return expected !== '' && actual.includes(expected);
+    case '|=': return actual === expected || actual.startsWith(`${expected}-`);
+    default: return false;
+  }
+}
+
+/**
+ * Structural and negation pseudo-classes
+ */
+function _matchPseudo(element, pseudo) {
+  const siblings = element.parent ? elementChildren(element.parent) : [element];
+
+  switch (pseudo.name) {
+    case 'first-child':
+      return siblings[0] === element;
+    case 'last-child':
+      return siblings[siblings.length - 1] === element;
+    case 'nth-child':
+      return siblings.indexOf(element) + 1 === pseudo.n;
+    case 'nth-of-type':
+      return siblings.filter(sibling => sibling.tag === element.tag).indexOf(element) + 1 === pseudo.n;
+    case 'not':
+      return !pseudo.selectors.some(steps => _matchComplex(element, steps, steps.length - 1));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Match a complex selector right to left, starting at step `index`
+ */
+function _matchComplex(element, steps, index) {
+  if (!element || element.type !== 'element' || !_matchCompound(element, steps[index].compound)) {
+    return false;
+  }
+  if (index === 0) {
+    return true;
+  }
+
+  const { combinator } = steps[index];
+
+  if (combinator === '>') {
+    return _matchComplex(element.parent, steps, index - 1);
+  }
+
+  if (combinator === ' ') {
+    for (let ancestor = element.parent; ancestor; ancestor = ancestor.parent) {
+      if (_matchComplex(ancestor, steps, index - 1)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  const siblings = element.parent ? elementChildren(element.parent) : [];
+  const position = siblings.indexOf(element);
+
+  if (combinator === '+') {
+    return position > 0 && _matchComplex(siblings[position - 1], steps, index - 1);
+  }
+
+  // '~'
+  return siblings.slice(0, position).some(sibling => _matchComplex(sibling, steps, index - 1));
+}
+
+/**
+ * All elements below `root` matching a selector, in document order
+ */
+function querySelectorAll(root, selector) {
+  const groups = typeof selector === 'string' ? parseSelector(selector) : selector;
+  const matches = [];
+
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (child.type !== 'element') {
+        continue;
+      }
+      if (groups.some(steps => _matchComplex(child, steps, steps.length - 1))) {
+        matches.push(child);
+      }
+      visit(child);
+    }
+  };
+  visit(root);
+
+  return matches;
+}
+
+/**
+ * First element matching a selector, or null
+ */
+function querySelector(root, selector) {
+  return querySelectorAll(root, selector)[0] || null;
+}
+
+/**
+ * Translate a simple XPath into a CSS selector
+ *
+ * Supports `/` and `//` steps with element names or `*`, and predicates
+ * `[@attr]`, `[@attr='value']`, `[contains(@attr, 'value')]` and `[n]`.
+ */
+function xpathToSelector(xpath) {
+  const text = String(xpath || '').trim();
+  const step = /(\/\/?)([\w-]+|\*)((?:\[[^\]]*\])*)/y;
+  const parts = [];
+
+  let index = 0;
+  while (index < text.length) {
+    step.lastIndex = index;
+    const match = step.exec(text);
+    if (!match) {
+      throw new Error(`Unsupported XPath: "${xpath}"`);
+    }
+
+    const combinator = parts.length === 0 ? '' : match[1] === '//' ? ' ' : ' > ';
+    const predicates = [...match[3].matchAll(/\[([^\]]*)\]/g)].map(([, predicate]) => _xpathPredicate(predicate.trim(), xpath));
+
+    parts.push(`${combinator}${match[2]}${predicates.join('')}`);
+    index = step.lastIndex;
+  }
+
+  if (parts.length === 0) {
+    throw new Error(`Unsupported XPath: "${xpath}"`);
+  }
+  return parts.join('');
+}
+
+/**
+ * Translate one XPath predicate
+ */
+function _xpathPredicate(predicate, xpath) {
+  let match;
+
+  if (/^\d+$/.test(predicate)) {
+    return `:nth-of-type(${predicate})`;
+  }
+  if ((match = predicate.match(/^@([\w:-]+)$/))) {
+    return `[${match[1]}]`;
+  }
+  if ((match = predicate.match(/^@([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')$/))) {
+    return `[${match[1]}="${match[2] ?? match[3]}"]`;
+  }
+  if ((match = predicate.match(/^contains\(\s*@([\w:-]+)\s*,\s*(?:"([^"]*)"|'([^']*)')\s*\)$/))) {
+    return `[${match[1]}*="${match[2] ?? match[3]}"]`;
+  }
+
+  throw new Error(`Unsupported XPath predicate [${predicate}] in "${xpath}"`);
+}
+
+/**
+ * Detach every element matching a selector
+ */
+function removeElements(root, selector) {
+  for (const element of querySelectorAll(root, selector)) {
+    const siblings = element.parent.children;
+    siblings.splice(siblings.indexOf(element), 1);
+  }
+  return root;
+}
+
+/**
+ * Readable text of a node: one line per block or table row, whitespace
+ * collapsed
+ */
+function textContent(node) {
+  const chunks = [];
+
+  const visit = (current) => {
+    if (current.type === 'text') {
+      chunks.push(current.text);
+      return;
+    }
+    if (HIDDEN_ELEMENTS.has(current.tag)) {
+      return;
+    }
+    if (current.tag === 'br') {
+      chunks.push('\n');
+      return;
+    }
+
+    if (CELL_ELEMENTS.has(current.tag)) {
+      chunks.push(' ');
+      current.children.forEach(visit);
+      chunks.push(' ');
+      return;
+    }
+
+    const block = BLOCK_ELEMENTS.has(current.tag);
+    if (block) chunks.push('\n');
+    current.children.forEach(visit);
+    if (block) chunks.push('\n');
+  };
+  visit(node);
+
+  return chunks.join('')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Extract the watched text of a page
+ *
+ * `selector` (or `xpath`) picks the regions to keep, `exclude` lists
+ * selectors removed first (ads, timestamps, navigation).
+ */
+function extractText(html, rules = {}) {
+  const root = parseHTML(html);
+
+  for (const selector of rules.exclude || []) {
+    removeElements(root, selector);
+  }
+
+  const selector = rules.xpath ? xpathToSelector(rules.xpath) : rules.selector;
+  const regions = selector ? querySelectorAll(root, selector) : [root];
+
+  return regions.map(textContent).filter(Boolean).join('\n');
+}
+
+module.exports = {
+  decodeEntities,
+  parseHTML,
+  parseSelector,
+  querySelectorAll,
+  querySelector,
+  xpathToSelector,
+  removeElements,
+  textContent,
+  extractText,
+};
+
+if (require.main === module) {
+  const html = `<html><body>
+    <nav>Home | Docs</nav>
+    <main><h1>Changelog</h1><p class="date">2025-02-01</p><ul><li>Added X<li>Fixed Y</ul></main>
+  </body></html>`;
+
+  console.log(extractText(html, { selector: 'main', exclude: ['.date'] }));
+  console.log(xpathToSelector("//main//li[1]"));
+}
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+/**
+ * HTTP Client
+ *
+ * Conditional GETs backed by a persistent ETag/Last-Modified cache,
+ * request timeouts, retries with exponential backoff and jitter, and an
+ * optional politeness policy (per-host budgets, robots.txt)
+ */
+
+const { sleep } = require('./concurrency.cjs');
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+class HttpError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = details.url;
+    this.status = details.status || null;
+    this.retryable = details.retryable || false;
+  }
+}
+
+class HttpClient {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.storage = options.storage;
+    this.userAgent = options.userAgent || 'OpenClaw-Evolution/1.0';
+    this.timeout = options.timeout || 10000;
+    this.retries = options.retries ?? 3;
+    this.backoffBase = options.backoffBase ?? 500;
+    this.backoffMax = options.backoffMax ?? 30000;
+    this.maxRetryAfter = options.maxRetryAfter ?? 60000;
+    // Shared PolitenessPolicy consulted before every attempt
+    this.politeness = options.politeness || null;
+
+    this.stats = {
+      requests: 0,
+      not_modified: 0,
+      retries: 0,
+      failures: 0,
+    };
+  }
+
+  /**
+   * Perform a request
+   *
+   * GET requests are conditional by default: cached validators are sent and
+   * a 304 is answered from the cache (`notModified: true`).
+   * With a politeness policy, each attempt waits for the host's budget and
+   * robots.txt is checked unless `robots: false` (`politeness: false` skips both).
+   * Aborting `signal` cancels the request and its retries with the signal's reason.
+   */
+  async request(url, options = {}) {
+    const method = options.method || 'GET';
+    const useCache = options.cache !== false && method === 'GET' && !!this.storage;
+    const cached = useCache ? this.storage.getHttpCache(url) : null;
+
+    const headers = {
+      'User-Agent': this.userAgent,
+      ...options.headers,
+    };
+
+    if (cached?.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+    if (cached?.last_modified) {
+      headers['If-Modified-Since'] = cached.last_modified;
+    }
+
+    const retries = options.retries ?? this.retries;
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let body;
+      options.signal?.throwIfAborted();
+
+      if (this.politeness && options.politeness !== false) {
+        await this.politeness.beforeRequest(url, { robots: options.robots, signal: options.signal });
+      }
+
+      try {
+        this.stats.requests++;
+        ({ response, body } = await this._fetchWithTimeout(url, {
+          method,
+          headers,
+          body: options.body,
+        }, options.timeout || this.timeout, options.signal));
+      } catch (error) {
+        if (options.signal?.aborted) {
+          throw options.signal.reason;
+        }
+        if (attempt < retries) {
+          await this._backoff(url, attempt, null, error.message, options.signal);
+          continue;
+        }
+        this.stats.failures++;
+        throw new HttpError(error.message, { url, retryable: true });
+      }
+
+      if (response.status === 304 && cached) {
+        this.stats.not_modified++;
+        this.storage.touchHttpCache(url);
+        return {
+          status: 304,
+          ok: true,
+          notModified: true,
+          fromCache: true,
+          headers: response.headers,
+          body: cached.body,
+        };
+      }
+
+      if (RETRYABLE_STATUS.has(response.status) && attempt < retries) {
+        const retryAfter = this._parseRetryAfter(response.headers.get('retry-after'));
+        if (retryAfter === null || retryAfter <= this.maxRetryAfter) {
+          await this._backoff(url, attempt, retryAfter, `HTTP ${response.status}`, options.signal);
+          continue;
+        }
+      }
+
+      if (!response.ok) {
+        this.stats.failures++;
+        throw new HttpError(`HTTP ${response.status}: ${response.statusText}`, {
+          url,
+          status: response.status,
+          retryable: RETRYABLE_STATUS.has(response.status),
+        });
+      }
+
+      if (useCache) {
+        const etag = response.headers.get('etag');
+        const lastModified = response.headers.get('last-modified');
+        if (etag || lastModified) {
+          this.storage.setHttpCache({
+            url,
+            etag,
+            last_modified: lastModified,
+            body,
+            status: response.status,
+          });
+        }
+      }
+
+      return {
+        status: response.status,
+        ok: true,
+        notModified: false,
+        fromCache: false,
+        headers: response.headers,
+        body,
+      };
+    }
+  }
+
+  /**
+   * Fetch a URL and return its body as text
+   */
+  async fetchText(url, options = {}) {
+    const response = await this.request(url, options);
+    return response.body;
+  }
+
+  /**
+   * Fetch a URL and parse its body as JSON
+   *
+   * JSON endpoints are APIs, not crawled pages: robots.txt is not consulted
+   * unless `robots: true`.
+   */
+  async fetchJSON(url, options = {}) {
+    const response = await this.request(url, {
+      robots: false,
+      ...options,
+      headers: { 'Accept': 'application/json', ...options.headers },
+    });
+    return JSON.parse(response.body);
+  }
+
+  /**
+   * fetch() with an AbortController-based timeout, also ended by the caller's `signal`
+   *
+   * Resolves to `{ response, body }`: the timeout covers reading the body
+   * too, so a server stalling after the headers cannot hang the request.
+   */
+  async _fetchWithTimeout(url, init, timeout, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, { ...init, signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal });
+      return { response, body: await response.text() };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timed out after ${timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Wait before the next attempt
+   *
+   * Exponential backoff with equal jitter (half the delay fixed, half random),
+   * or the server's Retry-After when given.
+   */
+  async _backoff(url, attempt, retryAfter, reason, signal) {
+    const exponential = Math.min(this.backoffMax, this.backoffBase * 2 ** attempt);
+    const delay = retryAfter !== null
+      ? retryAfter
+      : Math.round(exponential / 2 + Math.random() * exponential / 2);
+
+    this.stats.retries++;
+    this.logger?.debug('Retrying request', { url, attempt: attempt + 1, delay, reason });
+
+    await sleep(delay, signal);
+  }
+
+  /**
+   * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds
+   */
+  _parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    if (isNaN(date)) {
+      return null;
+    }
+
+    return Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Get stats
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = { HttpClient, HttpError };
+
+if (require.main === module) {
+  const client = new HttpClient({ logger: console });
+  const url = process.argv[2] || 'https://example.com';
+
+  client.request(url).then(response => {
+    console.log('Status:', response.status, 'bytes:', response.body.length);
+    console.log('Stats:', client.getStats());
+  }).catch(err => {
+    console.error('Error:', err.message);
+  });
+}
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * JavaScript Tokenizer
+ *
+ * Forgiving lexer for static analysis: drops whitespace and comments and
+ * returns tokens with line numbers. Template literals become template
+ * chunks around their tokenized `${}` expressions; a `/` is read as a regex
+ * when the previous token cannot end an operand.
+ */
+
+const KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'default', 'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for',
+  'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null', 'of', 'return',
+  'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void',
+  'while', 'with', 'yield',
+]);
+
+// Keywords after which `/` starts a regex rather than a division
+const REGEX_AFTER_KEYWORDS = new Set([
+  'case', 'delete', 'do', 'else', 'in', 'instanceof', 'new', 'of', 'return', 'throw',
+  'typeof', 'void', 'yield', 'await',
+]);
+
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=',
+  '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+];
+
+const NUMBER_PATTERN = /(?:0[xXbBoO][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+const IDENTIFIER_PATTERN = /#?[A-Za-z_$\u0080-\uffff][\w$\u0080-\uffff]*/y;
+
+/**
+ * Tokenize JavaScript source
+ *
+ * Tokens are `{ type, value, line, endLine }` with type one of
+ * identifier, keyword, punctuator, string, template, number or regex.
+ */
+function tokenize(source) {
+  const src = String(source);
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  // Open `{` and template `${` delimiters, innermost last
+  const braces = [];
+
+  const push = (type, start, end) => {
+    const value = src.slice(start, end);
+    const endLine = line + _countLines(value);
+    tokens.push({ type, value, line, endLine });
+    line = endLine;
+    i = end;
+  };
+
+  // Hashbang line
+  if (src.startsWith('#!')) {
+    i = src.indexOf('\n') === -1 ? src.length : src.indexOf('\n');
+  }
+
+  while (i < src.length) {
+    const char = src[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Comments
+    if (char === '/' && src[i + 1] === '/') {
+      const end = src.indexOf('\n', i);
+      i = end === -1 ? src.length : end;
+      continue;
+    }
+    if (char === '/' && src[i + 1] === '*') {
+      const end = src.indexOf('*/', i + 2);
+      const stop = end === -1 ? src.length : end + 2;
+      line += _countLines(src.slice(i, stop));
+      i = stop;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      push('string', i, _skipString(src, i));
+      continue;
+    }
+    // Templates are split around `${}` so their expressions are tokenized
+    const closesExpression = char === '}' && braces[braces.length - 1] === '${';
+    if (char === '`' || closesExpression) {
+      if (closesExpression) braces.pop();
+      const chunk = _skipTemplate(src, i);
+      if (chunk.open) braces.push('${');
+      push('template', i, chunk.end);
+      continue;
+    }
+
+    if (char === '/' && _regexAllowed(tokens[tokens.length - 1])) {
+      push('regex', i, _skipRegex(src, i));
+      continue;
+    }
+
+    if (/\d/.test(char) || (char === '.' && /\d/.test(src[i + 1] || ''))) {
+      NUMBER_PATTERN.lastIndex = i;
+      const match = NUMBER_PATTERN.exec(src);
+      push('number', i, i + match[0].length);
+      continue;
+    }
+
+    IDENTIFIER_PATTERN.lastIndex = i;
+    const identifier = IDENTIFIER_PATTERN.exec(src);
+    if (identifier) {
+      push(KEYWORDS.has(identifier[0]) ? 'keyword' : 'identifier', i, i + identifier[0].length);
+      continue;
+    }
+
+    let punctuator = PUNCTUATORS.find(candidate => src.startsWith(candidate, i)) || char;
+    // `a?.5:b` is a conditional, not optional chaining
+    if (punctuator === '?.' && /\d/.test(src[i + 2] || '')) {
+      punctuator = '?';
+    }
+    if (punctuator === '{') braces.push('{');
+    if (punctuator === '}') braces.pop();
+    push('punctuator', i, i + punctuator.length);
+  }
+
+  return tokens;
+}
+
+/**
+ * Whether a `/` after this token starts a regex literal
+ */
+function _regexAllowed(previous) {
+  if (!previous) {
+    return true;
+  }
+  if (previous.type === 'keyword') {
+    return REGEX_AFTER_KEYWORDS.has(previous.value);
+  }
+  if (previous.type === 'punctuator') {
+    return ![')', ']', '}', '++', '--'].includes(previous.value);
+  }
+  return false;
+}
+
+/**
+ * End index of a quoted string starting at `start`
+ */
+function _skipString(src, start) {
+  const quote = src[start];
+  let i = start + 1;
+
+  while (i < src.length && src[i] !== quote && src[i] !== '\n') {
+    i += src[i] === '\\' ? 2 : 1;
+  }
+  return Math.min(i + 1, src.length);
+}
+
+/**
+ * Scan one template chunk from its opening `` ` `` or `}`
+ *
+ * Stops after the closing backtick or after a `${` that opens an
+ * expression (`open` is then true and the expression is tokenized).
+ */
+function _skipTemplate(src, start) {
+  let i = start + 1;
+
+  while (i < src.length) {
+    if (src[i] === '\\') {
+      i += 2;
+    } else if (src[i] === '`') {
+      return { end: i + 1, open: false };
+    } else if (src[i] === '$' && src[i + 1] === '{') {
+      return { end: i + 2, open: true };
+    } else {
+      i++;
+    }
+  }
+  return { end: src.length, open: false };
+}
+
+/**
+ * End index of a regex literal (with flags)
+ */
+function _skipRegex(src, start) {
+  let i = start + 1;
+  let inClass = false;
+
+  while (i < src.length && src[i] !== '\n') {
+    const char = src[i];
+    if (char === '\\') {
+      i += 2;
+      continue;
+    }
+    if (char === '[') inClass = true;
+    if (char === ']') inClass = false;
+    i++;
+    if (char === '/' && !inClass) {
+      break;
+    }
+  }
+
+  while (i < src.length && /[a-z]/i.test(src[i])) {
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Number of line breaks in a string
+ */
+function _countLines(text) {
+  let count = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    count++;
+  }
+  return count;
+}
+
+module.exports = {
+  KEYWORDS,
+  tokenize,
+};
+
+if (require.main === module) {
+  const fs = require('fs');
+  const source = process.argv[2]
+    ? fs.readFileSync(process.argv[2], 'utf8')
+    : 'const re = /a\\/b/g; // comment\nconst s = `x ${a / 2} y`;\n';
+
+  for (const token of tokenize(source)) {
+    console.log(`${token.line}\t${token.type}\t${token.value}`);
+  }
+}
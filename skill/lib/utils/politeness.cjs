@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+
+/**
+ * Politeness Policy
+ *
+ * Per-host request budgets (token buckets) and robots.txt rules shared by
+ * every HttpClient of the system
+ */
+
+const { HttpClient, HttpError } = require('./http.cjs');
+const { parseDuration } = require('./duration.cjs');
+const { sleep } = require('./concurrency.cjs');
+
+class TokenBucket {
+  constructor(options = {}) {
+    this.capacity = options.capacity || 1;
+    this.ratePerMs = options.ratePerSecond / 1000;
+    this.now = options.now || Date.now;
+    this.tokens = this.capacity;
+    this.updatedAt = this.now();
+  }
+
+  /**
+   * Take `amount` tokens; returns how long to wait (ms) before using them
+   *
+   * Tokens may go negative: concurrent callers queue up behind each other
+   * instead of all waking at the same time.
+   */
+  reserve(amount = 1) {
+    const now = this.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+    this.updatedAt = now;
+    this.tokens -= amount;
+
+    return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.ratePerMs);
+  }
+
+  /**
+   * Correct an earlier reservation: give back (positive) or take (negative) tokens
+   */
+  adjust(amount) {
+    this.tokens = Math.min(this.capacity, this.tokens + amount);
+  }
+}
+
+class PolitenessPolicy {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.userAgent = options.userAgent || 'OpenClaw-Evolution/1.0';
+    this.http = options.http || new HttpClient({ logger: this.logger, userAgent: this.userAgent, retries: 0, timeout: 5000 });
+    this.defaults = {
+      requestsPerMinute: 60,
+      burst: 5,
+      robots: true,
+      ...options.defaults,
+    };
+    // Per-host overrides of the defaults, e.g. { "api.github.com": { requestsPerMinute: 80 } }
+    this.hosts = options.hosts || {};
+    this.robotsTtl = parseDuration(options.robotsTtl ?? '24h');
+    this.now = options.now || Date.now;
+
+    this.buckets = new Map();
+    this.robots = new Map();
+    this.stats = {
+      requests: 0,
+      delayed: 0,
+      delay_ms: 0,
+      blocked: 0,
+    };
+  }
+
+  /**
+   * Wait for the host's budget and check robots.txt before a request
+   *
+   * Throws an HttpError (not retryable) when robots.txt disallows the URL.
+   * Pass `robots: false` for API endpoints, which robots.txt does not cover.
+   * Aborting `signal` ends the wait for the budget with the signal's reason.
+   */
+  async beforeRequest(url, options = {}) {
+    const target = new URL(url);
+    const policy = this.hostPolicy(target.host);
+    let crawlDelay = null;
+
+    if (policy.robots !== false && options.robots !== false && target.pathname !== '/robots.txt') {
+      const robots = await this._robotsFor(target);
+      crawlDelay = robots.crawlDelay;
+
+      if (!isAllowed(robots.rules, `${target.pathname}${target.search}`)) {
+        this.stats.blocked++;
+        throw new HttpError(`Disallowed by robots.txt: ${url}`, { url });
+      }
+    }
+
+    const wait = this._bucket(target.host, policy, crawlDelay).reserve();
+    this.stats.requests++;
+
+    if (wait > 0) {
+      this.stats.delayed++;
+      this.stats.delay_ms += wait;
+      this.logger?.debug('Waiting for host budget', { host: target.host, wait });
+      await sleep(wait, options.signal);
+    }
+  }
+
+  /**
+   * Effective settings for a host
+   */
+  hostPolicy(host) {
+    return { ...this.defaults, ...this.hosts[host] };
+  }
+
+  /**
+   * Budget and robots.txt state per host
+   */
+  getStatus() {
+    const hosts = {};
+
+    for (const [host, bucket] of this.buckets) {
+      const robots = this.robots.get(host);
+      hosts[host] = {
+        requests_per_minute: Math.round(bucket.ratePerMs * 60000 * 100) / 100,
+        burst: bucket.capacity,
+        tokens: Math.floor(Math.max(0, bucket.tokens)),
+        robots_rules: robots?.rules?.length ?? null,
+        crawl_delay: robots?.crawlDelay ?? null,
+      };
+    }
+
+    return { ...this.stats, hosts };
+  }
+
+  /**
+   * Token bucket of a host (crawl-delay lowers the rate to one per delay)
+   */
+  _bucket(host, policy, crawlDelay) {
+    let ratePerSecond = policy.requestsPerMinute / 60;
+    let capacity = policy.burst;
+
+    if (crawlDelay) {
+      ratePerSecond = Math.min(ratePerSecond, 1 / crawlDelay);
+      capacity = 1;
+    }
+
+    const bucket = this.buckets.get(host);
+    if (bucket && bucket.capacity === capacity && bucket.ratePerMs === ratePerSecond / 1000) {
+      return bucket;
+    }
+
+    const created = new TokenBucket({ capacity, ratePerSecond, now: this.now });
+    this.buckets.set(host, created);
+    return created;
+  }
+
+  /**
+   * robots.txt rules for our user agent, fetched once per host and TTL
+   *
+   * A missing or unreachable robots.txt allows everything.
+   */
+  async _robotsFor(target) {
+    const cached = this.robots.get(target.host);
+    if (cached && this.now() - cached.fetchedAt < this.robotsTtl) {
+      return cached.pending || cached;
+    }
+
+    const pending = this._fetchRobots(`${target.origin}/robots.txt`).then(text => {
+      const entry = { ...selectRules(parseRobots(text), this.userAgent), fetchedAt: this.now() };
+      this.robots.set(target.host, entry);
+      return entry;
+    });
+
+    // Concurrent requests to the same host share one robots.txt fetch
+    this.robots.set(target.host, { fetchedAt: this.now(), pending });
+    return pending;
+  }
+
+  /**
+   * robots.txt body ('' when there is none)
+   */
+  async _fetchRobots(url) {
+    try {
+      const response = await this.http.request(url, { headers: { 'Accept': 'text/plain' } });
+      return response.body;
+    } catch (error) {
+      this.logger?.debug('No robots.txt, allowing all', { url, error: error.message });
+      return '';
+    }
+  }
+}
+
+/**
+ * Parse robots.txt into groups of `{ agents, rules, crawlDelay }`
+ */
+function parseRobots(text) {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!group) {
+      continue;
+    }
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay' && Number.isFinite(parseFloat(value))) {
+      group.crawlDelay = parseFloat(value);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Rules that apply to a user agent: its most specific named groups, or `*`
+ */
+function selectRules(groups, userAgent) {
+  const product = String(userAgent).split('/')[0].toLowerCase();
+
+  const named = groups
+    .flatMap(group => group.agents.filter(agent => agent !== '*' && product.includes(agent)).map(agent => ({ agent, group })));
+  const longest = Math.max(0, ...named.map(entry => entry.agent.length));
+  const matched = longest > 0
+    ? named.filter(entry => entry.agent.length === longest).map(entry => entry.group)
+    : groups.filter(group => group.agents.includes('*'));
+
+  return {
+    rules: matched.flatMap(group => group.rules),
+    crawlDelay: matched.map(group => group.crawlDelay).find(delay => delay !== null) ?? null,
+  };
+}
+
+/**
+ * Whether a path is allowed: the longest matching rule wins, Allow on ties
+ */
+function isAllowed(rules, pathWithQuery) {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!_rulePattern(rule.path).test(pathWithQuery)) {
+      continue;
+    }
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Prefix pattern for a robots.txt path (`*` wildcard, `$` end anchor)
+ */
+function _rulePattern(rulePath) {
+  const anchored = rulePath.endsWith('$');
+  const body = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+module.exports = {
+  TokenBucket,
+  PolitenessPolicy,
+  parseRobots,
+  selectRules,
+  isAllowed,
+};
+
+if (require.main === module) {
+  const robots = parseRobots('User-agent: *\nDisallow: /private\nAllow: /private/ok$\nCrawl-delay: 2\n');
+  const rules = selectRules(robots, 'OpenClaw-Evolution/1.0');
+
+  for (const path of ['/', '/private/x', '/private/ok', '/private/ok/x']) {
+    console.log(path, isAllowed(rules.rules, path) ? 'allowed' : 'disallowed');
+  }
+  console.log('Crawl-delay:', rules.crawlDelay);
+}
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Semantic Versioning Helpers
+ *
+ * Minimal semver 2.0 parsing, comparison and range handling for
+ * dependency monitoring (no build metadata precedence, no range algebra)
+ */
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a version string (null if invalid)
+ */
+function parse(version) {
+  const match = String(version || '').trim().match(VERSION_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3], 10),
+    prerelease: match[4] ? match[4].split('.') : [],
+    version: `${match[1]}.${match[2]}.${match[3]}${match[4] ? `-${match[4]}` : ''}`,
+  };
+}
+
+/**
+ * Compare two versions: -1, 0 or 1
+ */
+function compare(a, b) {
+  const va = typeof a === 'string' ? parse(a) : a;
+  const vb = typeof b === 'string' ? parse(b) : b;
+
+  if (!va || !vb) {
+    throw new Error(`Invalid version: ${!va ? a : b}`);
+  }
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (va[part] !== vb[part]) {
+      return va[part] > vb[part] ? 1 : -1;
+    }
+  }
+
+  // A version without prerelease tags has higher precedence
+  if (va.prerelease.length === 0 || vb.prerelease.length === 0) {
+    return Math.sign(vb.prerelease.length - va.prerelease.length);
+  }
+
+  const length = Math.max(va.prerelease.length, vb.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    const pa = va.prerelease[i];
+    const pb = vb.prerelease[i];
+
+    if (pa === undefined) return -1;
+    if (pb === undefined) return 1;
+    if (pa === pb) continue;
+
+    const na = /^\d+$/.test(pa);
+    const nb = /^\d+$/.test(pb);
+    if (na && nb) return parseInt(pa, 10) > parseInt(pb, 10) ? 1 : -1;
+    if (na) return -1;
+    if (nb) return 1;
+    return pa > pb ? 1 : -1;
+  }
+
+  return 0;
+}
+
+/**
+ * Kind of change from one version to another
+ *
+ * Returns 'major', 'minor', 'patch', 'prerelease' or null when `to` is not newer.
+ */
+function diff(from, to) {
+  const a = parse(from);
+  const b = parse(to);
+
+  if (!a || !b || compare(a, b) >= 0) {
+    return null;
+  }
+
+  if (a.major !== b.major) return 'major';
+  if (a.minor !== b.minor) return 'minor';
+  if (a.patch !== b.patch) return 'patch';
+  return 'prerelease';
+}
+
+/**
+ * Lowest version a simple range can resolve to
+ *
+ * Handles exact versions, ^, ~, >=, =, x-ranges and `a || b` (first
+ * alternative). Returns null for non-registry specifiers (git, file, tags).
+ */
+function minVersion(range) {
+  const spec = String(range || '').split('||')[0].trim().split(/\s+/)[0];
+  if (!spec || spec === '*' || spec === 'latest') {
+    return null;
+  }
+
+  const stripped = spec.replace(/^(\^|~|>=|=|v)+/, '');
+  const parts = stripped.split('-')[0].split('.');
+
+  if (!/^\d+$/.test(parts[0])) {
+    return null;
+  }
+
+  const numbers = [0, 1, 2].map(i => (/^\d+$/.test(parts[i] || '') ? parts[i] : '0'));
+  const prerelease = stripped.includes('-') && parts.length >= 3
+    ? stripped.slice(stripped.indexOf('-'))
+    : '';
+
+  return parse(`${numbers.join('.')}${prerelease}`)?.version || null;
+}
+
+/**
+ * Does a version satisfy a range?
+ *
+ * Supports comparator sets (`>=1.0.0 <1.2.3`, GitHub-style `>= 1.0.0, < 1.2.3`),
+ * exact versions, ^ and ~, joined with `||`. Partial versions are zero-padded.
+ */
+function satisfies(version, range) {
+  const parsed = parse(version);
+  if (!parsed) {
+    return false;
+  }
+
+  return String(range || '').split('||').some(set => {
+    const comparators = set
+      .replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1')
+      .split(/[\s,]+/)
+      .filter(Boolean);
+
+    return comparators.length > 0 &&
+      comparators.every(comparator => _testComparator(parsed, comparator));
+  });
+}
+
+/**
+ * Test a single comparator (`<1.2.3`, `^2.0.0`, `*`...)
+ */
+function _testComparator(version, comparator) {
+  if (comparator === '*' || comparator.toLowerCase() === 'x') {
+    return true;
+  }
+
+  const match = comparator.match(/^(<=|>=|<|>|=|\^|~)?v?(.+)$/);
+  const operator = match[1] || '=';
+  const target = parse(minVersion(match[2]) || '');
+
+  if (!target) {
+    return false;
+  }
+
+  const order = compare(version, target);
+
+  switch (operator) {
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    case '^': {
+      const upper = target.major > 0
+        ? `${target.major + 1}.0.0`
+        : target.minor > 0 ? `0.${target.minor + 1}.0` : `0.0.${target.patch + 1}`;
+      return order >= 0 && compare(version, upper) < 0;
+    }
+    case '~':
+      return order >= 0 && compare(version, `${target.major}.${target.minor + 1}.0`) < 0;
+    default:
+      return order === 0;
+  }
+}
+
+/**
+ * Is the version a prerelease?
+ */
+function isPrerelease(version) {
+  const parsed = parse(version);
+  return !!parsed && parsed.prerelease.length > 0;
+}
+
+module.exports = {
+  parse,
+  compare,
+  diff,
+  minVersion,
+  satisfies,
+  isPrerelease,
+};
+
+if (require.main === module) {
+  console.log('compare 1.2.3 vs 1.10.0:', compare('1.2.3', '1.10.0'));
+  console.log('diff 1.6.0 -> 2.0.0:', diff('1.6.0', '2.0.0'));
+  console.log('minVersion ^9.6.0:', minVersion('^9.6.0'));
+  console.log('satisfies 4.17.20 >= 4.0.0, < 4.17.21:', satisfies('4.17.20', '>= 4.0.0, < 4.17.21'));
+}
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Line Diff
+ *
+ * LCS-based line diff with a unified-style text rendering, used to
+ * compare page snapshots
+ */
+
+// Above this many cells (lines × lines) the middle section is diffed as a
+// whole-block replacement instead of running the quadratic LCS
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line
+ *
+ * Returns operations `{ op: '=' | '-' | '+', line }` in order.
+ */
+function diffLines(before, after) {
+  const a = _lines(before);
+  const b = _lines(after);
+
+  // Trim the common prefix and suffix before the quadratic part
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(line => ({ op: '=', line }));
+  ops.push(..._diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+  ops.push(...a.slice(endA).map(line => ({ op: '=', line })));
+
+  return ops;
+}
+
+/**
+ * LCS diff of the differing middle section
+ */
+function _diffMiddle(a, b) {
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    return [
+      ...a.map(line => ({ op: '-', line })),
+      ...b.map(line => ({ op: '+', line })),
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ op: '=', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ op: '-', line: a[i++] });
+    } else {
+      ops.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ op: '-', line: a[i++] });
+  while (j < b.length) ops.push({ op: '+', line: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Counts of added/removed lines and changed characters
+ */
+function diffStats(ops) {
+  const stats = { added: 0, removed: 0, changed_chars: 0 };
+
+  for (const { op, line } of ops) {
+    if (op === '+') {
+      stats.added++;
+      stats.changed_chars += line.length;
+    } else if (op === '-') {
+      stats.removed++;
+      stats.changed_chars += line.length;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Render changes with `context` unchanged lines around each hunk
+ */
+function formatDiff(ops, context = 2) {
+  const keep = new Array(ops.length).fill(false);
+
+  ops.forEach((entry, index) => {
+    if (entry.op !== '=') {
+      for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k++) {
+        keep[k] = true;
+      }
+    }
+  });
+
+  const lines = [];
+  let skipped = false;
+
+  ops.forEach((entry, index) => {
+    if (!keep[index]) {
+      skipped = true;
+      return;
+    }
+    if (skipped && lines.length > 0) {
+      lines.push('…');
+    }
+    skipped = false;
+
+    const prefix = entry.op === '=' ? ' ' : entry.op;
+    lines.push(`${prefix} ${entry.line}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Split text into lines (none for empty text)
+ */
+function _lines(text) {
+  return text ? String(text).split('\n') : [];
+}
+
+module.exports = {
+  diffLines,
+  diffStats,
+  formatDiff,
+};
+
+if (require.main === module) {
+  const before = 'Intro\nFeature A\nFeature B\nFooter';
+  const after = 'Intro\nFeature A (updated)\nFeature B\nFeature C\nFooter';
+  const ops = diffLines(before, after);
+
+  console.log(formatDiff(ops));
+  console.log(diffStats(ops));
+}
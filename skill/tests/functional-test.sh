@@ -207,6 +207,17 @@ system.init().then(() => {
 " 2>&1 | grep -E "✅|❌|📋|🧪" || true
 echo ""
 
+# Test 13: Unit tests
+echo "🧪 Test 13: Unit tests..."
+node tests/unit.test.cjs > /tmp/evolution-unit-test.log 2>&1 || {
+  cat /tmp/evolution-unit-test.log
+  echo "❌ Unit tests failed"
+  exit 1
+}
+grep -E "^# (tests|pass|fail)" /tmp/evolution-unit-test.log
+echo "✅ Unit tests passed"
+echo ""
+
 echo "======================================"
 echo "✅ All tests passed!"
 echo ""
@@ -225,6 +236,7 @@ echo "  ✅ Auto Scaler"
 echo "  ✅ Elastic Compute Engine"
 echo "  ✅ Full learning cycle"
 echo "  ✅ Status report"
+echo "  ✅ Unit tests"
 echo ""
 echo "🚀 Evolution System is ready!"
 echo ""
@@ -0,0 +1,2868 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Evolution Skill
+ *
+ * Run with: node tests/unit.test.cjs
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { EvolutionLogger } = require('../lib/utils/logger.cjs');
+const { BaseMonitor } = require('../lib/monitors/base.cjs');
+const { FeedParser } = require('../lib/monitors/feed-parser.cjs');
+const { HttpClient, HttpError } = require('../lib/utils/http.cjs');
+const { SQLStore } = require('../lib/storage/sql-store.cjs');
+const dedup = require('../lib/storage/dedup.cjs');
+const semver = require('../lib/utils/semver.cjs');
+const cvss = require('../lib/utils/cvss.cjs');
+const { collectDependencies, readLockTree } = require('../lib/monitors/npm-registry.cjs');
+const { TechMonitor } = require('../lib/monitors/monitor-tech.cjs');
+const { AIMonitor } = require('../lib/monitors/monitor-ai.cjs');
+const { ArxivClient } = require('../lib/monitors/arxiv.cjs');
+const { MonitorRegistry } = require('../lib/monitors/registry.cjs');
+const { parseDuration } = require('../lib/utils/duration.cjs');
+const { RiskRater } = require('../lib/analyzer/risk-rater.cjs');
+const { OpenClawMonitor } = require('../lib/monitors/monitor-openclaw.cjs');
+const { GitHubAPI } = require('../lib/executor/github-api.cjs');
+const { WebPageMonitor } = require('../lib/monitors/monitor-webpage.cjs');
+const html = require('../lib/utils/html.cjs');
+const textDiff = require('../lib/utils/text-diff.cjs');
+const { tokenize } = require('../lib/utils/js-tokenizer.cjs');
+const { findClones, findFunctions } = require('../lib/monitors/code-analysis.cjs');
+const { InternalMonitor } = require('../lib/monitors/monitor-internal.cjs');
+const { parseEntry, parseSections } = require('../lib/monitors/session-logs.cjs');
+const { StartupMonitor } = require('../lib/monitors/monitor-startup.cjs');
+const { PolitenessPolicy, TokenBucket, parseRobots, selectRules, isAllowed } = require('../lib/utils/politeness.cjs');
+const { MonitorScheduler } = require('../lib/monitors/scheduler.cjs');
+const { FeedMonitor } = require('../lib/monitors/monitor-feed.cjs');
+const { summarizeHealth } = require('../lib/monitors/source-health.cjs');
+const { ModelClient, ModelClientError, createModelClient } = require('../lib/analyzer/model-client.cjs');
+const { FastClassifier } = require('../lib/analyzer/classifier.cjs');
+const { extractJSON, validate } = require('../lib/analyzer/structured-output.cjs');
+const { DeepAnalyzer } = require('../lib/analyzer/analyzer.cjs');
+const { AIAnalysisEngine } = require('../lib/analyzer/index.cjs');
+const { HashingEmbedder, createEmbedder } = require('../lib/storage/embeddings.cjs');
+const { VectorIndex } = require('../lib/storage/vector-index.cjs');
+const { SemanticSearch } = require('../lib/storage/semantic-search.cjs');
+const { RelevanceCalibrator, fitIsotonic, interpolate } = require('../lib/analyzer/calibration.cjs');
+const { PromptLibrary } = require('../lib/analyzer/prompts.cjs');
+const { runExperiment, formatReport, classificationMetrics } = require('../lib/analyzer/experiment.cjs');
+const { CassetteClient, requestKey } = require('../lib/analyzer/cassette.cjs');
+const { ModelRateLimiter } = require('../lib/analyzer/rate-limits.cjs');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Logger that records nothing
+ */
+function quietLogger() {
+  return new EvolutionLogger({ enableConsole: false, enableFile: false });
+}
+
+/**
+ * Open a throwaway SQLite store
+ */
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-test-'));
+  const store = new SQLStore(path.join(dir, 'evolution.db')).init();
+  const close = store.close.bind(store);
+
+  store.close = () => {
+    close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return store;
+}
+
+/**
+ * Reply with a JSON body
+ */
+function sendJSON(res, data, headers = {}) {
+  res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Start a local HTTP stub
+ *
+ * Routes map a path to a handler `(req, res) => void` or to a fixture
+ * file path (relative to tests/fixtures).
+ */
+async function startServer(routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+    const route = routes[req.url] || routes[req.url.split('?')[0]];
+
+    if (!route) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+
+    if (typeof route === 'function') {
+      route(req, res);
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    res.end(fs.readFileSync(path.join(FIXTURES, route)));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+test('FeedParser normalizes RSS 2.0 items', async () => {
+  const xml = fs.readFileSync(path.join(FIXTURES, 'feeds/rss2.xml'), 'utf8');
+  const feed = await new FeedParser().parse(xml);
+
+  assert.equal(feed.format, 'rss');
+  assert.equal(feed.entries.length, 2);
+  assert.deepEqual(feed.entries[0], {
+    title: 'Faster inference with speculative decoding',
+    content: 'We cut latency by 2x using speculative decoding.',
+    url: 'https://blog.example.com/posts/speculative-decoding',
+    published_at: '2025-02-03T10:00:00.000Z',
+    author: 'Jane Doe',
+    guid: 'example-post-1001',
+  });
+  // Items without a <guid> fall back to their link
+  assert.equal(feed.entries[1].guid, 'https://blog.example.com/posts/sdk-2-0');
+  assert.equal(feed.entries[1].content, 'Breaking changes & migration guide.');
+});
+
+test('FeedParser normalizes Atom 1.0 entries', async () => {
+  const xml = fs.readFileSync(path.join(FIXTURES, 'feeds/atom.xml'), 'utf8');
+  const feed = await new FeedParser().parse(xml);
+
+  assert.equal(feed.format, 'atom');
+  assert.equal(feed.entries[0].title, 'Actions runner v3');
+  assert.equal(feed.entries[0].url, 'https://changelog.example.com/2025-02-05-runner-v3');
+  assert.equal(feed.entries[0].published_at, '2025-02-05T12:00:00.000Z');
+  assert.equal(feed.entries[0].author, 'Release Bot');
+  assert.equal(feed.entries[0].guid, 'tag:changelog.example.com,2025:runner-v3');
+  assert.equal(feed.entries[0].content, 'Self-hosted runners start 40% faster.');
+  // No <published>: fall back to <updated>
+  assert.equal(feed.entries[1].published_at, '2025-02-06T09:00:00.000Z');
+  assert.equal(feed.entries[1].content, 'The v1 cache API will be removed.');
+});
+
+test('FeedParser normalizes RDF (RSS 1.0) items', async () => {
+  const xml = fs.readFileSync(path.join(FIXTURES, 'feeds/rdf.xml'), 'utf8');
+  const feed = await new FeedParser().parse(xml);
+
+  assert.equal(feed.format, 'rdf');
+  assert.deepEqual(feed.entries[0], {
+    title: 'Efficient Attention for Long Contexts',
+    content: 'We propose a linear-time attention mechanism.',
+    url: 'https://papers.example.org/abs/2502.00001',
+    published_at: '2025-02-07T00:00:00.000Z',
+    author: 'A. Researcher, B. Scientist',
+    guid: 'https://papers.example.org/abs/2502.00001',
+  });
+});
+
+test('FeedParser rejects non-feed documents', async () => {
+  await assert.rejects(new FeedParser().parse('<html><body>nope</body></html>'), /Unrecognized feed format/);
+});
+
+test('BaseMonitor ingests feeds served over HTTP into processContent', async () => {
+  const server = await startServer({
+    '/rss': 'feeds/rss2.xml',
+    '/atom': 'feeds/atom.xml',
+  });
+
+  try {
+    const monitor = new BaseMonitor({ name: 'feed-test', logger: quietLogger() });
+    const discovered = [];
+    monitor.on('discovered', item => discovered.push(item));
+
+    const processed = await monitor.ingestFeeds(
+      [`${server.url}/rss`, `${server.url}/missing`, `${server.url}/atom`],
+      { type: 'blog', risk_level: 'MEDIUM' }
+    );
+
+    // The 404 feed is skipped without aborting the others
+    assert.equal(processed, 4);
+    assert.equal(discovered.length, 4);
+    assert.equal(discovered[0].source, 'feed-test');
+    assert.equal(discovered[0].type, 'blog');
+    assert.equal(discovered[0].guid, 'example-post-1001');
+    assert.equal(discovered[2].title, 'Actions runner v3');
+  } finally {
+    await server.close();
+  }
+});
+
+test('HttpClient revalidates with ETag/Last-Modified and serves 304s from cache', async () => {
+  const store = tempStore();
+  const server = await startServer({
+    '/feed': (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        res.end();
+        return;
+      }
+      res.writeHead(200, {
+        'ETag': '"v1"',
+        'Last-Modified': 'Mon, 03 Feb 2025 10:00:00 GMT',
+      });
+      res.end('<rss version="2.0"></rss>');
+    },
+  });
+
+  try {
+    const client = new HttpClient({ storage: store });
+
+    const first = await client.request(`${server.url}/feed`);
+    assert.equal(first.status, 200);
+    assert.equal(first.notModified, false);
+
+    // A fresh client reuses the validators persisted in SQLite
+    const second = await new HttpClient({ storage: store }).request(`${server.url}/feed`);
+    assert.equal(second.status, 304);
+    assert.equal(second.notModified, true);
+    assert.equal(second.body, '<rss version="2.0"></rss>');
+
+    assert.equal(server.requests[1].headers['if-none-match'], '"v1"');
+    assert.equal(server.requests[1].headers['if-modified-since'], 'Mon, 03 Feb 2025 10:00:00 GMT');
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('HttpClient retries 5xx/429 and honours Retry-After', async () => {
+  let calls = 0;
+  const server = await startServer({
+    '/flaky': (req, res) => {
+      calls++;
+      if (calls === 1) {
+        res.writeHead(503);
+        res.end();
+      } else if (calls === 2) {
+        res.writeHead(429, { 'Retry-After': '0' });
+        res.end();
+      } else {
+        res.writeHead(200);
+        res.end('ok');
+      }
+    },
+    '/down': (req, res) => {
+      res.writeHead(500);
+      res.end();
+    },
+  });
+
+  try {
+    const client = new HttpClient({ backoffBase: 1, retries: 2 });
+
+    assert.equal(await client.fetchText(`${server.url}/flaky`), 'ok');
+    assert.equal(client.getStats().retries, 2);
+
+    await assert.rejects(client.request(`${server.url}/down`), (error) => {
+      assert.ok(error instanceof HttpError);
+      assert.equal(error.status, 500);
+      assert.equal(error.retryable, true);
+      return true;
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('HttpClient aborts requests that exceed the timeout', async () => {
+  const server = await startServer({
+    '/slow': (req, res) => {
+      setTimeout(() => res.end('late'), 500);
+    },
+    '/stalled': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.write('first chunk');
+      setTimeout(() => res.end('rest'), 500);
+    },
+  });
+
+  try {
+    const client = new HttpClient({ timeout: 50, retries: 0 });
+    await assert.rejects(client.request(`${server.url}/slow`), /timed out after 50ms/);
+
+    // Headers arrive at once, then the body stalls
+    const started = Date.now();
+    await assert.rejects(client.request(`${server.url}/stalled`), /timed out after 50ms/);
+    assert.ok(Date.now() - started < 400);
+  } finally {
+    await server.close();
+  }
+});
+
+test('BaseMonitor skips feeds that answer 304 Not Modified', async () => {
+  const store = tempStore();
+  const server = await startServer({
+    '/rss': (req, res) => {
+      if (req.headers['if-none-match'] === '"feed-1"') {
+        res.writeHead(304);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'ETag': '"feed-1"' });
+      res.end(fs.readFileSync(path.join(FIXTURES, 'feeds/rss2.xml')));
+    },
+  });
+
+  try {
+    const monitor = new BaseMonitor({ name: 'feed-test', logger: quietLogger(), storage: store });
+
+    assert.equal((await monitor.parseRSS(`${server.url}/rss`)).length, 2);
+    assert.equal((await monitor.parseRSS(`${server.url}/rss`)).length, 0);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('dedup canonicalizes URLs and detects near-duplicate text', () => {
+  assert.equal(
+    dedup.canonicalizeUrl('https://www.Example.com/post/?utm_source=rss&b=2&a=1#comments'),
+    dedup.canonicalizeUrl('http://example.com/post?a=1&b=2')
+  );
+  assert.notEqual(
+    dedup.canonicalizeUrl('https://example.com/post?id=1'),
+    dedup.canonicalizeUrl('https://example.com/post?id=2')
+  );
+  // Generic parameter names can select content
+  assert.notEqual(
+    dedup.canonicalizeUrl('https://github.com/openclaw/openclaw/blob/CHANGELOG.md?ref=main'),
+    dedup.canonicalizeUrl('https://github.com/openclaw/openclaw/blob/CHANGELOG.md?ref=next')
+  );
+  assert.equal(
+    dedup.canonicalizeUrl('https://example.com/post?source=feed&fbclid=x&ref_src=twsrc'),
+    dedup.canonicalizeUrl('https://example.com/post?source=feed')
+  );
+
+  const original = dedup.simhash('Node.js v22.11.0 released: this LTS release includes security patches for OpenSSL, an updated V8 engine and faster module loading');
+  const reworded = dedup.simhash('Node.js v22.11.0 released - this LTS release includes security patches for OpenSSL, an updated V8 engine and much faster module loading');
+  const different = dedup.simhash('Node.js v22.12.0 released: this LTS release includes bug fixes for the test runner, an updated npm and faster startup');
+
+  assert.ok(dedup.hammingDistance(original, reworded) <= dedup.NEAR_DUPLICATE_DISTANCE);
+  assert.ok(dedup.hammingDistance(original, different) > dedup.NEAR_DUPLICATE_DISTANCE);
+  assert.equal(dedup.simhash('too short'), null);
+});
+
+test('SQLStore.upsertKnowledge keeps one row per real-world item', () => {
+  const store = tempStore();
+
+  try {
+    const item = {
+      source: 'ai-frontier',
+      type: 'blog',
+      title: 'Faster inference with speculative decoding',
+      content: 'We cut latency by 2x using speculative decoding.',
+      url: 'https://blog.example.com/posts/speculative-decoding',
+      guid: 'example-post-1001',
+    };
+
+    const first = store.upsertKnowledge(item);
+    assert.equal(first.duplicate, false);
+
+    // Same GUID
+    assert.deepEqual(store.upsertKnowledge(item), { id: first.id, duplicate: true, matched_by: 'guid', source: 'ai-frontier' });
+
+    // Same article reached through a tracking link from another monitor
+    const viaTracking = store.upsertKnowledge({
+      ...item,
+      source: 'startup-trends',
+      guid: null,
+      url: 'https://blog.example.com/posts/speculative-decoding/?utm_source=hn',
+    });
+    assert.equal(viaTracking.id, first.id);
+    assert.equal(viaTracking.matched_by, 'canonical_url');
+
+    // Syndicated copy with a different URL and slightly different wording
+    const syndicated = store.upsertKnowledge({
+      source: 'tech-stack',
+      type: 'news',
+      title: 'Faster inference with speculative decoding',
+      content: 'We cut latency by 2x using speculative decoding!!',
+      url: 'https://news.example.net/speculative-decoding',
+    });
+    assert.equal(syndicated.id, first.id);
+    assert.equal(syndicated.matched_by, 'content_hash');
+
+    // Near-duplicates are looked up through the simhash band indexes
+    const plan = store.db.prepare(`EXPLAIN QUERY PLAN SELECT id FROM knowledge WHERE substr(simhash, 9, 4) = ?`).all('abcd');
+    assert.match(plan.map(step => step.detail).join('\n'), /idx_knowledge_simhash_band2/);
+
+    const row = store.getKnowledge(first.id);
+    assert.equal(row.seen_count, 4);
+    assert.ok(row.last_seen_at);
+    assert.equal(store.queryKnowledge({}).length, 1);
+  } finally {
+    store.close();
+  }
+});
+
+test('A refresh only updates the knowledge item with the same monitor and GUID', async () => {
+  const store = tempStore();
+
+  try {
+    const openclaw = new BaseMonitor({ name: 'openclaw', logger: quietLogger(), storage: store });
+    const startup = new BaseMonitor({ name: 'startup-trends', logger: quietLogger(), storage: store });
+    const discovered = [];
+    startup.on('discovered', item => discovered.push(item));
+
+    const id = await openclaw.processContent({
+      title: 'Release v2.0.0',
+      content: 'Adds plugin sandboxing.',
+      url: 'https://github.com/openclaw/openclaw/releases/tag/v2.0.0',
+      guid: 'github:openclaw/openclaw:release:1',
+    });
+
+    // Another monitor's story about the same URL does not overwrite the release
+    assert.equal(await startup.processContent({
+      title: 'Show HN: OpenClaw 2.0',
+      content: 'Discussion of the release.',
+      url: 'https://github.com/openclaw/openclaw/releases/tag/v2.0.0',
+      guid: 'hn:42',
+    }, { refresh: true }), null);
+    assert.equal(store.getKnowledge(id).title, 'Release v2.0.0');
+    assert.equal(discovered.length, 0);
+
+    assert.equal(await openclaw.processContent({
+      title: 'Release v2.0.0 (yanked)',
+      content: 'Withdrawn after a regression.',
+      url: 'https://github.com/openclaw/openclaw/releases/tag/v2.0.0',
+      guid: 'github:openclaw/openclaw:release:1',
+    }, { refresh: true }), id);
+    assert.equal(store.getKnowledge(id).title, 'Release v2.0.0 (yanked)');
+  } finally {
+    store.close();
+  }
+});
+
+test('Repeated polls do not re-emit or re-store known items', async () => {
+  const store = tempStore();
+  const server = await startServer({ '/rss': 'feeds/rss2.xml' });
+
+  try {
+    const monitor = new BaseMonitor({ name: 'feed-test', logger: quietLogger(), storage: store });
+    const discovered = [];
+    monitor.on('discovered', item => discovered.push(item));
+
+    assert.equal(await monitor.ingestFeed(`${server.url}/rss`), 2);
+    assert.equal(await monitor.ingestFeed(`${server.url}/rss`), 0);
+
+    assert.equal(discovered.length, 2);
+    assert.ok(discovered[0].id);
+    assert.equal(store.queryKnowledge({}).length, 2);
+    // Entries older than the feed's checkpoint are not even re-read
+    assert.deepEqual(discovered.map(item => store.getKnowledge(item.id).seen_count), [1, 2]);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('OpenClawMonitor pages GitHub activity and re-emits only material changes', async () => {
+  const store = tempStore();
+  const issues = [
+    {
+      number: 1,
+      title: 'Crash when loading skills',
+      html_url: 'https://github.com/acme/widgets/issues/1',
+      body: 'Stack trace attached',
+      state: 'open',
+      labels: [{ name: 'bug' }],
+      user: { login: 'alice' },
+      reactions: { total_count: 3 },
+      comments: 2,
+      updated_at: '2025-02-01T00:00:00Z',
+    },
+    {
+      number: 2,
+      title: 'Add retry support',
+      html_url: 'https://github.com/acme/widgets/pull/2',
+      body: 'Implements retries',
+      state: 'closed',
+      pull_request: { merged_at: '2025-02-02T00:00:00Z' },
+      labels: [],
+      user: { login: 'bob' },
+      reactions: { total_count: 0 },
+      comments: 0,
+      updated_at: '2025-02-02T00:00:00Z',
+    },
+  ];
+
+  let server;
+  server = await startServer({
+    '/repos/acme/widgets/issues': (req, res) => {
+      if (req.url.includes('page=2')) {
+        sendJSON(res, [issues[1]]);
+      } else {
+        sendJSON(res, [issues[0]], {
+          'Link': `<${server.url}/repos/acme/widgets/issues?page=2>; rel="next"`,
+        });
+      }
+    },
+    '/repos/acme/widgets/releases': (req, res) => {
+      sendJSON(res, [{
+        id: 77,
+        name: 'v2.0.0',
+        tag_name: 'v2.0.0',
+        html_url: 'https://github.com/acme/widgets/releases/tag/v2.0.0',
+        body: 'Breaking: drops Node 18',
+        draft: false,
+        prerelease: false,
+        author: { login: 'carol' },
+        // Releases are filtered client-side against the lookback window
+        published_at: new Date(Date.now() - 86400000).toISOString(),
+      }]);
+    },
+    '/graphql': (req, res) => {
+      sendJSON(res, {
+        data: {
+          repository: {
+            discussions: {
+              pageInfo: { hasNextPage: false, endCursor: null },
+              nodes: [{
+                number: 5,
+                title: 'Roadmap ideas',
+                url: 'https://github.com/acme/widgets/discussions/5',
+                body: 'What next?',
+                createdAt: '2025-02-01T00:00:00Z',
+                updatedAt: new Date().toISOString(),
+                closed: false,
+                isAnswered: false,
+                author: { login: 'dave' },
+                category: { name: 'Ideas' },
+                labels: { nodes: [] },
+                reactions: { totalCount: 7 },
+                comments: { totalCount: 1 },
+              }],
+            },
+          },
+        },
+      });
+    },
+  });
+
+  try {
+    const config = {
+      github: { token: 'test-token', repo: 'acme/widgets', apiUrl: server.url },
+      monitors: { openclaw: {} },
+    };
+    const monitor = new OpenClawMonitor({ logger: quietLogger(), storage: store, config });
+    const discovered = [];
+    monitor.on('discovered', item => discovered.push(item));
+
+    await monitor._checkGitHubActivity();
+
+    assert.deepEqual(discovered.map(item => item.type).sort(), ['discussion', 'issue', 'pull_request', 'release']);
+    const issue = discovered.find(item => item.type === 'issue');
+    assert.equal(issue.guid, 'github:acme/widgets:issue:1');
+    assert.equal(issue.state, 'open');
+    assert.equal(issue.author, 'alice');
+    assert.equal(issue.reactions, 3);
+    assert.deepEqual(issue.labels, ['bug']);
+    assert.equal(issue.risk_level, 'MEDIUM');
+    assert.equal(discovered.find(item => item.type === 'pull_request').state, 'merged');
+
+    const issueRequests = server.requests.filter(r => r.url.startsWith('/repos/acme/widgets/issues'));
+    assert.equal(issueRequests.length, 2);
+    assert.match(issueRequests[0].url, /since=/);
+    assert.equal(issueRequests[0].headers.authorization, 'Bearer test-token');
+
+    // Second poll: the issue was closed, reactions changed elsewhere
+    issues[0] = { ...issues[0], state: 'closed', reactions: { total_count: 9 } };
+    issues[1] = { ...issues[1], reactions: { total_count: 4 } };
+    discovered.length = 0;
+
+    await monitor._checkGitHubActivity();
+
+    assert.equal(discovered.length, 1);
+    assert.equal(discovered[0].guid, 'github:acme/widgets:issue:1');
+    assert.equal(discovered[0].updated, true);
+    assert.equal(discovered[0].id, issue.id);
+    assert.match(store.getKnowledge(issue.id).content, /State: closed/);
+
+    // The cursor advanced, so the next poll only asks for newer activity
+    const checkpoint = store.getCheckpoint('openclaw-ecosystem', 'github');
+    assert.ok(Date.parse(checkpoint.last_timestamp) > Date.now() - 60000);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('GitHubAPI compares release and discussion times with since as instants', async () => {
+  const release = (id, published_at) => ({ id, tag_name: `v${id}`, published_at });
+  const discussion = (number, updatedAt) => ({ number, title: `Discussion ${number}`, updatedAt });
+  const server = await startServer({
+    '/repos/acme/widgets/releases': (req, res) => sendJSON(res, [
+      release(3, '2025-02-01T12:00:01Z'),
+      // Same instant as the checkpoint, without milliseconds
+      release(2, '2025-02-01T12:00:00Z'),
+      release(1, '2025-02-01T13:30:00+02:00'),
+    ]),
+    '/graphql': (req, res) => sendJSON(res, {
+      data: {
+        repository: {
+          discussions: {
+            pageInfo: { hasNextPage: true, endCursor: 'next' },
+            nodes: [discussion(9, '2025-02-01T14:00:00+02:00'), discussion(8, '2025-02-01T12:00:00Z')],
+          },
+        },
+      },
+    }),
+  });
+
+  try {
+    const api = new GitHubAPI({ token: 'test-token', repo: 'acme/widgets', baseUrl: server.url });
+    const since = '2025-02-01T12:00:00.000Z';
+
+    assert.deepEqual((await api.listReleases({ since })).map(item => item.id), [3]);
+    assert.deepEqual((await api.listDiscussions({ since })).map(item => item.number), []);
+    assert.equal(server.requests.filter(request => request.url === '/graphql').length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('semver compares, diffs and resolves simple ranges', () => {
+  assert.equal(semver.compare('1.2.3', '1.10.0'), -1);
+  assert.equal(semver.compare('2.0.0', '2.0.0-rc.1'), 1);
+  assert.equal(semver.compare('1.0.0-alpha.2', '1.0.0-alpha.10'), -1);
+  assert.equal(semver.diff('1.6.0', '2.0.0'), 'major');
+  assert.equal(semver.diff('1.6.0', '1.7.2'), 'minor');
+  assert.equal(semver.diff('1.6.0', '1.6.1'), 'patch');
+  assert.equal(semver.diff('2.0.0', '1.9.9'), null);
+  assert.equal(semver.minVersion('^9.6.0'), '9.6.0');
+  assert.equal(semver.minVersion('~4.3'), '4.3.0');
+  assert.equal(semver.minVersion('>=1.2.3 <2'), '1.2.3');
+  assert.equal(semver.minVersion('github:user/repo'), null);
+  assert.equal(semver.satisfies('4.17.20', '>= 4.0.0, < 4.17.21'), true);
+  assert.equal(semver.satisfies('4.17.21', '>= 4.0.0, < 4.17.21'), false);
+  assert.equal(semver.satisfies('0.2.5', '^0.2.1'), true);
+  assert.equal(semver.satisfies('0.3.0', '^0.2.1 || ~1.2.0'), false);
+  assert.equal(semver.satisfies('1.2.9', '^0.2.1 || ~1.2.0'), true);
+});
+
+test('OpenClawMonitor reports major/minor dependency updates once per version', async () => {
+  const store = tempStore();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-deps-'));
+
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({
+    dependencies: { 'left-pad': '^1.1.0', '@acme/core': '^2.0.0', 'tiny': '~3.1.0' },
+  }));
+  fs.writeFileSync(path.join(dir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': {},
+      'node_modules/left-pad': { version: '1.3.0' },
+      'node_modules/@acme/core': { version: '2.4.1' },
+      'node_modules/tiny': { version: '3.1.2' },
+    },
+  }));
+
+  const packuments = {
+    '/left-pad': { 'dist-tags': { latest: '1.3.0' }, versions: { '1.3.0': { deprecated: 'use String.prototype.padStart' } } },
+    '/@acme%2fcore': { 'dist-tags': { latest: '3.0.0' }, versions: { '2.4.1': {}, '3.0.0': {} } },
+    '/tiny': { 'dist-tags': { latest: '3.1.5' }, versions: { '3.1.2': {}, '3.1.5': {} } },
+  };
+
+  const server = await startServer({
+    ...Object.fromEntries(Object.entries(packuments).map(([route, body]) => [route, (req, res) => sendJSON(res, body)])),
+    '/left-pad/1.3.0': (req, res) => sendJSON(res, { name: 'left-pad', version: '1.3.0' }),
+    '/@acme%2fcore/3.0.0': (req, res) => sendJSON(res, {
+      name: '@acme/core',
+      version: '3.0.0',
+      repository: { type: 'git', url: 'git+https://github.com/acme/core.git' },
+    }),
+    '/repos/acme/core/releases/tags/v3.0.0': (req, res) => sendJSON(res, { body: 'Breaking: removed legacy API' }),
+  });
+
+  try {
+    const config = {
+      github: { repo: 'acme/widgets', apiUrl: server.url },
+      monitors: { openclaw: { dependencies: { registry: server.url, packageFiles: [path.join(dir, 'package.json')] } } },
+    };
+    const monitor = new OpenClawMonitor({ logger: quietLogger(), storage: store, config });
+    const discovered = [];
+    monitor.on('discovered', item => discovered.push(item));
+
+    await monitor._checkDependencyUpdates();
+
+    // Patch-level updates are ignored; a deprecated current version is not
+    assert.deepEqual(discovered.map(item => item.package).sort(), ['@acme/core', 'left-pad']);
+
+    const core = discovered.find(item => item.package === '@acme/core');
+    assert.equal(core.semver_diff, 'major');
+    assert.equal(core.risk_level, 'MEDIUM');
+    assert.equal(core.guid, 'npm:@acme/core@3.0.0');
+    assert.equal(core.changelog, 'Breaking: removed legacy API');
+    assert.match(core.content, /2\.4\.1 → 3\.0\.0/);
+
+    const leftPad = discovered.find(item => item.package === 'left-pad');
+    assert.equal(leftPad.deprecated, true);
+    assert.equal(leftPad.risk_level, 'HIGH');
+    assert.equal(leftPad.changelog, null);
+
+    const packumentRequest = server.requests.find(r => r.url === '/@acme%2fcore');
+    assert.match(packumentRequest.headers.accept, /application\/vnd\.npm\.install-v1\+json/);
+
+    // Nothing new on the next poll
+    discovered.length = 0;
+    await monitor._checkDependencyUpdates();
+    assert.equal(discovered.length, 0);
+  } finally {
+    await server.close();
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('collectDependencies keeps the oldest version in use across package files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-deps-'));
+
+  try {
+    fs.mkdirSync(path.join(dir, 'a'));
+    fs.mkdirSync(path.join(dir, 'b'));
+    fs.writeFileSync(path.join(dir, 'a', 'package.json'), JSON.stringify({ dependencies: { chalk: '^5.3.0' } }));
+    fs.writeFileSync(path.join(dir, 'b', 'package.json'), JSON.stringify({ devDependencies: { chalk: '^4.1.0' } }));
+
+    const [chalk] = collectDependencies([
+      path.join(dir, 'a', 'package.json'),
+      path.join(dir, 'b', 'package.json'),
+    ]);
+
+    assert.equal(chalk.current, '4.1.0');
+    assert.equal(chalk.range, '^4.1.0');
+    assert.equal(chalk.files.length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('cvss computes v3.x base scores and severities', () => {
+  assert.equal(cvss.baseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'), 9.8);
+  assert.equal(cvss.baseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:C/C:H/I:H/A:H'), 10);
+  assert.equal(cvss.baseScore('CVSS:3.0/AV:N/AC:L/PR:L/UI:N/S:U/C:H/I:N/A:N'), 6.5);
+  assert.equal(cvss.baseScore('CVSS:3.1/AV:L/AC:L/PR:L/UI:N/S:U/C:H/I:H/A:H'), 7.8);
+  assert.equal(cvss.baseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:N'), 0);
+  assert.equal(cvss.baseScore('not a vector'), null);
+  assert.equal(cvss.severity(7.2), 'HIGH');
+  assert.equal(cvss.severity(9.0), 'CRITICAL');
+});
+
+test('TechMonitor emits HIGH/CRITICAL advisories only for installed affected versions', async () => {
+  const store = tempStore();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-advisories-'));
+  const lockFile = path.join(dir, 'package-lock.json');
+
+  fs.writeFileSync(lockFile, JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'app' },
+      'node_modules/lodash': { version: '4.17.20' },
+      'node_modules/minimist': { version: '1.2.5' },
+      'node_modules/tiny': { version: '1.2.0' },
+      'node_modules/@acme/core': { version: '3.0.0' },
+      'node_modules/foo': { version: '1.0.0' },
+      'node_modules/foo/node_modules/@acme/core': { version: '2.4.1' },
+    },
+  }));
+
+  const server = await startServer({
+    '/advisories': (req, res) => sendJSON(res, [{
+      ghsa_id: 'GHSA-aaaa-bbbb-cccc',
+      cve_id: 'CVE-2025-0001',
+      summary: 'Prototype pollution in @acme/core',
+      description: 'Crafted payloads can pollute Object.prototype.',
+      severity: 'critical',
+      html_url: 'https://github.com/advisories/GHSA-aaaa-bbbb-cccc',
+      published_at: '2025-03-01T00:00:00Z',
+      cvss: { score: 9.1, vector_string: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:N' },
+      vulnerabilities: [{
+        package: { ecosystem: 'npm', name: '@acme/core' },
+        vulnerable_version_range: '>= 2.0.0, < 2.4.2',
+        first_patched_version: '2.4.2',
+      }],
+    }]),
+  });
+
+  try {
+    const config = {
+      monitors: {
+        tech: {
+          security: {
+            sources: [`${server.url}/advisories`, path.join(FIXTURES, 'advisories')],
+            lockFiles: [lockFile],
+          },
+        },
+      },
+    };
+    const monitor = new TechMonitor({ logger: quietLogger(), storage: store, config });
+    const discovered = [];
+    monitor.on('discovered', item => discovered.push(item));
+
+    await monitor._checkSecurity();
+
+    // minimist is only MODERATE; tiny@1.2.0 is past last_affected; @acme/core@3.0.0 is patched
+    assert.deepEqual(discovered.map(item => item.guid).sort(), [
+      'advisory:GHSA-35jh-r3h4-6jhm:lodash@4.17.20',
+      'advisory:GHSA-aaaa-bbbb-cccc:@acme/core@2.4.1',
+    ]);
+
+    const lodash = discovered.find(item => item.package === 'lodash');
+    assert.equal(lodash.type, 'security');
+    assert.equal(lodash.risk_level, 'HIGH');
+    assert.equal(lodash.cvss_score, 7.2);
+    assert.equal(lodash.fixed_in, '4.17.21');
+    assert.equal(lodash.vulnerable_range, '>=0.0.0 <4.17.21');
+    assert.deepEqual(lodash.aliases, ['CVE-2021-23337']);
+    assert.equal(lodash.url, 'https://nvd.nist.gov/vuln/detail/CVE-2021-23337');
+
+    const core = discovered.find(item => item.package === '@acme/core');
+    assert.equal(core.risk_level, 'CRITICAL');
+    assert.equal(core.fixed_in, '2.4.2');
+    assert.match(core.content, /node_modules\/foo\/node_modules\/@acme\/core/);
+
+    // Security items skip the classifier's opinion and go straight to an emergency report
+    const rating = new RiskRater({ logger: quietLogger() }).rateRisk(
+      core,
+      { risk_level: 'LOW' },
+      { optimization_type: 'documentation', risks: [] }
+    );
+    assert.equal(rating.level, 'CRITICAL');
+    assert.equal(rating.action, 'emergency_report');
+
+    discovered.length = 0;
+    await monitor._checkSecurity();
+    assert.equal(discovered.length, 0);
+  } finally {
+    await server.close();
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('readLockTree walks nested dependencies of v1 lockfiles', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-lock-'));
+  const lockFile = path.join(dir, 'package-lock.json');
+
+  try {
+    fs.writeFileSync(lockFile, JSON.stringify({
+      lockfileVersion: 1,
+      dependencies: {
+        foo: { version: '1.0.0', dependencies: { bar: { version: '0.1.0' } } },
+        bar: { version: '0.2.0' },
+      },
+    }));
+
+    assert.deepEqual(readLockTree(lockFile), [
+      { name: 'foo', version: '1.0.0', path: 'foo' },
+      { name: 'bar', version: '0.1.0', path: 'foo > bar' },
+      { name: 'bar', version: '0.2.0', path: 'bar' },
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('ArxivClient builds category, keyword, author and date queries', () => {
+  const client = new ArxivClient();
+  const query = client.buildQuery({
+    categories: ['cs.AI', 'cs.CL'],
+    keywords: ['large language model'],
+    authors: ['Turing'],
+    since: new Date('2025-02-01T00:00:00Z'),
+    until: new Date('2025-02-03T12:30:00Z'),
+  });
+
+  assert.equal(query,
+    '(cat:cs.AI OR cat:cs.CL) AND ' +
+    '((ti:"large language model" OR abs:"large language model") OR au:Turing) AND ' +
+    'submittedDate:[202502010000 TO 202502031230]');
+  assert.equal(client.buildQuery({ categories: ['cs.LG'] }), 'cat:cs.LG');
+});
+
+test('AIMonitor pages the arXiv API and stores abstracts, authors and PDF links', async () => {
+  const store = tempStore();
+  const server = await startServer({
+    '/api/query': (req, res) => {
+      const start = new URL(req.url, 'http://localhost').searchParams.get('start');
+      res.writeHead(200, { 'Content-Type': 'application/atom+xml' });
+      res.end(fs.readFileSync(path.join(FIXTURES, 'feeds', start === '0' ? 'arxiv.xml' : 'arxiv-page2.xml')));
+    },
+  });
+
+  try {
+    const config = {
+      monitors: {
+        ai: {
+          arxiv: {
+            apiUrl: `${server.url}/api/query`,
+            categories: ['cs.AI', 'cs.CL'],
+            keywords: ['agents'],
+            pageSize: 2,
+            delay: 0,
+          },
+        },
+      },
+    };
+    const monitor = new AIMonitor({ logger: quietLogger(), storage: store, config });
+    const discovered = [];
+    monitor.on('discovered', item => discovered.push(item));
+
+    await monitor._checkArxiv();
+
+    assert.equal(discovered.length, 3);
+
+    const [sparse] = discovered;
+    assert.equal(sparse.title, 'Sparse Attention for Long-Context Language Models');
+    assert.match(sparse.content, /^We propose a sparse attention mechanism that scales linearly with context length/);
+    assert.equal(sparse.url, 'https://arxiv.org/abs/2502.01234');
+    assert.equal(sparse.guid, 'arxiv:2502.01234');
+    assert.equal(sparse.pdf_url, 'http://arxiv.org/pdf/2502.01234v2');
+    assert.deepEqual(sparse.authors, ['Ada Lovelace', 'Alan Turing']);
+    assert.equal(sparse.primary_category, 'cs.CL');
+    assert.deepEqual(sparse.categories, ['cs.CL', 'cs.LG']);
+    assert.equal(sparse.type, 'paper');
+    assert.equal(discovered[2].pdf_url, 'https://arxiv.org/pdf/2502.00007');
+
+    const params = new URL(server.requests[0].url, 'http://localhost').searchParams;
+    assert.equal(params.get('sortBy'), 'submittedDate');
+    assert.equal(params.get('sortOrder'), 'descending');
+    assert.equal(params.get('max_results'), '2');
+    assert.match(params.get('search_query'), /^\(cat:cs\.AI OR cat:cs\.CL\) AND \(ti:agents OR abs:agents\) AND submittedDate:\[\d{12} TO \d{12}\]$/);
+    assert.equal(new URL(server.requests[1].url, 'http://localhost').searchParams.get('start'), '2');
+
+    // Known papers are not re-emitted on the next poll
+    discovered.length = 0;
+    await monitor._checkArxiv();
+    assert.equal(discovered.length, 0);
+    assert.ok(store.getCheckpoint('ai-frontier', 'arxiv').last_timestamp);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('parseDuration reads units and treats bare numbers as milliseconds', () => {
+  assert.equal(parseDuration(300000), 300000);
+  assert.equal(parseDuration('300000'), 300000);
+  assert.equal(parseDuration('5m'), 300000);
+  assert.equal(parseDuration('1h30m'), 5400000);
+  assert.equal(parseDuration('250ms'), 250);
+  assert.equal(parseDuration(2, 'm'), 120000);
+  assert.throws(() => parseDuration('soon'), /Invalid duration/);
+  assert.throws(() => parseDuration('5 minutes'), /Invalid duration/);
+});
+
+test('MonitorRegistry builds the built-in monitors when no instances are declared', () => {
+  const config = {
+    intervals: { fast: 30000, medium: 300000, slow: 3600000 },
+    monitors: { openclaw: {}, ai: {}, tech: { enabled: false }, startup: {}, internal: {} },
+  };
+  const registry = new MonitorRegistry({ logger: quietLogger(), config });
+  const monitors = registry.createAll();
+
+  assert.deepEqual(monitors.map(m => m.name), [
+    'openclaw-ecosystem', 'ai-frontier', 'startup-trends', 'internal-improvement',
+  ]);
+  // Bare numbers are milliseconds in config, declarations and checks alike
+  assert.equal(monitors[0].interval, 300000);
+  assert.equal(monitors[3].interval, 3600000);
+  assert.equal(registry.resolveInterval(600000), 600000);
+  const custom = registry.create({ type: 'feed', interval: 600000, checkIntervals: { poll: 90000 } });
+  assert.equal(custom.interval, 600000);
+  assert.equal(custom.getChecks()[0].interval, 90000);
+});
+
+test('MonitorRegistry creates configured instances and plugin monitors', async () => {
+  const store = tempStore();
+  const pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-plugins-'));
+
+  fs.writeFileSync(path.join(pluginDir, 'changelog.cjs'), `
+    exports.register = registry => {
+      class ChangelogMonitor extends registry.BaseMonitor {
+        constructor(options = {}) {
+          super({ name: 'changelog', ...options });
+          this.entries = options.entries || [];
+        }
+        async poll() {
+          for (const title of this.entries) {
+            await this.processContent({ title, content: title, type: 'changelog' });
+          }
+        }
+      }
+      registry.register('changelog', ChangelogMonitor);
+    };
+  `);
+  fs.writeFileSync(path.join(pluginDir, 'broken.cjs'), 'exports.monitors = { broken: class { poll() {} } };');
+
+  const server = await startServer({
+    '/team.xml': 'feeds/rss2.xml',
+    '/changelog.xml': 'feeds/atom.xml',
+  });
+
+  try {
+    const config = {
+      intervals: { fast: 30000, medium: 300000, slow: 3600000 },
+      monitors: {
+        plugins: [pluginDir],
+        instances: [
+          { type: 'feed', name: 'team-blog', interval: '15m', sources: [`${server.url}/team.xml`] },
+          {
+            type: 'feed',
+            name: 'vendor-changelog',
+            interval: 'fast',
+            sources: { vendor: `${server.url}/changelog.xml` },
+            filters: { exclude: ['deprecating'] },
+            defaults: { type: 'release' },
+          },
+          { type: 'changelog', entries: ['Plugin entry'] },
+          { type: 'feed', name: 'team-blog', sources: [] },
+          { type: 'nope' },
+          { type: 'ai', enabled: false },
+        ],
+      },
+    };
+
+    const registry = new MonitorRegistry({ logger: quietLogger(), storage: store, config });
+    registry.loadPlugins(config.monitors.plugins);
+
+    // The broken plugin lacks the monitor contract and is not registered
+    assert.ok(registry.listTypes().includes('changelog'));
+    assert.ok(!registry.listTypes().includes('broken'));
+
+    const monitors = registry.createAll();
+    assert.deepEqual(monitors.map(m => m.name), ['team-blog', 'vendor-changelog', 'changelog']);
+    assert.equal(monitors[0].interval, 900000);
+    assert.equal(monitors[1].interval, 30000);
+    assert.equal(monitors[2].getStatus().type, 'changelog');
+
+    const discovered = [];
+    for (const monitor of monitors) {
+      monitor.on('discovered', item => discovered.push(item));
+      await monitor.poll();
+    }
+
+    const bySource = source => discovered.filter(item => item.source === source);
+    assert.equal(bySource('team-blog').length, 2);
+    assert.deepEqual(bySource('vendor-changelog').map(item => item.title), ['Actions runner v3']);
+    assert.equal(bySource('vendor-changelog')[0].type, 'release');
+    assert.deepEqual(bySource('changelog').map(item => item.title), ['Plugin entry']);
+  } finally {
+    await server.close();
+    store.close();
+    fs.rmSync(pluginDir, { recursive: true, force: true });
+  }
+});
+
+test('html extracts text by CSS selector and XPath with exclusions', () => {
+  const page = `
+    <html><head><title>T</title><style>p { color: red }</style></head>
+    <body>
+      <nav><a href="/">Home</a></nav>
+      <main id="content">
+        <h1 class="title big">Release notes</h1>
+        <p>First <b>change</b> &amp; more<br>second line
+        <p class="ad">Buy now</p>
+        <ul><li>One<li>Two</ul>
+        <table><tr><td>a<td>b<tr><td>c<td>d</table>
+        <time>Updated 2 minutes ago</time>
+      </main>
+    </body></html>`;
+
+  assert.equal(
+    html.extractText(page, { selector: 'main', exclude: ['.ad', 'time'] }),
+    'Release notes\nFirst change & more\nsecond line\nOne\nTwo\na b\nc d'
+  );
+  assert.equal(html.extractText(page, { selector: 'h1.title.big' }), 'Release notes');
+  assert.equal(html.extractText(page, { selector: 'main > ul li:last-child' }), 'Two');
+  assert.equal(html.extractText(page, { selector: 'tr:nth-child(2) td:not(:first-child)' }), 'd');
+  assert.equal(html.extractText(page, { xpath: "//main[@id='content']/p[contains(@class,'ad')]" }), 'Buy now');
+  assert.equal(html.extractText(page, { xpath: '//ul/li[1]' }), 'One');
+  assert.equal(html.querySelectorAll(html.parseHTML(page), 'td').length, 4);
+
+  // A "<" that starts no tag is text, as is a tag the input never closes
+  assert.equal(html.extractText('<p>if a < b then 1 <3</p><p>unfinished <a href="x'), 'if a < b then 1 <3\nunfinished <a href="x');
+  assert.equal(html.extractText('<p><span title="a>b">x</span> <a href=/docs/>Docs</a></p>'), 'x Docs');
+
+  // Linear on hostile input: many unterminated "<" and deep nesting
+  const started = Date.now();
+  html.parseHTML(`<p>${'x <b and '.repeat(20000)}</p>`);
+  html.parseHTML('<a '.repeat(20000));
+  html.parseHTML(`${'<div>'.repeat(20000)}${'</span>'.repeat(20000)}`);
+  assert.ok(Date.now() - started < 2000, `parsed in ${Date.now() - started}ms`);
+});
+
+test('text-diff reports added and removed lines with context', () => {
+  const ops = textDiff.diffLines('a\nb\nc\nd\ne\nf', 'a\nb\nC\nd\ne\nf\ng');
+
+  assert.deepEqual(textDiff.diffStats(ops), { added: 2, removed: 1, changed_chars: 3 });
+  assert.equal(textDiff.formatDiff(ops, 1), '  b\n- c\n+ C\n  d\n…\n  f\n+ g');
+  assert.deepEqual(textDiff.diffStats(textDiff.diffLines('same', 'same')), { added: 0, removed: 0, changed_chars: 0 });
+});
+
+test('WebPageMonitor emits diffs for meaningful page changes and keeps snapshot history', async () => {
+  const store = tempStore();
+  let body = '<p>Plans</p><p>Pro: $20 per month</p>';
+  let stamp = 'Updated 10:00';
+
+  const server = await startServer({
+    '/pricing': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(`<html><body><header>Ad ${Math.random()}</header>
+        <main>${body}<footer>${stamp}</footer><span class="views">12 views</span></main></body></html>`);
+    },
+  });
+
+  try {
+    const monitor = new WebPageMonitor({
+      name: 'pricing',
+      logger: quietLogger(),
+      storage: store,
+      pages: [{
+        id: 'pricing',
+        url: `${server.url}/pricing`,
+        selector: 'main',
+        exclude: ['footer'],
+        ignore: ['\\d+ views'],
+      }],
+      defaults: { type: 'pricing', risk_level: 'MEDIUM' },
+    });
+
+    const discovered = [];
+    monitor.on('discovered', item => discovered.push(item));
+
+    // Baseline, then noise only: timestamps, ads and counters are ignored
+    await monitor.poll();
+    stamp = 'Updated 11:00';
+    await monitor.poll();
+    assert.equal(discovered.length, 0);
+
+    body = '<p>Plans</p><p>Pro: $25 per month</p><p>Team: $40 per month</p>';
+    await monitor.poll();
+    assert.equal(discovered.length, 1);
+    assert.equal(discovered[0].type, 'pricing');
+    assert.equal(discovered[0].risk_level, 'MEDIUM');
+    assert.match(discovered[0].content, /- Pro: \$20 per month\n\+ Pro: \$25 per month\n\+ Team: \$40 per month/);
+
+    // A later change refreshes the same knowledge item
+    body = '<p>Plans</p><p>Pro: $25 per month</p>';
+    await monitor.poll();
+    assert.equal(discovered.length, 2);
+    assert.equal(discovered[1].updated, true);
+    assert.equal(discovered[1].id, discovered[0].id);
+
+    const history = store.getPageSnapshots({ monitor: 'pricing', page: 'pricing' });
+    assert.equal(history.length, 3);
+    assert.deepEqual(history.map(row => [row.added_lines, row.removed_lines]), [[0, 1], [2, 1], [0, 0]]);
+    assert.equal(history[0].knowledge_id, discovered[0].id);
+    assert.deepEqual(store.listWatchedPages().map(row => [row.page, row.snapshots]), [['pricing', 3]]);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('tokenize handles comments, regexes, division and template expressions', () => {
+  const tokens = tokenize('#!/usr/bin/env node\n// note\nconst a = b / 2; /* x\n y */\nconst re = /[/]+/g;\nlet s = `v${a / 2 ? "}" : `n${1}`}`;');
+
+  assert.deepEqual(tokens.filter(t => t.type === 'regex').map(t => [t.value, t.line]), [['/[/]+/g', 5]]);
+  assert.deepEqual(tokens.filter(t => t.type === 'template').map(t => t.value), ['`v${', '`n${', '}`', '}`']);
+  assert.equal(tokens.find(t => t.value === '/').line, 3);
+  assert.equal(tokens[tokens.length - 1].line, 6);
+});
+
+test('findFunctions names functions and measures cyclomatic complexity', () => {
+  const source = `
+    function plain(a) { return a; }
+    const pick = async (items, key) => {
+      for (const item of items) {
+        if (item[key] && item.ok || item.force) return item;
+      }
+      return items.length ? items[0] : null;
+    };
+    class Store {
+      get(id) {
+        try { return this.rows.find(row => { return row.id === id; }) ?? null; }
+        catch (error) { return null; }
+      }
+    }
+    if (pick) { plain(1); }
+  `;
+
+  const functions = findFunctions(tokenize(source));
+  assert.deepEqual(functions.map(fn => [fn.name, fn.complexity]), [
+    ['plain', 1],
+    ['pick', 6],
+    ['get', 3],
+    ['(anonymous)', 1],
+  ]);
+  assert.deepEqual([functions[1].line, functions[1].endLine, functions[1].lines], [3, 8, 6]);
+});
+
+test('findClones finds copied blocks across files with their line ranges', () => {
+  const block = [
+    'function retry(task, attempts) {',
+    '  let lastError = null;',
+    '  for (let i = 0; i < attempts; i++) {',
+    '    try {',
+    '      return task(i);',
+    '    } catch (error) {',
+    '      lastError = error;',
+    '    }',
+    '  }',
+    '  throw lastError;',
+    '}',
+  ].join('\n');
+  const renamed = block.replace(/retry/, 'again').replace(/lastError/g, 'last').replace(/\bi\b/g, 'n');
+
+  const sources = [
+    { file: 'a.cjs', tokens: tokenize(`const x = 1;\n${block}\n`) },
+    { file: 'b.cjs', tokens: tokenize(`// copy\n\n\n${block}\nmodule.exports = {};`) },
+    { file: 'c.cjs', tokens: tokenize(renamed) },
+  ];
+
+  const exact = findClones(sources, { minTokens: 30, minLines: 5 });
+  assert.equal(exact.length, 1);
+  assert.deepEqual(exact[0].locations, [
+    { file: 'a.cjs', startLine: 2, endLine: 12 },
+    { file: 'b.cjs', startLine: 4, endLine: 14 },
+  ]);
+
+  const normalized = findClones(sources, { minTokens: 30, normalizeIdentifiers: true });
+  assert.deepEqual(normalized[0].locations.map(l => l.file), ['a.cjs', 'b.cjs', 'c.cjs']);
+  assert.deepEqual(findClones(sources, { minTokens: 200 }), []);
+});
+
+test('InternalMonitor reports duplicated code and complex functions in skills', async () => {
+  const store = tempStore();
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-workspace-'));
+
+  const shared = [
+    'async function fetchJSON(url, options = {}) {',
+    '  const response = await fetch(url, { headers: { accept: "application/json" }, ...options });',
+    '  if (!response.ok) {',
+    '    throw new Error(`Request failed: ${response.status} ${url}`);',
+    '  }',
+    '  return response.json();',
+    '}',
+  ].join('\n');
+  const branches = Array.from({ length: 6 }, (_, i) => `  if (x === ${i} || y) return ${i};`).join('\n');
+
+  for (const [skill, file, body] of [
+    ['weather', 'index.cjs', `${shared}\nmodule.exports = { fetchJSON };\n`],
+    ['news', 'lib/client.cjs', `const BASE = "x";\n${shared}\n`],
+    ['news', 'lib/route.cjs', `function route(x, y) {\n${branches}\n  return -1;\n}\n`],
+    ['news', 'node_modules/dep/index.cjs', shared],
+  ]) {
+    fs.mkdirSync(path.dirname(path.join(workspace, 'skills', skill, file)), { recursive: true });
+    fs.writeFileSync(path.join(workspace, 'skills', skill, file), body);
+  }
+
+  try {
+    const monitor = new InternalMonitor({
+      logger: quietLogger(),
+      storage: store,
+      workspacePath: workspace,
+      code: { minTokens: 30, minLines: 5, maxComplexity: 10 },
+    });
+
+    const discovered = [];
+    monitor.on('discovered', item => discovered.push(item));
+    await monitor.poll();
+
+    const clones = discovered.filter(item => item.type === 'duplication');
+    assert.equal(clones.length, 1);
+    assert.deepEqual(clones[0].locations, [
+      { file: 'news/lib/client.cjs', startLine: 2, endLine: 8 },
+      { file: 'weather/index.cjs', startLine: 1, endLine: 7 },
+    ]);
+    assert.match(clones[0].content, /^async function fetchJSON/m);
+    assert.equal(clones[0].url, `file://${path.join(workspace, 'skills/news/lib/client.cjs')}#L2-L8`);
+
+    const complex = discovered.filter(item => item.type === 'complexity');
+    assert.deepEqual(complex.map(item => [item.file, item.function, item.complexity, item.start_line, item.end_line]), [
+      ['news/lib/route.cjs', 'route', 13, 1, 9],
+    ]);
+
+    // Findings are stable across polls
+    await monitor.poll();
+    assert.equal(discovered.filter(item => ['duplication', 'complexity'].includes(item.type)).length, 2);
+  } finally {
+    store.close();
+    fs.rmSync(workspace, { recursive: true, force: true });
+  }
+});
+
+test('session log entries and MEMORY.md sections are parsed', () => {
+  assert.deepEqual(parseEntry({
+    type: 'message',
+    message: { role: 'assistant', content: [
+      { type: 'text', text: 'Reading' },
+      { type: 'toolCall', id: 'c1', name: 'Read', arguments: { path: 'MEMORY.md', offset: 3 } },
+    ] },
+  }), [{ kind: 'call', id: 'c1', tool: 'read', args: { path: 'MEMORY.md', offset: 3 } }]);
+  assert.deepEqual(parseEntry({ message: { role: 'toolResult', toolCallId: 'c1', details: { exitCode: 2 } } }),
+    [{ kind: 'result', id: 'c1', error: true }]);
+  assert.deepEqual(parseEntry({ message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'x', is_error: false }] } }),
+    [{ kind: 'result', id: 'x', error: false }]);
+
+  const sections = parseSections('# Memory\nintro\n## Projects\na\n```\n# not a heading\n```\n### Old\nb\n## People\nc');
+  assert.deepEqual(sections.map(section => [section.title, section.level, section.startLine, section.endLine]), [
+    ['Memory', 1, 1, 11],
+    ['Projects', 2, 3, 9],
+    ['Old', 3, 8, 9],
+    ['People', 2, 10, 11],
+  ]);
+});
+
+test('InternalMonitor reports MEMORY.md and skill usage from session logs', async () => {
+  const store = tempStore();
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-usage-'));
+  const workspace = path.join(root, 'workspace');
+  const sessionsDir = path.join(root, 'agents/main/sessions');
+
+  fs.mkdirSync(sessionsDir, { recursive: true });
+  for (const skill of ['weather', 'news', 'unused-skill']) {
+    fs.mkdirSync(path.join(workspace, 'skills', skill), { recursive: true });
+  }
+  fs.writeFileSync(path.join(workspace, 'MEMORY.md'), [
+    '# Memory',                      // 1
+    '## Preferences',                // 2
+    '- Prefers short answers',       // 3
+    '## Projects',                   // 4
+    '- Weather bot',                 // 5
+    '### Archived',                  // 6
+    '- Old stuff',                   // 7
+    '## Contacts',                   // 8
+    '- Alice',                       // 9
+  ].join('\n'));
+
+  const now = Date.now();
+  let counter = 0;
+  const call = (name, args, { error = false, daysAgo = 1 } = {}) => {
+    const id = `call-${++counter}`;
+    const timestamp = new Date(now - daysAgo * 86400000).toISOString();
+    return [
+      { type: 'message', timestamp, message: { role: 'assistant', content: [{ type: 'toolCall', id, name, arguments: args }] } },
+      { type: 'message', timestamp, message: { role: 'toolResult', toolCallId: id, toolName: name, isError: error } },
+    ];
+  };
+
+  for (let session = 0; session < 6; session++) {
+    const entries = [
+      { type: 'session', id: `s${session}`, timestamp: new Date(now).toISOString() },
+      ...call('read', { path: path.join(workspace, 'MEMORY.md'), offset: 2, limit: 2 }),
+      ...call('read', { path: path.join(workspace, 'skills/weather/SKILL.md') }),
+      // Outside the window: does not count
+      ...call('read', { path: path.join(workspace, 'MEMORY.md'), offset: 8, limit: 2 }, { daysAgo: 45 }),
+    ];
+    for (let run = 0; run < 2; run++) {
+      entries.push(...call('exec', { command: `node ${workspace}/skills/weather/index.js --city x` }, { error: run === 0 && session < 3 }));
+    }
+    if (session === 0) {
+      entries.push(...call('edit', { path: 'MEMORY.md', oldText: '- Weather bot', newText: '- Weather bot (done)' }));
+      entries.push(...call('exec', { command: 'cd skills/news && ./fetch.sh' }));
+    }
+    fs.writeFileSync(path.join(sessionsDir, `s${session}.jsonl`), `${entries.map(entry => JSON.stringify(entry)).join('\n')}\nnot json\n`);
+  }
+
+  const createMonitor = () => new InternalMonitor({
+    logger: quietLogger(),
+    storage: store,
+    workspacePath: workspace,
+    usage: { logDirs: [path.join(root, 'agents')], hotSectionReads: 6, minInvocations: 10 },
+  });
+
+  try {
+    const monitor = createMonitor();
+    const discovered = [];
+    monitor.on('discovered', item => discovered.push(item));
+    await monitor.poll();
+
+    const titles = discovered.map(item => item.title).sort();
+    assert.deepEqual(titles, [
+      'MEMORY.md section "Archived" never read in 30 days',
+      'MEMORY.md section "Contacts" never read in 30 days',
+      'MEMORY.md section "Preferences" read 6 times in 30 days',
+      'Most used skills: weather, news',
+      'Skill "unused-skill" not used in 30 days',
+      'Skill "weather" invoked 12 times but fails 25%',
+    ]);
+
+    const failing = discovered.find(item => item.skill === 'weather');
+    assert.equal(failing.type, 'reliability');
+    assert.deepEqual(
+      [failing.counts.invocations, failing.counts.failures, failing.counts.loads, failing.counts.sessions],
+      [12, 3, 6, 6]
+    );
+    assert.match(failing.content, /Counts: invocations=12, failures=3/);
+
+    const ignored = discovered.find(item => item.section === 'Contacts');
+    assert.deepEqual([ignored.counts.reads, ignored.counts.edits, ignored.counts.total_sessions], [0, 0, 6]);
+
+    // Unchanged findings are not reported again
+    const again = createMonitor();
+    const repeated = [];
+    again.on('discovered', item => repeated.push(item));
+    await again.poll();
+    assert.deepEqual(repeated, []);
+
+    // Too little history: no conclusions
+    const sparse = new InternalMonitor({
+      logger: quietLogger(),
+      workspacePath: workspace,
+      usage: { logDirs: [path.join(root, 'agents')], minSessions: 10 },
+    });
+    const none = [];
+    sparse.on('discovered', item => none.push(item));
+    await sparse.poll();
+    assert.deepEqual(none, []);
+
+    // Reading the whole file may have used any section: none is reported as never read
+    const fullRead = [
+      { type: 'session', id: 's6', timestamp: new Date(now).toISOString() },
+      ...call('read', { path: path.join(workspace, 'MEMORY.md') }),
+    ];
+    fs.writeFileSync(path.join(sessionsDir, 's6.jsonl'), `${fullRead.map(entry => JSON.stringify(entry)).join('\n')}\n`);
+    const unstored = new InternalMonitor({
+      logger: quietLogger(),
+      workspacePath: workspace,
+      usage: { logDirs: [path.join(root, 'agents')], hotSectionReads: 6, minInvocations: 10 },
+    });
+    const afterFullRead = [];
+    unstored.on('discovered', item => afterFullRead.push(item));
+    await unstored.poll();
+    assert.deepEqual(afterFullRead.filter(item => item.section).map(item => item.title), [
+      'MEMORY.md section "Preferences" read 6 times in 30 days',
+    ]);
+  } finally {
+    store.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('StartupMonitor keeps Hacker News stories over thresholds and re-emits on higher score tiers', async () => {
+  const store = tempStore();
+  const story = (id, fields) => ({ id, type: 'story', by: `user${id}`, time: 1735689600, descendants: 0, score: 1, ...fields });
+  const items = {
+    1: story(1, { title: 'Show HN: A tiny database', url: 'https://example.com/db', score: 150, descendants: 10, kids: [11, 12, 13, 14] }),
+    2: story(2, { title: 'Ask HN: How do you deploy?', text: '<p>Curious &amp; stuff</p>', score: 20, descendants: 80 }),
+    3: story(3, { title: 'An LLM agent framework', url: 'https://example.com/agents', score: 5 }),
+    4: story(4, { title: 'Quiet story', url: 'https://example.com/quiet', score: 50 }),
+    5: { id: 5, type: 'job', title: 'Hiring', score: 500 },
+    6: story(6, { title: 'Flagged', score: 900, dead: true }),
+    11: { id: 11, type: 'comment', deleted: true },
+    12: { id: 12, type: 'comment', by: 'ann', text: 'Nice<p>Really nice' },
+    13: { id: 13, type: 'comment', by: 'bo', text: 'How does it compare to SQLite?' },
+    14: { id: 14, type: 'comment', by: 'cy', text: 'Third' },
+  };
+  const lists = { top: [1, 2, 3], new: [4, 5, 3], best: [1, 6] };
+
+  const routes = {};
+  for (const [list, ids] of Object.entries(lists)) {
+    routes[`/v0/${list}stories.json`] = (req, res) => sendJSON(res, ids);
+  }
+  for (const id of Object.keys(items)) {
+    routes[`/v0/item/${id}.json`] = (req, res) => sendJSON(res, items[id]);
+  }
+  const server = await startServer(routes);
+
+  try {
+    const monitor = new StartupMonitor({
+      logger: quietLogger(),
+      storage: store,
+      sources: { techcrunch: null, producthunt: null, yc: null },
+      config: {
+        monitors: {
+          startup: {
+            hackerNews: {
+              apiUrl: `${server.url}/v0`,
+              keywords: { ai: ['llm', 'agents'], databases: ['postgres'] },
+              scoreTiers: [300, 100],
+            },
+          },
+        },
+      },
+    });
+
+    const discovered = [];
+    monitor.on('discovered', item => discovered.push(item));
+
+    await monitor.poll();
+    assert.deepEqual(discovered.map(item => [item.hn_id, item.score_tier, item.keyword_sets]), [
+      [1, 100, []],
+      [2, null, []],
+      [3, null, ['ai']],
+    ]);
+    assert.equal(discovered[0].url, 'https://example.com/db');
+    assert.equal(discovered[1].url, 'https://news.ycombinator.com/item?id=2');
+    assert.match(discovered[1].content, /Curious & stuff/);
+    assert.deepEqual(discovered[0].top_comments.map(comment => [comment.by, comment.text]), [
+      ['ann', 'Nice\nReally nice'],
+      ['bo', 'How does it compare to SQLite?'],
+      ['cy', 'Third'],
+    ]);
+    assert.match(discovered[0].content, /Top comments:\n- ann: Nice Really nice/);
+
+    // Nothing new until a story reaches a higher tier
+    await monitor.poll();
+    assert.equal(discovered.length, 3);
+
+    items[1].score = 420;
+    items[2].score = 120;
+    items[3].score = 90;
+    await monitor.poll();
+    assert.deepEqual(discovered.slice(3).map(item => [item.hn_id, item.score_tier, item.updated]), [
+      [1, 300, true],
+      [2, 100, true],
+    ]);
+    assert.equal(discovered[3].id, discovered[0].id);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('robots.txt groups are selected by user agent and matched by longest rule', () => {
+  const groups = parseRobots([
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: googlebot',
+    'User-agent: OpenClaw-Evolution # us',
+    'Disallow: /private',
+    'Allow: /private/public',
+    'Disallow: /*.pdf$',
+    'Crawl-delay: 2',
+  ].join('\n'));
+
+  const ours = selectRules(groups, 'OpenClaw-Evolution/1.0');
+  assert.equal(ours.crawlDelay, 2);
+  assert.equal(isAllowed(ours.rules, '/docs'), true);
+  assert.equal(isAllowed(ours.rules, '/private/x'), false);
+  assert.equal(isAllowed(ours.rules, '/private/public/x'), true);
+  assert.equal(isAllowed(ours.rules, '/paper.pdf'), false);
+  assert.equal(isAllowed(ours.rules, '/paper.pdf?download=1'), true);
+
+  const others = selectRules(groups, 'OtherBot/2.0');
+  assert.equal(others.crawlDelay, null);
+  assert.equal(isAllowed(others.rules, '/docs'), false);
+  assert.equal(isAllowed(selectRules([], 'OtherBot').rules, '/anything'), true);
+});
+
+test('TokenBucket allows a burst, then spaces requests at the refill rate', () => {
+  let now = 0;
+  const bucket = new TokenBucket({ capacity: 2, ratePerSecond: 1, now: () => now });
+
+  assert.deepEqual([bucket.reserve(), bucket.reserve(), bucket.reserve(), bucket.reserve()], [0, 0, 1000, 2000]);
+  now = 5000;
+  assert.equal(bucket.reserve(), 0);
+});
+
+test('HttpClient with a politeness policy honours robots.txt and per-host budgets', async () => {
+  const server = await startServer({
+    '/robots.txt': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('User-agent: *\nDisallow: /private\n');
+    },
+    '/page': (req, res) => res.end('page'),
+    '/private/api': (req, res) => sendJSON(res, { ok: true }),
+    '/private/page': (req, res) => res.end('secret'),
+  });
+
+  try {
+    const politeness = new PolitenessPolicy({
+      logger: quietLogger(),
+      defaults: { requestsPerMinute: 600, burst: 1 },
+    });
+    const client = new HttpClient({ logger: quietLogger(), politeness, retries: 0 });
+
+    const started = Date.now();
+    await Promise.all([client.fetchText(`${server.url}/page`), client.fetchText(`${server.url}/page`), client.fetchText(`${server.url}/page`)]);
+    // One request per 100ms after the first
+    assert.ok(Date.now() - started >= 190);
+
+    await assert.rejects(client.fetchText(`${server.url}/private/page`), /Disallowed by robots.txt/);
+    // JSON APIs are not covered by robots.txt
+    assert.deepEqual(await client.fetchJSON(`${server.url}/private/api`), { ok: true });
+
+    assert.equal(server.requests.filter(request => request.url === '/robots.txt').length, 1);
+    assert.equal(server.requests.some(request => request.url === '/private/page'), false);
+
+    const status = politeness.getStatus();
+    assert.equal(status.blocked, 1);
+    assert.equal(status.requests, 4);
+    assert.ok(status.delayed >= 2);
+    assert.equal(status.hosts[new URL(server.url).host].robots_rules, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('MonitorScheduler spreads first runs, jitters intervals and reports next runs per check', async () => {
+  const runs = [];
+  const scheduler = new MonitorScheduler({ startSpread: 40, jitter: 0.5, random: () => 1, concurrency: 1 });
+
+  class TwoSourceMonitor extends BaseMonitor {
+    getChecks() {
+      return [
+        this.check('fast', async () => runs.push('fast')),
+        this.check('slow', async () => runs.push('slow')),
+      ];
+    }
+  }
+  const monitor = new TwoSourceMonitor({
+    name: 'two-sources',
+    logger: quietLogger(),
+    scheduler,
+    interval: 60000,
+    checkIntervals: { fast: 20 },
+  });
+
+  try {
+    assert.deepEqual(monitor.getStatus().checks, []);
+
+    const before = Date.now();
+    monitor.start();
+    const checks = monitor.getStatus().checks;
+    assert.deepEqual(checks.map(check => [check.name, check.interval, check.runs]), [['fast', 20, 0], ['slow', 60000, 0]]);
+    // random() = 1: first runs at the end of the start spread
+    assert.ok(Date.parse(checks[0].next_run_at) >= before + 40);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    const after = monitor.getStatus().checks;
+    assert.equal(after[1].runs, 1);
+    // Jittered by +50%: 30ms between runs of the fast check
+    assert.ok(after[0].runs >= 2 && after[0].runs <= 5, `fast ran ${after[0].runs} times`);
+    assert.ok(Date.parse(after[1].next_run_at) - Date.parse(after[1].last_run_at) >= 90000);
+  } finally {
+    monitor.stop();
+  }
+
+  assert.deepEqual(monitor.getStatus().checks, []);
+  assert.equal(scheduler.timer, null);
+  const count = runs.length;
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(runs.length, count);
+});
+
+test('MonitorScheduler waits for blocked checks without spinning and records checks that throw', async () => {
+  const scheduler = new MonitorScheduler({ startSpread: 0, jitter: 0, concurrency: 2 });
+  let ticks = 0;
+  const tick = scheduler._tick.bind(scheduler);
+  scheduler._tick = () => {
+    ticks++;
+    tick();
+  };
+
+  let release;
+  const busy = new Promise(resolve => { release = resolve; });
+  const runs = { slow: 0, quick: 0 };
+  const monitor = {
+    name: 'busy-monitor',
+    getChecks: () => [
+      { name: 'slow', interval: 60000, run: async () => { runs.slow++; await busy; return { ok: true }; } },
+      { name: 'quick', interval: 60000, run: async () => { runs.quick++; return { ok: true }; } },
+    ],
+  };
+  const plugin = {
+    name: 'plugin',
+    getChecks: () => [{ name: 'broken', interval: 60000, run: async () => { throw new Error('plugin exploded'); } }],
+  };
+
+  try {
+    scheduler.add(monitor).add(plugin);
+    scheduler.start();
+
+    // The quick check is due but blocked behind the slow one of its monitor
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.deepEqual(runs, { slow: 1, quick: 0 });
+    assert.ok(ticks <= 3, `ticked ${ticks} times`);
+
+    release();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(runs, { slow: 1, quick: 1 });
+
+    const [broken] = scheduler.describe(plugin);
+    assert.equal(broken.failures, 1);
+    assert.equal(broken.last_error, 'plugin exploded');
+    assert.equal(broken.runs, 1);
+  } finally {
+    scheduler.stop();
+  }
+});
+
+test('Failing checks are isolated, backed off and disabled by the circuit breaker', async () => {
+  const store = tempStore();
+  let now = Date.parse('2026-01-01T00:00:00Z');
+  let brokenUntilRun = 5;
+  const runs = { stable: 0, flaky: 0 };
+
+  class FlakyMonitor extends BaseMonitor {
+    getChecks() {
+      return [
+        this.check('flaky', async () => {
+          runs.flaky++;
+          if (runs.flaky <= brokenUntilRun) {
+            throw new Error('HTTP 503');
+          }
+        }),
+        this.check('stable', async () => {
+          runs.stable++;
+        }),
+      ];
+    }
+  }
+
+  const options = {
+    name: 'flaky-monitor',
+    logger: quietLogger(),
+    storage: store,
+    interval: 60000,
+    health: { failureThreshold: 3, cooldown: '1h', now: () => now },
+  };
+  const monitor = new FlakyMonitor(options);
+
+  try {
+    const outcomes = await monitor.runChecks();
+    assert.deepEqual(outcomes.map(outcome => [outcome.check, outcome.ok]), [['flaky', false], ['stable', true]]);
+
+    let record = store.getSourceHealth('flaky-monitor', 'flaky');
+    assert.equal(record.status, 'degraded');
+    assert.equal(record.last_error, 'HTTP 503');
+    assert.equal(record.retry_at, '2026-01-01T00:01:00.000Z');
+
+    // Still backing off: only the healthy check runs
+    now += 30000;
+    await monitor.runChecks();
+    assert.deepEqual(runs, { stable: 2, flaky: 1 });
+
+    // Second failure doubles the wait; the third opens the circuit
+    now += 30000;
+    await monitor.runChecks();
+    assert.equal(store.getSourceHealth('flaky-monitor', 'flaky').retry_at, '2026-01-01T00:03:00.000Z');
+    now += 120000;
+    await monitor.runChecks();
+    record = store.getSourceHealth('flaky-monitor', 'flaky');
+    assert.equal(record.status, 'open');
+    assert.equal(record.consecutive_failures, 3);
+    assert.equal(record.retry_at, '2026-01-01T01:03:00.000Z');
+    assert.equal(monitor.getChecks()[0].retryAt(), Date.parse(record.retry_at));
+
+    now += 30 * 60000;
+    await monitor.runChecks();
+    assert.equal(runs.flaky, 3);
+
+    // After the cooldown one trial runs; it fails and reopens the circuit
+    now += 30 * 60000;
+    await monitor.runChecks();
+    assert.equal(runs.flaky, 4);
+    assert.equal(store.getSourceHealth('flaky-monitor', 'flaky').status, 'open');
+
+    // Health survives a restart; a successful trial closes the circuit
+    brokenUntilRun = 4;
+    now += 60 * 60000;
+    const restarted = new FlakyMonitor(options);
+    await restarted.runChecks();
+    record = store.getSourceHealth('flaky-monitor', 'flaky');
+    assert.equal(record.status, 'healthy');
+    assert.equal(record.consecutive_failures, 0);
+    assert.equal(record.total_failures, 4);
+    assert.equal(record.total_runs, 5);
+    assert.equal(record.retry_at, null);
+    assert.ok(record.last_success_at);
+
+    const health = restarted.getStatus().health;
+    assert.deepEqual(health.map(entry => [entry.source, entry.status]), [['flaky', 'healthy'], ['stable', 'healthy']]);
+    assert.deepEqual(summarizeHealth(health), { sources: 2, healthy: 2, degraded: 0, open: 0 });
+
+    // A manual reset closes an open circuit right away
+    brokenUntilRun = Infinity;
+    for (let i = 0; i < 3; i++) {
+      now += 6 * 3600000;
+      await restarted.runChecks();
+    }
+    assert.equal(store.getSourceHealth('flaky-monitor', 'flaky').status, 'open');
+    restarted.health.reset('flaky');
+    assert.equal(restarted.health.canRun('flaky').allowed, true);
+  } finally {
+    store.close();
+  }
+});
+
+test('Feed checks fail when every feed fails, so failing sources back off and open the circuit', async () => {
+  const store = tempStore();
+  let now = Date.parse('2026-01-01T00:00:00Z');
+  const server = await startServer({
+    '/rss': 'feeds/rss2.xml',
+    '/broken': (req, res) => {
+      res.writeHead(500);
+      res.end('boom');
+    },
+  });
+  const options = {
+    name: 'team-feeds',
+    logger: quietLogger(),
+    storage: store,
+    interval: 60000,
+    config: { http: { retries: 0 } },
+    health: { failureThreshold: 3, now: () => now },
+  };
+
+  try {
+    // One working feed keeps the check healthy
+    const partial = new FeedMonitor({ ...options, sources: [`${server.url}/broken`, `${server.url}/rss`] });
+    const [outcome] = await partial.runChecks();
+    assert.equal(outcome.ok, true);
+    assert.equal(store.getSourceHealth('team-feeds', 'poll').status, 'healthy');
+
+    const broken = new FeedMonitor({ ...options, sources: [`${server.url}/broken`] });
+    for (let i = 0; i < 3; i++) {
+      const [failed] = await broken.runChecks();
+      assert.equal(failed.ok, false);
+      assert.match(failed.error.message, /All 1 feeds failed: HTTP 500/);
+      now += 6 * 3600000;
+    }
+    const record = store.getSourceHealth('team-feeds', 'poll');
+    assert.equal(record.status, 'open');
+    assert.equal(record.consecutive_failures, 3);
+
+    // The scheduler reports the failed run of the check
+    broken.health.reset();
+    const scheduled = new FeedMonitor({
+      ...options,
+      name: 'scheduled-feeds',
+      sources: [`${server.url}/broken`],
+      scheduler: new MonitorScheduler({ startSpread: 0 }),
+    });
+    scheduled.start();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const [check] = scheduled.scheduler.describe(scheduled);
+    scheduled.stop();
+    assert.equal(check.failures, 1);
+    assert.match(check.last_error, /HTTP 500/);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('Security and dependency checks fail when every advisory source or dependency lookup fails', async () => {
+  const store = tempStore();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-failing-'));
+  const lockFile = path.join(dir, 'package-lock.json');
+  let now = Date.parse('2026-01-01T00:00:00Z');
+
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ dependencies: { 'left-pad': '^1.1.0', tiny: '~3.1.0' } }));
+  fs.writeFileSync(lockFile, JSON.stringify({
+    lockfileVersion: 3,
+    packages: { '': {}, 'node_modules/left-pad': { version: '1.3.0' }, 'node_modules/tiny': { version: '3.1.2' } },
+  }));
+
+  const broken = (req, res) => {
+    res.writeHead(500);
+    res.end('boom');
+  };
+  const server = await startServer({
+    '/advisories': broken,
+    '/left-pad': broken,
+    '/tiny': (req, res) => sendJSON(res, { 'dist-tags': { latest: '3.1.5' }, versions: { '3.1.2': {}, '3.1.5': {} } }),
+  });
+  const options = {
+    logger: quietLogger(),
+    storage: store,
+    health: { failureThreshold: 3, now: () => now },
+  };
+  const config = sources => ({
+    http: { retries: 0 },
+    github: { repo: 'acme/widgets', apiUrl: server.url },
+    monitors: {
+      tech: { security: { sources, lockFiles: [lockFile] } },
+      openclaw: { dependencies: { registry: server.url, packageFiles: [path.join(dir, 'package.json')] } },
+    },
+  });
+  const checkOf = (monitor, name) => monitor.getChecks().find(check => check.name === name);
+
+  try {
+    // One working source keeps each check healthy
+    const partial = new TechMonitor({ ...options, config: config([`${server.url}/advisories`, path.join(FIXTURES, 'advisories')]) });
+    assert.equal((await checkOf(partial, 'security').run()).ok, true);
+    const deps = new OpenClawMonitor({ ...options, config: config() });
+    assert.equal((await checkOf(deps, 'dependencies').run()).ok, true);
+
+    const security = new TechMonitor({ ...options, config: config([`${server.url}/advisories`]) });
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ dependencies: { 'left-pad': '^1.1.0' } }));
+    const failing = [checkOf(security, 'security'), checkOf(deps, 'dependencies')];
+
+    for (let i = 0; i < 3; i++) {
+      const [advisories, dependencies] = await Promise.all(failing.map(check => check.run()));
+      assert.equal(advisories.ok, false);
+      assert.match(advisories.error.message, /All 1 advisory sources failed: HTTP 500/);
+      assert.equal(dependencies.ok, false);
+      assert.match(dependencies.error.message, /All 1 dependency checks failed: HTTP 500/);
+      now += 6 * 3600000;
+    }
+    assert.equal(store.getSourceHealth('tech-stack', 'security').status, 'open');
+    assert.equal(store.getSourceHealth('openclaw-ecosystem', 'dependencies').status, 'open');
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('Checkpoints resume feeds after the newest entry and can be rewound with a backfill', async () => {
+  const store = tempStore();
+  const server = await startServer({ '/rss': 'feeds/rss2.xml' });
+  const feed = `${server.url}/rss`;
+
+  try {
+    const monitor = new BaseMonitor({ name: 'feed-test', logger: quietLogger(), storage: store });
+    assert.equal(monitor.getCheckpoint(feed), null);
+
+    await monitor.ingestFeed(feed);
+    assert.equal(store.getCheckpoint('feed-test', feed).last_timestamp, '2025-02-04T08:30:00.000Z');
+
+    assert.equal(monitor.afterCheckpoint(monitor.getCheckpoint(feed), { timestamp: '2025-02-03T10:00:00Z' }), false);
+    assert.equal(monitor.afterCheckpoint(monitor.getCheckpoint(feed), { timestamp: 'not a date' }), true);
+    assert.equal(monitor.afterCheckpoint({ last_id: '99', last_timestamp: null }, { id: 100 }), true);
+    assert.equal(monitor.afterCheckpoint({ last_id: '99', last_timestamp: null }, { id: 98 }), false);
+
+    // Rewound to the window start on the first read only; the stored checkpoint stays put
+    const backfill = Date.now() - Date.parse('2025-02-04T00:00:00Z');
+    const rewinding = new BaseMonitor({ name: 'feed-test', logger: quietLogger(), storage: store, backfill });
+    const rewound = rewinding.getCheckpoint(feed);
+    assert.equal(rewound.backfill, true);
+    assert.ok(Date.parse(rewound.last_timestamp) <= Date.parse('2025-02-04T00:00:01Z'));
+
+    const requests = server.requests.length;
+    await rewinding.ingestFeed(feed);
+    assert.equal(server.requests.length, requests + 1);
+    assert.equal(server.requests[requests].headers['if-none-match'], undefined);
+    assert.deepEqual(rewinding.getCheckpoint(feed), { last_id: null, last_timestamp: '2025-02-04T08:30:00.000Z' });
+
+    rewinding.advanceCheckpoint('ids', [{ id: 7 }, { id: 12 }, { id: 9 }, {}]);
+    assert.equal(store.getCheckpoint('feed-test', 'ids').last_id, '12');
+    rewinding.advanceCheckpoint('ids', [{ id: 3 }]);
+    assert.equal(store.getCheckpoint('feed-test', 'ids').last_id, '12');
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+/**
+ * Mock chat-completions endpoint replaying canned completions per model
+ */
+function completionRoute(completions) {
+  return (req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      const reply = completions[request.model];
+
+      if (typeof reply === 'function') {
+        reply(req, res, request);
+        return;
+      }
+      if (!reply) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `model ${request.model} not found` } }));
+        return;
+      }
+      sendJSON(res, JSON.parse(fs.readFileSync(path.join(FIXTURES, 'completions', reply), 'utf8')));
+    });
+  };
+}
+
+test('ModelClient calls chat completions and reports usage and structured errors', async () => {
+  const bodies = [];
+  let overloaded = 1;
+  const server = await startServer({
+    '/v1/chat/completions': completionRoute({
+      'classifier-mini': 'classification.json',
+      'flaky': (req, res, request) => {
+        bodies.push(request);
+        if (overloaded-- > 0) {
+          res.writeHead(503, { 'Retry-After': '0' });
+          res.end();
+          return;
+        }
+        sendJSON(res, { model: 'flaky', choices: [{ message: { content: 'ok' } }] });
+      },
+      'locked': (req, res) => {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'invalid api key' } }));
+      },
+      'broken': (req, res) => sendJSON(res, { choices: [] }),
+      'slow': () => {},
+    }),
+  });
+
+  try {
+    const client = new ModelClient({ baseUrl: `${server.url}/v1`, apiKey: 'sk-test', logger: quietLogger(), timeout: 200 });
+
+    const result = await client.complete({ model: 'classifier-mini', prompt: 'Classify', temperature: 0, json: true });
+    assert.match(result.content, /"category": "security"/);
+    assert.deepEqual(result.usage, { prompt_tokens: 120, completion_tokens: 31, total_tokens: 151 });
+    assert.equal(result.finish_reason, 'stop');
+    assert.equal(result.provider, 'openai');
+    const sent = server.requests.find(request => request.url === '/v1/chat/completions');
+    assert.equal(sent.headers.authorization, 'Bearer sk-test');
+
+    // Retried on 503; usage defaults to zero when the server leaves it out
+    const retried = await client.complete({ model: 'flaky', messages: [{ role: 'system', content: 'Be brief' }] });
+    assert.equal(retried.content, 'ok');
+    assert.equal(bodies.length, 2);
+    assert.deepEqual(bodies[0].messages, [{ role: 'system', content: 'Be brief' }]);
+    assert.equal(retried.usage.total_tokens, 0);
+
+    const failure = (model) => client.complete({ model, prompt: 'x' }).then(() => null, error => error);
+    const auth = await failure('locked');
+    assert.ok(auth instanceof ModelClientError);
+    assert.deepEqual([auth.code, auth.status, auth.retryable], ['auth', 401, false]);
+    assert.equal((await failure('unknown-model')).code, 'bad_request');
+    assert.equal((await failure('broken')).code, 'invalid_response');
+
+    const quick = new ModelClient({ baseUrl: `${server.url}/v1`, logger: quietLogger(), timeout: 100, retries: 0 });
+    assert.equal((await quick.complete({ model: 'slow', prompt: 'x' }).catch(error => error)).code, 'timeout');
+
+    assert.deepEqual(client.getStats(), {
+      requests: 5, failures: 3, prompt_tokens: 120, completion_tokens: 31, total_tokens: 151,
+    });
+
+    // Zhipu needs a key and keeps temperature inside (0, 1)
+    const zhipu = createModelClient({ models: { classifier: 'glm-4-flash' }, llm: {} });
+    assert.equal(zhipu.provider, 'zhipu');
+    assert.equal((await zhipu.complete({ model: 'glm-4-flash', prompt: 'x' }).catch(error => error)).code, 'not_configured');
+    assert.equal(zhipu._body({ model: 'glm-4-flash', prompt: 'x', temperature: 0 }).temperature, 0.01);
+  } finally {
+    await server.close();
+  }
+});
+
+test('FastClassifier and DeepAnalyzer use the model replies and record token usage', async () => {
+  const store = tempStore();
+  const server = await startServer({
+    '/v1/chat/completions': completionRoute({
+      'classifier-mini': 'classification.json',
+      'glm-4.7': 'analysis.json',
+    }),
+  });
+
+  try {
+    const config = {
+      models: { classifier: 'classifier-mini', analyzer: 'glm-4.7' },
+      llm: { provider: 'openai', baseUrl: `${server.url}/v1`, apiKey: 'sk-test', retries: 0 },
+    };
+    const classifier = new FastClassifier({ model: 'classifier-mini', logger: quietLogger(), storage: store, config });
+    const analyzer = new DeepAnalyzer({ model: 'glm-4.7', logger: quietLogger(), storage: store, config });
+    const item = { title: 'Advisory: prototype pollution in parser', content: 'Upgrade to 2.1.4', url: 'https://example.com/a' };
+
+    const classification = await classifier.classify(item);
+    assert.deepEqual(classification, {
+      category: 'security', relevance_score: 0.92, action_type: 'suggest', risk_level: 'HIGH', prompt_version: 'classification@v1',
+    });
+
+    const analysis = await analyzer.analyze(item, classification);
+    assert.equal(analysis.optimization_type, 'security');
+    assert.equal(analysis.target_file, 'package.json');
+
+    assert.deepEqual(classifier.getStats(), {
+      total_classified: 1, failed: 0, avg_confidence: 0.92, tokens: 151, invalid_replies: 0, repaired: 0,
+    });
+    assert.equal(analyzer.tokens, 398);
+    assert.deepEqual(store.getTokenEfficiency('classification'), { avg_efficiency: 151, avg_throughput: 0, samples: 1 });
+    assert.equal(store.getTokenEfficiency('analysis').avg_efficiency, 398);
+
+    // Unknown model: the classifier falls back to its default classification
+    const fallback = new FastClassifier({ model: 'missing', logger: quietLogger(), config });
+    assert.equal((await fallback.classify(item)).category, 'unknown');
+    assert.equal(fallback.getStats().failed, 1);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('extractJSON unwraps fenced or chatty replies and validate reports schema violations', () => {
+  assert.deepEqual(extractJSON('{"a": 1}'), { a: 1 });
+  assert.deepEqual(extractJSON('Here it is:\n```json\n{"a": [1, 2]}\n```\nAnything else?'), { a: [1, 2] });
+  assert.deepEqual(extractJSON('Result: {"text": "a } in a string", "n": {"m": null}} -- done'), { text: 'a } in a string', n: { m: null } });
+  assert.throws(() => extractJSON('I cannot classify this.'), error => error.stage === 'parse');
+
+  const schema = {
+    type: 'object',
+    required: ['score', 'label', 'tags'],
+    additionalProperties: false,
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 1 },
+      label: { type: 'string', enum: ['a', 'b'] },
+      tags: { type: 'array', items: { type: 'string' } },
+      note: { type: ['string', 'null'] },
+    },
+  };
+
+  assert.deepEqual(validate(schema, { score: 0.5, label: 'a', tags: [], note: null }), []);
+  assert.deepEqual(validate(schema, { score: '0.5', label: 'c', tags: ['x', 2], extra: true }), [
+    { path: '$.score', message: 'expected number, got string' },
+    { path: '$.label', message: 'must be one of "a", "b"' },
+    { path: '$.tags[1]', message: 'expected string, got number' },
+    { path: '$.extra', message: 'is not allowed' },
+  ]);
+  assert.deepEqual(validate(schema, { score: 1.5 }), [
+    { path: '$.label', message: 'is required' },
+    { path: '$.tags', message: 'is required' },
+    { path: '$.score', message: 'must be <= 1' },
+  ]);
+  // Inherited keys do not satisfy required fields
+  assert.deepEqual(validate({ type: 'object', required: ['toString', 'label'] }, { label: 'a' }), [
+    { path: '$.toString', message: 'is required' },
+  ]);
+});
+
+test('FastClassifier re-prompts invalid replies and records validation failures per model', async () => {
+  const store = tempStore();
+  const conversations = [];
+  const reply = (res, content) => sendJSON(res, { choices: [{ message: { content } }], usage: { total_tokens: 10 } });
+
+  const server = await startServer({
+    '/v1/chat/completions': completionRoute({
+      'sloppy': (req, res, request) => {
+        conversations.push(request.messages);
+        reply(res, request.messages.length === 1
+          ? 'Sure! {"category": "security", "relevance_score": 1.7, "action_type": "suggest", "risk_level": "high"}'
+          : '{"category": "security", "relevance_score": 0.9, "action_type": "suggest", "risk_level": "HIGH"}');
+      },
+      'stubborn': (req, res) => reply(res, 'This looks like a security fix.'),
+    }),
+  });
+
+  try {
+    const config = { llm: { provider: 'openai', baseUrl: `${server.url}/v1`, retries: 0 } };
+    const item = { title: 'Patch release fixes a sandbox escape' };
+
+    const sloppy = new FastClassifier({ model: 'sloppy', logger: quietLogger(), storage: store, config });
+    assert.deepEqual(await sloppy.classify(item), {
+      category: 'security', relevance_score: 0.9, action_type: 'suggest', risk_level: 'HIGH', prompt_version: 'classification@v1',
+    });
+    assert.equal(conversations.length, 2);
+    assert.deepEqual(conversations[1].map(message => message.role), ['user', 'assistant', 'user']);
+    assert.match(conversations[1][2].content, /\$\.relevance_score must be <= 1/);
+    assert.match(conversations[1][2].content, /\$\.risk_level must be one of/);
+    assert.equal(sloppy.getStats().repaired, 1);
+
+    // Still invalid after the repair prompt: default classification
+    const stubborn = new FastClassifier({ model: 'stubborn', logger: quietLogger(), storage: store, config });
+    assert.equal((await stubborn.classify(item)).category, 'unknown');
+    assert.equal(stubborn.getStats().invalid_replies, 2);
+
+    const stats = store.getValidationStats(1).map(row => [row.model, row.task_type, row.stage, row.failures, row.repair_failures]);
+    assert.deepEqual(stats, [
+      ['stubborn', 'classification', 'parse', 2, 1],
+      ['sloppy', 'classification', 'schema', 1, 0],
+    ]);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('Rules classify obvious items before the model and count hits per rule', async () => {
+  const store = tempStore();
+  const server = await startServer({
+    '/v1/chat/completions': completionRoute({ 'classifier-mini': 'classification.json' }),
+  });
+
+  try {
+    const engine = new AIAnalysisEngine({
+      logger: quietLogger(),
+      storage: store,
+      config: {
+        models: { classifier: 'classifier-mini', analyzer: 'missing' },
+        llm: { provider: 'openai', baseUrl: `${server.url}/v1`, retries: 0 },
+        analysis: {
+          rules: [
+            { name: 'docs-typo', url: '/docs/', match: '\\btypos?\\b', classification: { category: 'documentation', relevance_score: 0.2 } },
+            { name: 'maybe-product', source: ['startup-trends'], match: 'launch', classification: { category: 'product' }, confidence: 0.5 },
+            { name: 'broken', match: '(', classification: { category: 'news' } },
+          ],
+          minRuleConfidence: 0.9,
+        },
+      },
+    });
+
+    const typo = await engine.processItem({ title: 'Fix typo in install guide', url: 'https://docs.openclaw.ai/docs/install' });
+    assert.equal(typo.classifiedBy, 'rule:docs-typo');
+    assert.deepEqual(typo.classification, {
+      category: 'documentation', relevance_score: 0.2, action_type: 'report', risk_level: 'LOW', rule: 'docs-typo',
+    });
+
+    // Built-in rule keeps the severity the monitor assigned
+    const advisory = await engine.processItem({ title: 'GHSA-xxxx', type: 'security', risk_level: 'CRITICAL' });
+    assert.equal(advisory.classifiedBy, 'rule:security-advisory');
+    assert.equal(advisory.classification.risk_level, 'CRITICAL');
+    assert.equal(engine.classifier.getStats().total_classified, 0);
+
+    // Low-confidence match and no match both go to the model
+    const launch = await engine.processItem({ title: 'Show HN: we launch today', source: 'startup-trends' });
+    assert.equal(launch.classifiedBy, 'model');
+    assert.equal(launch.classification.category, 'security');
+    await engine.processItem({ title: 'Something else entirely', url: 'https://example.com/typo' });
+    assert.equal(engine.classifier.getStats().total_classified, 2);
+
+    const stats = engine.getStats();
+    assert.equal(stats.classified, 4);
+    assert.equal(stats.rule_classified, 2);
+    assert.deepEqual(stats.rules, {
+      evaluated: 4,
+      matched: 3,
+      short_circuited: 2,
+      hits: { 'docs-typo': 1, 'security-advisory': 1, 'maybe-product': 1 },
+      hit_rate: 0.75,
+    });
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('SemanticSearch embeds stored knowledge into a file-backed index and ranks items by similarity', async () => {
+  const store = tempStore();
+  const dir = path.join(path.dirname(store.dbPath), 'vectors');
+
+  try {
+    const items = [
+      { source: 'tech', type: 'security', title: 'Prototype pollution in lodash merge', content: 'Upgrade lodash to 4.17.21 to fix prototype pollution.' },
+      { source: 'ai', type: 'paper', title: 'Tool use for language model agents', content: 'Agents learn to call tools and APIs.' },
+      { source: 'startup-trends', type: 'news', title: 'Pet food startup raises seed round', content: 'Delivery of pet food in 30 minutes.' },
+    ];
+    const ids = items.map(item => store.insertKnowledge(item));
+
+    const search = new SemanticSearch({ storage: store, config: { paths: { vectors: dir } }, logger: quietLogger() }).open();
+    assert.equal(await search.indexPending(), 3);
+    assert.equal(await search.indexPending(), 0);
+    assert.equal(store.getKnowledge(ids[0]).vector_id, String(ids[0]));
+
+    const [best, ...rest] = await search.search('lodash prototype pollution fix', { limit: 2 });
+    assert.equal(best.id, ids[0]);
+    assert.ok(best.score > 0.3 && best.score > rest[0].score);
+    assert.equal(rest.length, 1);
+    assert.deepEqual((await search.search('language model agents', { source: 'ai' })).map(row => row.id), [ids[1]]);
+
+    // Changed content is embedded again; the index survives a restart
+    store.refreshKnowledge(ids[2], { title: 'Agents that call tools', content: 'A startup ships tool use for agents.' });
+    const reopened = new SemanticSearch({ storage: store, config: { paths: { vectors: dir } }, logger: quietLogger() }).open();
+    assert.equal(reopened.index.size, 3);
+    assert.equal(await reopened.indexPending(), 1);
+    const agents = await reopened.search('tool use agents', { limit: 3, minScore: 0.2 });
+    assert.deepEqual(agents.map(row => row.id).sort(), [ids[1], ids[2]].sort());
+
+    // Another embedder cannot reuse the vectors: everything is embedded again
+    const resized = new SemanticSearch({
+      storage: store, config: { paths: { vectors: dir }, embeddings: { dimensions: 64 } }, logger: quietLogger(),
+    }).open();
+    assert.equal(resized.index.size, 0);
+    // The index is written every saveEvery items and once at the end, not per batch
+    resized.batchSize = 1;
+    resized.saveEvery = 2;
+    let saves = 0;
+    const save = resized.index.save.bind(resized.index);
+    resized.index.save = () => {
+      saves++;
+      return save();
+    };
+    assert.equal(await resized.indexPending(), 3);
+    assert.equal(saves, 2);
+    assert.equal(resized.getStats().index.dimensions, 64);
+    assert.equal(store.getUnembedded().length, 0);
+  } finally {
+    store.close();
+  }
+
+  // Vector index basics: replace, remove and reload
+  const indexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vectors-'));
+  try {
+    const index = new VectorIndex({ dir: indexDir, embedder: 'test' });
+    index.add('a', [1, 0]);
+    index.add('b', [0, 1]);
+    index.add('c', [Math.SQRT1_2, Math.SQRT1_2]);
+    index.add('a', [0, -1]);
+    assert.equal(index.remove('b'), true);
+    index.save();
+
+    // Capacity doubles; only the vectors in use are written
+    assert.equal(index.vectors.length, 8);
+    assert.equal(fs.statSync(path.join(indexDir, 'vectors.f32')).size, 2 * 2 * 4);
+
+    const reloaded = new VectorIndex({ dir: indexDir, embedder: 'test' }).load();
+    assert.deepEqual(reloaded.search([0, 1]).map(hit => hit.id), ['c', 'a']);
+    assert.equal(new HashingEmbedder().embedOne('same text').length, 256);
+    assert.deepEqual(new HashingEmbedder().embedOne('Same  text!'), new HashingEmbedder().embedOne('same text'));
+  } finally {
+    fs.rmSync(indexDir, { recursive: true, force: true });
+  }
+});
+
+test('ModelClient.embed calls the embeddings endpoint for the model embedder', async () => {
+  const store = tempStore();
+  const bodies = [];
+  const server = await startServer({
+    '/v1/embeddings': (req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = JSON.parse(body);
+        bodies.push(request);
+        // Out of order on purpose: results are sorted by index
+        sendJSON(res, {
+          model: request.model,
+          data: request.input.map((text, index) => ({ index, embedding: [text.length, 0, 1] })).reverse(),
+          usage: { prompt_tokens: 12, total_tokens: 12 },
+        });
+      });
+    },
+  });
+
+  try {
+    const embedder = createEmbedder({
+      llm: { provider: 'openai', baseUrl: `${server.url}/v1`, retries: 0 },
+      embeddings: { provider: 'model', model: 'text-embedding-3-small', dimensions: 3 },
+    }, { storage: store, logger: quietLogger() });
+
+    assert.equal(embedder.id, 'openai:text-embedding-3-small');
+    const [a, b] = await embedder.embed(['abc', 'x']);
+    assert.deepEqual(bodies, [{ model: 'text-embedding-3-small', input: ['abc', 'x'], dimensions: 3 }]);
+    assert.deepEqual(a.map(value => Number(value.toFixed(3))), [0.949, 0, 0.316]);
+    assert.deepEqual(b.map(value => Number(value.toFixed(3))), [0.707, 0, 0.707]);
+    assert.equal(store.getTokenEfficiency('embedding').avg_efficiency, 6);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('fitIsotonic pools violators into a monotone acceptance curve', () => {
+  const blocks = fitIsotonic([
+    { score: 0.9, accepted: true }, { score: 0.2, accepted: false }, { score: 0.5, accepted: true },
+    { score: 0.6, accepted: false }, { score: 0.8, accepted: true }, { score: 0.3, accepted: false },
+  ]);
+
+  assert.deepEqual(blocks.map(block => [Number(block.score.toFixed(2)), block.probability, block.samples]), [
+    [0.25, 0.25, 2],
+    [0.55, 0.5, 2],
+    [0.85, 0.75, 2],
+  ]);
+  // Below the lowest sample the raw score is kept, capped at the first block
+  assert.equal(interpolate(blocks, 0.1), 0.1);
+  assert.equal(interpolate(blocks, 0.22), 0.25);
+  assert.equal(interpolate(blocks, 0.7).toFixed(3), '0.625');
+  assert.equal(interpolate(blocks, 1), 0.75);
+});
+
+test('Calibration does not lift scores below the range covered by feedback', () => {
+  // Feedback only on highly rated items, most of them accepted
+  const feedback = Array.from({ length: 20 }, (_, i) => ({
+    relevance_score: 0.7 + i * 0.015,
+    outcome: i % 5 === 0 ? 'rejected' : 'accepted',
+    source: 'ai',
+    category: 'paper',
+  }));
+  const calibrator = new RelevanceCalibrator({ storage: { listFeedback: () => feedback } });
+
+  assert.equal(calibrator.fit(), 3);
+  const low = calibrator.calibrate(0.1, { source: 'ai', category: 'paper' });
+  assert.equal(low.model, 'ai/paper');
+  assert.equal(low.score, 0.1);
+  assert.ok(low.score < 0.7);
+  assert.ok(calibrator.calibrate(0.9, { source: 'ai', category: 'paper' }).score > 0.7);
+});
+
+test('Feedback on optimizations calibrates relevance per source and category before deep analysis', async () => {
+  const store = tempStore();
+  const server = await startServer({
+    '/v1/chat/completions': completionRoute({
+      'classifier-mini': 'classification.json',
+      'glm-4.7': 'analysis.json',
+    }),
+  });
+
+  // Stored optimization for a classified item, optionally with an issue
+  const optimize = (source, category, score, issue) => {
+    const knowledgeId = store.insertKnowledge({ source, type: 'release', title: `${source} ${category} ${score}`, content: '', url: '' });
+    store.updateKnowledgeAnalysis(knowledgeId, { category, relevance_score: score });
+    const id = store.insertOptimization({ knowledge_id: knowledgeId, type: 'security', description: 'Upgrade' });
+    if (issue) {
+      store.setOptimizationIssue(id, issue);
+    }
+    return id;
+  };
+
+  try {
+    const first = optimize('tech', 'security', 0.95, 101);
+    store.recordFeedback({ issue_number: 101, outcome: 'accepted' });
+    assert.equal(store.recordFeedback({ optimization_id: first, outcome: 'rejected', note: 'not applicable' }).source, 'tech');
+    assert.equal(store.getOptimization(first).status, 'rejected');
+    assert.throws(() => store.recordFeedback({ issue_number: 999, outcome: 'accepted' }), /No optimization for issue #999/);
+    assert.throws(() => store.recordFeedback({ optimization_id: first, outcome: 'maybe' }), /Unknown feedback outcome/);
+
+    // The classifier overrates tech security items; ai ones are accepted
+    for (let i = 0; i < 5; i++) {
+      store.recordFeedback({ optimization_id: optimize('tech', 'security', 0.9 + i * 0.01), outcome: 'rejected' });
+      store.recordFeedback({ optimization_id: optimize('ai', 'paper', 0.9 + i * 0.01), outcome: 'accepted' });
+    }
+    assert.equal(store.listFeedback().length, 11);
+
+    const calibrator = new RelevanceCalibrator({ storage: store, minSamples: 6 });
+    // tech/security, tech/* and * have enough feedback; ai/* does not
+    assert.equal(calibrator.fit(), 3);
+    assert.equal(calibrator.calibrate(0.92, { source: 'tech', category: 'security' }).model, 'tech/security');
+    assert.equal(calibrator.calibrate(0.92, { source: 'tech', category: 'docs' }).model, 'tech/*');
+    assert.equal(calibrator.calibrate(0.92, { source: 'ai', category: 'paper' }).model, '*');
+    assert.ok(calibrator.calibrate(0.92, { source: 'tech', category: 'security' }).score < 0.2);
+    assert.deepEqual(new RelevanceCalibrator({ storage: store }).calibrate(0.92), { score: 0.92, raw: 0.92, model: 'identity' });
+
+    const [techCurve] = calibrator.curves({ bins: 10 }).filter(curve => curve.model === 'tech/security');
+    assert.equal(techCurve.samples, 6);
+    assert.deepEqual(techCurve.reliability.map(bin => [bin.range, bin.samples, bin.observed]), [['0.90-1.00', 6, 0]]);
+
+    // The engine analyzes by calibrated relevance against its threshold
+    const engine = new AIAnalysisEngine({
+      logger: quietLogger(),
+      storage: store,
+      config: {
+        models: { classifier: 'classifier-mini', analyzer: 'glm-4.7' },
+        llm: { provider: 'openai', baseUrl: `${server.url}/v1`, retries: 0 },
+        analysis: { builtinRules: false, relevanceThreshold: 0.5, calibrationMinSamples: 5 },
+      },
+    });
+
+    const tech = await engine.processItem({ title: 'Sandbox escape fixed', source: 'tech' });
+    assert.equal(tech.classification.relevance_score, 0.92);
+    assert.equal(tech.relevance.model, 'tech/security');
+    assert.equal(tech.analysis, null);
+
+    const other = await engine.processItem({ title: 'Sandbox escape fixed', source: 'ai' });
+    assert.equal(other.relevance.model, 'ai/*');
+    assert.equal(other.relevance.score.toFixed(3), '0.857');
+    assert.equal(other.analysis.optimization_type, 'security');
+    assert.equal(engine.analyzer.tokens, 398);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('Prompt templates are versioned per task with model variants, pins and A/B splits', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  const write = (file, text) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  };
+  write('classification/v1.txt', 'v1: {{title}}\n');
+  write('classification/v2.txt', 'v2: {{ title }} from {{source}}');
+  write('classification/v10.txt', 'v10: {{missing}}');
+  write('classification/v2.classifier-mini.txt', 'v2 for mini: {{title}}');
+  write('analysis/v1.txt', 'analyze {{title}} ({{category}}, {{risk_level}})');
+
+  const store = tempStore();
+  const prompts = [];
+  const server = await startServer({
+    '/v1/chat/completions': completionRoute({
+      'classifier-mini': (req, res, request) => {
+        prompts.push(request.messages[0].content);
+        sendJSON(res, JSON.parse(fs.readFileSync(path.join(FIXTURES, 'completions', 'classification.json'), 'utf8')));
+      },
+    }),
+  });
+
+  try {
+    const latest = new PromptLibrary({ dir });
+    assert.deepEqual(latest.versionsOf('classification'), ['v1', 'v2', 'v10']);
+    assert.equal(latest.selectVersion('classification'), 'v10');
+    assert.throws(() => latest.render('classification', { title: 'x' }), /classification@v10 uses unknown variable "missing"/);
+    assert.throws(() => latest.render('summary', {}), /No prompt templates for task "summary"/);
+
+    // Pinned back to v2, with a per-model variant
+    const pinned = new PromptLibrary({ dir, versions: { classification: 'v2' } });
+    assert.deepEqual(pinned.render('classification', { title: 'Hi', source: 'hn' }), { text: 'v2: Hi from hn', version: 'classification@v2' });
+    assert.deepEqual(pinned.render('classification', { title: 'Hi' }, { model: 'classifier-mini' }), {
+      text: 'v2 for mini: Hi', version: 'classification@v2/classifier-mini',
+    });
+
+    // A/B: a stable ~30% of items get v1
+    const split = new PromptLibrary({ dir, versions: { classification: 'v2' }, experiments: { classification: { v1: 0.3 } } });
+    const arms = Array.from({ length: 1000 }, (_, i) => split.selectVersion('classification', `https://example.com/${i}`));
+    const share = arms.filter(version => version === 'v1').length / arms.length;
+    assert.ok(share > 0.25 && share < 0.35, `v1 share ${share}`);
+    assert.equal(split.selectVersion('classification', 'https://example.com/7'), arms[7]);
+
+    // Results record the version that produced them; stats compare versions
+    const config = {
+      models: { classifier: 'classifier-mini', analyzer: 'missing' },
+      llm: { provider: 'openai', baseUrl: `${server.url}/v1`, retries: 0 },
+      prompts: { dir, versions: { classification: 'v1' } },
+      analysis: { builtinRules: false, relevanceThreshold: 1.1 },
+    };
+    const engine = new AIAnalysisEngine({ logger: quietLogger(), storage: store, config });
+    const processed = await engine.processBatch([
+      { source: 'tech', type: 'release', title: 'First', content: 'a', url: 'https://example.com/1' },
+      { source: 'tech', type: 'release', title: 'Second', content: 'b', url: 'https://example.com/2' },
+    ]);
+    assert.deepEqual(prompts, ['v1: First', 'v1: Second']);
+    assert.equal(processed[0].classification.prompt_version, 'classification@v1');
+
+    await engine.storeResults(processed);
+    assert.deepEqual(store.getPromptStats(), [
+      { task: 'classification', version: 'classification@v1', items: 2, avg_relevance: 0.92, accepted: 0, rejected: 0 },
+    ]);
+  } finally {
+    await server.close();
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Experiments replay a golden set under two configurations and compare their metrics offline', async () => {
+  const metrics = classificationMetrics([
+    { expected: 'a', predicted: 'a' }, { expected: 'a', predicted: 'b' }, { expected: 'b', predicted: 'b' },
+  ]);
+  assert.equal(metrics.accuracy.toFixed(3), '0.667');
+  assert.deepEqual(metrics.per_class.a, { precision: 1, recall: 0.5, f1: 2 / 3, support: 2 });
+  assert.equal(metrics.macro_f1.toFixed(3), '0.667');
+
+  const baseDir = path.join(FIXTURES, 'experiments');
+  const experiment = JSON.parse(fs.readFileSync(path.join(baseDir, 'experiment.json'), 'utf8'));
+  experiment.variants.push({ name: 'unrecorded', models: { classifier: 'glm-4-plus' }, prompts: { dir: 'prompts' } });
+
+  const result = await runExperiment(experiment, { baseDir, logger: quietLogger() });
+  const [baseline, triage, unrecorded] = result.variants;
+
+  assert.equal(baseline.metrics.accuracy.toFixed(3), '0.667');
+  assert.equal(triage.metrics.accuracy, 1);
+  assert.equal(triage.metrics.macro_f1, 1);
+  assert.deepEqual(triage.metrics.risk.confusion.HIGH, { LOW: 0, MEDIUM: 0, HIGH: 0, CRITICAL: 1, other: 0 });
+  // Risk is scored as rated: the analysis raises the HIGH advisory to CRITICAL
+  assert.equal(baseline.results[0].classification.risk_level, 'HIGH');
+  assert.equal(baseline.results[0].risk.level, 'CRITICAL');
+  assert.deepEqual(baseline.metrics.tokens, { classifier: 840, analyzer: 1000, total: 1840, per_item: 1840 / 6 });
+  assert.equal(baseline.metrics.cost_units.toFixed(3), '1.084');
+  assert.deepEqual(triage.metrics.latency_ms, { mean: 760, p50: 360, p95: 1560 });
+  assert.deepEqual(triage.metrics.analysis, { labeled: 2, analyzed: 2, type_accuracy: 1 });
+
+  // Nothing recorded for a model: every item falls back, no network is used
+  assert.equal(unrecorded.misses, 6);
+  assert.equal(unrecorded.metrics.fallbacks, 6);
+
+  assert.equal(result.comparisons[0].candidate, 'triage-prompt');
+  assert.equal(result.comparisons[0].accuracy.toFixed(3), '0.333');
+  assert.equal(result.comparisons[0].tokens_per_item, 60);
+
+  const report = formatReport(result);
+  assert.match(report, /\| triage-prompt \| glm-4-flash \/ glm-4\.7 \| classification@v2 \| 100\.0% \| 1\.000 \|/);
+  assert.match(report, /\| Tokens\/item \| Cost \(units\) \|/);
+  assert.match(report, /triage-prompt\*\* vs baseline: accuracy \+33\.3%/);
+  assert.match(report, /6 requests had no recorded response/);
+});
+
+test('Cassettes record model responses and replay learning cycles without network, failing on misses', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-cassette-'));
+  const file = path.join(dir, 'cycle.cassette.json');
+  const server = await startServer({
+    '/v1/chat/completions': completionRoute({
+      'classifier-mini': 'classification.json',
+      'glm-4.7': 'analysis.json',
+    }),
+    '/v1/embeddings': (req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = JSON.parse(body);
+        sendJSON(res, { data: request.input.map((text, index) => ({ index, embedding: [text.length, 1, 0] })), usage: { prompt_tokens: 4 } });
+      });
+    },
+  });
+  const item = { source: 'tech', type: 'release', title: 'Advisory: prototype pollution in parser', content: 'Upgrade to 2.1.4', url: 'https://example.com/a' };
+  const config = mode => ({
+    models: { classifier: 'classifier-mini', analyzer: 'glm-4.7' },
+    llm: { provider: 'openai', baseUrl: `${server.url}/v1`, retries: 0, cassette: { mode, file } },
+    analysis: { builtinRules: false },
+  });
+
+  let recorded;
+  try {
+    const store = tempStore();
+    const engine = new AIAnalysisEngine({ logger: quietLogger(), storage: store, config: config('record') });
+    recorded = await engine.processBatch([item]);
+    const embedder = createEmbedder({ ...config('record'), embeddings: { provider: 'model', model: 'embed-small' } }, { storage: store });
+    await embedder.embed(['abc']);
+    store.close();
+
+    assert.equal(server.requests.length, 3);
+    assert.equal(engine.classifier.client.getStats().recorded, 1);
+  } finally {
+    await server.close();
+  }
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(entries.length, 3);
+    assert.equal(entries[0].usage.total_tokens, 151);
+
+    // Server is gone: replay answers from the cassette
+    const store = tempStore();
+    const engine = new AIAnalysisEngine({ logger: quietLogger(), storage: store, config: config('replay') });
+    const [replayed] = await engine.processBatch([item]);
+    assert.deepEqual(replayed.classification, recorded[0].classification);
+    assert.deepEqual(replayed.analysis, recorded[0].analysis);
+    assert.equal(engine.classifier.client.provider, 'openai');
+
+    const embedder = createEmbedder({ ...config('replay'), embeddings: { provider: 'model', model: 'embed-small' } }, { storage: store });
+    assert.equal(embedder.id, 'openai:embed-small');
+    assert.equal((await embedder.embed(['abc'])).length, 1);
+
+    // Unrecorded requests fail the batch instead of falling back
+    await assert.rejects(
+      engine.processBatch([{ ...item, title: 'Something new' }]),
+      error => error.code === 'cassette_miss' && error.fatal && /EVOLUTION_LLM_CASSETTE_MODE=record/.test(error.message)
+    );
+    await assert.rejects(embedder.embed(['xyz']), { code: 'cassette_miss' });
+    store.close();
+
+    // Non-strict clients report misses as ordinary failures
+    const lenient = new CassetteClient({ strict: false, recordings: [] });
+    const request = { model: 'm', messages: [{ role: 'user', content: 'hi' }], temperature: 0, json: true };
+    await assert.rejects(lenient.complete(request), error => !error.fatal);
+    assert.equal(lenient.getStats().misses, 1);
+    assert.equal(requestKey(request), requestKey({ ...request, timeout: 5 }));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('processBatch classifies items concurrently per tier, keeps their order, reports progress and can be cancelled', async () => {
+  const store = tempStore();
+  const reply = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'completions', 'classification.json'), 'utf8'));
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const server = await startServer({
+    '/v1/chat/completions': completionRoute({
+      'classifier-mini': (req, res, request) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        // Earlier items answer last
+        const index = Number(request.messages[0].content.match(/Item (\d)/)[1]);
+        setTimeout(() => {
+          inFlight--;
+          sendJSON(res, reply);
+        }, 60 - index * 10);
+      },
+    }),
+  });
+
+  try {
+    const engine = new AIAnalysisEngine({
+      logger: quietLogger(),
+      storage: store,
+      config: {
+        models: { classifier: 'classifier-mini', analyzer: 'glm-4.7' },
+        llm: { provider: 'openai', baseUrl: `${server.url}/v1`, retries: 0 },
+        analysis: { builtinRules: false, relevanceThreshold: 1.01, concurrency: { classifier: 2, analyzer: 1 } },
+      },
+    });
+    const items = Array.from({ length: 6 }, (_, i) => ({ source: 'tech', title: `Item ${i}`, content: 'c', url: `https://example.com/${i}` }));
+
+    const progress = [];
+    engine.on('progress', event => progress.push(event));
+    const results = await engine.processBatch(items);
+
+    assert.deepEqual(results.map(result => result.item.title), items.map(item => item.title));
+    assert.equal(maxInFlight, 2);
+    assert.equal(engine.concurrency, 3);
+    assert.equal(progress.length, 6);
+    assert.deepEqual(progress.at(-1), { stage: 'process', completed: 6, failed: 0, total: 6, item: progress.at(-1).item });
+
+    // Cancelled after the first item: pending items never reach the model
+    const before = server.requests.length;
+    const controller = new AbortController();
+    engine.once('progress', () => controller.abort());
+    await assert.rejects(engine.processBatch(items, { signal: controller.signal }), { name: 'AbortError' });
+    assert.ok(server.requests.length - before < items.length);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});
+
+test('ModelRateLimiter spaces requests per model and settles token estimates against real usage', async () => {
+  const limiter = new ModelRateLimiter({
+    limits: { 'glm-4-flash': { requestsPerMinute: 2, tokensPerMinute: 1000 } },
+    now: () => 0,
+  });
+
+  // Estimates are corrected by the reported usage, freeing budget
+  (await limiter.acquire('glm-4-flash', 800)).settle(200);
+  await limiter.acquire('glm-4-flash', 800);
+
+  // Third request in the minute: waits for the next request slot until cancelled
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 10);
+  await assert.rejects(limiter.acquire('glm-4-flash', 10, controller.signal), { name: 'AbortError' });
+
+  // Unlimited models never wait
+  await limiter.acquire('glm-4.7', 1e6);
+
+  assert.deepEqual(limiter.getStats(), {
+    'glm-4-flash': { requests: 3, delayed: 1, delay_ms: 30000 },
+    'glm-4.7': { requests: 1, delayed: 0, delay_ms: 0 },
+  });
+});
+
+test('Cancelling ends retry back-off, host budget waits and refunds rate-limited model calls', async () => {
+  const server = await startServer({
+    '/busy': (req, res) => {
+      res.writeHead(503, { 'Retry-After': '30' });
+      res.end();
+    },
+  });
+
+  try {
+    // Aborted while waiting out Retry-After
+    const client = new HttpClient({ retries: 1 });
+    const controller = new AbortController();
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 30);
+    await assert.rejects(client.request(`${server.url}/busy`, { signal: controller.signal }), { name: 'AbortError' });
+    assert.ok(Date.now() - started < 5000);
+
+    // Aborted while waiting for the host's budget
+    const politeness = new PolitenessPolicy({ defaults: { requestsPerMinute: 1, burst: 1, robots: false } });
+    await politeness.beforeRequest(`${server.url}/a`);
+    await assert.rejects(politeness.beforeRequest(`${server.url}/b`, { signal: AbortSignal.timeout(30) }), { name: 'TimeoutError' });
+
+    // A failed call gives its token estimate back
+    const rateLimiter = new ModelRateLimiter({ limits: { missing: { tokensPerMinute: 1000 } }, now: () => 0 });
+    const classifier = new FastClassifier({
+      model: 'missing',
+      logger: quietLogger(),
+      rateLimiter,
+      config: { llm: { provider: 'openai', baseUrl: `${server.url}/v1`, retries: 0 } },
+    });
+    assert.equal((await classifier.classify({ title: 'x', content: 'y' })).category, 'unknown');
+    assert.equal(rateLimiter.buckets.get('missing').tokens.tokens, 1000);
+  } finally {
+    await server.close();
+  }
+});
+
+test('FastClassifier packs items into batched requests sized to the model and falls back per item', async () => {
+  const store = tempStore();
+  const single = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'completions', 'classification.json'), 'utf8'));
+  let malformed = false;
+  const server = await startServer({
+    '/v1/chat/completions': completionRoute({
+      'glm-4-flash': (req, res, request) => {
+        const prompt = request.messages[0].content;
+        if (!prompt.startsWith('Classify each of these')) {
+          sendJSON(res, single);
+          return;
+        }
+        // Garbled items get an invalid entry, skipped items none
+        const titles = [...prompt.matchAll(/^Title: (.*)$/gm)].map(match => match[1]);
+        const classifications = titles.map((title, i) => ({
+          index: i + 1,
+          category: title.includes('garbled') ? 'nonsense' : 'news',
+          relevance_score: 0.4,
+          action_type: 'report',
+          risk_level: 'LOW',
+        })).filter((entry, i) => !titles[i].includes('skipped'));
+        sendJSON(res, {
+          model: 'glm-4-flash',
+          choices: [{ message: { content: malformed ? 'no idea' : JSON.stringify({ classifications }) }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 60 + 40 * titles.length, completion_tokens: 20, total_tokens: 80 + 40 * titles.length },
+        });
+      },
+    }),
+  });
+  const config = {
+    models: { classifier: 'glm-4-flash', analyzer: 'glm-4.7' },
+    llm: { provider: 'openai', baseUrl: `${server.url}/v1`, retries: 0 },
+    analysis: { builtinRules: false, relevanceThreshold: 1.01, batchClassification: { enabled: true } },
+  };
+  const items = ['one', 'two', 'three', 'garbled four', 'skipped five'].map((title, i) => ({
+    source: 'startup', title, content: 'c', url: `https://example.com/${i}`,
+  }));
+
+  try {
+    const classifier = new FastClassifier({ model: 'glm-4-flash', logger: quietLogger(), storage: store, config });
+    assert.equal(classifier.batching.maxTokens, 4000);
+
+    const classified = await classifier.classifyBatch(items);
+    assert.deepEqual(classified.map(item => item.title), items.map(item => item.title));
+    assert.deepEqual(classified.map(item => item.classification.prompt_version), [
+      'classification-batch@v1', 'classification-batch@v1', 'classification-batch@v1', 'classification@v1', 'classification@v1',
+    ]);
+    assert.equal(classified[0].classification.category, 'news');
+    assert.equal(classified[3].classification.category, 'security');
+    assert.equal(server.requests.length, 3);
+
+    await classifier.classify(items[0]);
+    const stats = classifier.getBatchStats();
+    assert.deepEqual(stats.batched, { requests: 3, items: 5, tokens: 582, fallbacks: 2, tokens_per_item: 582 / 5 });
+    assert.deepEqual(stats.single, { requests: 1, items: 1, tokens: 151, tokens_per_item: 151 });
+    assert.equal(stats.savings.toFixed(3), (1 - 116.4 / 151).toFixed(3));
+    assert.equal(store.getTokenEfficiency('classification_batch').avg_efficiency, 280 / 5);
+
+    // Batches are capped by maxItems; an unusable reply falls back for every item
+    malformed = true;
+    const small = new FastClassifier({ model: 'glm-4-flash', logger: quietLogger(), config, batching: { maxItems: 2 } });
+    const before = server.requests.length;
+    const fallback = await small.classifyBatch(items.slice(0, 3));
+    assert.equal(server.requests.length - before, 4);
+    assert.ok(fallback.every(item => item.classification.prompt_version === 'classification@v1'));
+    assert.equal(small.getBatchStats().batched.fallbacks, 2);
+    malformed = false;
+
+    // The engine classifies a batch's model-bound items together
+    const engine = new AIAnalysisEngine({ logger: quietLogger(), storage: store, config });
+    const results = await engine.processBatch(items.slice(0, 2));
+    assert.deepEqual(results.map(result => result.classification.prompt_version), ['classification-batch@v1', 'classification-batch@v1']);
+    assert.equal(engine.getStats().batching.batched.requests, 1);
+
+    // Batching that cannot run (no batch template here) falls back to one request per item
+    const noBatchPrompt = new AIAnalysisEngine({
+      logger: quietLogger(),
+      storage: store,
+      config: { ...config, prompts: { dir: path.join(FIXTURES, 'experiments', 'prompts'), versions: { classification: 'v1' } } },
+    });
+    const stages = [];
+    noBatchPrompt.on('progress', event => stages.push(event.stage));
+    const isolated = await noBatchPrompt.processBatch(items.slice(0, 2));
+    assert.deepEqual(isolated.map(result => result.classification.prompt_version), ['classification@v1', 'classification@v1']);
+    assert.deepEqual(stages, ['process', 'process']);
+  } finally {
+    await server.close();
+    store.close();
+  }
+});